@@ -1,6 +1,7 @@
 import { chromium } from 'playwright';
 import RequestQueue from '../utils/RequestQueue.js';
 import { ADSPOWER_BASE_URL } from '../config/defaults.js';
+import { AdsPowerApiError } from '../errors/AppError.js';
 
 import { createLogger } from '../utils/Logger.js';
 
@@ -81,7 +82,7 @@ class AdsPowerManager {
             const data = await this._makeRequest(`${this.baseUrl}/user/list?page_size=100`);
             
             if (data.code !== 0) {
-                throw new Error(`Error obteniendo perfiles: ${data.msg}`);
+                throw AdsPowerApiError.fromResponse(data, 'Error obteniendo perfiles');
             }
             
             return data.data?.list || [];
@@ -124,24 +125,22 @@ class AdsPowerManager {
                     const data = await this._makeRequest(`${this.baseUrl}/browser/start?user_id=${profileId}`);
                     
                     if (data.code !== 0) {
+                        const apiError = AdsPowerApiError.fromResponse(data, `Error iniciando perfil ${profileId}`, profileId);
+
                         // Si es error de rate limiting, reintentar
-                        if (data.msg && (
-                            data.msg.includes('Too many request') || 
-                            data.msg.includes('rate limit') ||
-                            data.msg.includes('请求过于频繁')
-                        )) {
-                            lastError = new Error(`Rate limit para perfil ${profileId}: ${data.msg}`);
+                        if (apiError.rateLimited) {
+                            lastError = apiError;
                             attempt++;
                             continue;
                         }
                         
                         // Para otros errores, fallar inmediatamente
-                        throw new Error(`Error iniciando perfil ${profileId}: ${data.msg}`);
+                        throw apiError;
                     }
                     
                     // Éxito - conectar con Playwright
                     if (!data.data?.ws?.puppeteer) {
-                        throw new Error(`Respuesta inválida de Ads Power para perfil ${profileId}`);
+                        throw new AdsPowerApiError(`Respuesta inválida de Ads Power para perfil ${profileId}`, { profileId });
                     }
                     
                     const wsEndpoint = data.data.ws.puppeteer;
@@ -182,10 +181,7 @@ class AdsPowerManager {
                     lastError = error;
                     
                     // Para errores de red o rate limiting, reintentar
-                    if (error.message.includes('Too many request') || 
-                        error.message.includes('rate limit') ||
-                        error.message.includes('ECONNRESET') ||
-                        error.message.includes('fetch')) {
+                    if (error instanceof AdsPowerApiError && error.isRetryable()) {
                         attempt++;
                         continue;
                     }
@@ -196,7 +192,13 @@ class AdsPowerManager {
             }
             
             // Si llegamos aquí, se agotaron los reintentos
-            throw new Error(`Error iniciando perfil ${profileId} después de ${maxAttempts} intentos: ${lastError?.message || 'Error desconocido'}`);
+            throw new AdsPowerApiError(`Error iniciando perfil ${profileId} después de ${maxAttempts} intentos: ${lastError?.message || 'Error desconocido'}`, {
+                profileId,
+                apiCode: lastError?.apiCode ?? null,
+                rateLimited: Boolean(lastError?.rateLimited),
+                network: Boolean(lastError?.network),
+                cause: lastError
+            });
             
         } catch (error) {
             log.error(`Error iniciando perfil ${profileId}:`, error.message);
@@ -252,7 +254,7 @@ class AdsPowerManager {
             const data = await this._makeRequest(`${this.baseUrl}/user/list?user_id=${profileId}`);
             
             if (data.code !== 0) {
-                throw new Error(`Error obteniendo info del perfil ${profileId}: ${data.msg}`);
+                throw AdsPowerApiError.fromResponse(data, `Error obteniendo info del perfil ${profileId}`, profileId);
             }
             
             return data.data;
@@ -294,7 +296,7 @@ class AdsPowerManager {
                 log.error(`Error deteniendo perfil ${profileId}:`, error.message);
                 
                 // Si hay error de rate limiting, esperar más tiempo
-                if (error.message.includes('Too many request') || error.message.includes('rate limit')) {
+                if (error instanceof AdsPowerApiError && error.rateLimited) {
                     log.info('Rate limit detectado, esperando más tiempo...');
                     await this.sleep(2000); // 2 segundos adicionales
                 }
@@ -344,13 +346,25 @@ class AdsPowerManager {
     async _makeRequest(url, options = {}) {
         // Crear función de request que será encolada
         const requestFunction = async () => {
-            const response = await fetch(url, {
-                timeout: 15000, // 15 segundos timeout por request
-                ...options
-            });
+            let response;
+            try {
+                response = await fetch(url, {
+                    timeout: 15000, // 15 segundos timeout por request
+                    ...options
+                });
+            } catch (error) {
+                // fetch solo rechaza si no pudo llegar a Ads Power (red, ECONNRESET, etc.)
+                throw new AdsPowerApiError(`No se pudo conectar con Ads Power: ${error.message}`, {
+                    network: true,
+                    cause: error
+                });
+            }
             
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                throw new AdsPowerApiError(`HTTP ${response.status}: ${response.statusText}`, {
+                    status: response.status,
+                    rateLimited: response.status === 429
+                });
             }
             
             return await response.json();
@@ -78,6 +78,123 @@ class ConfigStore {
         return this.getSection('adspower').rateLimit;
     }
 
+    /**
+     * Límites del pool de sesiones de navegación. Cada clave cae al default
+     * si el store del usuario se persistió antes de que existiera.
+     * @returns {{maxConcurrentProfiles:number, profileStartupDelay:number, profileStartupJitter:number}}
+     */
+    getConcurrencyConfig() {
+        const section = this.getSection('adspower');
+        const defaults = DEFAULT_APP_CONFIG.adspower;
+        return {
+            maxConcurrentProfiles: section.maxConcurrentProfiles ?? defaults.maxConcurrentProfiles,
+            profileStartupDelay: section.profileStartupDelay ?? defaults.profileStartupDelay,
+            profileStartupJitter: section.profileStartupJitter ?? defaults.profileStartupJitter
+        };
+    }
+
+    /**
+     * Minutos que un perfil descansa entre el fin de una corrida y el
+     * arranque de la siguiente. 0 desactiva el enfriamiento.
+     * @returns {number}
+     */
+    getProfileCooldownMinutes() {
+        return this.getSection('navigation').profileCooldownMinutes
+            ?? DEFAULT_APP_CONFIG.navigation.profileCooldownMinutes;
+    }
+
+    /**
+     * Horas en las que un perfil no repite un dominio que ya visitó,
+     * mientras le queden otros sitios. 0 desactiva el historial.
+     * @returns {number}
+     */
+    getSiteRevisitWindowHours() {
+        return this.getSection('navigation').siteRevisitWindowHours
+            ?? DEFAULT_APP_CONFIG.navigation.siteRevisitWindowHours;
+    }
+
+    /**
+     * Ajustes del watchdog de sesiones colgadas. Igual que con el pool,
+     * cada clave cae al default si el store del usuario no la tiene.
+     * @returns {{enabled:boolean, idleTimeout:number, recoveryGrace:number, checkInterval:number}}
+     */
+    getWatchdogConfig() {
+        const section = this.getSection('navigation').watchdog || {};
+        const defaults = DEFAULT_APP_CONFIG.navigation.watchdog;
+        return {
+            enabled: section.enabled ?? defaults.enabled,
+            idleTimeout: section.idleTimeout ?? defaults.idleTimeout,
+            recoveryGrace: section.recoveryGrace ?? defaults.recoveryGrace,
+            checkInterval: section.checkInterval ?? defaults.checkInterval
+        };
+    }
+
+    /**
+     * Puntaje de salud de los sitios y cuarentena automática (ver
+     * SiteHealth). Cada clave cae al default si el store no la tiene.
+     * @returns {{enabled:boolean, window:number, minVisits:number, quarantineBelow:number,
+     *   retryAfterHours:number, maxRetryAfterHours:number}}
+     */
+    getSiteHealthConfig() {
+        const section = this.getSection('navigation').siteHealth || {};
+        const defaults = DEFAULT_APP_CONFIG.navigation.siteHealth;
+        return {
+            enabled: section.enabled ?? defaults.enabled,
+            window: section.window ?? defaults.window,
+            minVisits: section.minVisits ?? defaults.minVisits,
+            quarantineBelow: section.quarantineBelow ?? defaults.quarantineBelow,
+            retryAfterHours: section.retryAfterHours ?? defaults.retryAfterHours,
+            maxRetryAfterHours: section.maxRetryAfterHours ?? defaults.maxRetryAfterHours
+        };
+    }
+
+    /**
+     * Ajustes del programador de ejecuciones recurrentes.
+     * @returns {{enabled:boolean, checkInterval:number, missedRunGrace:number}}
+     */
+    getSchedulerConfig() {
+        const section = this.getSection('scheduler');
+        const defaults = DEFAULT_APP_CONFIG.scheduler;
+        return {
+            enabled: section.enabled ?? defaults.enabled,
+            checkInterval: section.checkInterval ?? defaults.checkInterval,
+            missedRunGrace: section.missedRunGrace ?? defaults.missedRunGrace
+        };
+    }
+
+    /**
+     * Copias automáticas de la base (ver BackupScheduler): cada cuánto se
+     * copia, cuántas copias automáticas se guardan y a los cuántos días
+     * se borran.
+     * @returns {{autoBackup:boolean, backupInterval:number, keepBackups:number, maxBackupAgeDays:number}}
+     */
+    getBackupConfig() {
+        const section = this.getSection('database');
+        const defaults = DEFAULT_APP_CONFIG.database;
+        return {
+            autoBackup: section.autoBackup ?? defaults.autoBackup,
+            backupInterval: section.backupInterval ?? defaults.backupInterval,
+            keepBackups: section.keepBackups ?? defaults.keepBackups,
+            maxBackupAgeDays: section.maxBackupAgeDays ?? defaults.maxBackupAgeDays
+        };
+    }
+
+    /**
+     * Retención de visitas y mantenimiento periódico de la base (ver
+     * MaintenanceScheduler). visitRetentionDays en 0 guarda todas las
+     * visitas detalladas.
+     * @returns {{visitRetentionDays:number, autoMaintenance:boolean, maintenanceInterval:number}}
+     */
+    getMaintenanceConfig() {
+        const section = this.getSection('database');
+        const defaults = DEFAULT_APP_CONFIG.database;
+        return {
+            visitRetentionDays: section.visitRetentionDays ?? defaults.visitRetentionDays,
+            autoMaintenance: section.autoMaintenance ?? defaults.autoMaintenance,
+            maintenanceInterval: section.maintenanceInterval ?? defaults.maintenanceInterval
+        };
+    }
+
     /**
      * Reemplaza el bloque de rate limiting fusionándolo con el actual.
      */
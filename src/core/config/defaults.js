@@ -32,6 +32,16 @@ export const ESTIMATED_RAM_PER_PROFILE_MB = 300;
 
 export const MAX_RECOMMENDED_PROFILES = 10;
 
+export const MAX_CONCURRENT_PROFILES = 10;
+
+export const PROFILE_STARTUP_DELAY_MS = 2000;
+
+export const PROFILE_STARTUP_JITTER_MS = 1000;
+
+export const PROFILE_COOLDOWN_MINUTES = 60;
+
+export const SITE_REVISIT_WINDOW_HOURS = 72;
+
 export const AUTO_UPDATE_INTERVAL_MS = 6 * 60 * 60 * 1000;
 
 export const AUTO_UPDATE_INITIAL_DELAY_MS = 3000;
@@ -59,6 +69,9 @@ export const DEFAULT_APP_CONFIG = Object.freeze({
         baseUrl: ADSPOWER_BASE_URL,
         timeout: 30000,
         retryAttempts: 3,
+        maxConcurrentProfiles: MAX_CONCURRENT_PROFILES,
+        profileStartupDelay: PROFILE_STARTUP_DELAY_MS,
+        profileStartupJitter: PROFILE_STARTUP_JITTER_MS,
         rateLimit: {
             requestsPerSecond: 1,
             queueTimeout: 30000,
@@ -74,11 +87,38 @@ export const DEFAULT_APP_CONFIG = Object.freeze({
         minTimePerPage: 2000,
         maxTimePerPage: 15000,
         scrollDepthMin: 0.3,
-        scrollDepthMax: 0.9
+        scrollDepthMax: 0.9,
+        profileCooldownMinutes: PROFILE_COOLDOWN_MINUTES,
+        siteRevisitWindowHours: SITE_REVISIT_WINDOW_HOURS,
+        watchdog: {
+            enabled: true,
+            idleTimeout: 10 * 60 * 1000,
+            recoveryGrace: 90 * 1000,
+            checkInterval: 30 * 1000
+        },
+        siteHealth: {
+            enabled: true,
+            window: 20,
+            minVisits: 5,
+            quarantineBelow: 40,
+            retryAfterHours: 72,
+            maxRetryAfterHours: 30 * 24
+        }
+    },
+    scheduler: {
+        enabled: true,
+        checkInterval: 30 * 1000,
+        missedRunGrace: 5 * 60 * 1000
     },
     database: {
         backupInterval: 24 * 60 * 60 * 1000,
-        maxRetries: 3
+        maxRetries: 3,
+        autoBackup: true,
+        keepBackups: 7,
+        maxBackupAgeDays: 30,
+        visitRetentionDays: 90,
+        autoMaintenance: true,
+        maintenanceInterval: 7 * 24 * 60 * 60 * 1000
     },
     logging: {
         level: 'info',
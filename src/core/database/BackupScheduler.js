@@ -0,0 +1,141 @@
+import { createLogger } from '../utils/Logger.js';
+
+const log = createLogger('BackupScheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Copias automáticas de la base mientras la app (o `schedule run`) está
+ * abierta.
+ *
+ * Cada `checkInterval` se mira la copia automática más nueva de la carpeta
+ * de copias; si tiene más de `backupInterval`, se toma otra. Como la fecha
+ * sale del archivo, el plazo se respeta aunque la app se cierre entre una
+ * copia y la siguiente.
+ *
+ * Después de cada copia se rota la carpeta (ver selectExpired). Las copias
+ * hechas a mano no se borran solas.
+ */
+class BackupScheduler {
+    // Etiquetas de createBackup para las copias automáticas y las manuales
+    static AUTO_LABEL = 'auto';
+    static MANUAL_LABEL = 'manual';
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.databaseManager
+     * @param {number} [options.backupInterval=86400000] - Tiempo entre copias automáticas (ms)
+     * @param {number} [options.keepBackups=7] - Copias automáticas que se guardan; 0 no limita la cantidad
+     * @param {number} [options.maxBackupAgeDays=30] - Días que se guarda una copia; 0 no limita la edad
+     * @param {number} [options.checkInterval=600000] - Cada cuánto se revisa si toca copiar (ms)
+     * @param {Function} [options.now=Date.now] - Reloj inyectable para tests
+     */
+    constructor({ databaseManager, backupInterval = DAY_MS, keepBackups = 7, maxBackupAgeDays = 30, checkInterval = 10 * 60 * 1000, now = Date.now } = {}) {
+        if (!databaseManager) {
+            throw new Error('BackupScheduler requiere un databaseManager');
+        }
+
+        this.databaseManager = databaseManager;
+        this.backupInterval = backupInterval;
+        this.keepBackups = keepBackups;
+        this.maxBackupAgeDays = maxBackupAgeDays;
+        this.checkInterval = Math.min(checkInterval, backupInterval);
+        this.now = now;
+
+        this.timer = null;
+        this.checking = false;
+    }
+
+    /**
+     * Copias que sobran según la rotación:
+     *   - automáticas: las que pasan de las `keepBackups` más nuevas y las
+     *     de más de `maxBackupAgeDays` días, salvo la más nueva
+     *   - previas a una migración o a una restauración: las de más de
+     *     `maxBackupAgeDays` días
+     *   - manuales: ninguna
+     * @param {Array<{label: string, createdAt: Date}>} backups - Copias de DatabaseManager.listBackups, de la más nueva a la más vieja
+     * @param {{keepBackups: number, maxBackupAgeDays: number}} options
+     * @param {Date} [now]
+     * @returns {Array<Object>} Copias a borrar
+     */
+    static selectExpired(backups, { keepBackups, maxBackupAgeDays }, now = new Date()) {
+        const isOld = backup => maxBackupAgeDays > 0 && now - backup.createdAt > maxBackupAgeDays * DAY_MS;
+        let autoIndex = 0;
+
+        return backups.filter(backup => {
+            if (backup.label === BackupScheduler.MANUAL_LABEL) return false;
+            if (backup.label !== BackupScheduler.AUTO_LABEL) return isOld(backup);
+
+            const index = autoIndex++;
+            return (keepBackups > 0 && index >= keepBackups) || (index > 0 && isOld(backup));
+        });
+    }
+
+    /**
+     * Arranca las revisiones periódicas. La primera corre en el acto, así
+     * al abrir la app se copia la base si la última copia ya venció.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.check();
+        }, this.checkInterval);
+        await this.check();
+    }
+
+    /**
+     * Detiene las revisiones.
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Copia la base si la última copia automática venció y rota la carpeta.
+     * Si la revisión anterior sigue en curso, no hace nada.
+     * @returns {Promise<string|null>} Ruta de la copia tomada, o null si no tocaba
+     */
+    async check() {
+        if (this.checking) return null;
+        this.checking = true;
+
+        try {
+            const now = new Date(this.now());
+            const [last] = (await this.databaseManager.listBackups())
+                .filter(backup => backup.label === BackupScheduler.AUTO_LABEL);
+            if (last && now - last.createdAt < this.backupInterval) return null;
+
+            const backupPath = await this.databaseManager.createBackup(BackupScheduler.AUTO_LABEL);
+            await this.rotate(now);
+            return backupPath;
+        } catch (error) {
+            log.error('Error copiando la base', error);
+            return null;
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Borra las copias que sobran según selectExpired
+     * @param {Date} [now]
+     * @returns {Promise<number>} Cantidad de copias borradas
+     */
+    async rotate(now = new Date(this.now())) {
+        const expired = BackupScheduler.selectExpired(await this.databaseManager.listBackups(), {
+            keepBackups: this.keepBackups,
+            maxBackupAgeDays: this.maxBackupAgeDays
+        }, now);
+        if (expired.length === 0) return 0;
+
+        const deleted = await this.databaseManager.deleteBackups(expired);
+        log.info(`Copias viejas borradas: ${deleted}`);
+        return deleted;
+    }
+}
+
+export default BackupScheduler;
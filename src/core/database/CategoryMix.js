@@ -0,0 +1,161 @@
+import SiteCatalog from './SiteCatalog.js';
+
+/**
+ * Mezcla de categorías pedida para los sitios de un lote, por ejemplo
+ * 40% news, 30% blog y 30% ecommerce.
+ *
+ * Los pesos se normalizan a porcentajes, así "news=2,blog=1" equivale a
+ * "news=67,blog=33". DatabaseManager.getRandomWebsites elige cada sitio
+ * con un sorteo ponderado entre las categorías de la mezcla que todavía
+ * tienen sitios; las categorías que no están en la mezcla no se visitan.
+ *
+ * Cada sesión guarda la mezcla pedida y cuántos sitios visitó de cada
+ * categoría; report() compara las dos.
+ */
+class CategoryMix {
+    /**
+     * @param {Object<string, number|string>} weights - Peso de cada categoría
+     * @throws {Error} Si hay categorías desconocidas, pesos inválidos o ninguno mayor a 0
+     */
+    constructor(weights = {}) {
+        const entries = Object.entries(weights).map(([category, weight]) => {
+            const value = Number(String(weight).trim().replace(/%$/, ''));
+            if (String(weight).trim() === '' || !Number.isFinite(value) || value < 0) {
+                throw new Error(`Peso inválido para ${category} en la mezcla de categorías: "${weight}"`);
+            }
+            return [SiteCatalog.parseCategory(category), value];
+        }).filter(([, value]) => value > 0);
+
+        const total = entries.reduce((sum, [, value]) => sum + value, 0);
+        if (total === 0) {
+            throw new Error('La mezcla de categorías necesita al menos una categoría con peso mayor a 0');
+        }
+
+        // Porcentajes con un decimal; el sorteo usa los mismos valores
+        this.shares = Object.fromEntries(entries.map(([category, value]) => [
+            category,
+            Math.round((value / total) * 1000) / 10
+        ]));
+    }
+
+    /**
+     * @param {CategoryMix|Object|string|null} value - Mezcla, pesos o texto "news=40,blog=30"
+     * @returns {CategoryMix|null} null si no se pidió una mezcla
+     */
+    static from(value) {
+        if (value instanceof CategoryMix) return value;
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'string') return CategoryMix.parse(value);
+        if (typeof value === 'object' && Object.keys(value).length > 0) return new CategoryMix(value);
+        return null;
+    }
+
+    /**
+     * Lee una mezcla escrita como "news=40, blog=30" (también "news:40%").
+     * @param {string} text
+     * @returns {CategoryMix|null} null si el texto está vacío
+     * @throws {Error} Si alguna parte no tiene la forma categoría=peso o se repite
+     */
+    static parse(text) {
+        const parts = String(text).split(/[,;|]/).map(part => part.trim()).filter(Boolean);
+        if (parts.length === 0) return null;
+
+        const weights = {};
+        for (const part of parts) {
+            const match = part.match(/^([a-z]+)\s*[=:]\s*(.+)$/i);
+            if (!match) {
+                throw new Error(`Mezcla de categorías inválida: "${part}" (usar categoría=peso, ej: news=40)`);
+            }
+            const category = match[1].toLowerCase();
+            if (category in weights) {
+                throw new Error(`Categoría repetida en la mezcla: ${category}`);
+            }
+            weights[category] = match[2];
+        }
+        return new CategoryMix(weights);
+    }
+
+    /**
+     * @returns {Array<string>} Categorías de la mezcla
+     */
+    get categories() {
+        return Object.keys(this.shares);
+    }
+
+    /**
+     * @returns {Object<string, number>} Porcentaje de cada categoría
+     */
+    toJSON() {
+        return { ...this.shares };
+    }
+
+    /**
+     * @returns {string} Ej: "news 40%, blog 30%, ecommerce 30%"
+     */
+    describe() {
+        return Object.entries(this.shares).map(([category, share]) => `${category} ${share}%`).join(', ');
+    }
+
+    /**
+     * Ordena sitios con un sorteo ponderado: en cada posición elige una
+     * categoría según su peso y toma el próximo sitio de esa categoría.
+     * Las categorías sin sitios salen del sorteo y su parte se reparte
+     * entre las demás.
+     * @param {Object<string, Array<Object>>} pools - Sitios de cada categoría, ya mezclados
+     * @param {number} count - Cantidad de sitios a devolver (como máximo)
+     * @param {Function} [random] - Generador en [0, 1), para los tests
+     * @returns {Array<Object>}
+     */
+    sample(pools, count, random = Math.random) {
+        const remaining = Object.fromEntries(this.categories.map(category => [category, [...(pools[category] || [])]]));
+        const picked = [];
+
+        while (picked.length < count) {
+            const available = this.categories.filter(category => remaining[category].length > 0);
+            if (available.length === 0) break;
+
+            const total = available.reduce((sum, category) => sum + this.shares[category], 0);
+            let roll = random() * total;
+            const category = available.find(candidate => (roll -= this.shares[candidate]) < 0)
+                || available[available.length - 1];
+            picked.push(remaining[category].shift());
+        }
+
+        return picked;
+    }
+
+    /**
+     * Compara la mezcla pedida con los sitios visitados de cada categoría.
+     * Sirve también sin mezcla pedida, para ver cómo se repartieron.
+     * @param {Object<string, number>|null} requested - CategoryMix#toJSON guardado en la sesión
+     * @param {Object<string, number>|null} visits - Sitios visitados por categoría
+     * @returns {Array<{category: string, requested: number|null, realized: number, visits: number}>}
+     *   Ordenado por lo pedido y después por lo visitado; porcentajes con un decimal
+     */
+    static report(requested, visits) {
+        const counts = visits || {};
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const categories = [...new Set([...Object.keys(requested || {}), ...Object.keys(counts)])];
+
+        return categories
+            .map(category => ({
+                category,
+                requested: requested?.[category] ?? null,
+                realized: total > 0 ? Math.round(((counts[category] || 0) / total) * 1000) / 10 : 0,
+                visits: counts[category] || 0
+            }))
+            .sort((a, b) => (b.requested ?? -1) - (a.requested ?? -1) || b.visits - a.visits);
+    }
+
+    /**
+     * @param {Array<Object>} report - Resultado de report()
+     * @returns {string} Ej: "news 45% (pedido 40%), blog 30% (pedido 30%), tech 25%"
+     */
+    static describeReport(report) {
+        return report
+            .map(row => `${row.category} ${row.realized}%${row.requested !== null ? ` (pedido ${row.requested}%)` : ''}`)
+            .join(', ');
+    }
+}
+
+export default CategoryMix;
@@ -1,16 +1,55 @@
-import sqlite3 from 'sqlite3';
-import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { app } from 'electron';
 import initialWebsites from './initialWebsites.js';
+import CategoryMix from './CategoryMix.js';
+import SiteHealth from './SiteHealth.js';
+import SiteStats from './SiteStats.js';
+import MigrationRunner from './MigrationRunner.js';
+import { openConnection } from './connection.js';
 
 import { createLogger } from '../utils/Logger.js';
 
 const log = createLogger('DatabaseManager');
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+
+// Duración de un lote en segundos; los que siguen corriendo cuentan hasta ahora
+const BATCH_DURATION_SQL = `(julianday(COALESCE(completed_at, 'now')) - julianday(started_at)) * 86400`;
+
+// Programación con el estado y el mensaje de su última ejecución registrada
+const SCHEDULE_SELECT_SQL = `
+    SELECT s.*,
+        (SELECT status FROM schedule_runs r WHERE r.schedule_id = s.id ORDER BY r.id DESC LIMIT 1) AS last_run_status,
+        (SELECT message FROM schedule_runs r WHERE r.schedule_id = s.id ORDER BY r.id DESC LIMIT 1) AS last_run_message
+    FROM schedules s`;
+
+// Totales por perfil reconstruidos desde navigation_sessions. La duración
+// solo cuenta las sesiones terminadas
+const PROFILE_STATS_AGGREGATE_SQL = `
+    SELECT s.profile_id,
+        MAX(s.started_at) AS last_run_at,
+        MAX(s.completed_at) AS last_finished_at,
+        (SELECT l.session_id FROM navigation_sessions l WHERE l.profile_id = s.profile_id ORDER BY l.started_at DESC LIMIT 1) AS last_session_id,
+        COUNT(*) AS total_sessions,
+        COALESCE(SUM(s.cookies_collected), 0) AS total_cookies,
+        COALESCE(SUM(s.sites_visited), 0) AS total_sites,
+        COALESCE(SUM(CASE WHEN s.completed_at IS NOT NULL
+            THEN CAST(ROUND((julianday(s.completed_at) - julianday(s.started_at)) * 86400) AS INTEGER)
+            ELSE 0 END), 0) AS total_duration_seconds,
+        CURRENT_TIMESTAMP AS updated_at
+    FROM navigation_sessions s`;
+
+// Nombre de una copia de la base sin el prefijo del archivo:
+// <etiqueta>-<fecha ISO con ":" y "." cambiados por "-">.db
+const BACKUP_NAME_PATTERN = /^(.+)-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.db$/;
+
+// Una sesión en curso guarda un checkpoint por sitio y un latido por minuto,
+// también en pausa; si no dio señales en este tiempo, quedó huérfana de un
+// cierre y no cuenta como navegación activa
+const RUNNING_SESSION_STALE_MS = 10 * 60 * 1000;
+
+// Última actividad conocida de un perfil: el arranque o el cierre más reciente
+const PROFILE_LAST_ACTIVITY_SQL = `MAX(COALESCE(last_run_at, ''), COALESCE(last_finished_at, ''))`;
 
 /**
  * Gestor de base de datos SQLite para el sistema
@@ -34,397 +73,2042 @@ class DatabaseManager {
             log.info('Modo desarrollo - DB en:', this.dbPath);
         }
 
-        this.db = null;
+        this.db = null;
+    }
+
+    /**
+     * Inicializa la conexión a la base de datos, aplica las migraciones
+     * pendientes del esquema y suma al catálogo los sitios nuevos de la
+     * lista que trae la app
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        try {
+            // Crear directorio de datos si no existe
+            if (this.dbPath !== ':memory:') {
+                await fs.mkdir(dirname(this.dbPath), { recursive: true });
+            }
+
+            this.db = await openConnection(this.dbPath);
+
+            const migration = await this.migrate();
+            if (migration.applied.length > 0) {
+                log.info(`[DatabaseManager] Esquema actualizado de la versión ${migration.from} a la ${migration.to}`);
+            }
+
+            await this.mergeShippedWebsites(await this.loadShippedWebsites());
+
+            const websiteCount = await this.getWebsiteCount();
+            log.info(`[DatabaseManager] Base de datos lista con ${websiteCount} sitios web`);
+
+        } catch (error) {
+            log.error('[DatabaseManager] Error inicializando base de datos:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Aplica las migraciones pendientes del esquema (ver MigrationRunner)
+     * @returns {Promise<{from: number, to: number, applied: Array<string>, backups: Array<string>}>}
+     */
+    async migrate() {
+        return new MigrationRunner(this).run();
+    }
+
+    //#region COPIAS DE SEGURIDAD
+    /**
+     * @returns {string} Carpeta de las copias de la base, junto al archivo
+     */
+    getBackupDir() {
+        return join(dirname(this.dbPath), 'backups');
+    }
+
+    /**
+     * Copia la base a la carpeta de copias con VACUUM INTO, que escribe
+     * una copia consistente aunque la conexión siga abierta. Las bases en
+     * memoria no se copian.
+     * @param {string} label - Parte del nombre del archivo, ej: "v2"
+     * @returns {Promise<string|null>} Ruta de la copia
+     */
+    async createBackup(label) {
+        if (this.dbPath === ':memory:') return null;
+
+        const dir = this.getBackupDir();
+        await fs.mkdir(dir, { recursive: true });
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = join(dir, `${path.basename(this.dbPath, '.db')}-${label}-${stamp}.db`);
+
+        await this.db.runAsync('VACUUM INTO ?', [backupPath]);
+        log.info(`[DatabaseManager] Copia de la base creada en: ${backupPath}`);
+        return backupPath;
+    }
+
+    /**
+     * Copias guardadas en la carpeta de copias, de la más nueva a la más
+     * vieja. Los archivos que no tienen el nombre que pone createBackup se
+     * ignoran.
+     * @returns {Promise<Array<{name: string, path: string, label: string, createdAt: Date, size: number}>>}
+     */
+    async listBackups() {
+        if (this.dbPath === ':memory:') return [];
+
+        const dir = this.getBackupDir();
+        let names;
+        try {
+            names = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const prefix = `${path.basename(this.dbPath, '.db')}-`;
+        const backups = [];
+        for (const name of names) {
+            const match = name.startsWith(prefix) && BACKUP_NAME_PATTERN.exec(name.slice(prefix.length));
+            if (!match) continue;
+
+            const [, label, day, hours, minutes, seconds, millis] = match;
+            const { size } = await fs.stat(join(dir, name));
+            backups.push({
+                name,
+                path: join(dir, name),
+                label,
+                createdAt: new Date(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`),
+                size
+            });
+        }
+
+        return backups.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Busca una copia de la carpeta de copias por su nombre de archivo
+     * @param {string} name
+     * @returns {Promise<Object|null>} Copia como las de listBackups
+     */
+    async findBackup(name) {
+        return (await this.listBackups()).find(backup => backup.name === name) || null;
+    }
+
+    /**
+     * Borra copias de la carpeta de copias
+     * @param {Array<{path: string}>} backups - Copias de listBackups
+     * @returns {Promise<number>} Cantidad de copias borradas
+     */
+    async deleteBackups(backups) {
+        for (const backup of backups) {
+            await fs.rm(backup.path, { force: true });
+        }
+        return backups.length;
+    }
+
+    /**
+     * Revisa que un archivo sea una copia que se pueda restaurar: una base
+     * SQLite sana, con el catálogo de sitios y un esquema que esta versión
+     * de la app sabe migrar. No modifica el archivo.
+     * @param {string} filePath
+     * @returns {Promise<{version: number, websites: number}>} Versión del esquema y sitios de la copia
+     * @throws {Error} Si el archivo no sirve como copia
+     */
+    async validateBackup(filePath) {
+        let backup;
+        try {
+            await fs.access(filePath);
+            backup = await openConnection(filePath, { readonly: true });
+        } catch (error) {
+            throw new Error(`No se pudo abrir la copia ${filePath}: ${error.message}`);
+        }
+
+        try {
+            let integrity;
+            try {
+                integrity = await backup.getAsync('PRAGMA integrity_check');
+            } catch (error) {
+                throw new Error(`${filePath} no es una base SQLite válida: ${error.message}`);
+            }
+            if (integrity?.integrity_check !== 'ok') {
+                throw new Error(`La copia ${filePath} está dañada: ${integrity?.integrity_check}`);
+            }
+
+            const tables = (await backup.allAsync("SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+            if (!tables.includes('websites')) {
+                throw new Error(`${filePath} no es una copia de esta app: no tiene la tabla websites`);
+            }
+
+            // Las copias anteriores a schema_version se adoptan como versión 0
+            const version = tables.includes('schema_version')
+                ? (await backup.getAsync('SELECT MAX(version) AS version FROM schema_version')).version ?? 0
+                : 0;
+            const latest = new MigrationRunner(this).latestVersion;
+            if (version > latest) {
+                throw new Error(`La copia tiene la versión ${version} del esquema y esta versión de la app llega hasta la ${latest}`);
+            }
+
+            const { websites } = await backup.getAsync('SELECT COUNT(*) AS websites FROM websites');
+            return { version, websites };
+        } finally {
+            await backup.closeAsync().catch(() => {});
+        }
+    }
+
+    /**
+     * Reemplaza la base por una copia. Antes la valida y copia la base
+     * actual (etiqueta "pre-restore"), así la restauración se puede
+     * deshacer. La copia restaurada se migra a la última versión del
+     * esquema.
+     * @param {string} filePath - Copia a restaurar
+     * @returns {Promise<{restoredFrom: string, safetyBackup: string, version: number, websites: number,
+     *   migration: {from: number, to: number, applied: Array<string>, backups: Array<string>}}>}
+     * @throws {Error} Si la copia no es válida o la base está en memoria
+     */
+    async restoreBackup(filePath) {
+        if (this.dbPath === ':memory:') {
+            throw new Error('Una base en memoria no se puede restaurar');
+        }
+
+        const restoredFrom = path.resolve(filePath);
+        if (restoredFrom === path.resolve(this.dbPath)) {
+            throw new Error('La copia a restaurar es la base en uso');
+        }
+
+        const { version, websites } = await this.validateBackup(restoredFrom);
+        const safetyBackup = await this.createBackup('pre-restore');
+
+        // Se copia al lado y se renombra, así la base nunca queda a medio escribir
+        const tempPath = `${this.dbPath}.restore`;
+        try {
+            await fs.copyFile(restoredFrom, tempPath);
+        } catch (error) {
+            await fs.rm(tempPath, { force: true });
+            throw error;
+        }
+
+        await this.db.closeAsync();
+        this.db = null;
+        try {
+            await fs.rename(tempPath, this.dbPath);
+            // Un -wal o -journal de la base anterior se aplicaría sobre la restaurada
+            await Promise.all(['-journal', '-wal', '-shm'].map(suffix => fs.rm(`${this.dbPath}${suffix}`, { force: true })));
+        } finally {
+            this.db = await openConnection(this.dbPath);
+        }
+
+        const migration = await this.migrate();
+        log.info(`[DatabaseManager] Base restaurada desde ${restoredFrom} (copia previa en ${safetyBackup})`);
+        return { restoredFrom, safetyBackup, version, websites, migration };
+    }
+    //#endregion COPIAS DE SEGURIDAD
+
+    //#region MANTENIMIENTO
+    /**
+     * @returns {Promise<number>} Tamaño de la base en bytes (páginas × tamaño de página)
+     */
+    async getDatabaseSize() {
+        const { page_count: pages } = await this.db.getAsync('PRAGMA page_count');
+        const { page_size: pageSize } = await this.db.getAsync('PRAGMA page_size');
+        return pages * pageSize;
+    }
+
+    /**
+     * Pasa a site_visit_daily las visitas anteriores a `cutoff` y las
+     * borra de site_visits. Los totales por sitio y día se suman a los que
+     * ya hubiera. Las visitas de sesiones que siguen corriendo no se tocan.
+     * @param {Date} cutoff
+     * @returns {Promise<{prunedVisits: number, aggregatedDays: number}>}
+     *   aggregatedDays cuenta los pares sitio-día resumidos
+     */
+    async pruneSiteVisits(cutoff) {
+        const where = `
+            julianday(visited_at) < julianday(?)
+            AND session_id NOT IN (SELECT session_id FROM navigation_sessions WHERE status IN ('running', 'stop_requested'))`;
+        const params = [cutoff.toISOString()];
+
+        await this.db.runAsync('BEGIN');
+        try {
+            const aggregated = await this.db.runAsync(`
+                INSERT INTO site_visit_daily (website_id, day, visits, failed_visits, pages_viewed, cookies_gained, duration_seconds)
+                SELECT website_id,
+                    date(visited_at),
+                    COUNT(*),
+                    SUM(CASE WHEN success THEN 0 ELSE 1 END),
+                    COALESCE(SUM(pages_viewed), 0),
+                    SUM(MAX(COALESCE(cookies_after, 0) - COALESCE(cookies_before, 0), 0)),
+                    COALESCE(SUM(duration_seconds), 0)
+                FROM site_visits
+                WHERE ${where}
+                GROUP BY website_id, date(visited_at)
+                ON CONFLICT (website_id, day) DO UPDATE SET
+                    visits = visits + excluded.visits,
+                    failed_visits = failed_visits + excluded.failed_visits,
+                    pages_viewed = pages_viewed + excluded.pages_viewed,
+                    cookies_gained = cookies_gained + excluded.cookies_gained,
+                    duration_seconds = duration_seconds + excluded.duration_seconds
+            `, params);
+            const pruned = await this.db.runAsync(`DELETE FROM site_visits WHERE ${where}`, params);
+            await this.db.runAsync('COMMIT');
+
+            return { prunedVisits: pruned.changes, aggregatedDays: aggregated.changes };
+        } catch (error) {
+            await this.db.runAsync('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Mantenimiento de la base: resume las visitas que pasaron los días de
+     * retención (ver pruneSiteVisits), actualiza las estadísticas del
+     * planificador de SQLite (ANALYZE) y compacta el archivo (VACUUM).
+     * Queda registrado en maintenance_runs.
+     *
+     * VACUUM necesita la base sin otras consultas en curso: no correrlo con
+     * una navegación activa.
+     * @param {Object} [options]
+     * @param {number} [options.retentionDays=0] - Días de visitas detalladas que se guardan; 0 no resume nada
+     * @param {string} [options.startedBy='cli'] - 'cli', 'app' o 'auto'
+     * @param {Date} [options.now]
+     * @returns {Promise<{cutoff: string|null, prunedVisits: number, aggregatedDays: number,
+     *   bytesBefore: number, bytesAfter: number, reclaimedBytes: number}>}
+     */
+    async runMaintenance({ retentionDays = 0, startedBy = 'cli', now = new Date() } = {}) {
+        const cutoff = retentionDays > 0 ? new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000) : null;
+        const { lastID: runId } = await this.db.runAsync(
+            'INSERT INTO maintenance_runs (started_at, started_by, cutoff) VALUES (?, ?, ?)',
+            [now.toISOString(), startedBy, cutoff?.toISOString() ?? null]
+        );
+
+        try {
+            const bytesBefore = await this.getDatabaseSize();
+            const { prunedVisits, aggregatedDays } = cutoff
+                ? await this.pruneSiteVisits(cutoff)
+                : { prunedVisits: 0, aggregatedDays: 0 };
+
+            await this.db.runAsync('ANALYZE');
+            await this.db.runAsync('VACUUM');
+            const bytesAfter = await this.getDatabaseSize();
+
+            await this.db.runAsync(
+                `UPDATE maintenance_runs
+                 SET finished_at = ?, pruned_visits = ?, aggregated_days = ?, bytes_before = ?, bytes_after = ?
+                 WHERE id = ?`,
+                [new Date().toISOString(), prunedVisits, aggregatedDays, bytesBefore, bytesAfter, runId]
+            );
+            log.info(`[DatabaseManager] Mantenimiento: ${prunedVisits} visitas resumidas, ${bytesBefore - bytesAfter} bytes recuperados`);
+
+            return {
+                cutoff: cutoff?.toISOString() ?? null,
+                prunedVisits,
+                aggregatedDays,
+                bytesBefore,
+                bytesAfter,
+                reclaimedBytes: Math.max(bytesBefore - bytesAfter, 0)
+            };
+        } catch (error) {
+            await this.db.runAsync(
+                'UPDATE maintenance_runs SET finished_at = ?, error_message = ? WHERE id = ?',
+                [new Date().toISOString(), error.message, runId]
+            ).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Último mantenimiento registrado, terminado o no
+     */
+    async getLastMaintenanceRun() {
+        return (await this.db.getAsync('SELECT * FROM maintenance_runs ORDER BY id DESC LIMIT 1')) || null;
+    }
+    //#endregion MANTENIMIENTO
+
+    /**
+     * Sitios de la lista que trae la app. La app empaquetada la lee de la
+     * base incluida en sus recursos; si no la encuentra, y en desarrollo,
+     * usa initialWebsites.
+     * @returns {Promise<Array<{url: string, domain: string, category: string, status?: string}>>}
+     */
+    async loadShippedWebsites() {
+        if (!app?.isPackaged) return initialWebsites;
+
+        const possiblePaths = [
+            path.join(process.resourcesPath, 'data', 'loadtest.db'),
+            path.join(process.resourcesPath, 'app', 'data', 'loadtest.db'),
+            path.join(process.resourcesPath, 'extraResources', 'data', 'loadtest.db'),
+            path.join(process.resourcesPath, 'app.asar.unpacked', 'data', 'loadtest.db')
+        ];
+
+        for (const sourcePath of possiblePaths) {
+            let shipped;
+            try {
+                shipped = await openConnection(sourcePath, { readonly: true });
+            } catch {
+                continue;
+            }
+
+            try {
+                const sites = await shipped.allAsync('SELECT url, domain, category, status FROM websites');
+                log.info(`[DatabaseManager] Lista de sitios de la app: ${sites.length} en ${sourcePath}`);
+                return sites;
+            } catch (error) {
+                log.warn(`[DatabaseManager] No se pudo leer la lista de sitios de ${sourcePath}:`, error.message);
+            } finally {
+                await shipped.closeAsync().catch(() => {});
+            }
+        }
+
+        log.warn('[DatabaseManager] No se encontró la base de sitios de la app, usando la lista incorporada');
+        return initialWebsites;
+    }
+
+    /**
+     * Suma al catálogo los sitios de la lista de la app que nunca se
+     * sumaron (ver la migración shipped_sites). No toca los sitios que ya
+     * están ni vuelve a agregar los que se borraron del catálogo.
+     * @param {Array<{url: string, domain: string, category: string, status?: string}>} sites
+     * @returns {Promise<number>} Cantidad de sitios agregados al catálogo
+     */
+    async mergeShippedWebsites(sites) {
+        const merged = new Set();
+        for (let start = 0; start < sites.length; start += 500) {
+            const chunk = sites.slice(start, start + 500).map(site => site.url);
+            const placeholders = chunk.map(() => '?').join(',');
+            const rows = await this.db.allAsync(`SELECT url FROM shipped_sites WHERE url IN (${placeholders})`, chunk);
+            rows.forEach(row => merged.add(row.url));
+        }
+
+        const pending = sites.filter(site => !merged.has(site.url));
+        if (pending.length === 0) return 0;
+
+        // En una sola transacción: en la primera apertura son cientos de sitios
+        const now = new Date().toISOString();
+        let inserted = 0;
+        await this.db.runAsync('BEGIN');
+        try {
+            for (const site of pending) {
+                const result = await this.db.runAsync(
+                    'INSERT OR IGNORE INTO websites (url, domain, category, status) VALUES (?, ?, ?, ?)',
+                    [site.url, site.domain, site.category || 'general', site.status || 'active']
+                );
+                await this.db.runAsync('INSERT OR IGNORE INTO shipped_sites (url, merged_at) VALUES (?, ?)', [site.url, now]);
+                inserted += result.changes;
+            }
+            await this.db.runAsync('COMMIT');
+        } catch (error) {
+            await this.db.runAsync('ROLLBACK').catch(() => {});
+            throw error;
+        }
+
+        if (inserted > 0) {
+            log.info(`[DatabaseManager] ${inserted} sitio(s) nuevo(s) de la lista de la app sumados al catálogo`);
+        }
+        return inserted;
+    }
+
+    /**
+     * Obtiene el número total de sitios web en la base de datos
+     * @returns {Promise<number>} Cantidad de sitios web
+     */
+    async getWebsiteCount() {
+        const result = await this.db.getAsync('SELECT COUNT(*) as count FROM websites');
+        return result.count;
+    }
+
+    /**
+     * Obtiene estadísticas agregadas de la tabla de sitios web
+     * @returns {Promise<{totalSites:number, activeSites:number, totalVisits:number}>}
+     */
+    async getWebsiteStats() {
+        const row = await this.db.getAsync(`
+            SELECT
+                COUNT(*) AS totalSites,
+                SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) AS activeSites,
+                COALESCE(SUM(visit_count), 0) AS totalVisits
+            FROM websites
+        `);
+
+        return {
+            totalSites: row?.totalSites ?? 0,
+            activeSites: row?.activeSites ?? 0,
+            totalVisits: row?.totalVisits ?? 0
+        };
+    }
+
+    /**
+     * Obtiene un sitio web aleatorio de la base de datos
+     * @param {Array<string>} excludeUrls - URLs a excluir de la selección
+     * @returns {Promise<Object>} Sitio web seleccionado
+     */
+    async getRandomWebsite(excludeUrls = []) {
+        try {
+            let query = 'SELECT * FROM websites WHERE status = "active"';
+            const params = [];
+
+            if (excludeUrls.length > 0) {
+                const placeholders = excludeUrls.map(() => '?').join(',');
+                query += ` AND url NOT IN (${placeholders})`;
+                params.push(...excludeUrls);
+            }
+
+            query += ' ORDER BY RANDOM() LIMIT 1';
+
+            const website = await this.db.getAsync(query, params);
+            
+            if (!website) {
+                throw new Error('No se encontraron sitios web disponibles');
+            }
+
+            return website;
+        } catch (error) {
+            log.error('Error obteniendo sitio web aleatorio:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene múltiples sitios web aleatorios
+     * @param {number} count - Cantidad de sitios a obtener
+     * @param {Array<string>} excludeUrls - URLs a excluir
+     * @param {Object} [filters]
+     * @param {Array<string>} [filters.domains] - Restringe la selección a estos dominios
+     * @param {Array<string>} [filters.siteLists] - Restringe la selección a los sitios de estas listas
+     * @param {CategoryMix} [filters.categoryMix] - Reparte los sitios entre categorías según sus pesos
+     * @param {Object} [filters.revisit] - Historial de un perfil: sus dominios visitados desde
+     *   `since` van al final, ordenados del visitado hace más tiempo al más reciente, y
+     *   traen `revisited_at`. Solo se eligen si no alcanzan los demás
+     * @param {string} filters.revisit.profileId
+     * @param {string} filters.revisit.since - Fecha ISO de inicio de la ventana
+     * @returns {Promise<Array>} Lista de sitios web
+     */
+    async getRandomWebsites(count, excludeUrls = [], filters = {}) {
+        try {
+            let columns = '*';
+            let order = 'RANDOM()';
+            const params = [];
+            if (filters.revisit) {
+                columns = `*, (SELECT h.last_visited_at FROM profile_site_history h
+                    WHERE h.profile_id = ? AND h.domain = websites.domain AND h.last_visited_at >= ?) AS revisited_at`;
+                order = 'revisited_at IS NOT NULL, revisited_at, RANDOM()';
+                params.push(filters.revisit.profileId, filters.revisit.since);
+            }
+
+            // Los sitios en cuarentena vuelven a salir cuando les toca el reintento
+            let query = `SELECT ${columns} FROM websites
+                WHERE (status = 'active' OR (status = 'quarantined' AND quarantine_retry_at <= ?))`;
+            params.push(new Date().toISOString());
+
+            if (excludeUrls.length > 0) {
+                const placeholders = excludeUrls.map(() => '?').join(',');
+                query += ` AND url NOT IN (${placeholders})`;
+                params.push(...excludeUrls);
+            }
+
+            if (filters.domains?.length > 0) {
+                const placeholders = filters.domains.map(() => '?').join(',');
+                query += ` AND domain IN (${placeholders})`;
+                params.push(...filters.domains);
+            }
+
+            if (filters.siteLists?.length > 0) {
+                const placeholders = filters.siteLists.map(() => '?').join(',');
+                query += ` AND id IN (
+                    SELECT m.website_id FROM site_list_members m
+                    JOIN site_lists l ON l.id = m.list_id
+                    WHERE l.name IN (${placeholders})
+                )`;
+                params.push(...filters.siteLists);
+            }
+
+            // Con mezcla, una tanda al azar de cada categoría y el sorteo ponderado decide el orden
+            if (filters.categoryMix) {
+                const pools = {};
+                for (const category of filters.categoryMix.categories) {
+                    pools[category] = await this.db.allAsync(
+                        `${query} AND category = ? ORDER BY ${order} LIMIT ${count}`,
+                        [...params, category]
+                    );
+                }
+                return filters.categoryMix.sample(pools, count);
+            }
+
+            query += ` ORDER BY ${order} LIMIT ${count}`;
+
+            const websites = await this.db.allAsync(query, params);
+            return websites;
+        } catch (error) {
+            log.error('Error obteniendo sitios web aleatorios:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualiza las estadísticas de visita de un sitio web
+     * @param {string} url - URL del sitio web
+     * @param {number} cookiesCollected - Cantidad de cookies recolectadas
+     * @returns {Promise<void>}
+     */
+    async updateWebsiteStats(url, cookiesCollected) {
+        try {
+            const query = `
+                UPDATE websites 
+                SET visit_count = visit_count + 1,
+                    avg_cookies_collected = CASE 
+                        WHEN visit_count = 0 THEN ?
+                        ELSE (avg_cookies_collected * visit_count + ?) / (visit_count + 1)
+                    END,
+                    last_visited = CURRENT_TIMESTAMP
+                WHERE url = ?
+            `;
+            
+            await this.db.runAsync(query, [cookiesCollected, cookiesCollected, url]);
+        } catch (error) {
+            log.error('Error actualizando estadísticas del sitio:', error);
+            throw error;
+        }
+    }
+
+    //#region CATÁLOGO DE SITIOS
+    /**
+     * Lista paginada del catálogo para el editor.
+     * @param {Object} [filters]
+     * @param {string} [filters.search] - Texto a buscar en el dominio o la URL
+     * @param {string} [filters.category]
+     * @param {string} [filters.status] - 'active', 'inactive' o 'quarantined'
+     * @param {number} [filters.listId] - Solo los sitios de esta lista
+     * @param {number} [page=1] - Página actual (empezando en 1)
+     * @param {number} [limit=25] - Sitios por página
+     * @returns {Promise<Object>} Resultado con datos y metadatos de paginación
+     */
+    async getWebsites(filters = {}, page = 1, limit = 25) {
+        let clause = '';
+        const params = [];
+
+        const search = String(filters.search ?? '').trim().toLowerCase();
+        if (search) {
+            // Los comodines que escribe el usuario se buscan tal cual
+            const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+            clause += " AND (domain LIKE ? ESCAPE '\\' OR url LIKE ? ESCAPE '\\')";
+            params.push(pattern, pattern);
+        }
+        if (filters.category) {
+            clause += ' AND category = ?';
+            params.push(filters.category);
+        }
+        if (filters.status) {
+            clause += ' AND status = ?';
+            params.push(filters.status);
+        }
+        if (filters.listId) {
+            clause += ' AND id IN (SELECT website_id FROM site_list_members WHERE list_id = ?)';
+            params.push(filters.listId);
+        }
+
+        const offset = (page - 1) * limit;
+        const [rows, countResult] = await Promise.all([
+            this.db.allAsync(
+                `SELECT * FROM websites WHERE 1=1 ${clause}
+                 ORDER BY domain, url
+                 LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            ),
+            this.db.getAsync(`SELECT COUNT(*) AS total FROM websites WHERE 1=1 ${clause}`, params)
+        ]);
+
+        const total = countResult.total;
+        const totalPages = Math.ceil(total / limit);
+        return {
+            success: true,
+            data: rows,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalRecords: total,
+                recordsPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPreviousPage: page > 1
+            }
+        };
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<Object|null>}
+     */
+    async getWebsite(id) {
+        return (await this.db.getAsync('SELECT * FROM websites WHERE id = ?', [id])) || null;
+    }
+
+    /**
+     * Agrega un sitio al catálogo.
+     * @param {{url: string, domain: string, category: string, status: string}} site - Validado con SiteCatalog.normalizeSite
+     * @returns {Promise<number>} ID del sitio
+     */
+    async createWebsite(site) {
+        const result = await this.db.runAsync(
+            'INSERT INTO websites (url, domain, category, status) VALUES (?, ?, ?, ?)',
+            [site.url, site.domain, site.category, site.status]
+        );
+        return result.lastID;
+    }
+
+    /**
+     * Reemplaza URL, dominio, categoría y estado de un sitio; las
+     * estadísticas de visitas se conservan.
+     * @param {number} id
+     * @param {{url: string, domain: string, category: string, status: string}} site - Validado con SiteCatalog.normalizeSite
+     * @returns {Promise<boolean>} false si el sitio no existe
+     */
+    async updateWebsite(id, site) {
+        const result = await this.db.runAsync(
+            'UPDATE websites SET url = ?, domain = ?, category = ?, status = ? WHERE id = ?',
+            [site.url, site.domain, site.category, site.status, id]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Borra un sitio del catálogo. Sus visitas quedan en site_visits como
+     * historial de las sesiones; para sacarlo de la rotación sin perder
+     * nada alcanza con desactivarlo. Sale también de las listas de sitios.
+     * @param {number} id
+     * @returns {Promise<boolean>} false si el sitio no existe
+     */
+    async deleteWebsite(id) {
+        const result = await this.db.runAsync('DELETE FROM websites WHERE id = ?', [id]);
+        await this.db.runAsync('DELETE FROM site_list_members WHERE website_id = ?', [id]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Cambia la categoría de varios sitios a la vez.
+     * @param {Array<number>} ids
+     * @param {string} category - Validada con SiteCatalog.parseCategory
+     * @returns {Promise<number>} Cantidad de sitios actualizados
+     */
+    async setWebsitesCategory(ids, category) {
+        if (ids.length === 0) return 0;
+
+        const placeholders = ids.map(() => '?').join(',');
+        const result = await this.db.runAsync(
+            `UPDATE websites SET category = ? WHERE id IN (${placeholders})`,
+            [category, ...ids]
+        );
+        return result.changes;
+    }
+
+    /**
+     * Busca los sitios con estas URLs. Consulta en tandas para no pasar el
+     * límite de parámetros de SQLite con listas grandes.
+     * @param {Array<string>} urls
+     * @returns {Promise<Array<Object>>}
+     */
+    async getWebsitesByUrls(urls) {
+        const sites = [];
+        for (let start = 0; start < urls.length; start += 500) {
+            const chunk = urls.slice(start, start + 500);
+            const placeholders = chunk.map(() => '?').join(',');
+            sites.push(...await this.db.allAsync(`SELECT * FROM websites WHERE url IN (${placeholders})`, chunk));
+        }
+        return sites;
+    }
+
+    /**
+     * Aplica la diferencia de una importación (ver SiteCatalog.diff). Los
+     * nuevos entran con INSERT OR IGNORE, así una URL que apareció desde la
+     * vista previa no rompe la importación; los que cambiaron de categoría
+     * o estado solo se actualizan con `update`.
+     * @param {{added: Array<Object>, changed: Array<Object>}} diff
+     * @param {Object} [options]
+     * @param {boolean} [options.update=false] - Aplica la categoría y el estado del archivo a los existentes
+     * @returns {Promise<{inserted: number, updated: number}>}
+     */
+    async importWebsites(diff, { update = false } = {}) {
+        let inserted = 0;
+        let updated = 0;
+
+        for (const site of diff.added) {
+            const result = await this.db.runAsync(
+                'INSERT OR IGNORE INTO websites (url, domain, category, status) VALUES (?, ?, ?, ?)',
+                [site.url, site.domain, site.category, site.status]
+            );
+            inserted += result.changes;
+        }
+
+        if (update) {
+            for (const site of diff.changed) {
+                const result = await this.db.runAsync(
+                    'UPDATE websites SET category = ?, status = ? WHERE url = ?',
+                    [site.category, site.status, site.url]
+                );
+                updated += result.changes;
+            }
+        }
+
+        log.info(`Sitios importados: ${inserted} nuevos, ${updated} actualizados`);
+        return { inserted, updated };
+    }
+
+    /**
+     * Catálogo completo con sus estadísticas, en las columnas de
+     * SiteCatalog.EXPORT_COLUMNS. Las visitas fallidas salen de site_visits
+     * y de los totales diarios de las visitas ya resumidas.
+     * @returns {Promise<Array<Object>>}
+     */
+    async getWebsitesForExport() {
+        return this.db.allAsync(`
+            SELECT
+                w.url,
+                w.domain,
+                w.category,
+                w.status,
+                w.visit_count,
+                ROUND(w.avg_cookies_collected, 2) AS avg_cookies_collected,
+                COALESCE(v.failed_visits, 0) AS failed_visits,
+                w.last_visited,
+                w.created_at
+            FROM websites w
+            LEFT JOIN (
+                SELECT website_id, SUM(failed) AS failed_visits
+                FROM (
+                    SELECT website_id, CASE WHEN success THEN 0 ELSE 1 END AS failed FROM site_visits
+                    UNION ALL
+                    SELECT website_id, failed_visits FROM site_visit_daily
+                )
+                GROUP BY website_id
+            ) v ON v.website_id = w.id
+            ORDER BY w.id
+        `);
+    }
+
+    //#endregion CATÁLOGO DE SITIOS
+
+    //#region SALUD DE SITIOS
+    /**
+     * Recalcula el puntaje de un sitio con sus últimas visitas (las
+     * posteriores a health_reset_at) y mueve el sitio de estado:
+     * - activo con puntaje bajo el umbral: entra en cuarentena
+     * - en cuarentena: la visita fue el reintento; si salió bien vuelve a
+     *   'active' y, si no, espera el doble hasta el próximo
+     * Los sitios desactivados a mano solo actualizan el puntaje.
+     * @param {number} websiteId
+     * @param {Object} [options] - navigation.siteHealth (ver SiteHealth.DEFAULTS)
+     * @param {Date} [now]
+     * @returns {Promise<{health: Object, action: 'quarantined'|'revived'|'retry-failed'|null, retryAt: string|null}|null>}
+     *   null si el sitio no existe
+     */
+    async refreshWebsiteHealth(websiteId, options = {}, now = new Date()) {
+        const settings = { ...SiteHealth.DEFAULTS, ...options };
+        const website = await this.getWebsite(websiteId);
+        if (!website) return null;
+
+        const visits = await this.db.allAsync(
+            `SELECT success, error_code, error_message, cookies_before, cookies_after
+             FROM site_visits
+             WHERE website_id = ? AND (? IS NULL OR visited_at > ?)
+             ORDER BY visited_at DESC, id DESC
+             LIMIT ?`,
+            [websiteId, website.health_reset_at, website.health_reset_at, settings.window]
+        );
+        const health = SiteHealth.score(visits);
+        const reason = health.lastError || SiteHealth.describe(health);
+        let action = null;
+        let retryAt = null;
+
+        if (website.status === 'quarantined' && visits.length > 0) {
+            if (SiteHealth.classify(visits[0]) === null) {
+                await this.reviveWebsites([websiteId], now);
+                action = 'revived';
+            } else {
+                const attempt = (website.quarantine_count || 0) + 1;
+                retryAt = SiteHealth.retryAt(attempt, now, settings).toISOString();
+                await this.db.runAsync(
+                    'UPDATE websites SET quarantine_count = ?, quarantine_retry_at = ?, quarantine_reason = ? WHERE id = ?',
+                    [attempt, retryAt, reason, websiteId]
+                );
+                action = 'retry-failed';
+            }
+        } else if (website.status === 'active' && SiteHealth.shouldQuarantine(health, settings)) {
+            retryAt = SiteHealth.retryAt(1, now, settings).toISOString();
+            await this.db.runAsync(
+                `UPDATE websites SET status = 'quarantined', quarantined_at = ?, quarantine_retry_at = ?,
+                    quarantine_count = 1, quarantine_reason = ?
+                 WHERE id = ?`,
+                [now.toISOString(), retryAt, reason, websiteId]
+            );
+            action = 'quarantined';
+        }
+
+        // Al revivir el puntaje arranca de cero (ver reviveWebsites)
+        if (action !== 'revived') {
+            await this.db.runAsync('UPDATE websites SET health_score = ? WHERE id = ?', [health.score, websiteId]);
+        }
+        return { health, action, retryAt };
+    }
+
+    /**
+     * Sitios en cuarentena, del que entró más recientemente al más viejo.
+     * El último error sale de las estadísticas del sitio (last_error y
+     * last_error_at, ver refreshWebsiteStats).
+     * @returns {Promise<Array<Object>>} Filas de websites
+     */
+    async getQuarantinedWebsites() {
+        return this.db.allAsync(`
+            SELECT * FROM websites
+            WHERE status = 'quarantined'
+            ORDER BY quarantined_at DESC, domain
+        `);
+    }
+
+    /**
+     * Saca sitios de la cuarentena y los vuelve a 'active'. El puntaje
+     * arranca de cero: las visitas anteriores ya no cuentan.
+     * @param {Array<number>} ids
+     * @param {Date} [now]
+     * @returns {Promise<number>} Cantidad de sitios que estaban en cuarentena
+     */
+    async reviveWebsites(ids, now = new Date()) {
+        if (ids.length === 0) return 0;
+
+        const placeholders = ids.map(() => '?').join(',');
+        const result = await this.db.runAsync(
+            `UPDATE websites SET status = 'active', health_score = NULL, health_reset_at = ?,
+                quarantined_at = NULL, quarantine_retry_at = NULL, quarantine_count = 0, quarantine_reason = NULL
+             WHERE status = 'quarantined' AND id IN (${placeholders})`,
+            [now.toISOString(), ...ids]
+        );
+        return result.changes;
+    }
+
+    //#endregion SALUD DE SITIOS
+
+    //#region ESTADÍSTICAS DE SITIOS
+    /**
+     * Recalcula las estadísticas de un sitio con sus últimas
+     * SiteStats.WINDOW visitas y las guarda en websites.
+     * @param {number} websiteId
+     * @param {Date} [now]
+     * @returns {Promise<Object>} Resultado de SiteStats.compute
+     */
+    async refreshWebsiteStats(websiteId, now = new Date()) {
+        const visits = await this.db.allAsync(
+            `SELECT success, duration_seconds, banner_accepted, cookies_before, cookies_after, error_message, visited_at
+             FROM site_visits
+             WHERE website_id = ?
+             ORDER BY visited_at DESC, id DESC
+             LIMIT ?`,
+            [websiteId, SiteStats.WINDOW]
+        );
+        const stats = SiteStats.compute(visits);
+
+        const assignments = SiteStats.COLUMNS.map(column => `${column} = ?`).join(', ');
+        await this.db.runAsync(
+            `UPDATE websites SET ${assignments}, stats_updated_at = ? WHERE id = ?`,
+            [...SiteStats.COLUMNS.map(column => stats[column]), now.toISOString(), websiteId]
+        );
+        return stats;
+    }
+
+    /**
+     * Recalcula las estadísticas de todos los sitios con visitas.
+     * @returns {Promise<number>} Cantidad de sitios recalculados
+     */
+    async refreshAllWebsiteStats() {
+        const rows = await this.db.allAsync('SELECT DISTINCT website_id FROM site_visits');
+        for (const row of rows) {
+            await this.refreshWebsiteStats(row.website_id);
+        }
+        log.info(`Estadísticas recalculadas para ${rows.length} sitio(s)`);
+        return rows.length;
+    }
+
+    /**
+     * Sitios con visitas ordenados por una métrica, de mayor a menor; los
+     * que no tienen la métrica (por ejemplo, sin duraciones medidas) van al final.
+     * @param {Object} [options]
+     * @param {string} [options.sort='cookies-per-minute'] - Clave de SiteStats.SORTS
+     * @param {number} [options.limit=20]
+     * @param {string} [options.category] - Solo los sitios de esta categoría
+     * @returns {Promise<Array<Object>>} Filas de websites
+     * @throws {Error} Si la métrica no existe
+     */
+    async getSiteStatsRanking({ sort = 'cookies-per-minute', limit = 20, category = null } = {}) {
+        const column = SiteStats.parseSort(sort);
+        const params = [];
+        let clause = '';
+        if (category) {
+            clause = ' AND category = ?';
+            params.push(category);
+        }
+
+        return this.db.allAsync(
+            `SELECT * FROM websites
+             WHERE stats_visits > 0 ${clause}
+             ORDER BY ${column} IS NULL, ${column} DESC, stats_visits DESC, domain
+             LIMIT ?`,
+            [...params, limit]
+        );
+    }
+
+    //#endregion ESTADÍSTICAS DE SITIOS
+
+    //#region LISTAS DE SITIOS
+    /**
+     * Listas de sitios con la cantidad de miembros y cuántos están activos
+     * @returns {Promise<Array<Object>>}
+     */
+    async getSiteLists() {
+        return this.db.allAsync(`
+            SELECT l.*,
+                COUNT(w.id) AS site_count,
+                COALESCE(SUM(CASE WHEN w.status = 'active' THEN 1 ELSE 0 END), 0) AS active_count
+            FROM site_lists l
+            LEFT JOIN site_list_members m ON m.list_id = l.id
+            LEFT JOIN websites w ON w.id = m.website_id
+            GROUP BY l.id
+            ORDER BY l.name
+        `);
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<Object|null>}
+     */
+    async getSiteList(id) {
+        return (await this.db.getAsync('SELECT * FROM site_lists WHERE id = ?', [id])) || null;
+    }
+
+    /**
+     * @param {string} name - Sin distinguir mayúsculas
+     * @returns {Promise<Object|null>}
+     */
+    async getSiteListByName(name) {
+        return (await this.db.getAsync('SELECT * FROM site_lists WHERE name = ?', [name])) || null;
+    }
+
+    /**
+     * @param {Array<string>} names - Sin distinguir mayúsculas
+     * @returns {Promise<Array<Object>>} Las listas que existen
+     */
+    async getSiteListsByNames(names) {
+        if (names.length === 0) return [];
+
+        const placeholders = names.map(() => '?').join(',');
+        return this.db.allAsync(`SELECT * FROM site_lists WHERE name IN (${placeholders})`, names);
+    }
+
+    /**
+     * @param {{name: string, description: string|null}} list - Validada con SiteCatalog.normalizeSiteList
+     * @returns {Promise<number>} ID de la lista
+     */
+    async createSiteList(list) {
+        const result = await this.db.runAsync(
+            'INSERT INTO site_lists (name, description) VALUES (?, ?)',
+            [list.name, list.description]
+        );
+        return result.lastID;
+    }
+
+    /**
+     * Renombra una lista o cambia su descripción. Los lotes guardados
+     * apuntan a las listas por nombre: los que usaban el nombre anterior
+     * ya no la encuentran al repetirse.
+     * @param {number} id
+     * @param {{name: string, description: string|null}} list - Validada con SiteCatalog.normalizeSiteList
+     * @returns {Promise<boolean>} false si la lista no existe
+     */
+    async updateSiteList(id, list) {
+        const result = await this.db.runAsync(
+            'UPDATE site_lists SET name = ?, description = ? WHERE id = ?',
+            [list.name, list.description, id]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Borra una lista; sus sitios siguen en el catálogo.
+     * @param {number} id
+     * @returns {Promise<boolean>} false si la lista no existe
+     */
+    async deleteSiteList(id) {
+        const result = await this.db.runAsync('DELETE FROM site_lists WHERE id = ?', [id]);
+        await this.db.runAsync('DELETE FROM site_list_members WHERE list_id = ?', [id]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Sitios de una lista, activos o no
+     * @param {number} listId
+     * @returns {Promise<Array<Object>>}
+     */
+    async getSiteListMembers(listId) {
+        return this.db.allAsync(`
+            SELECT w.* FROM websites w
+            JOIN site_list_members m ON m.website_id = w.id
+            WHERE m.list_id = ?
+            ORDER BY w.domain, w.url
+        `, [listId]);
+    }
+
+    /**
+     * Suma sitios a una lista; los que ya estaban se ignoran.
+     * @param {number} listId
+     * @param {Array<number>} websiteIds
+     * @returns {Promise<number>} Cantidad de sitios agregados
+     */
+    async addSitesToList(listId, websiteIds) {
+        let added = 0;
+        for (const websiteId of new Set(websiteIds)) {
+            const result = await this.db.runAsync(
+                'INSERT OR IGNORE INTO site_list_members (list_id, website_id) VALUES (?, ?)',
+                [listId, websiteId]
+            );
+            added += result.changes;
+        }
+        return added;
+    }
+
+    /**
+     * @param {number} listId
+     * @param {Array<number>} websiteIds
+     * @returns {Promise<number>} Cantidad de sitios quitados
+     */
+    async removeSitesFromList(listId, websiteIds) {
+        if (websiteIds.length === 0) return 0;
+
+        const placeholders = websiteIds.map(() => '?').join(',');
+        const result = await this.db.runAsync(
+            `DELETE FROM site_list_members WHERE list_id = ? AND website_id IN (${placeholders})`,
+            [listId, ...websiteIds]
+        );
+        return result.changes;
+    }
+
+    /**
+     * Sitios de estos dominios, con todas sus URLs. Consulta en tandas
+     * como getWebsitesByUrls.
+     * @param {Array<string>} domains - Como en websites.domain (sin www.)
+     * @returns {Promise<Array<Object>>}
+     */
+    async getWebsitesByDomains(domains) {
+        const sites = [];
+        for (let start = 0; start < domains.length; start += 500) {
+            const chunk = domains.slice(start, start + 500);
+            const placeholders = chunk.map(() => '?').join(',');
+            sites.push(...await this.db.allAsync(`SELECT * FROM websites WHERE domain IN (${placeholders})`, chunk));
+        }
+        return sites;
+    }
+
+    /**
+     * @param {string} category
+     * @returns {Promise<Array<Object>>}
+     */
+    async getWebsitesByCategory(category) {
+        return this.db.allAsync('SELECT * FROM websites WHERE category = ? ORDER BY domain, url', [category]);
+    }
+
+    //#endregion LISTAS DE SITIOS
+
+    //#region RECUPERACIÓN
+    /**
+     * Marca como 'interrupted' las sesiones que quedaron en 'running' porque
+     * la app o la máquina murieron a mitad de la ejecución. El conteo de
+     * cookies y sitios se reconstruye con lo último registrado en site_visits,
+     * y completed_at toma la última actividad conocida de la sesión.
+     *
+     * Solo cuentan como huérfanas las que no dieron señales de vida en
+     * `staleAfterMs`: las demás son de otro proceso (la CLI o `schedule run`)
+     * que sigue navegando sobre la misma base. Se cierran también sus lotes,
+     * si ya no les queda ninguna sesión viva, y las ejecuciones programadas
+     * que los lanzaron.
+     * @param {Date} [now] - Por defecto, ahora
+     * @param {number} [staleAfterMs] - Por defecto, 10 minutos
+     * @returns {Promise<Array<Object>>} Sesiones recuperadas
+     */
+    async recoverOrphanedSessions(now = new Date(), staleAfterMs = RUNNING_SESSION_STALE_MS) {
+        const staleBefore = new Date(now.getTime() - staleAfterMs).toISOString();
+        const orphaned = await this.db.allAsync(`
+            SELECT
+                s.session_id,
+                s.profile_id,
+                s.batch_id,
+                s.started_at,
+                s.target_cookies,
+                s.cookies_collected,
+                s.sites_visited,
+                s.last_heartbeat_at,
+                (
+                    SELECT COALESCE(SUM(MAX(COALESCE(v.cookies_after, 0) - COALESCE(v.cookies_before, 0), 0)), 0)
+                    FROM site_visits v WHERE v.session_id = s.session_id
+                ) AS visit_cookies,
+                (SELECT COUNT(*) FROM site_visits v WHERE v.session_id = s.session_id) AS visit_count,
+                (SELECT MAX(visited_at) FROM site_visits v WHERE v.session_id = s.session_id) AS last_activity_at
+            FROM navigation_sessions s
+            WHERE s.status IN ('running', 'stop_requested')
+              AND COALESCE(s.last_heartbeat_at, s.started_at) <= ?
+            ORDER BY s.started_at ASC
+        `, [staleBefore]);
+
+        const recovered = [];
+        for (const row of orphaned) {
+            const cookiesCollected = Math.max(row.cookies_collected || 0, row.visit_cookies || 0);
+            const sitesVisited = Math.max(row.sites_visited || 0, row.visit_count || 0);
+            // Ambas marcas se guardan en ISO, así que se comparan como texto
+            const interruptedAt = [row.last_activity_at, row.last_heartbeat_at]
+                .filter(Boolean)
+                .sort()
+                .pop() || row.started_at;
+
+            await this.db.runAsync(`
+                UPDATE navigation_sessions
+                SET status = 'interrupted',
+                    completed_at = ?,
+                    cookies_collected = ?,
+                    sites_visited = ?,
+                    error_log = ?,
+                    end_reason = 'interrupted'
+                WHERE session_id = ? AND status IN ('running', 'stop_requested')
+            `, [
+                interruptedAt,
+                cookiesCollected,
+                sitesVisited,
+                'Sesión interrumpida: la aplicación se cerró durante la ejecución',
+                row.session_id
+            ]);
+
+            await this.refreshProfileStats(row.profile_id);
+
+            recovered.push({
+                sessionId: row.session_id,
+                profileId: row.profile_id,
+                startedAt: row.started_at,
+                interruptedAt,
+                targetCookies: row.target_cookies || 0,
+                cookiesCollected,
+                sitesVisited
+            });
+        }
+
+        if (recovered.length > 0) {
+            log.warn(`${recovered.length} sesión(es) huérfanas marcadas como interrumpidas`);
+        }
+
+        // Los lotes de esas sesiones también quedaron abiertos, salvo que
+        // otro proceso siga corriendo alguna de sus sesiones
+        const batchIds = [...new Set(orphaned.map(row => row.batch_id).filter(Boolean))];
+        const closedBatches = [];
+        for (const batchId of batchIds) {
+            const batch = await this.db.getAsync(
+                `SELECT b.status,
+                    (SELECT COUNT(*) FROM navigation_sessions s
+                     WHERE s.batch_id = b.batch_id AND s.status IN ('running', 'stop_requested')) AS live_sessions
+                 FROM navigation_batches b
+                 WHERE b.batch_id = ?`,
+                [batchId]
+            );
+            if (batch?.status !== 'running' || batch.live_sessions > 0) continue;
+
+            await this.completeBatch(batchId, { status: 'interrupted' });
+            closedBatches.push(batchId);
+        }
+        if (closedBatches.length > 0) {
+            log.warn(`${closedBatches.length} lote(s) huérfanos marcados como interrumpidos`);
+        }
+
+        // Y las ejecuciones programadas que lanzaron esos lotes, más las que
+        // se cortaron antes de registrar su lote (un lote vivo se registra
+        // en segundos)
+        await this.db.runAsync(
+            `UPDATE schedule_runs
+             SET status = 'interrupted', finished_at = COALESCE(finished_at, ?),
+                 message = 'La aplicación se cerró durante la ejecución'
+             WHERE status = 'running'
+               AND (batch_id IN (${closedBatches.map(() => '?').join(', ')})
+                    OR (batch_id IS NULL AND started_at <= ?))`,
+            [now.toISOString(), ...closedBatches, staleBefore]
+        );
+
+        return recovered;
     }
+    //#endregion RECUPERACIÓN
 
+    //#region CONTROL DE SESIONES
     /**
-     * Inicializa la conexion a la base de datos y crea las tablas necesarias
-     * @returns {Promise<void>}
+     * Registra un pedido de detención para la sesión en curso de un perfil.
+     * Lo consume el proceso que ejecuta la sesión (ver
+     * NavigationController.applyExternalStopRequests), que puede ser otro
+     * proceso distinto al que hace el pedido.
+     * @param {string} profileId - ID del perfil
+     * @returns {Promise<number>} Cantidad de sesiones marcadas
      */
-    async initialize() {
-        try {
-            // Crear directorio de datos si no existe
-            const dataDir = dirname(this.dbPath);
-            await fs.mkdir(dataDir, { recursive: true });
-
-            // Si el entorno es la app empaquetada, verificar y actualizar DB si es necesario
-            if (app && app.isPackaged) {
-                const dbExists = await this.checkDatabaseExists();
-                const shouldUpdate = await this.shouldUpdateDatabase();
-                
-                if (!dbExists || shouldUpdate) {
-                    const action = dbExists ? 'Actualizando' : 'Copiando';
-                    log.info(`[DatabaseManager] ${action} base de datos desde recursos...`);
-                    
-                    // Intentar multiples paths posibles de recursos
-                    const possiblePaths = [
-                        path.join(process.resourcesPath, 'data', 'loadtest.db'),
-                        path.join(process.resourcesPath, 'app', 'data', 'loadtest.db'),
-                        path.join(process.resourcesPath, 'extraResources', 'data', 'loadtest.db'),
-                        path.join(process.resourcesPath, 'app.asar.unpacked', 'data', 'loadtest.db')
-                    ];
-                    
-                    let copied = false;
-                    for (const sourcePath of possiblePaths) {
-                        try {
-                            await fs.access(sourcePath);
-                            log.info(`[DatabaseManager] DB encontrada en: ${sourcePath}`);
-                            
-                            // Si existe DB vieja, hacer backup primero
-                            if (dbExists) {
-                                const backupPath = this.dbPath + '.backup';
-                                try {
-                                    await fs.copyFile(this.dbPath, backupPath);
-                                    log.info(`[DatabaseManager] Backup creado en: ${backupPath}`);
-                                } catch (backupError) {
-                                    log.warn('[DatabaseManager] No se pudo crear backup:', backupError.message);
-                                }
-                            }
-                            
-                            // Copiar DB nueva
-                            await fs.copyFile(sourcePath, this.dbPath);
-                            log.info(`[DatabaseManager] DB ${action.toLowerCase()} exitosamente a userData`);
-                            copied = true;
-                            break;
-                        } catch (error) {
-                            continue;
-                        }
-                    }
-                    
-                    if (!copied) {
-                        log.warn('[DatabaseManager] No se pudo copiar DB desde recursos, usando existente o creando nueva');
-                    }
-                } else {
-                    log.info('[DatabaseManager] Base de datos actualizada en userData');
-                }
-            }
+    async requestSessionStop(profileId) {
+        const result = await this.db.runAsync(
+            `UPDATE navigation_sessions SET status = 'stop_requested'
+             WHERE profile_id = ? AND status = 'running'`,
+            [profileId]
+        );
+        return result.changes;
+    }
 
-            // Conectar a la base de datos
-            this.db = new sqlite3.Database(this.dbPath, (err) => {
-                if (err) {
-                    throw new Error(`Error conectando a la base de datos: ${err.message}`);
-                }
-            });
+    /**
+     * Sesiones, de entre las indicadas, con un pedido de detención pendiente.
+     * @param {Array<string>} sessionIds - IDs de sesión a consultar
+     * @returns {Promise<Array<{session_id:string, profile_id:string}>>}
+     */
+    async getStopRequestedSessions(sessionIds) {
+        if (sessionIds.length === 0) return [];
+        const placeholders = sessionIds.map(() => '?').join(',');
+        return this.db.allAsync(
+            `SELECT session_id, profile_id FROM navigation_sessions
+             WHERE status = 'stop_requested' AND session_id IN (${placeholders})`,
+            sessionIds
+        );
+    }
 
-            // Promisificar métodos de la base de datos
-            this.db.runAsync = function(sql, params = []) {
-                return new Promise((resolve, reject) => {
-                    this.run(sql, params, function(err) {
-                        if (err) reject(err);
-                        else resolve({ lastID: this.lastID, changes: this.changes });
-                    });
-                });
-            }.bind(this.db);
-
-            this.db.getAsync = function(sql, params = []) {
-                return new Promise((resolve, reject) => {
-                    this.get(sql, params, (err, row) => {
-                        if (err) reject(err);
-                        else resolve(row);
-                    });
-                });
-            }.bind(this.db);
-
-            this.db.allAsync = function(sql, params = []) {
-                return new Promise((resolve, reject) => {
-                    this.all(sql, params, (err, rows) => {
-                        if (err) reject(err);
-                        else resolve(rows);
-                    });
-                });
-            }.bind(this.db);
-
-            // Crear tablas si no existen
-            await this.createTables();
-
-            // Verificar si hay sitios web en la base de datos
-            const websiteCount = await this.getWebsiteCount();
-            log.info(`[DatabaseManager] Base de datos inicializada con ${websiteCount} sitios web`);
+    /**
+     * Indica si hay una navegación corriendo en este u otro proceso: alguna
+     * sesión en 'running' o 'stop_requested' que dio señales de vida hace
+     * menos de `staleAfterMs` (último checkpoint o, si no guardó ninguno,
+     * su arranque). Las más viejas son huérfanas de un cierre y no cuentan.
+     * @param {Date} [now] - Por defecto, ahora
+     * @param {number} [staleAfterMs] - Por defecto, 10 minutos
+     * @returns {Promise<boolean>}
+     */
+    async hasRunningNavigation(now = new Date(), staleAfterMs = RUNNING_SESSION_STALE_MS) {
+        const row = await this.db.getAsync(
+            `SELECT COUNT(*) AS count FROM navigation_sessions
+             WHERE status IN ('running', 'stop_requested')
+               AND COALESCE(last_heartbeat_at, started_at) > ?`,
+            [new Date(now.getTime() - staleAfterMs).toISOString()]
+        );
+        return row.count > 0;
+    }
 
-            // Si no hay sitios, cargar sitios iniciales
-            if (websiteCount === 0) {
-                log.info('[DatabaseManager] No hay sitios web, cargando sitios iniciales...');
-                await this.seedInitialWebsites();
-            }
+    /**
+     * Guarda el avance parcial de una sesión en curso. Se llama después de
+     * cada sitio para que un corte de la app no pierda el progreso y para
+     * que last_heartbeat_at indique cuándo dio señales de vida por última vez.
+     * No toca sesiones que ya terminaron.
+     * @param {string} sessionId - ID de la sesión
+     * @param {Object} checkpoint - Estado actual de la sesión
+     * @param {number} checkpoint.cookiesCollected
+     * @param {number} checkpoint.sitesVisited
+     * @param {number} [checkpoint.totalInteractions]
+     * @param {string|null} [checkpoint.currentSite]
+     * @param {Object<string, number>} [checkpoint.categoryVisits] - Sitios visitados por categoría
+     * @param {Date} [checkpoint.heartbeatAt] - Por defecto, ahora
+     * @returns {Promise<boolean>} true si se actualizó la sesión
+     */
+    async saveSessionCheckpoint(sessionId, checkpoint) {
+        const heartbeatAt = checkpoint.heartbeatAt || new Date();
+        const result = await this.db.runAsync(
+            `UPDATE navigation_sessions
+             SET cookies_collected = ?,
+                 sites_visited = ?,
+                 total_interactions = ?,
+                 current_site = ?,
+                 category_visits = COALESCE(?, category_visits),
+                 last_heartbeat_at = ?
+             WHERE session_id = ? AND status IN ('running', 'stop_requested')`,
+            [
+                checkpoint.cookiesCollected || 0,
+                checkpoint.sitesVisited || 0,
+                checkpoint.totalInteractions || 0,
+                checkpoint.currentSite || null,
+                checkpoint.categoryVisits ? JSON.stringify(checkpoint.categoryVisits) : null,
+                heartbeatAt.toISOString(),
+                sessionId
+            ]
+        );
+        return result.changes > 0;
+    }
 
-            log.info('[DatabaseManager] Base de datos lista');
+    /**
+     * Registra una intervención del watchdog sobre una sesión colgada.
+     * @param {Object} intervention
+     * @param {string} intervention.sessionId
+     * @param {string} intervention.profileId
+     * @param {string} intervention.step - Paso aplicado (ver SessionWatchdog.STEPS)
+     * @param {number} intervention.attempt - Número de intervención dentro del cuelgue
+     * @param {number} intervention.idleMs - Tiempo sin progreso al intervenir
+     * @param {boolean} intervention.success - Si el paso se ejecutó sin errores
+     * @param {string|null} [intervention.error]
+     * @returns {Promise<void>}
+     */
+    async recordSessionIntervention(intervention) {
+        await this.db.runAsync(
+            `INSERT INTO session_interventions
+             (session_id, profile_id, step, attempt, idle_seconds, success, error_message, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                intervention.sessionId,
+                intervention.profileId,
+                intervention.step,
+                intervention.attempt,
+                Math.round((intervention.idleMs || 0) / 1000),
+                intervention.success ? 1 : 0,
+                intervention.error || null,
+                new Date().toISOString()
+            ]
+        );
+    }
 
-        } catch (error) {
-            log.error('[DatabaseManager] Error inicializando base de datos:', error.message);
-            throw error;
+    /**
+     * Intervenciones del watchdog sobre una sesión, de la más vieja a la más nueva.
+     * @param {string} sessionId
+     * @returns {Promise<Array<Object>>}
+     */
+    async getSessionInterventions(sessionId) {
+        return this.db.allAsync(
+            `SELECT step, attempt, idle_seconds, success, error_message, created_at
+             FROM session_interventions WHERE session_id = ? ORDER BY id ASC`,
+            [sessionId]
+        );
+    }
+    //#endregion CONTROL DE SESIONES
+
+    //#region LOTES
+    /**
+     * Registra el inicio de un lote de navegación.
+     * @param {Object} batch
+     * @param {string} batch.batchId
+     * @param {Date} batch.startedAt
+     * @param {string|null} [batch.startedBy] - Origen del lote: 'app', 'cli', 'resume'
+     * @param {string|null} [batch.rerunOf] - Lote que este repite, si es una repetición
+     * @param {Array<string>} batch.profileIds
+     * @param {number} batch.defaultTarget - Objetivo de cookies por defecto del lote
+     * @param {Object<string, number>} batch.targets - Objetivo pedido para cada perfil
+     * @param {Object} [batch.policy] - TerminationPolicy#toJSON del lote
+     * @param {Object} [batch.overrides] - Ajustes por perfil: { policies, sites }
+     * @param {Object<string, number>} [batch.categoryMix] - CategoryMix#toJSON del lote
+     * @param {number|null} [batch.scheduleRunId] - Ejecución programada que lanzó el lote
+     * @returns {Promise<void>}
+     */
+    async createBatch(batch) {
+        await this.db.runAsync(
+            `INSERT INTO navigation_batches
+             (batch_id, started_at, started_by, rerun_of, profile_ids, default_target, targets, policy, overrides, category_mix, total_profiles, target_cookies)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                batch.batchId,
+                batch.startedAt.toISOString(),
+                batch.startedBy || null,
+                batch.rerunOf || null,
+                JSON.stringify(batch.profileIds),
+                batch.defaultTarget,
+                JSON.stringify(batch.targets || {}),
+                batch.policy ? JSON.stringify(batch.policy) : null,
+                batch.overrides ? JSON.stringify(batch.overrides) : null,
+                batch.categoryMix ? JSON.stringify(batch.categoryMix) : null,
+                batch.profileIds.length,
+                Object.values(batch.targets || {}).reduce((sum, target) => sum + target, 0)
+            ]
+        );
+
+        // La ejecución queda ligada al lote mientras corre, para la recuperación
+        if (batch.scheduleRunId) {
+            await this.db.runAsync('UPDATE schedule_runs SET batch_id = ? WHERE id = ?', [batch.batchId, batch.scheduleRunId]);
         }
     }
 
     /**
-     * Verifica si la base de datos existe en userData
-     * @returns {Promise<boolean>}
+     * Suma perfiles a un lote registrado (ver NavigationController.addProfilesToBatch).
+     * Los perfiles que el lote ya tenía se ignoran.
+     * @param {string} batchId
+     * @param {Object<string, number>} targets - Objetivo pedido para cada perfil nuevo
+     * @returns {Promise<boolean>} true si el lote existe
      */
-    async checkDatabaseExists() {
-        try {
-            await fs.access(this.dbPath);
-            return true;
-        } catch {
-            return false;
+    async addProfilesToBatch(batchId, targets) {
+        const row = await this.db.getAsync(
+            'SELECT profile_ids, targets FROM navigation_batches WHERE batch_id = ?',
+            [batchId]
+        );
+        if (!row) return false;
+
+        const profileIds = JSON.parse(row.profile_ids);
+        const batchTargets = JSON.parse(row.targets || '{}');
+        for (const [profileId, target] of Object.entries(targets)) {
+            if (profileIds.includes(profileId)) continue;
+            profileIds.push(profileId);
+            batchTargets[profileId] = target;
         }
+
+        await this.db.runAsync(
+            `UPDATE navigation_batches
+             SET profile_ids = ?, targets = ?, total_profiles = ?, target_cookies = ?
+             WHERE batch_id = ?`,
+            [
+                JSON.stringify(profileIds),
+                JSON.stringify(batchTargets),
+                profileIds.length,
+                Object.values(batchTargets).reduce((sum, target) => sum + target, 0),
+                batchId
+            ]
+        );
+        return true;
     }
 
     /**
-     * Determina si la base de datos debe actualizarse
-     * Compara el numero de sitios en userData vs recursos
-     * @returns {Promise<boolean>}
+     * Cierra un lote. Los totales se calculan con las sesiones vinculadas,
+     * así coinciden con los reportes por sesión aunque el lote termine por
+     * error o por un corte de la app.
+     * @param {string} batchId
+     * @param {Object} result
+     * @param {string} result.status - 'completed', 'stopped', 'error' o 'interrupted'
+     * @param {string|null} [result.error] - Mensaje si el lote terminó por error
+     * @param {Date} [result.completedAt] - Por defecto, la última actividad de sus sesiones
+     * @returns {Promise<void>}
      */
-    async shouldUpdateDatabase() {
-        try {
-            const currentDb = await this.openDatabase(this.dbPath);
-            const currentCount = await new Promise((resolve, reject) => {
-                currentDb.get('SELECT COUNT(*) as count FROM websites', [], (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row?.count || 0);
-                });
-            });
-            currentDb.close();
-            
-            if (currentCount < 100) {
-                log.info(`[DatabaseManager] DB actual tiene solo ${currentCount} sitios, actualizando...`);
-                return true;
+    async completeBatch(batchId, result) {
+        const totals = await this.db.getAsync(
+            `SELECT
+                COUNT(CASE WHEN status = 'completed' THEN 1 END) AS completed_sessions,
+                COUNT(CASE WHEN status = 'stopped' THEN 1 END) AS stopped_sessions,
+                COUNT(CASE WHEN status = 'error' THEN 1 END) AS failed_sessions,
+                COUNT(CASE WHEN status = 'interrupted' THEN 1 END) AS interrupted_sessions,
+                COALESCE(SUM(cookies_collected), 0) AS cookies_collected,
+                COALESCE(SUM(sites_visited), 0) AS sites_visited,
+                MAX(COALESCE(completed_at, last_heartbeat_at, started_at)) AS last_activity_at
+             FROM navigation_sessions WHERE batch_id = ?`,
+            [batchId]
+        );
+
+        const completedAt = result.completedAt?.toISOString() || totals.last_activity_at;
+        await this.db.runAsync(
+            `UPDATE navigation_batches
+             SET status = ?,
+                 completed_at = COALESCE(?, started_at),
+                 completed_sessions = ?,
+                 stopped_sessions = ?,
+                 failed_sessions = ?,
+                 interrupted_sessions = ?,
+                 cookies_collected = ?,
+                 sites_visited = ?,
+                 error_message = ?
+             WHERE batch_id = ?`,
+            [
+                result.status,
+                completedAt,
+                totals.completed_sessions,
+                totals.stopped_sessions,
+                totals.failed_sessions,
+                totals.interrupted_sessions,
+                totals.cookies_collected,
+                totals.sites_visited,
+                result.error || null,
+                batchId
+            ]
+        );
+    }
+
+    /**
+     * Obtiene un lote con sus campos JSON ya parseados.
+     * @param {string} batchId
+     * @returns {Promise<Object|null>}
+     */
+    async getBatch(batchId) {
+        const row = await this.db.getAsync(
+            `SELECT *, ${BATCH_DURATION_SQL} AS duration_seconds
+             FROM navigation_batches WHERE batch_id = ?`,
+            [batchId]
+        );
+        return row ? this.formatBatch(row) : null;
+    }
+
+    /**
+     * Lotes de navegación con paginación, del más reciente al más viejo.
+     * @param {Object} filters
+     * @param {string} [filters.dateRange] - 'today', 'week', 'month', 'all' o 'custom'
+     * @param {string} [filters.startDate] - Con dateRange 'custom'
+     * @param {string} [filters.endDate] - Con dateRange 'custom'
+     * @param {number} page - Página actual (empezando en 1)
+     * @param {number} limit - Cantidad de lotes por página
+     * @returns {Promise<Object>} Resultado con datos y metadatos de paginación
+     */
+    async getBatchReports(filters = {}, page = 1, limit = 10) {
+        const { clause, params } = this.buildDateRangeClause(filters);
+        const offset = (page - 1) * limit;
+
+        const [rows, countResult] = await Promise.all([
+            this.db.allAsync(
+                `SELECT *, ${BATCH_DURATION_SQL} AS duration_seconds
+                 FROM navigation_batches WHERE 1=1 ${clause}
+                 ORDER BY started_at DESC
+                 LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            ),
+            this.db.getAsync(`SELECT COUNT(*) AS total FROM navigation_batches WHERE 1=1 ${clause}`, params)
+        ]);
+
+        const total = countResult.total;
+        const totalPages = Math.ceil(total / limit);
+        return {
+            success: true,
+            data: rows.map(row => this.formatBatch(row)),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalRecords: total,
+                recordsPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPreviousPage: page > 1
             }
-            
-            log.info(`[DatabaseManager] DB tiene ${currentCount} sitios, no requiere actualizacion`);
-            return false;
-            
-        } catch (error) {
-            log.info('[DatabaseManager] Error verificando DB, forzando actualizacion:', error.message);
-            return true;
+        };
+    }
+
+    /**
+     * Condición SQL para el filtro de fechas de los reportes, sobre started_at.
+     * @param {Object} filters - Mismos filtros de fecha que getNavigationReports
+     * @returns {{clause: string, params: Array<string>}}
+     */
+    buildDateRangeClause(filters) {
+        const params = [];
+        let clause = '';
+
+        switch (filters.dateRange) {
+            case 'today':
+                clause = ' AND DATE(started_at) = DATE("now")';
+                break;
+            case 'week':
+                clause = ' AND DATE(started_at) >= DATE("now", "-7 days")';
+                break;
+            case 'month':
+                clause = ' AND DATE(started_at) >= DATE("now", "-30 days")';
+                break;
+            case 'custom':
+                if (filters.startDate) {
+                    clause += ' AND DATE(started_at) >= ?';
+                    params.push(filters.startDate);
+                }
+                if (filters.endDate) {
+                    clause += ' AND DATE(started_at) <= ?';
+                    params.push(filters.endDate);
+                }
+                break;
         }
+
+        return { clause, params };
     }
 
     /**
-     * Abre una conexion temporal a una base de datos
-     * @param {string} dbPath - Ruta de la DB
-     * @returns {Promise<Object>} Instancia de sqlite3.Database
+     * Da forma a una fila de navigation_batches para la UI y la CLI.
+     * @param {Object} row
+     * @returns {Object}
      */
-    openDatabase(dbPath) {
-        return new Promise((resolve, reject) => {
-            const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (err) => {
-                if (err) reject(err);
-                else resolve(db);
-            });
-        });
+    formatBatch(row) {
+        return {
+            ...row,
+            profile_ids: JSON.parse(row.profile_ids || '[]'),
+            targets: JSON.parse(row.targets || '{}'),
+            policy: row.policy ? JSON.parse(row.policy) : null,
+            overrides: row.overrides ? JSON.parse(row.overrides) : null,
+            category_mix: row.category_mix ? JSON.parse(row.category_mix) : null,
+            success_rate: row.total_profiles > 0
+                ? Math.round((row.completed_sessions / row.total_profiles) * 100)
+                : 0,
+            duration_formatted: this.formatDuration(row.duration_seconds),
+            started_at_formatted: this.formatDateTime(row.started_at),
+            completed_at_formatted: row.completed_at ? this.formatDateTime(row.completed_at) : null,
+            status_label: this.getStatusLabel(row.status),
+            started_by_label: this.getStartedByLabel(row.started_by)
+        };
     }
 
     /**
-     * Convierte métodos de callback a promesas
-     * @param {Function} method - Método a promisificar
-     * @returns {Function} Método promisificado
+     * Obtiene etiqueta legible para el origen de un lote
+     * @param {string|null} startedBy - Valor guardado en started_by
+     * @returns {string}
      */
-    promisify(method) {
-        return function(...args) {
-            return new Promise((resolve, reject) => {
-                method.call(this, ...args, function(err, result) {
-                    if (err) reject(err);
-                    else resolve(result);
-                });
-            });
-        }.bind(this.db);
+    getStartedByLabel(startedBy) {
+        const labels = {
+            'app': 'App',
+            'cli': 'CLI',
+            'resume': 'Reanudación',
+            'schedule': 'Programación'
+        };
+
+        return labels[startedBy] || startedBy || 'Desconocido';
     }
+    //#endregion LOTES
 
+    //#region PROGRAMACIONES
     /**
-     * Crea las tablas necesarias en la base de datos
-     * @returns {Promise<void>}
+     * Guarda una programación nueva.
+     * @param {Object} schedule - Programación normalizada por Scheduler.prepare
+     * @returns {Promise<number>} ID de la programación
      */
-    async createTables() {
-        const createWebsitesTable = `
-            CREATE TABLE IF NOT EXISTS websites (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                url TEXT NOT NULL UNIQUE,
-                domain TEXT NOT NULL,
-                last_visited TIMESTAMP,
-                visit_count INTEGER DEFAULT 0,
-                avg_cookies_collected INTEGER DEFAULT 0,
-                status TEXT DEFAULT 'active',
-                category TEXT DEFAULT 'general',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `;
-
-        const createNavigationSessionsTable = `
-            CREATE TABLE IF NOT EXISTS navigation_sessions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                session_id TEXT NOT NULL,
-                profile_id TEXT NOT NULL,
-                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                completed_at TIMESTAMP,
-                target_cookies INTEGER,
-                cookies_collected INTEGER DEFAULT 0,
-                sites_visited INTEGER DEFAULT 0,
-                status TEXT DEFAULT 'running',
-                error_log TEXT
-            )
-        `;
-
-        const createSiteVisitsTable = `
-            CREATE TABLE IF NOT EXISTS site_visits (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                session_id TEXT NOT NULL,
-                website_id INTEGER NOT NULL,
-                visited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                pages_viewed INTEGER DEFAULT 1,
-                duration_seconds INTEGER,
-                cookies_before INTEGER,
-                cookies_after INTEGER,
-                success BOOLEAN DEFAULT true,
-                error_message TEXT,
-                FOREIGN KEY (website_id) REFERENCES websites(id)
-            )
-        `;
-
-        await this.db.runAsync(createWebsitesTable);
-        await this.db.runAsync(createNavigationSessionsTable);
-        await this.db.runAsync(createSiteVisitsTable);
+    async createSchedule(schedule) {
+        const result = await this.db.runAsync(
+            `INSERT INTO schedules
+             (name, cron, window_start, window_end, profile_ids, target_cookies, policy, plan, enabled, next_run_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            this.getScheduleParams(schedule)
+        );
+        return result.lastID;
     }
 
     /**
-     * Obtiene el número total de sitios web en la base de datos
-     * @returns {Promise<number>} Cantidad de sitios web
+     * Reemplaza una programación existente. La próxima ejecución se
+     * recalcula con la expresión nueva.
+     * @param {number} id
+     * @param {Object} schedule - Programación normalizada por Scheduler.prepare
+     * @returns {Promise<boolean>} true si la programación existía
      */
-    async getWebsiteCount() {
-        const result = await this.db.getAsync('SELECT COUNT(*) as count FROM websites');
-        return result.count;
+    async updateSchedule(id, schedule) {
+        const result = await this.db.runAsync(
+            `UPDATE schedules
+             SET name = ?, cron = ?, window_start = ?, window_end = ?, profile_ids = ?, target_cookies = ?,
+                 policy = ?, plan = ?, enabled = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [...this.getScheduleParams(schedule), id]
+        );
+        return result.changes > 0;
     }
 
     /**
-     * Obtiene estadísticas agregadas de la tabla de sitios web
-     * @returns {Promise<{totalSites:number, activeSites:number, totalVisits:number}>}
+     * @param {Object} schedule
+     * @returns {Array} Valores en el orden de las columnas de createSchedule
      */
-    async getWebsiteStats() {
-        const row = await this.db.getAsync(`
-            SELECT
-                COUNT(*) AS totalSites,
-                SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) AS activeSites,
-                COALESCE(SUM(visit_count), 0) AS totalVisits
-            FROM websites
-        `);
+    getScheduleParams(schedule) {
+        return [
+            schedule.name,
+            schedule.cron,
+            schedule.window?.start || null,
+            schedule.window?.end || null,
+            JSON.stringify(schedule.profileIds),
+            schedule.targetCookies,
+            schedule.policy ? JSON.stringify(schedule.policy) : null,
+            schedule.plan?.length ? JSON.stringify(schedule.plan) : null,
+            schedule.enabled ? 1 : 0,
+            schedule.nextRunAt ? schedule.nextRunAt.toISOString() : null
+        ];
+    }
 
-        return {
-            totalSites: row?.totalSites ?? 0,
-            activeSites: row?.activeSites ?? 0,
-            totalVisits: row?.totalVisits ?? 0
-        };
+    /**
+     * Borra una programación junto con su registro de ejecuciones.
+     * @param {number} id
+     * @returns {Promise<boolean>} true si la programación existía
+     */
+    async deleteSchedule(id) {
+        await this.db.runAsync('DELETE FROM schedule_runs WHERE schedule_id = ?', [id]);
+        const result = await this.db.runAsync('DELETE FROM schedules WHERE id = ?', [id]);
+        return result.changes > 0;
     }
 
     /**
-     * Obtiene un sitio web aleatorio de la base de datos
-     * @param {Array<string>} excludeUrls - URLs a excluir de la selección
-     * @returns {Promise<Object>} Sitio web seleccionado
+     * @param {number} id
+     * @returns {Promise<Object|null>}
      */
-    async getRandomWebsite(excludeUrls = []) {
-        try {
-            let query = 'SELECT * FROM websites WHERE status = "active"';
-            const params = [];
+    async getSchedule(id) {
+        const row = await this.db.getAsync(`${SCHEDULE_SELECT_SQL} WHERE s.id = ?`, [id]);
+        return row ? this.formatSchedule(row) : null;
+    }
 
-            if (excludeUrls.length > 0) {
-                const placeholders = excludeUrls.map(() => '?').join(',');
-                query += ` AND url NOT IN (${placeholders})`;
-                params.push(...excludeUrls);
-            }
+    /**
+     * @param {string} name
+     * @returns {Promise<Object|null>}
+     */
+    async getScheduleByName(name) {
+        const row = await this.db.getAsync(`${SCHEDULE_SELECT_SQL} WHERE s.name = ?`, [name]);
+        return row ? this.formatSchedule(row) : null;
+    }
 
-            query += ' ORDER BY RANDOM() LIMIT 1';
+    /**
+     * Todas las programaciones con el resultado de su última ejecución.
+     * @returns {Promise<Array<Object>>}
+     */
+    async getSchedules() {
+        const rows = await this.db.allAsync(`${SCHEDULE_SELECT_SQL} ORDER BY s.name COLLATE NOCASE`);
+        return rows.map(row => this.formatSchedule(row));
+    }
 
-            const website = await this.db.getAsync(query, params);
-            
-            if (!website) {
-                throw new Error('No se encontraron sitios web disponibles');
-            }
+    /**
+     * Programaciones activas cuya próxima ejecución ya llegó.
+     * @param {Date} now
+     * @returns {Promise<Array<Object>>}
+     */
+    async getDueSchedules(now) {
+        const rows = await this.db.allAsync(
+            `${SCHEDULE_SELECT_SQL}
+             WHERE s.enabled = 1 AND s.next_run_at IS NOT NULL AND s.next_run_at <= ?
+             ORDER BY s.next_run_at ASC`,
+            [now.toISOString()]
+        );
+        return rows.map(row => this.formatSchedule(row));
+    }
 
-            return website;
-        } catch (error) {
-            log.error('Error obteniendo sitio web aleatorio:', error);
-            throw error;
-        }
+    /**
+     * Reclama el disparo de una programación avanzando su próxima
+     * ejecución. Solo tiene efecto si next_run_at sigue siendo el que leyó
+     * el llamador, así dos procesos sobre la misma base no disparan dos veces.
+     * @param {number} id
+     * @param {string} expectedNextRunAt - next_run_at leído antes de disparar
+     * @param {Date|null} nextRunAt - Próxima ejecución; null si no hay más
+     * @returns {Promise<boolean>} true si este llamador se quedó con el disparo
+     */
+    async claimSchedule(id, expectedNextRunAt, nextRunAt) {
+        const result = await this.db.runAsync(
+            `UPDATE schedules SET next_run_at = ?, last_run_at = ?
+             WHERE id = ? AND next_run_at = ?`,
+            [nextRunAt ? nextRunAt.toISOString() : null, expectedNextRunAt, id, expectedNextRunAt]
+        );
+        return result.changes > 0;
     }
 
     /**
-     * Obtiene múltiples sitios web aleatorios
-     * @param {number} count - Cantidad de sitios a obtener
-     * @param {Array<string>} excludeUrls - URLs a excluir
-     * @returns {Promise<Array>} Lista de sitios web
+     * Activa o desactiva una programación. Al activarla se fija su próxima ejecución.
+     * @param {number} id
+     * @param {boolean} enabled
+     * @param {Date|null} nextRunAt
+     * @returns {Promise<boolean>} true si la programación existía
      */
-    async getRandomWebsites(count, excludeUrls = []) {
-        try {
-            let query = 'SELECT * FROM websites WHERE status = "active"';
-            const params = [];
+    async setScheduleEnabled(id, enabled, nextRunAt) {
+        const result = await this.db.runAsync(
+            `UPDATE schedules SET enabled = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [enabled ? 1 : 0, enabled && nextRunAt ? nextRunAt.toISOString() : null, id]
+        );
+        return result.changes > 0;
+    }
 
-            if (excludeUrls.length > 0) {
-                const placeholders = excludeUrls.map(() => '?').join(',');
-                query += ` AND url NOT IN (${placeholders})`;
-                params.push(...excludeUrls);
-            }
+    /**
+     * Registra un disparo de una programación.
+     * @param {Object} run
+     * @param {number} run.scheduleId
+     * @param {string} run.scheduledFor - Hora programada (ISO)
+     * @param {string} run.status - 'running', 'skipped' o 'missed'
+     * @param {Date} run.startedAt
+     * @param {Date} [run.finishedAt] - Solo para los disparos que no lanzan navegación
+     * @param {string} [run.message]
+     * @returns {Promise<number>} ID de la ejecución
+     */
+    async createScheduleRun(run) {
+        const result = await this.db.runAsync(
+            `INSERT INTO schedule_runs (schedule_id, scheduled_for, started_at, finished_at, status, message)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                run.scheduleId,
+                run.scheduledFor,
+                run.startedAt.toISOString(),
+                run.finishedAt ? run.finishedAt.toISOString() : null,
+                run.status,
+                run.message || null
+            ]
+        );
+        return result.lastID;
+    }
 
-            query += ` ORDER BY RANDOM() LIMIT ${count}`;
+    /**
+     * Cierra una ejecución programada con el resultado de su lote.
+     * @param {number} runId
+     * @param {Object} result
+     * @param {string} result.status - 'completed', 'stopped' o 'error'
+     * @param {string|null} [result.batchId] - Lote que lanzó la ejecución
+     * @param {string} [result.message]
+     * @param {Date} result.finishedAt
+     * @returns {Promise<void>}
+     */
+    async finishScheduleRun(runId, result) {
+        await this.db.runAsync(
+            `UPDATE schedule_runs SET status = ?, batch_id = ?, message = ?, finished_at = ? WHERE id = ?`,
+            [result.status, result.batchId || null, result.message || null, result.finishedAt.toISOString(), runId]
+        );
+    }
 
-            const websites = await this.db.allAsync(query, params);
-            return websites;
-        } catch (error) {
-            log.error('Error obteniendo sitios web aleatorios:', error);
-            throw error;
+    /**
+     * Registro de ejecuciones, de la más reciente a la más vieja.
+     * @param {Object} [filters]
+     * @param {number} [filters.scheduleId] - Solo las de esa programación
+     * @param {number} [filters.limit=50]
+     * @returns {Promise<Array<Object>>}
+     */
+    async getScheduleRuns({ scheduleId = null, limit = 50 } = {}) {
+        const params = [];
+        let clause = '';
+        if (scheduleId) {
+            clause = 'WHERE r.schedule_id = ?';
+            params.push(scheduleId);
         }
+
+        const rows = await this.db.allAsync(
+            `SELECT r.*, s.name AS schedule_name
+             FROM schedule_runs r
+             LEFT JOIN schedules s ON s.id = r.schedule_id
+             ${clause}
+             ORDER BY r.scheduled_for DESC, r.id DESC
+             LIMIT ?`,
+            [...params, limit]
+        );
+
+        return rows.map(row => ({
+            ...row,
+            scheduled_for_formatted: this.formatDateTime(row.scheduled_for),
+            finished_at_formatted: row.finished_at ? this.formatDateTime(row.finished_at) : null,
+            status_label: this.getStatusLabel(row.status)
+        }));
     }
 
     /**
-     * Actualiza las estadísticas de visita de un sitio web
-     * @param {string} url - URL del sitio web
-     * @param {number} cookiesCollected - Cantidad de cookies recolectadas
+     * Da forma a una fila de schedules para la UI y la CLI.
+     * @param {Object} row
+     * @returns {Object}
+     */
+    formatSchedule(row) {
+        return {
+            ...row,
+            enabled: Boolean(row.enabled),
+            window: row.window_start && row.window_end ? { start: row.window_start, end: row.window_end } : null,
+            profile_ids: JSON.parse(row.profile_ids || '[]'),
+            policy: row.policy ? JSON.parse(row.policy) : null,
+            plan: row.plan ? JSON.parse(row.plan) : [],
+            next_run_at_formatted: row.next_run_at ? this.formatDateTime(row.next_run_at) : null,
+            last_run_status_label: row.last_run_status ? this.getStatusLabel(row.last_run_status) : null
+        };
+    }
+    //#endregion PROGRAMACIONES
+
+    //#region PERFILES
+    /**
+     * Recalcula la última ejecución y los totales de un perfil a partir de
+     * sus sesiones. Es idempotente: se puede llamar cada vez que una sesión
+     * arranca o cambia de estado sin duplicar totales.
+     * @param {string} profileId
      * @returns {Promise<void>}
      */
-    async updateWebsiteStats(url, cookiesCollected) {
-        try {
-            const query = `
-                UPDATE websites 
-                SET visit_count = visit_count + 1,
-                    avg_cookies_collected = CASE 
-                        WHEN visit_count = 0 THEN ?
-                        ELSE (avg_cookies_collected * visit_count + ?) / (visit_count + 1)
-                    END,
-                    last_visited = CURRENT_TIMESTAMP
-                WHERE url = ?
-            `;
-            
-            await this.db.runAsync(query, [cookiesCollected, cookiesCollected, url]);
-        } catch (error) {
-            log.error('Error actualizando estadísticas del sitio:', error);
-            throw error;
+    async refreshProfileStats(profileId) {
+        await this.db.runAsync(
+            `INSERT OR REPLACE INTO profile_stats ${PROFILE_STATS_AGGREGATE_SQL} WHERE s.profile_id = ? GROUP BY s.profile_id`,
+            [profileId]
+        );
+    }
+
+    /**
+     * Rearma profile_stats para todos los perfiles desde sus sesiones.
+     * @returns {Promise<void>}
+     */
+    async rebuildProfileStats() {
+        await this.db.runAsync(`INSERT OR REPLACE INTO profile_stats ${PROFILE_STATS_AGGREGATE_SQL} GROUP BY s.profile_id`);
+    }
+
+    /**
+     * Última ejecución y totales históricos por perfil, del usado más
+     * recientemente al más viejo.
+     * @param {Array<string>} [profileIds] - Solo esos perfiles; sin valor, todos
+     * @returns {Promise<Array<Object>>}
+     */
+    async getProfileStats(profileIds = null) {
+        const params = [];
+        let clause = '';
+        if (profileIds) {
+            if (profileIds.length === 0) return [];
+            clause = `WHERE profile_id IN (${profileIds.map(() => '?').join(', ')})`;
+            params.push(...profileIds);
         }
+
+        const rows = await this.db.allAsync(
+            `SELECT *, ${PROFILE_LAST_ACTIVITY_SQL} AS last_activity_at
+             FROM profile_stats
+             ${clause}
+             ORDER BY last_activity_at DESC`,
+            params
+        );
+
+        return rows.map(row => ({
+            ...row,
+            last_activity_at: row.last_activity_at || null,
+            last_run_at_formatted: row.last_run_at ? this.formatDateTime(row.last_run_at) : null,
+            total_duration_formatted: this.formatDuration(row.total_duration_seconds || 0)
+        }));
+    }
+
+    /**
+     * Perfiles que tuvieron actividad después de `since`: los que todavía
+     * están en enfriamiento (ver NavigationController.assertProfilesRested).
+     * @param {Array<string>} profileIds
+     * @param {Date} since - Inicio de la ventana de enfriamiento
+     * @returns {Promise<Array<{profile_id: string, last_activity_at: string}>>}
+     */
+    async getProfilesInCooldown(profileIds, since) {
+        if (profileIds.length === 0) return [];
+
+        return this.db.allAsync(
+            `SELECT profile_id, ${PROFILE_LAST_ACTIVITY_SQL} AS last_activity_at
+             FROM profile_stats
+             WHERE profile_id IN (${profileIds.map(() => '?').join(', ')})
+               AND ${PROFILE_LAST_ACTIVITY_SQL} > ?
+             ORDER BY last_activity_at ASC`,
+            [...profileIds, since.toISOString()]
+        );
     }
 
     /**
-     * Pobla la base de datos con sitios web iniciales
+     * Anota en el historial del perfil la visita a un dominio.
+     * @param {string} profileId
+     * @param {string} domain
+     * @param {Date} [visitedAt] - Por defecto, ahora
      * @returns {Promise<void>}
      */
-    async seedInitialWebsites() {
-        log.info(`Cargando ${initialWebsites.length} sitios web iniciales...`);
-        
-        let insertedCount = 0;
-        let skippedCount = 0;
-        
-        for (const site of initialWebsites) {
-            try {
-                const result = await this.db.runAsync(
-                    'INSERT OR IGNORE INTO websites (url, domain, category) VALUES (?, ?, ?)',
-                    [site.url, site.domain, site.category]
-                );
-                
-                if (result.changes > 0) {
-                    insertedCount++;
-                } else {
-                    skippedCount++;
-                }
-            } catch (error) {
-                log.error(`Error insertando sitio ${site.url}:`, error);
-            }
+    async recordProfileSiteVisit(profileId, domain, visitedAt = new Date()) {
+        const at = visitedAt.toISOString();
+        await this.db.runAsync(
+            `INSERT INTO profile_site_history (profile_id, domain, first_visited_at, last_visited_at, visit_count)
+             VALUES (?, ?, ?, ?, 1)
+             ON CONFLICT (profile_id, domain) DO UPDATE SET
+                last_visited_at = excluded.last_visited_at,
+                visit_count = visit_count + 1`,
+            [profileId, domain, at, at]
+        );
+    }
+
+    /**
+     * Cuánto del catálogo activo visitó cada perfil según su historial,
+     * del usado más recientemente al más viejo.
+     * @param {Array<string>} [profileIds] - Solo esos perfiles (con 0 si no tienen historial); sin valor, todos
+     * @param {Date} [since] - Inicio de la ventana de repetición, para contar los dominios recientes
+     * @returns {Promise<Array<{profile_id: string, domains_visited: number, recent_domains: number,
+     *   total_domains: number, coverage: number, last_visited_at: string|null}>>}
+     *   coverage es el porcentaje de dominios activos visitados, con un decimal
+     */
+    async getProfileSiteCoverage(profileIds = null, since = null) {
+        if (profileIds?.length === 0) return [];
+
+        const params = [since ? since.toISOString() : null];
+        let clause = '';
+        if (profileIds) {
+            clause = `AND h.profile_id IN (${profileIds.map(() => '?').join(', ')})`;
+            params.push(...profileIds);
         }
-        
-        log.info(`Sitios web iniciales cargados: ${insertedCount} nuevos, ${skippedCount} ya existían`);
+
+        const [rows, catalog] = await Promise.all([
+            this.db.allAsync(
+                `SELECT h.profile_id,
+                    COUNT(*) AS domains_visited,
+                    SUM(CASE WHEN h.last_visited_at >= ? THEN 1 ELSE 0 END) AS recent_domains,
+                    MAX(h.last_visited_at) AS last_visited_at
+                 FROM profile_site_history h
+                 WHERE h.domain IN (SELECT domain FROM websites WHERE status = 'active') ${clause}
+                 GROUP BY h.profile_id
+                 ORDER BY last_visited_at DESC`,
+                params
+            ),
+            this.db.getAsync(`SELECT COUNT(DISTINCT domain) AS total FROM websites WHERE status = 'active'`)
+        ]);
+
+        const byProfile = new Map(rows.map(row => [row.profile_id, row]));
+        const ids = profileIds
+            ? [...byProfile.keys(), ...profileIds.filter(profileId => !byProfile.has(profileId))]
+            : [...byProfile.keys()];
+
+        return ids.map(profileId => {
+            const row = byProfile.get(profileId);
+            const visited = row?.domains_visited || 0;
+            return {
+                profile_id: profileId,
+                domains_visited: visited,
+                recent_domains: row?.recent_domains || 0,
+                total_domains: catalog.total,
+                coverage: catalog.total > 0 ? Math.round((visited / catalog.total) * 1000) / 10 : 0,
+                last_visited_at: row?.last_visited_at || null
+            };
+        });
     }
+    //#endregion PERFILES
 
     //#region REPORTES
     /**
@@ -486,6 +2170,13 @@ class DatabaseManager {
                 params.push(`%${filters.profileId}%`);
                 countParams.push(`%${filters.profileId}%`);
             }
+
+            // Filtro por lote
+            if (filters.batchId) {
+                whereClause += ' AND batch_id = ?';
+                params.push(filters.batchId);
+                countParams.push(filters.batchId);
+            }
             
             // Consulta principal con datos calculados
             const query = `
@@ -499,10 +2190,19 @@ class DatabaseManager {
                     sites_visited,
                     status,
                     error_log,
-                    -- Calcular duración en segundos
+                    end_reason,
+                    current_site,
+                    total_interactions,
+                    last_heartbeat_at,
+                    batch_id,
+                    category_mix,
+                    category_visits,
+                    -- Calcular duración en segundos (hasta el último latido si sigue en curso)
                     CASE 
                         WHEN completed_at IS NOT NULL 
                         THEN (julianday(completed_at) - julianday(started_at)) * 86400
+                        WHEN last_heartbeat_at IS NOT NULL
+                        THEN (julianday(last_heartbeat_at) - julianday(started_at)) * 86400
                         ELSE 0
                     END as duration_seconds,
                     -- Calcular porcentaje de éxito
@@ -529,13 +2229,23 @@ class DatabaseManager {
             ]);
             
             // Formatear datos para la UI
-            const formattedSessions = sessions.map(session => ({
-                ...session,
-                duration_formatted: this.formatDuration(session.duration_seconds),
-                started_at_formatted: this.formatDateTime(session.started_at),
-                completed_at_formatted: session.completed_at ? this.formatDateTime(session.completed_at) : null,
-                status_label: this.getStatusLabel(session.status)
-            }));
+            const formattedSessions = sessions.map(session => {
+                const categoryMix = session.category_mix ? JSON.parse(session.category_mix) : null;
+                const categoryVisits = session.category_visits ? JSON.parse(session.category_visits) : null;
+                return {
+                    ...session,
+                    category_mix: categoryMix,
+                    category_visits: categoryVisits,
+                    // Mezcla pedida contra la visitada (vacío si la sesión no registró categorías)
+                    category_report: categoryVisits ? CategoryMix.report(categoryMix, categoryVisits) : [],
+                    duration_formatted: this.formatDuration(session.duration_seconds),
+                    started_at_formatted: this.formatDateTime(session.started_at),
+                    completed_at_formatted: session.completed_at ? this.formatDateTime(session.completed_at) : null,
+                    last_heartbeat_at_formatted: session.last_heartbeat_at ? this.formatDateTime(session.last_heartbeat_at) : null,
+                    status_label: this.getStatusLabel(session.status),
+                    end_reason_label: this.getEndReasonLabel(session.end_reason)
+                };
+            });
             
             // Calcular metadatos de paginación
             const total = countResult.total;
@@ -617,6 +2327,11 @@ class DatabaseManager {
                 whereClause += ' AND profile_id LIKE ?';
                 params.push(`%${filters.profileId}%`);
             }
+
+            if (filters.batchId) {
+                whereClause += ' AND batch_id = ?';
+                params.push(filters.batchId);
+            }
             
             const summaryQuery = `
                 SELECT 
@@ -624,6 +2339,7 @@ class DatabaseManager {
                     COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_sessions,
                     COUNT(CASE WHEN status = 'stopped' THEN 1 END) as stopped_sessions,
                     COUNT(CASE WHEN status = 'error' THEN 1 END) as error_sessions,
+                    COUNT(CASE WHEN status = 'interrupted' THEN 1 END) as interrupted_sessions,
                     COUNT(CASE WHEN status = 'running' THEN 1 END) as running_sessions,
                     SUM(cookies_collected) as total_cookies,
                     SUM(sites_visited) as total_sites,
@@ -709,13 +2425,40 @@ class DatabaseManager {
     getStatusLabel(status) {
         const labels = {
             'running': 'En ejecución',
+            'stop_requested': 'Deteniendo',
             'completed': 'Completado',
             'stopped': 'Detenido',
-            'error': 'Error'
+            'interrupted': 'Interrumpido',
+            'error': 'Error',
+            'skipped': 'Omitido',
+            'missed': 'Perdido'
         };
         
         return labels[status] || status;
     }
+
+    /**
+     * Obtiene etiqueta legible para el motivo de fin de una sesión
+     * @param {string|null} endReason - Motivo guardado en end_reason
+     * @returns {string|null} Etiqueta legible o null si no hay motivo
+     */
+    getEndReasonLabel(endReason) {
+        if (!endReason) return null;
+
+        const labels = {
+            'cookie_target': 'Objetivo de cookies',
+            'min_time': 'Tiempo mínimo',
+            'cookie_target_and_time': 'Objetivo y tiempo mínimo',
+            'max_sites': 'Máximo de sitios',
+            'max_duration': 'Duración máxima',
+            'deadline': 'Fecha límite',
+            'stopped_manually': 'Detenido por el usuario',
+            'interrupted': 'App cerrada',
+            'error': 'Error'
+        };
+
+        return labels[endReason] || endReason;
+    }
     //#endregion REPORTES
 
     /**
@@ -724,12 +2467,7 @@ class DatabaseManager {
      */
     async close() {
         if (this.db) {
-            await new Promise((resolve, reject) => {
-                this.db.close((err) => {
-                    if (err) reject(err);
-                    else resolve();
-                });
-            });
+            await this.db.closeAsync();
             this.db = null;
         }
     }
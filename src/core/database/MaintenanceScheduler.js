@@ -0,0 +1,95 @@
+import { createLogger } from '../utils/Logger.js';
+
+const log = createLogger('MaintenanceScheduler');
+
+/**
+ * Mantenimiento periódico de la base (DatabaseManager.runMaintenance)
+ * mientras la app (o `schedule run`) está abierta.
+ *
+ * Cada `checkInterval` se mira el último mantenimiento registrado en
+ * maintenance_runs; si tiene más de `maintenanceInterval`, se corre otro.
+ * Como VACUUM no puede correr con otras consultas en curso, se saltea
+ * mientras haya una navegación, en este proceso o en otro que use la misma
+ * base, y se reintenta en la revisión siguiente.
+ */
+class MaintenanceScheduler {
+    /**
+     * @param {Object} options
+     * @param {Object} options.databaseManager
+     * @param {number} [options.maintenanceInterval=604800000] - Tiempo entre mantenimientos (ms)
+     * @param {number} [options.visitRetentionDays=90] - Días de visitas detalladas que se guardan; 0 no resume nada
+     * @param {Function} [options.isBusy] - () => boolean; true si hay una navegación en curso
+     * @param {number} [options.checkInterval=3600000] - Cada cuánto se revisa si toca el mantenimiento (ms)
+     * @param {Function} [options.now=Date.now] - Reloj inyectable para tests
+     */
+    constructor({ databaseManager, maintenanceInterval = 7 * 24 * 60 * 60 * 1000, visitRetentionDays = 90, isBusy = () => false, checkInterval = 60 * 60 * 1000, now = Date.now } = {}) {
+        if (!databaseManager) {
+            throw new Error('MaintenanceScheduler requiere un databaseManager');
+        }
+
+        this.databaseManager = databaseManager;
+        this.maintenanceInterval = maintenanceInterval;
+        this.visitRetentionDays = visitRetentionDays;
+        this.isBusy = isBusy;
+        this.checkInterval = Math.min(checkInterval, maintenanceInterval);
+        this.now = now;
+
+        this.timer = null;
+        this.checking = false;
+    }
+
+    /**
+     * Arranca las revisiones periódicas. La primera corre en el acto.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.check();
+        }, this.checkInterval);
+        await this.check();
+    }
+
+    /**
+     * Detiene las revisiones.
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Corre el mantenimiento si el último venció y no hay una navegación
+     * en curso. Si la revisión anterior sigue en curso, no hace nada.
+     * @returns {Promise<Object|null>} Resultado de runMaintenance, o null si no tocaba
+     */
+    async check() {
+        if (this.checking) return null;
+        this.checking = true;
+
+        try {
+            const now = new Date(this.now());
+            const last = await this.databaseManager.getLastMaintenanceRun();
+            if (last && now - new Date(last.started_at) < this.maintenanceInterval) return null;
+            if (this.isBusy() || await this.databaseManager.hasRunningNavigation(now)) {
+                log.info('Mantenimiento pospuesto: hay una navegación en curso');
+                return null;
+            }
+
+            return await this.databaseManager.runMaintenance({
+                retentionDays: this.visitRetentionDays,
+                startedBy: 'auto',
+                now
+            });
+        } catch (error) {
+            log.error('Error en el mantenimiento de la base', error);
+            return null;
+        } finally {
+            this.checking = false;
+        }
+    }
+}
+
+export default MaintenanceScheduler;
@@ -0,0 +1,108 @@
+import { SchemaMigrationError } from '../errors/AppError.js';
+import { createLogger } from '../utils/Logger.js';
+import migrations from './migrations/index.js';
+
+const log = createLogger('MigrationRunner');
+
+/**
+ * Lleva el esquema de la base a la última versión.
+ *
+ * schema_version guarda una fila por migración aplicada. Cada migración
+ * es un módulo de migrations/ con { version, name, up(db, manager) } y se
+ * aplica en orden dentro de una transacción: si falla, se deshace y la
+ * base queda en la versión anterior.
+ *
+ * Antes de cada migración se toma una copia de la base con
+ * manager.createBackup, salvo cuando la base es nueva (no tenía tablas).
+ */
+class MigrationRunner {
+    /**
+     * @param {Object} manager - DatabaseManager ya conectado (usa db y createBackup)
+     * @param {Array<{version: number, name: string, up: Function}>} [list] - Migraciones, para los tests
+     * @throws {Error} Si las versiones no son enteros crecientes
+     */
+    constructor(manager, list = migrations) {
+        list.forEach((migration, index) => {
+            if (!Number.isInteger(migration.version) || (index > 0 && migration.version <= list[index - 1].version)) {
+                throw new Error(`Migraciones desordenadas: ${migration.version} (${migration.name}) va después de ${list[index - 1]?.version}`);
+            }
+        });
+
+        this.manager = manager;
+        this.migrations = list;
+    }
+
+    /**
+     * @returns {number} Versión que deja la última migración
+     */
+    get latestVersion() {
+        return this.migrations.at(-1)?.version ?? 0;
+    }
+
+    /**
+     * @returns {Promise<number>} Versión actual de la base; 0 si nunca se migró
+     */
+    async getVersion() {
+        await this.manager.db.runAsync(`
+            CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMP NOT NULL
+            )
+        `);
+        const row = await this.manager.db.getAsync('SELECT MAX(version) AS version FROM schema_version');
+        return row?.version ?? 0;
+    }
+
+    /**
+     * Aplica las migraciones pendientes.
+     * @returns {Promise<{from: number, to: number, applied: Array<string>, backups: Array<string>}>}
+     * @throws {Error} Si la base es de una versión más nueva de la app
+     * @throws {SchemaMigrationError} Si falla una migración
+     */
+    async run() {
+        const db = this.manager.db;
+        const from = await this.getVersion();
+        if (from > this.latestVersion) {
+            throw new Error(`La base tiene la versión ${from} del esquema y esta versión de la app llega hasta la ${this.latestVersion}; actualizar la app`);
+        }
+
+        const pending = this.migrations.filter(migration => migration.version > from);
+        const result = { from, to: from, applied: [], backups: [] };
+        if (pending.length === 0) return result;
+
+        // Una base nueva no tiene nada que copiar; las anteriores a
+        // schema_version ya tienen tablas aunque su versión sea 0
+        const { tables } = await db.getAsync(
+            `SELECT COUNT(*) AS tables FROM sqlite_master
+             WHERE type = 'table' AND name NOT IN ('schema_version', 'sqlite_sequence')`
+        );
+        const hasData = tables > 0;
+
+        for (const migration of pending) {
+            const backupPath = hasData ? await this.manager.createBackup(`v${result.to}`) : null;
+            if (backupPath) result.backups.push(backupPath);
+
+            await db.runAsync('BEGIN');
+            try {
+                await migration.up(db, this.manager);
+                await db.runAsync(
+                    'INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, new Date().toISOString()]
+                );
+                await db.runAsync('COMMIT');
+            } catch (error) {
+                await db.runAsync('ROLLBACK').catch(() => {});
+                throw new SchemaMigrationError(migration, { backupPath, cause: error });
+            }
+
+            log.info(`Migración ${migration.version} aplicada: ${migration.name}`);
+            result.to = migration.version;
+            result.applied.push(migration.name);
+        }
+
+        return result;
+    }
+}
+
+export default MigrationRunner;
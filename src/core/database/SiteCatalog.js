@@ -0,0 +1,327 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseCsv, formatCsv } from '../utils/csv.js';
+
+/**
+ * Alias aceptados para cada columna de la lista de sitios. El resto de
+ * las columnas (dominio, estadísticas de una exportación) se ignora, así
+ * un archivo exportado se puede volver a importar tal cual.
+ */
+const COLUMN_ALIASES = {
+    url: ['url', 'site', 'website'],
+    category: ['category'],
+    status: ['status']
+};
+
+/**
+ * Catálogo de sitios a importar a la tabla websites.
+ *
+ * Cada fila se valida por separado: las URLs inválidas, las categorías o
+ * estados desconocidos y las URLs repetidas dentro del archivo quedan
+ * fuera con su motivo, sin frenar al resto. Las URLs se normalizan (con
+ * https:// si no traen esquema, sin fragmento) para que coincidan con la
+ * restricción UNIQUE(url) de la base, y el dominio sale siempre de la URL.
+ *
+ * Se carga desde CSV o JSON (CLI `sites import`, IPC
+ * `database:import-sites`); import() lo compara con lo que ya hay en la
+ * base y, salvo en una prueba (dry-run), agrega lo nuevo.
+ */
+class SiteCatalog {
+    static CATEGORIES = ['news', 'ecommerce', 'tech', 'blog', 'social', 'reference', 'entertainment', 'finance', 'sports', 'general'];
+    static STATUSES = ['active', 'inactive', 'quarantined'];
+
+    // Columnas de la exportación, en orden; coinciden con DatabaseManager.getWebsitesForExport
+    static EXPORT_COLUMNS = ['url', 'domain', 'category', 'status', 'visit_count', 'avg_cookies_collected', 'failed_visits', 'last_visited', 'created_at'];
+
+    /**
+     * @param {Object} parts
+     * @param {Array<{row: number, url: string, domain: string, category: string, status: string}>} parts.sites - Sitios válidos
+     * @param {Array<{row: number, value: string, reason: string}>} [parts.invalid] - Filas descartadas
+     * @param {Array<{row: number, url: string, firstRow: number}>} [parts.duplicates] - URLs repetidas en el archivo
+     */
+    constructor({ sites = [], invalid = [], duplicates = [] } = {}) {
+        this.sites = sites;
+        this.invalid = invalid;
+        this.duplicates = duplicates;
+    }
+
+    /**
+     * Valida filas planas. La categoría de una fila gana sobre la del
+     * lote; sin ninguna de las dos, el sitio queda como "general".
+     * @param {Array<Object|string>} rows - Filas del CSV, objetos o URLs sueltas del JSON
+     * @param {Object} [options]
+     * @param {string} [options.category] - Categoría para las filas que no traen una
+     * @param {number} [options.firstRow=1] - Número de la primera fila, para los mensajes
+     * @returns {SiteCatalog}
+     * @throws {Error} Si rows no es una lista o la categoría por defecto es desconocida
+     */
+    static fromRows(rows, { category = null, firstRow = 1 } = {}) {
+        if (!Array.isArray(rows)) {
+            throw new Error('La lista de sitios debe ser una lista de URLs u objetos');
+        }
+
+        const defaultCategory = category ? SiteCatalog.parseCategory(category) : 'general';
+        const sites = [];
+        const invalid = [];
+        const duplicates = [];
+        const seen = new Map();
+
+        rows.forEach((raw, index) => {
+            const row = firstRow + index;
+            const value = key => {
+                if (typeof raw === 'string') return key === 'url' ? raw : null;
+                const alias = COLUMN_ALIASES[key].find(name => raw?.[name] !== undefined && raw[name] !== null && raw[name] !== '');
+                return alias ? String(raw[alias]) : null;
+            };
+
+            const rawUrl = value('url');
+            try {
+                const site = SiteCatalog.normalizeSite({
+                    url: rawUrl,
+                    category: value('category') ?? defaultCategory,
+                    status: value('status')
+                });
+
+                if (seen.has(site.url)) {
+                    duplicates.push({ row, url: site.url, firstRow: seen.get(site.url) });
+                    return;
+                }
+                seen.set(site.url, row);
+                sites.push({ row, ...site });
+            } catch (error) {
+                invalid.push({ row, value: rawUrl ?? '', reason: error.message });
+            }
+        });
+
+        return new SiteCatalog({ sites, invalid, duplicates });
+    }
+
+    /**
+     * Valida un sitio suelto, como lo guarda la tabla websites. También lo
+     * usa el editor del catálogo (IPC `database:save-site`).
+     * @param {Object} raw
+     * @param {string} raw.url
+     * @param {string} [raw.category='general']
+     * @param {string} [raw.status='active']
+     * @returns {{url: string, domain: string, category: string, status: string}}
+     * @throws {Error} Si la URL, la categoría o el estado son inválidos
+     */
+    static normalizeSite({ url, category, status } = {}) {
+        const normalizedUrl = SiteCatalog.normalizeUrl(url);
+        return {
+            url: normalizedUrl,
+            domain: SiteCatalog.extractDomain(normalizedUrl),
+            category: category ? SiteCatalog.parseCategory(category) : 'general',
+            status: status ? SiteCatalog.parseStatus(status) : 'active'
+        };
+    }
+
+    /**
+     * La fila 1 es el encabezado, así los números coinciden con los de la planilla.
+     * @param {string} text - Contenido CSV con encabezados
+     * @param {Object} [options] - Ver fromRows
+     * @returns {SiteCatalog}
+     */
+    static fromCsv(text, options = {}) {
+        return SiteCatalog.fromRows(parseCsv(text), { ...options, firstRow: 2 });
+    }
+
+    /**
+     * Acepta una lista de URLs u objetos, o un objeto `{ sites: [...] }`
+     * como el que genera la exportación.
+     * @param {string} text - Contenido JSON
+     * @param {Object} [options] - Ver fromRows
+     * @returns {SiteCatalog}
+     */
+    static fromJson(text, options = {}) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`JSON inválido en la lista de sitios: ${error.message}`);
+        }
+        return SiteCatalog.fromRows(Array.isArray(data) ? data : data?.sites, options);
+    }
+
+    /**
+     * Lee una lista de sitios desde disco según su extensión (.csv o .json).
+     * @param {string} filePath
+     * @param {Object} [options] - Ver fromRows
+     * @returns {Promise<SiteCatalog>}
+     */
+    static async fromFile(filePath, options = {}) {
+        const format = SiteCatalog.formatOf(filePath);
+        const text = await fs.readFile(filePath, 'utf8');
+        return format === 'csv' ? SiteCatalog.fromCsv(text, options) : SiteCatalog.fromJson(text, options);
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {'csv'|'json'}
+     * @throws {Error} Si la extensión no es .csv ni .json
+     */
+    static formatOf(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        if (extension !== '.csv' && extension !== '.json') {
+            throw new Error(`Formato de lista de sitios no soportado: ${extension || filePath} (usar .csv o .json)`);
+        }
+        return extension.slice(1);
+    }
+
+    /**
+     * Normaliza una URL a la forma guardada en websites.url.
+     * @param {string|null} value - Ej: "bbc.com/news#top"
+     * @returns {string} Ej: "https://bbc.com/news"
+     * @throws {Error} Si falta la URL, no es http(s) o el host no es un dominio
+     */
+    static normalizeUrl(value) {
+        const text = String(value ?? '').trim();
+        if (!text) {
+            throw new Error('Falta la URL');
+        }
+
+        let url;
+        try {
+            url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+        } catch {
+            throw new Error('URL inválida');
+        }
+
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error(`Protocolo no soportado: ${url.protocol.replace(':', '')}`);
+        }
+        if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(url.hostname)) {
+            throw new Error(`Dominio inválido: ${url.hostname}`);
+        }
+
+        url.hash = '';
+        return url.href;
+    }
+
+    /**
+     * Dominio de una URL ya normalizada, sin el "www." inicial.
+     * @param {string} url - Ej: "https://www.bbc.com/news"
+     * @returns {string} Ej: "bbc.com"
+     */
+    static extractDomain(url) {
+        return new URL(url).hostname.replace(/^www\./, '');
+    }
+
+    /**
+     * @param {string} value
+     * @returns {string}
+     * @throws {Error} Si la categoría no es una de CATEGORIES
+     */
+    static parseCategory(value) {
+        const category = String(value).trim().toLowerCase();
+        if (!SiteCatalog.CATEGORIES.includes(category)) {
+            throw new Error(`Categoría desconocida: "${value}" (usar ${SiteCatalog.CATEGORIES.join(', ')})`);
+        }
+        return category;
+    }
+
+    /**
+     * @param {string} value
+     * @returns {string}
+     * @throws {Error} Si el estado no es active ni inactive
+     */
+    static parseStatus(value) {
+        const status = String(value).trim().toLowerCase();
+        if (!SiteCatalog.STATUSES.includes(status)) {
+            throw new Error(`Estado desconocido: "${value}" (usar ${SiteCatalog.STATUSES.join(', ')})`);
+        }
+        return status;
+    }
+
+    /**
+     * Compara el catálogo con los sitios que ya están en la base.
+     * @param {Array<{url: string, category: string, status: string}>} existing - Filas de websites con las mismas URLs
+     * @returns {{
+     *   added: Array<Object>,
+     *   changed: Array<Object>,
+     *   unchanged: Array<Object>,
+     *   duplicates: Array<Object>,
+     *   invalid: Array<Object>
+     * }} `changed` son los que ya existen con otra categoría o estado; cada uno lleva `previous`
+     */
+    diff(existing) {
+        const byUrl = new Map(existing.map(site => [site.url, site]));
+        const added = [];
+        const changed = [];
+        const unchanged = [];
+
+        for (const site of this.sites) {
+            const current = byUrl.get(site.url);
+            if (!current) {
+                added.push(site);
+            } else if (current.category !== site.category || current.status !== site.status) {
+                changed.push({ ...site, previous: { category: current.category, status: current.status } });
+            } else {
+                unchanged.push(site);
+            }
+        }
+
+        return { added, changed, unchanged, duplicates: this.duplicates, invalid: this.invalid };
+    }
+
+    /**
+     * Compara el catálogo con la base y, salvo en `dryRun`, lo importa.
+     * @param {Object} databaseManager
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Solo calcula la diferencia
+     * @param {boolean} [options.update=false] - Aplica la categoría y el estado del archivo a los existentes
+     * @returns {Promise<{diff: Object, inserted: number, updated: number}>}
+     */
+    async import(databaseManager, { dryRun = false, update = false } = {}) {
+        const existing = await databaseManager.getWebsitesByUrls(this.sites.map(site => site.url));
+        const diff = this.diff(existing);
+
+        if (dryRun) {
+            return { diff, inserted: 0, updated: 0 };
+        }
+
+        const { inserted, updated } = await databaseManager.importWebsites(diff, { update });
+        return { diff, inserted, updated };
+    }
+
+    /**
+     * Serializa sitios exportados en CSV o JSON.
+     * @param {Array<Object>} sites - Filas de DatabaseManager.getWebsitesForExport
+     * @param {'csv'|'json'} format
+     * @param {Date} [now] - Fecha de la exportación (solo JSON)
+     * @returns {string}
+     */
+    static serialize(sites, format, now = new Date()) {
+        if (format === 'csv') {
+            return formatCsv(sites, SiteCatalog.EXPORT_COLUMNS);
+        }
+        const rows = sites.map(site => Object.fromEntries(SiteCatalog.EXPORT_COLUMNS.map(column => [column, site[column] ?? null])));
+        return JSON.stringify({ exportedAt: now.toISOString(), total: rows.length, sites: rows }, null, 2) + '\n';
+    }
+
+    /**
+     * Escribe una exportación en disco según la extensión (.csv o .json).
+     * @param {string} filePath
+     * @param {Array<Object>} sites - Filas de DatabaseManager.getWebsitesForExport
+     * @returns {Promise<void>}
+     */
+    static async writeFile(filePath, sites) {
+        const format = SiteCatalog.formatOf(filePath);
+        await fs.writeFile(filePath, SiteCatalog.serialize(sites, format), 'utf8');
+    }
+
+    /**
+     * Exporta el catálogo completo de la base a un archivo .csv o .json.
+     * @param {Object} databaseManager
+     * @param {string} filePath
+     * @returns {Promise<number>} Cantidad de sitios exportados
+     */
+    static async export(databaseManager, filePath) {
+        SiteCatalog.formatOf(filePath);
+        const sites = await databaseManager.getWebsitesForExport();
+        await SiteCatalog.writeFile(filePath, sites);
+        return sites.length;
+    }
+}
+
+export default SiteCatalog;
@@ -0,0 +1,115 @@
+/**
+ * Puntaje de salud de un sitio según sus últimas visitas.
+ *
+ * Cada visita con problemas resta según su tipo: un timeout de
+ * navegación cuenta entero, otro error de navegación un poco menos y una
+ * visita exitosa que no sumó cookies menos todavía. El puntaje va de 0 a
+ * 100 (100 = ninguna visita con problemas).
+ *
+ * Los sitios activos que bajan del umbral pasan a 'quarantined' y
+ * getRandomWebsites deja de elegirlos hasta quarantine_retry_at; cada
+ * reintento fallido duplica la espera. Un reintento sano los devuelve a
+ * 'active'.
+ */
+class SiteHealth {
+    // Mismos valores que navigation.siteHealth en DEFAULT_APP_CONFIG
+    static DEFAULTS = {
+        window: 20,
+        minVisits: 5,
+        quarantineBelow: 40,
+        retryAfterHours: 72,
+        maxRetryAfterHours: 30 * 24
+    };
+
+    // Cuánto resta cada tipo de problema (1 = una visita perdida entera)
+    static PENALTIES = {
+        timeout: 1,
+        error: 0.8,
+        zeroCookies: 0.4
+    };
+
+    // Código de NavigationTimeoutError
+    static TIMEOUT_CODE = 'NAVIGATION_TIMEOUT';
+
+    /**
+     * @param {{success: boolean|number, error_code?: string, cookies_before?: number, cookies_after?: number}} visit - Fila de site_visits
+     * @returns {'timeout'|'error'|'zeroCookies'|null} null si la visita fue sana
+     */
+    static classify(visit) {
+        if (!visit.success) {
+            return visit.error_code === SiteHealth.TIMEOUT_CODE ? 'timeout' : 'error';
+        }
+        if ((visit.cookies_after ?? 0) - (visit.cookies_before ?? 0) <= 0) {
+            return 'zeroCookies';
+        }
+        return null;
+    }
+
+    /**
+     * @param {Array<Object>} visits - Filas de site_visits, de la más nueva a la más vieja
+     * @returns {{score: number|null, visits: number, failures: number, timeouts: number, errors: number,
+     *   zeroCookies: number, lastError: string|null}} score null si no hay visitas
+     */
+    static score(visits) {
+        const counts = { timeout: 0, error: 0, zeroCookies: 0 };
+        let penalty = 0;
+        let lastError = null;
+
+        for (const visit of visits) {
+            const problem = SiteHealth.classify(visit);
+            if (!problem) continue;
+
+            counts[problem]++;
+            penalty += SiteHealth.PENALTIES[problem];
+            if (lastError === null && visit.error_message) {
+                lastError = visit.error_message;
+            }
+        }
+
+        return {
+            score: visits.length > 0 ? Math.round(100 * (1 - penalty / visits.length)) : null,
+            visits: visits.length,
+            failures: counts.timeout + counts.error,
+            timeouts: counts.timeout,
+            errors: counts.error,
+            zeroCookies: counts.zeroCookies,
+            lastError
+        };
+    }
+
+    /**
+     * @param {Object} health - Resultado de score()
+     * @param {Object} [options] - Ver DEFAULTS
+     * @returns {boolean} true si hay visitas suficientes y el puntaje quedó bajo el umbral
+     */
+    static shouldQuarantine(health, options = {}) {
+        const { minVisits, quarantineBelow } = { ...SiteHealth.DEFAULTS, ...options };
+        return health.score !== null && health.visits >= minVisits && health.score < quarantineBelow;
+    }
+
+    /**
+     * Próximo reintento de un sitio en cuarentena: retryAfterHours la
+     * primera vez y el doble en cada reintento fallido, hasta maxRetryAfterHours.
+     * @param {number} attempt - 1 al entrar en cuarentena, 2 después del primer reintento fallido...
+     * @param {Date} [now]
+     * @param {Object} [options] - Ver DEFAULTS
+     * @returns {Date}
+     */
+    static retryAt(attempt, now = new Date(), options = {}) {
+        const { retryAfterHours, maxRetryAfterHours } = { ...SiteHealth.DEFAULTS, ...options };
+        const hours = Math.min(retryAfterHours * 2 ** Math.max(attempt - 1, 0), maxRetryAfterHours);
+        return new Date(now.getTime() + hours * 60 * 60 * 1000);
+    }
+
+    /**
+     * @param {Object} health - Resultado de score()
+     * @returns {string} Ej: "puntaje 12, 5 de 6 visitas con problemas (timeouts: 3, errores: 1, sin cookies: 1)"
+     */
+    static describe(health) {
+        const problems = health.failures + health.zeroCookies;
+        return `puntaje ${health.score}, ${problems} de ${health.visits} visitas con problemas `
+            + `(timeouts: ${health.timeouts}, errores: ${health.errors}, sin cookies: ${health.zeroCookies})`;
+    }
+}
+
+export default SiteHealth;
@@ -0,0 +1,106 @@
+import SiteCatalog from './SiteCatalog.js';
+
+/**
+ * Validación y armado de las listas de sitios con nombre (tablas
+ * site_lists y site_list_members).
+ *
+ * Un lote o un perfil se limita a una o más listas por nombre (CLI
+ * `start-navigation --site-list`, columna `siteLists` del plan, selector
+ * del formulario de inicio); DatabaseManager.getRandomWebsites elige solo
+ * entre los sitios activos que pertenecen a alguna de ellas. Los nombres
+ * no distinguen mayúsculas y no pueden tener los separadores `, ; |`.
+ */
+class SiteLists {
+    static NAME_MAX_LENGTH = 50;
+
+    /**
+     * @param {Object} list
+     * @param {string} list.name
+     * @param {string} [list.description]
+     * @returns {{name: string, description: string|null}}
+     * @throws {Error} Si el nombre falta, es muy largo o tiene separadores
+     */
+    static normalize({ name, description } = {}) {
+        const trimmed = String(name ?? '').trim().replace(/\s+/g, ' ');
+        if (!trimmed) {
+            throw new Error('Falta el nombre de la lista');
+        }
+        if (trimmed.length > SiteLists.NAME_MAX_LENGTH) {
+            throw new Error(`El nombre de la lista no puede superar ${SiteLists.NAME_MAX_LENGTH} caracteres`);
+        }
+        if (/[,;|]/.test(trimmed)) {
+            throw new Error(`El nombre de la lista no puede tener "," ";" ni "|": ${trimmed}`);
+        }
+
+        return {
+            name: trimmed,
+            description: String(description ?? '').trim() || null
+        };
+    }
+
+    /**
+     * Nombres de listas separados por `,`, `;` o `|`, sin repetidos.
+     * @param {string|Array<string>|null} value
+     * @returns {Array<string>|null}
+     */
+    static parseNames(value) {
+        if (value === null || value === undefined) return null;
+
+        const list = Array.isArray(value) ? value : String(value).split(/[,;|]/);
+        const names = new Map();
+        for (const name of list.map(item => String(item).trim()).filter(Boolean)) {
+            if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+        }
+        return names.size > 0 ? [...names.values()] : null;
+    }
+
+    /**
+     * Nombres que no corresponden a ninguna lista guardada.
+     * @param {Object} databaseManager
+     * @param {Array<string>} names
+     * @returns {Promise<Array<string>>}
+     */
+    static async findMissing(databaseManager, names) {
+        const existing = await databaseManager.getSiteListsByNames(names);
+        const found = new Set(existing.map(list => list.name.toLowerCase()));
+        return names.filter(name => !found.has(name.toLowerCase()));
+    }
+
+    /**
+     * Busca en el catálogo los sitios a sumar o quitar de una lista. Cada
+     * dominio o URL trae todas las URLs de ese dominio.
+     * @param {Object} databaseManager
+     * @param {Object} selection
+     * @param {Array<string>} [selection.sites] - Dominios o URLs
+     * @param {string} [selection.category] - Todos los sitios de esta categoría
+     * @returns {Promise<{websites: Array<Object>, notFound: Array<string>}>}
+     * @throws {Error} Si la categoría es desconocida
+     */
+    static async resolveSites(databaseManager, { sites = [], category = null } = {}) {
+        const domains = new Map();
+        const notFound = [];
+        for (const value of sites) {
+            try {
+                domains.set(value, SiteCatalog.extractDomain(SiteCatalog.normalizeUrl(value)));
+            } catch {
+                notFound.push(value);
+            }
+        }
+
+        const byId = new Map();
+        const matched = await databaseManager.getWebsitesByDomains([...new Set(domains.values())]);
+        matched.forEach(site => byId.set(site.id, site));
+        for (const [value, domain] of domains) {
+            if (!matched.some(site => site.domain === domain)) notFound.push(value);
+        }
+
+        if (category) {
+            const inCategory = await databaseManager.getWebsitesByCategory(SiteCatalog.parseCategory(category));
+            inCategory.forEach(site => byId.set(site.id, site));
+        }
+
+        return { websites: [...byId.values()], notFound };
+    }
+}
+
+export default SiteLists;
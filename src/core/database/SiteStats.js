@@ -0,0 +1,105 @@
+/**
+ * Estadísticas de un sitio sobre sus últimas visitas (ventana móvil):
+ * tasa de éxito, duración media y p95, cookies por minuto, tasa de
+ * aceptación del aviso de cookies y último error.
+ *
+ * DatabaseManager.refreshWebsiteStats las recalcula después de cada
+ * visita y las guarda en las columnas de websites que nombra COLUMNS, así
+ * la selección de sitios y los reportes las leen sin recorrer site_visits.
+ * Las visitas anteriores a que se midiera la duración o el aviso no
+ * cuentan para esas métricas.
+ */
+class SiteStats {
+    // Visitas más recientes que entran en el cálculo
+    static WINDOW = 100;
+
+    // Columnas de websites que guarda compute(), en orden
+    static COLUMNS = [
+        'stats_visits', 'success_rate', 'avg_duration_seconds', 'p95_duration_seconds',
+        'cookies_per_minute', 'banner_accept_rate', 'last_error', 'last_error_at'
+    ];
+
+    // Métricas que se pueden usar para ordenar (CLI `sites stats --sort`), con su columna en websites
+    static SORTS = {
+        'cookies-per-minute': 'cookies_per_minute',
+        'success-rate': 'success_rate',
+        'banner-rate': 'banner_accept_rate',
+        'duration': 'avg_duration_seconds',
+        'p95-duration': 'p95_duration_seconds',
+        'visits': 'stats_visits'
+    };
+
+    /**
+     * @param {Array<Object>} visits - Filas de site_visits (success, duration_seconds, banner_accepted,
+     *   cookies_before, cookies_after, error_message, visited_at), de la más nueva a la más vieja
+     * @returns {{stats_visits: number, success_rate: number|null, avg_duration_seconds: number|null,
+     *   p95_duration_seconds: number|null, cookies_per_minute: number|null, banner_accept_rate: number|null,
+     *   last_error: string|null, last_error_at: string|null}} Porcentajes y promedios con un decimal
+     */
+    static compute(visits) {
+        const timed = visits.filter(visit => visit.duration_seconds !== null && visit.duration_seconds !== undefined);
+        const durations = timed.map(visit => visit.duration_seconds).sort((a, b) => a - b);
+        const totalSeconds = durations.reduce((sum, seconds) => sum + seconds, 0);
+        const timedCookies = timed.reduce((sum, visit) => sum + SiteStats.cookiesGained(visit), 0);
+
+        const withBanner = visits.filter(visit => visit.banner_accepted !== null && visit.banner_accepted !== undefined);
+        const lastFailure = visits.find(visit => !visit.success);
+
+        return {
+            stats_visits: visits.length,
+            success_rate: SiteStats.percent(visits.filter(visit => visit.success).length, visits.length),
+            avg_duration_seconds: durations.length > 0 ? SiteStats.round(totalSeconds / durations.length) : null,
+            p95_duration_seconds: SiteStats.percentile(durations, 95),
+            cookies_per_minute: totalSeconds > 0 ? SiteStats.round(timedCookies / (totalSeconds / 60)) : null,
+            banner_accept_rate: SiteStats.percent(withBanner.filter(visit => visit.banner_accepted).length, withBanner.length),
+            last_error: lastFailure?.error_message || null,
+            last_error_at: lastFailure?.visited_at || null
+        };
+    }
+
+    /**
+     * @param {string} sort - Clave de SORTS
+     * @returns {string} Columna de websites
+     * @throws {Error} Si la métrica no existe
+     */
+    static parseSort(sort) {
+        const column = SiteStats.SORTS[String(sort).trim().toLowerCase()];
+        if (!column) {
+            throw new Error(`Métrica desconocida: "${sort}" (usar ${Object.keys(SiteStats.SORTS).join(', ')})`);
+        }
+        return column;
+    }
+
+    /**
+     * Cookies que sumó una visita; las bajas (cookies borradas) cuentan como 0.
+     * @param {Object} visit
+     * @returns {number}
+     */
+    static cookiesGained(visit) {
+        return Math.max((visit.cookies_after ?? 0) - (visit.cookies_before ?? 0), 0);
+    }
+
+    /**
+     * Percentil por rango más cercano.
+     * @param {Array<number>} sorted - Valores ordenados de menor a mayor
+     * @param {number} p - Percentil (0-100)
+     * @returns {number|null}
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return null;
+        const rank = Math.ceil((p / 100) * sorted.length);
+        return SiteStats.round(sorted[Math.min(Math.max(rank, 1), sorted.length) - 1]);
+    }
+
+    // Porcentaje con un decimal; null sin total
+    static percent(part, total) {
+        return total > 0 ? SiteStats.round((part / total) * 100) : null;
+    }
+
+    // Un decimal
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+export default SiteStats;
@@ -0,0 +1,46 @@
+import sqlite3 from 'sqlite3';
+
+/**
+ * Abre una base SQLite y le agrega versiones con promesas de run, get,
+ * all y close (runAsync, getAsync, allAsync y closeAsync).
+ *
+ * runAsync resuelve con { lastID, changes } de la sentencia.
+ *
+ * @param {string} dbPath - Archivo de la base, o ':memory:'
+ * @param {Object} [options]
+ * @param {boolean} [options.readonly=false] - Abre sin permiso de escritura (falla si el archivo no existe)
+ * @returns {Promise<sqlite3.Database>}
+ */
+export function openConnection(dbPath, { readonly = false } = {}) {
+    const mode = readonly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, mode, (err) => {
+            if (err) {
+                reject(new Error(`Error conectando a la base de datos: ${err.message}`));
+                return;
+            }
+
+            db.runAsync = (sql, params = []) => new Promise((done, fail) => {
+                db.run(sql, params, function(runErr) {
+                    if (runErr) fail(runErr);
+                    else done({ lastID: this.lastID, changes: this.changes });
+                });
+            });
+
+            db.getAsync = (sql, params = []) => new Promise((done, fail) => {
+                db.get(sql, params, (getErr, row) => getErr ? fail(getErr) : done(row));
+            });
+
+            db.allAsync = (sql, params = []) => new Promise((done, fail) => {
+                db.all(sql, params, (allErr, rows) => allErr ? fail(allErr) : done(rows));
+            });
+
+            db.closeAsync = () => new Promise((done, fail) => {
+                db.close((closeErr) => closeErr ? fail(closeErr) : done());
+            });
+
+            resolve(db);
+        });
+    });
+}
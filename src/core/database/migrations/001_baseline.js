@@ -0,0 +1,281 @@
+import { addColumnIfMissing, tableExists } from './helpers.js';
+
+/**
+ * Esquema de la base al empezar a versionarlo.
+ *
+ * Las bases anteriores a schema_version se crearon con distintas
+ * versiones de la app: las tablas que falten se crean, las columnas
+ * agregadas con el tiempo se suman si no están y las tablas derivadas
+ * (profile_stats, profile_site_history y las estadísticas de websites)
+ * se arman desde el historial. En una base nueva solo crea las tablas.
+ *
+ * Los cambios de esquema posteriores van en migraciones nuevas.
+ */
+export default {
+    version: 1,
+    name: 'baseline',
+
+    async up(db, manager) {
+        const createWebsitesTable = `
+            CREATE TABLE IF NOT EXISTS websites (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                url TEXT NOT NULL UNIQUE,
+                domain TEXT NOT NULL,
+                last_visited TIMESTAMP,
+                visit_count INTEGER DEFAULT 0,
+                avg_cookies_collected INTEGER DEFAULT 0,
+                status TEXT DEFAULT 'active',
+                category TEXT DEFAULT 'general',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                health_score INTEGER,
+                health_reset_at TIMESTAMP,
+                quarantined_at TIMESTAMP,
+                quarantine_retry_at TIMESTAMP,
+                quarantine_count INTEGER DEFAULT 0,
+                quarantine_reason TEXT,
+                stats_visits INTEGER DEFAULT 0,
+                success_rate REAL,
+                avg_duration_seconds REAL,
+                p95_duration_seconds REAL,
+                cookies_per_minute REAL,
+                banner_accept_rate REAL,
+                last_error TEXT,
+                last_error_at TIMESTAMP,
+                stats_updated_at TIMESTAMP
+            )
+        `;
+
+        const createNavigationSessionsTable = `
+            CREATE TABLE IF NOT EXISTS navigation_sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                profile_id TEXT NOT NULL,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMP,
+                target_cookies INTEGER,
+                cookies_collected INTEGER DEFAULT 0,
+                sites_visited INTEGER DEFAULT 0,
+                status TEXT DEFAULT 'running',
+                error_log TEXT,
+                end_reason TEXT,
+                current_site TEXT,
+                total_interactions INTEGER DEFAULT 0,
+                last_heartbeat_at TIMESTAMP,
+                batch_id TEXT,
+                category_mix TEXT,
+                category_visits TEXT
+            )
+        `;
+
+        // Lotes: cada llamada a startMultipleNavigationSessions con sus perfiles,
+        // objetivos pedidos y totales finales
+        const createNavigationBatchesTable = `
+            CREATE TABLE IF NOT EXISTS navigation_batches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                batch_id TEXT NOT NULL UNIQUE,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMP,
+                status TEXT DEFAULT 'running',
+                started_by TEXT,
+                rerun_of TEXT,
+                profile_ids TEXT NOT NULL,
+                default_target INTEGER,
+                targets TEXT,
+                policy TEXT,
+                overrides TEXT,
+                category_mix TEXT,
+                total_profiles INTEGER DEFAULT 0,
+                completed_sessions INTEGER DEFAULT 0,
+                stopped_sessions INTEGER DEFAULT 0,
+                failed_sessions INTEGER DEFAULT 0,
+                interrupted_sessions INTEGER DEFAULT 0,
+                target_cookies INTEGER DEFAULT 0,
+                cookies_collected INTEGER DEFAULT 0,
+                sites_visited INTEGER DEFAULT 0,
+                error_message TEXT
+            )
+        `;
+
+        const createSiteVisitsTable = `
+            CREATE TABLE IF NOT EXISTS site_visits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                website_id INTEGER NOT NULL,
+                visited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                pages_viewed INTEGER DEFAULT 1,
+                duration_seconds INTEGER,
+                cookies_before INTEGER,
+                cookies_after INTEGER,
+                success BOOLEAN DEFAULT true,
+                error_message TEXT,
+                error_code TEXT,
+                banner_accepted BOOLEAN,
+                FOREIGN KEY (website_id) REFERENCES websites(id)
+            )
+        `;
+
+        // Intervenciones del watchdog sobre sesiones colgadas
+        const createSessionInterventionsTable = `
+            CREATE TABLE IF NOT EXISTS session_interventions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                profile_id TEXT NOT NULL,
+                step TEXT NOT NULL,
+                attempt INTEGER DEFAULT 1,
+                idle_seconds INTEGER,
+                success BOOLEAN DEFAULT true,
+                error_message TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Programaciones de navegaciones recurrentes y el registro de cada disparo
+        const createSchedulesTable = `
+            CREATE TABLE IF NOT EXISTS schedules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                cron TEXT NOT NULL,
+                window_start TEXT,
+                window_end TEXT,
+                profile_ids TEXT NOT NULL,
+                target_cookies INTEGER NOT NULL,
+                policy TEXT,
+                plan TEXT,
+                enabled BOOLEAN DEFAULT 1,
+                next_run_at TIMESTAMP,
+                last_run_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        const createScheduleRunsTable = `
+            CREATE TABLE IF NOT EXISTS schedule_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                schedule_id INTEGER NOT NULL,
+                scheduled_for TIMESTAMP NOT NULL,
+                started_at TIMESTAMP,
+                finished_at TIMESTAMP,
+                status TEXT NOT NULL,
+                batch_id TEXT,
+                message TEXT,
+                FOREIGN KEY (schedule_id) REFERENCES schedules(id)
+            )
+        `;
+
+        // Última ejecución y totales históricos de cada perfil, para el
+        // enfriamiento entre corridas y el planificador de rotación
+        const createProfileStatsTable = `
+            CREATE TABLE IF NOT EXISTS profile_stats (
+                profile_id TEXT PRIMARY KEY,
+                last_run_at TIMESTAMP,
+                last_finished_at TIMESTAMP,
+                last_session_id TEXT,
+                total_sessions INTEGER DEFAULT 0,
+                total_cookies INTEGER DEFAULT 0,
+                total_sites INTEGER DEFAULT 0,
+                total_duration_seconds INTEGER DEFAULT 0,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Listas de sitios con nombre a las que se puede limitar un lote o un perfil
+        const createSiteListsTable = `
+            CREATE TABLE IF NOT EXISTS site_lists (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                description TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        const createSiteListMembersTable = `
+            CREATE TABLE IF NOT EXISTS site_list_members (
+                list_id INTEGER NOT NULL,
+                website_id INTEGER NOT NULL,
+                added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (list_id, website_id),
+                FOREIGN KEY (list_id) REFERENCES site_lists(id),
+                FOREIGN KEY (website_id) REFERENCES websites(id)
+            )
+        `;
+
+        // Dominios que visitó cada perfil, para no repetirlos dentro de
+        // navigation.siteRevisitWindowHours
+        const createProfileSiteHistoryTable = `
+            CREATE TABLE IF NOT EXISTS profile_site_history (
+                profile_id TEXT NOT NULL,
+                domain TEXT NOT NULL,
+                first_visited_at TIMESTAMP,
+                last_visited_at TIMESTAMP,
+                visit_count INTEGER DEFAULT 0,
+                PRIMARY KEY (profile_id, domain)
+            )
+        `;
+
+        const hadProfileStats = await tableExists(db, 'profile_stats');
+        const hadSiteHistory = await tableExists(db, 'profile_site_history');
+
+        await db.runAsync(createWebsitesTable);
+        await db.runAsync(createNavigationSessionsTable);
+        await db.runAsync(createSiteVisitsTable);
+        await db.runAsync(createSessionInterventionsTable);
+        await db.runAsync(createNavigationBatchesTable);
+        await db.runAsync(createSchedulesTable);
+        await db.runAsync(createScheduleRunsTable);
+        await db.runAsync(createProfileStatsTable);
+        await db.runAsync(createSiteListsTable);
+        await db.runAsync(createSiteListMembersTable);
+        await db.runAsync(createProfileSiteHistoryTable);
+
+        // Columnas agregadas después de la creación original de las tablas
+        await addColumnIfMissing(db, 'navigation_sessions', 'end_reason', 'TEXT');
+        await addColumnIfMissing(db, 'navigation_sessions', 'current_site', 'TEXT');
+        await addColumnIfMissing(db, 'navigation_sessions', 'total_interactions', 'INTEGER DEFAULT 0');
+        await addColumnIfMissing(db, 'navigation_sessions', 'last_heartbeat_at', 'TIMESTAMP');
+        await addColumnIfMissing(db, 'navigation_sessions', 'batch_id', 'TEXT');
+        await addColumnIfMissing(db, 'navigation_batches', 'rerun_of', 'TEXT');
+        await addColumnIfMissing(db, 'navigation_sessions', 'category_mix', 'TEXT');
+        await addColumnIfMissing(db, 'navigation_sessions', 'category_visits', 'TEXT');
+        await addColumnIfMissing(db, 'navigation_batches', 'category_mix', 'TEXT');
+        await addColumnIfMissing(db, 'site_visits', 'error_code', 'TEXT');
+        await addColumnIfMissing(db, 'websites', 'health_score', 'INTEGER');
+        await addColumnIfMissing(db, 'websites', 'health_reset_at', 'TIMESTAMP');
+        await addColumnIfMissing(db, 'websites', 'quarantined_at', 'TIMESTAMP');
+        await addColumnIfMissing(db, 'websites', 'quarantine_retry_at', 'TIMESTAMP');
+        await addColumnIfMissing(db, 'websites', 'quarantine_count', 'INTEGER DEFAULT 0');
+        await addColumnIfMissing(db, 'websites', 'quarantine_reason', 'TEXT');
+        await addColumnIfMissing(db, 'site_visits', 'banner_accepted', 'BOOLEAN');
+        await addColumnIfMissing(db, 'websites', 'stats_visits', 'INTEGER DEFAULT 0');
+        await addColumnIfMissing(db, 'websites', 'success_rate', 'REAL');
+        await addColumnIfMissing(db, 'websites', 'avg_duration_seconds', 'REAL');
+        await addColumnIfMissing(db, 'websites', 'p95_duration_seconds', 'REAL');
+        await addColumnIfMissing(db, 'websites', 'cookies_per_minute', 'REAL');
+        await addColumnIfMissing(db, 'websites', 'banner_accept_rate', 'REAL');
+        await addColumnIfMissing(db, 'websites', 'last_error', 'TEXT');
+        await addColumnIfMissing(db, 'websites', 'last_error_at', 'TIMESTAMP');
+        const addedSiteStats = await addColumnIfMissing(db, 'websites', 'stats_updated_at', 'TIMESTAMP');
+
+        // Las bases anteriores a profile_stats la reciben armada desde el historial
+        if (!hadProfileStats) {
+            await manager.rebuildProfileStats();
+        }
+
+        // Y el historial de dominios por perfil, desde las visitas registradas
+        if (!hadSiteHistory) {
+            await db.runAsync(`
+                INSERT INTO profile_site_history (profile_id, domain, first_visited_at, last_visited_at, visit_count)
+                SELECT s.profile_id, w.domain, MIN(v.visited_at), MAX(v.visited_at), COUNT(*)
+                FROM site_visits v
+                JOIN navigation_sessions s ON s.session_id = v.session_id
+                JOIN websites w ON w.id = v.website_id
+                GROUP BY s.profile_id, w.domain
+            `);
+        }
+
+        // Y las estadísticas de cada sitio, desde sus visitas
+        if (addedSiteStats) {
+            await manager.refreshAllWebsiteStats();
+        }
+    }
+};
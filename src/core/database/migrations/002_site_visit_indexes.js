@@ -0,0 +1,14 @@
+/**
+ * Índices para las consultas que corren después de cada visita: la salud
+ * y las estadísticas del sitio leen sus últimas visitas, y los reportes
+ * juntan las visitas de cada sesión.
+ */
+export default {
+    version: 2,
+    name: 'site_visit_indexes',
+
+    async up(db) {
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_site_visits_website ON site_visits (website_id, visited_at)');
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_site_visits_session ON site_visits (session_id)');
+    }
+};
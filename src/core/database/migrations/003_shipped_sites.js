@@ -0,0 +1,22 @@
+/**
+ * URLs de la lista de sitios que trae la app que ya se sumaron al
+ * catálogo (ver DatabaseManager.mergeShippedWebsites). Cada una se suma
+ * una sola vez: si después se borra del catálogo, una versión nueva de la
+ * app no la vuelve a agregar.
+ *
+ * Los sitios que ya están en la base cuentan como sumados.
+ */
+export default {
+    version: 3,
+    name: 'shipped_sites',
+
+    async up(db) {
+        await db.runAsync(`
+            CREATE TABLE shipped_sites (
+                url TEXT PRIMARY KEY,
+                merged_at TIMESTAMP NOT NULL
+            )
+        `);
+        await db.runAsync(`INSERT INTO shipped_sites (url, merged_at) SELECT url, CURRENT_TIMESTAMP FROM websites`);
+    }
+};
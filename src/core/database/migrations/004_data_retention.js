@@ -0,0 +1,42 @@
+/**
+ * Retención de visitas (ver DatabaseManager.runMaintenance).
+ *
+ * site_visit_daily guarda los totales por sitio y día de las visitas que
+ * se borran de site_visits al pasar los días de retención.
+ * maintenance_runs registra cada mantenimiento, con el tamaño de la base
+ * antes y después.
+ */
+export default {
+    version: 4,
+    name: 'data_retention',
+
+    async up(db) {
+        await db.runAsync(`
+            CREATE TABLE site_visit_daily (
+                website_id INTEGER NOT NULL,
+                day TEXT NOT NULL,
+                visits INTEGER NOT NULL DEFAULT 0,
+                failed_visits INTEGER NOT NULL DEFAULT 0,
+                pages_viewed INTEGER NOT NULL DEFAULT 0,
+                cookies_gained INTEGER NOT NULL DEFAULT 0,
+                duration_seconds INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (website_id, day)
+            )
+        `);
+
+        await db.runAsync(`
+            CREATE TABLE maintenance_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                started_at TIMESTAMP NOT NULL,
+                finished_at TIMESTAMP,
+                started_by TEXT NOT NULL,
+                cutoff TIMESTAMP,
+                pruned_visits INTEGER DEFAULT 0,
+                aggregated_days INTEGER DEFAULT 0,
+                bytes_before INTEGER,
+                bytes_after INTEGER,
+                error_message TEXT
+            )
+        `);
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * Ayudas para las migraciones del esquema (ver MigrationRunner).
+ */
+
+/**
+ * @param {Object} db - Conexión con getAsync
+ * @param {string} table
+ * @returns {Promise<boolean>}
+ */
+export async function tableExists(db, table) {
+    const row = await db.getAsync(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+    return Boolean(row);
+}
+
+/**
+ * Agrega una columna a una tabla existente si todavía no la tiene. Solo
+ * la necesita la migración inicial, que recibe bases creadas por
+ * versiones de la app sin schema_version; las migraciones nuevas saben
+ * en qué versión está la base y usan ALTER TABLE directamente.
+ * @param {Object} db - Conexión con runAsync y allAsync
+ * @param {string} table - Nombre de la tabla
+ * @param {string} column - Nombre de la columna
+ * @param {string} definition - Tipo y restricciones SQL de la columna
+ * @returns {Promise<boolean>} true si la columna se agregó ahora
+ */
+export async function addColumnIfMissing(db, table, column, definition) {
+    const columns = await db.allAsync(`PRAGMA table_info(${table})`);
+    if (columns.some(col => col.name === column)) return false;
+
+    await db.runAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
@@ -0,0 +1,16 @@
+import baseline from './001_baseline.js';
+import siteVisitIndexes from './002_site_visit_indexes.js';
+import shippedSites from './003_shipped_sites.js';
+import dataRetention from './004_data_retention.js';
+
+/**
+ * Migraciones del esquema en el orden en que se aplican. Una migración
+ * publicada no se edita: los cambios van en una nueva, con la versión
+ * siguiente, al final de la lista.
+ */
+export default [
+    baseline,
+    siteVisitIndexes,
+    shippedSites,
+    dataRetention
+];
@@ -0,0 +1,268 @@
+/**
+ * Errores tipados del dominio.
+ *
+ * Cada clase lleva un `code` estable que la capa IPC reenvía tal cual al
+ * renderer (ver mapError en electron/ipc/_result.js), así la UI y los
+ * módulos de navegación deciden qué pasó con `instanceof` o con el código,
+ * sin depender del texto del mensaje.
+ *
+ * Los mensajes de Playwright se interpretan en un único lugar
+ * (toBrowserError); si cambian de redacción, solo hay que tocar ese patrón.
+ */
+
+/**
+ * Base de todos los errores del dominio.
+ */
+export class AppError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.code='APP_ERROR'] - Código estable para la UI
+     * @param {Error} [options.cause] - Error original
+     */
+    constructor(message, { code = 'APP_ERROR', cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+
+    /**
+     * Datos extra que acompañan al código en el envelope IPC.
+     * Las subclases agregan los suyos.
+     * @returns {Object}
+     */
+    getDetails() {
+        return {};
+    }
+}
+
+/**
+ * El usuario pidió detener la sesión de un perfil.
+ */
+export class StopRequestedError extends AppError {
+    static CODE = 'STOP_REQUESTED';
+
+    /**
+     * @param {string} profileId - Perfil cuya sesión se detiene
+     */
+    constructor(profileId) {
+        super('Sesión detenida por solicitud del usuario', { code: StopRequestedError.CODE });
+        this.profileId = profileId;
+    }
+
+    getDetails() {
+        return { profileId: this.profileId };
+    }
+}
+
+/**
+ * Se perdió la conexión con el navegador, el contexto o la página.
+ * `permanent` indica que ya se agotaron los intentos de reconexión.
+ */
+export class BrowserDisconnectedError extends AppError {
+    static CODE = 'BROWSER_DISCONNECTED';
+
+    /**
+     * @param {string} [message]
+     * @param {Object} [options]
+     * @param {string} [options.profileId]
+     * @param {boolean} [options.permanent=false]
+     * @param {Error} [options.cause]
+     */
+    constructor(message = 'Navegador desconectado', { profileId = null, permanent = false, cause } = {}) {
+        super(message, { code: BrowserDisconnectedError.CODE, cause });
+        this.profileId = profileId;
+        this.permanent = permanent;
+    }
+
+    getDetails() {
+        return { profileId: this.profileId, permanent: this.permanent };
+    }
+}
+
+/**
+ * Una navegación no terminó dentro del tiempo permitido.
+ */
+export class NavigationTimeoutError extends AppError {
+    static CODE = 'NAVIGATION_TIMEOUT';
+
+    /**
+     * @param {string} url - URL a la que se intentaba navegar
+     * @param {Object} [options]
+     * @param {number} [options.attempts=1] - Intentos realizados
+     * @param {Error} [options.cause]
+     */
+    constructor(url, { attempts = 1, cause } = {}) {
+        super(`Tiempo de espera agotado navegando a ${url}${attempts > 1 ? ` (${attempts} intentos)` : ''}`, {
+            code: NavigationTimeoutError.CODE,
+            cause
+        });
+        this.url = url;
+        this.attempts = attempts;
+    }
+
+    getDetails() {
+        return { url: this.url, attempts: this.attempts };
+    }
+}
+
+/**
+ * La API local de Ads Power respondió con error o no respondió.
+ */
+export class AdsPowerApiError extends AppError {
+    static CODE = 'ADSPOWER_API_ERROR';
+
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.profileId]
+     * @param {number} [options.apiCode] - Campo `code` de la respuesta de Ads Power
+     * @param {number} [options.status] - Status HTTP, si lo hubo
+     * @param {boolean} [options.rateLimited=false] - Ads Power rechazó por exceso de pedidos
+     * @param {boolean} [options.network=false] - No se pudo llegar a Ads Power
+     * @param {Error} [options.cause]
+     */
+    constructor(message, { profileId = null, apiCode = null, status = null, rateLimited = false, network = false, cause } = {}) {
+        super(message, { code: AdsPowerApiError.CODE, cause });
+        this.profileId = profileId;
+        this.apiCode = apiCode;
+        this.status = status;
+        this.rateLimited = rateLimited;
+        this.network = network;
+    }
+
+    /**
+     * Indica si vale la pena reintentar el pedido.
+     * @returns {boolean}
+     */
+    isRetryable() {
+        return this.rateLimited || this.network;
+    }
+
+    getDetails() {
+        return { profileId: this.profileId, apiCode: this.apiCode, rateLimited: this.rateLimited };
+    }
+
+    /**
+     * Crea el error a partir de una respuesta de Ads Power con `code !== 0`.
+     * @param {{code:number, msg:string}} data - Respuesta de la API
+     * @param {string} context - Qué se intentaba hacer (ej: "Error iniciando perfil k1")
+     * @param {string} [profileId]
+     * @returns {AdsPowerApiError}
+     */
+    static fromResponse(data, context, profileId = null) {
+        const apiMessage = data?.msg || 'respuesta sin mensaje';
+        return new AdsPowerApiError(`${context}: ${apiMessage}`, {
+            profileId,
+            apiCode: data?.code ?? null,
+            rateLimited: RATE_LIMIT_PATTERN.test(apiMessage)
+        });
+    }
+}
+
+/**
+ * Uno o más perfiles corrieron hace menos de navigation.profileCooldownMinutes.
+ */
+export class ProfileCooldownError extends AppError {
+    static CODE = 'PROFILE_COOLDOWN';
+
+    /**
+     * @param {Array<{profileId: string, lastActivityAt: string, availableAt: Date}>} profiles
+     * @param {number} cooldownMinutes - Enfriamiento configurado
+     */
+    constructor(profiles, cooldownMinutes) {
+        const list = profiles
+            .map(({ profileId, availableAt }) => `${profileId} (disponible ${availableAt.toLocaleString('es-ES')})`)
+            .join(', ');
+        super(`Perfiles en enfriamiento (${cooldownMinutes} min entre corridas): ${list}`, { code: ProfileCooldownError.CODE });
+        this.profiles = profiles;
+        this.cooldownMinutes = cooldownMinutes;
+    }
+
+    getDetails() {
+        return {
+            cooldownMinutes: this.cooldownMinutes,
+            profiles: this.profiles.map(profile => ({ ...profile, availableAt: profile.availableAt.toISOString() }))
+        };
+    }
+}
+
+/**
+ * Se pidió arrancar un lote mientras otro corre o se está preparando.
+ * Para sumar perfiles al lote en curso está addProfilesToBatch.
+ */
+export class BatchInProgressError extends AppError {
+    static CODE = 'BATCH_IN_PROGRESS';
+
+    /**
+     * @param {string|null} [batchId] - Lote en curso, si ya se registró
+     */
+    constructor(batchId = null) {
+        super('Ya hay una navegación en curso; esperar a que termine o sumar los perfiles al lote', { code: BatchInProgressError.CODE });
+        this.batchId = batchId;
+    }
+
+    getDetails() {
+        return { batchId: this.batchId };
+    }
+}
+
+/**
+ * Falló una migración del esquema de la base. La migración se deshizo y,
+ * si la base tenía datos, queda la copia tomada antes de aplicarla.
+ */
+export class SchemaMigrationError extends AppError {
+    static CODE = 'SCHEMA_MIGRATION';
+
+    /**
+     * @param {{version: number, name: string}} migration - Migración que falló
+     * @param {Object} [options]
+     * @param {string|null} [options.backupPath] - Copia de la base previa a la migración
+     * @param {Error} [options.cause]
+     */
+    constructor(migration, { backupPath = null, cause } = {}) {
+        const backup = backupPath ? `; la copia previa está en ${backupPath}` : '';
+        super(`Falló la migración ${migration.version} (${migration.name}) de la base: ${cause?.message}${backup}`, {
+            code: SchemaMigrationError.CODE,
+            cause
+        });
+        this.version = migration.version;
+        this.backupPath = backupPath;
+    }
+
+    getDetails() {
+        return { version: this.version, backupPath: this.backupPath };
+    }
+}
+
+// Ads Power responde el rate limit en inglés o en chino según la versión
+const RATE_LIMIT_PATTERN = /too many request|rate limit|请求过于频繁/i;
+
+// Redacciones de Playwright para página, contexto o navegador cerrados
+const PLAYWRIGHT_CLOSED_PATTERN = /(target|page|context|browser)[\w ,]*(closed|disconnected)/i;
+
+/**
+ * Traduce un error de Playwright al error tipado que corresponde. Los
+ * errores que ya son del dominio y los que no se reconocen se devuelven
+ * tal cual.
+ * @param {Error} error - Error lanzado por Playwright
+ * @param {Object} [context]
+ * @param {string} [context.profileId]
+ * @param {Object} [context.page] - Página involucrada; si está cerrada, el error es de desconexión
+ * @param {string} [context.url] - URL de la navegación, para los timeouts
+ * @returns {Error}
+ */
+export function toBrowserError(error, { profileId = null, page = null, url = null } = {}) {
+    if (error instanceof AppError) return error;
+
+    const pageClosed = Boolean(page?.isClosed?.());
+    if (pageClosed || PLAYWRIGHT_CLOSED_PATTERN.test(error?.message || '')) {
+        return new BrowserDisconnectedError(`Navegador desconectado: ${error.message}`, { profileId, cause: error });
+    }
+
+    if (error?.name === 'TimeoutError' && url) {
+        return new NavigationTimeoutError(url, { cause: error });
+    }
+
+    return error;
+}
@@ -0,0 +1,267 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import TerminationPolicy from './TerminationPolicy.js';
+import SiteLists from '../database/SiteLists.js';
+import { parseCsv } from '../utils/csv.js';
+
+/**
+ * Alias aceptados para cada columna del plan. Permiten escribir el CSV a
+ * mano en camelCase, snake_case o con el mismo nombre que la flag de la CLI.
+ */
+const COLUMN_ALIASES = {
+    profileId: ['profileId', 'profile_id', 'profile'],
+    targetCookies: ['targetCookies', 'target_cookies', 'cookies'],
+    sites: ['sites', 'domains'],
+    siteLists: ['siteLists', 'site_lists', 'siteList', 'site_list'],
+    mode: ['until', 'mode'],
+    maxSites: ['maxSites', 'max_sites'],
+    maxDurationMinutes: ['maxDurationMinutes', 'max_duration_minutes', 'maxDuration', 'max_duration'],
+    deadline: ['deadline']
+};
+
+const POLICY_FIELDS = ['mode', 'maxSites', 'maxDurationMinutes', 'deadline'];
+
+/**
+ * Plan de un lote de navegación con ajustes propios por perfil.
+ *
+ * Cada entrada puede pisar, solo para su perfil, el objetivo de cookies,
+ * los sitios a visitar (dominios o listas de sitios con nombre) y
+ * cualquier campo de la política de terminación.
+ * Lo que una entrada no define se toma de los valores del lote.
+ *
+ * Se carga desde CSV o JSON (CLI `--plan`) o desde las filas editables
+ * del formulario de perfiles (IPC `navigation:start`).
+ */
+class BatchPlan {
+    /**
+     * @param {Array<Object>} entries - Entradas ya normalizadas (ver normalizeEntry)
+     */
+    constructor(entries = []) {
+        this.entries = entries;
+    }
+
+    /**
+     * Crea un plan a partir de entradas planas, validándolas.
+     * @param {Array<Object>} rawEntries
+     * @returns {BatchPlan}
+     * @throws {Error} Si alguna entrada es inválida o hay perfiles repetidos
+     */
+    static fromEntries(rawEntries) {
+        if (!Array.isArray(rawEntries)) {
+            throw new Error('El plan debe ser una lista de perfiles');
+        }
+
+        const seen = new Set();
+        const entries = rawEntries.map((raw, index) => {
+            const entry = BatchPlan.normalizeEntry(raw, index + 1);
+            if (seen.has(entry.profileId)) {
+                throw new Error(`Perfil repetido en el plan: ${entry.profileId}`);
+            }
+            seen.add(entry.profileId);
+            return entry;
+        });
+
+        return new BatchPlan(entries);
+    }
+
+    /**
+     * @param {string} text - Contenido CSV con encabezados
+     * @returns {BatchPlan}
+     */
+    static fromCsv(text) {
+        return BatchPlan.fromEntries(parseCsv(text));
+    }
+
+    /**
+     * Acepta una lista de entradas o un objeto `{ profiles: [...] }`.
+     * @param {string} text - Contenido JSON
+     * @returns {BatchPlan}
+     */
+    static fromJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`JSON inválido en el plan: ${error.message}`);
+        }
+        return BatchPlan.fromEntries(Array.isArray(data) ? data : data?.profiles);
+    }
+
+    /**
+     * Lee un plan desde disco según su extensión (.csv o .json).
+     * @param {string} filePath
+     * @returns {Promise<BatchPlan>}
+     */
+    static async fromFile(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        if (extension !== '.csv' && extension !== '.json') {
+            throw new Error(`Formato de plan no soportado: ${extension || filePath} (usar .csv o .json)`);
+        }
+
+        const text = await fs.readFile(filePath, 'utf8');
+        return extension === '.csv' ? BatchPlan.fromCsv(text) : BatchPlan.fromJson(text);
+    }
+
+    /**
+     * Configuración para repetir un lote guardado: perfiles, objetivo y
+     * política del lote, su mezcla de categorías y un plan con lo que
+     * cada perfil pisaba. Las fechas límite que ya pasaron se descartan,
+     * porque cortarían las sesiones apenas arrancan.
+     * @param {Object} batch - Lote tal como lo devuelve DatabaseManager.getBatch
+     * @param {Date} [now] - Fecha de referencia para las fechas límite
+     * @returns {{profileIds: Array<string>, targetCookies: number, policy: Object, categoryMix: Object|null, plan: BatchPlan, expiredDeadline: boolean}}
+     * @throws {Error} Si el lote guardado tiene ajustes inválidos
+     */
+    static forRerun(batch, now = new Date()) {
+        let expiredDeadline = false;
+        const withoutExpiredDeadline = policy => {
+            if (!policy?.deadline || new Date(policy.deadline) > now) return policy;
+            expiredDeadline = true;
+            const { deadline, ...rest } = policy;
+            return rest;
+        };
+
+        const policies = batch.overrides?.policies || {};
+        const sites = batch.overrides?.sites || {};
+        const siteLists = batch.overrides?.siteLists || {};
+        const entries = batch.profile_ids.map(profileId => {
+            const entry = { profileId, policy: withoutExpiredDeadline(policies[profileId]) };
+            const target = batch.targets?.[profileId];
+            if (target && target !== batch.default_target) entry.targetCookies = target;
+            if (sites[profileId]) entry.sites = sites[profileId];
+            if (siteLists[profileId]) entry.siteLists = siteLists[profileId];
+            return entry;
+        });
+
+        const plan = BatchPlan.fromEntries(entries);
+        const policy = TerminationPolicy.from(withoutExpiredDeadline(batch.policy)).toJSON();
+
+        return {
+            profileIds: [...batch.profile_ids],
+            targetCookies: batch.default_target,
+            policy,
+            categoryMix: batch.category_mix || null,
+            plan: new BatchPlan(plan.entries.filter(entry => entry.targetCookies || entry.sites || entry.siteLists || entry.policy)),
+            expiredDeadline
+        };
+    }
+
+    /**
+     * IDs de los perfiles del plan, en orden.
+     * @returns {Array<string>}
+     */
+    getProfileIds() {
+        return this.entries.map(entry => entry.profileId);
+    }
+
+    /**
+     * Ajustes por perfil en el formato que recibe
+     * NavigationController.startMultipleNavigationSessions.
+     * @returns {{
+     *   targets: Object<string, number>,
+     *   policies: Object<string, Object>,
+     *   sites: Object<string, Array<string>>,
+     *   siteLists: Object<string, Array<string>>
+     * }}
+     */
+    toSessionOptions() {
+        const targets = {};
+        const policies = {};
+        const sites = {};
+        const siteLists = {};
+
+        for (const entry of this.entries) {
+            if (entry.targetCookies) targets[entry.profileId] = entry.targetCookies;
+            if (entry.policy) policies[entry.profileId] = entry.policy;
+            if (entry.sites) sites[entry.profileId] = entry.sites;
+            if (entry.siteLists) siteLists[entry.profileId] = entry.siteLists;
+        }
+
+        return { targets, policies, sites, siteLists };
+    }
+
+    /**
+     * Normaliza y valida una entrada del plan.
+     * @param {Object} raw - Fila del CSV u objeto del JSON/IPC
+     * @param {number} row - Número de fila para los mensajes de error
+     * @returns {{profileId:string, targetCookies:number|null, sites:Array<string>|null, siteLists:Array<string>|null, policy:Object|null}}
+     */
+    static normalizeEntry(raw, row) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error(`Fila ${row} del plan: entrada inválida`);
+        }
+
+        const value = key => {
+            const alias = COLUMN_ALIASES[key].find(name => raw[name] !== undefined && raw[name] !== '');
+            return alias ? raw[alias] : null;
+        };
+
+        const profileId = String(value('profileId') ?? '').trim();
+        if (!profileId) {
+            throw new Error(`Fila ${row} del plan: falta profileId`);
+        }
+
+        let targetCookies = null;
+        const rawTarget = value('targetCookies');
+        if (rawTarget !== null) {
+            targetCookies = Number(rawTarget);
+            if (!Number.isInteger(targetCookies) || targetCookies <= 0) {
+                throw new Error(`Fila ${row} del plan (${profileId}): targetCookies debe ser un entero mayor a 0`);
+            }
+        }
+
+        // La política puede venir anidada (JSON) o en columnas sueltas (CSV)
+        const source = raw.policy && typeof raw.policy === 'object' ? raw.policy : null;
+        const policy = {};
+        for (const field of POLICY_FIELDS) {
+            const fieldValue = source ? source[field] : value(field);
+            if (fieldValue !== null && fieldValue !== undefined && fieldValue !== '') {
+                policy[field] = fieldValue;
+            }
+        }
+
+        try {
+            // Valida los campos sueltos; el resto se completa con la política del lote
+            new TerminationPolicy(policy);
+        } catch (error) {
+            throw new Error(`Fila ${row} del plan (${profileId}): ${error.message}`);
+        }
+
+        return {
+            profileId,
+            targetCookies,
+            sites: BatchPlan.parseSites(value('sites')),
+            siteLists: SiteLists.parseNames(value('siteLists')),
+            policy: Object.keys(policy).length > 0 ? policy : null
+        };
+    }
+
+    /**
+     * Lista de dominios de una entrada. En CSV se separan con `;` o `|`.
+     * @param {string|Array<string>|null} value
+     * @returns {Array<string>|null}
+     */
+    static parseSites(value) {
+        if (value === null || value === undefined) return null;
+
+        const list = Array.isArray(value) ? value : String(value).split(/[;|]/);
+        const domains = [...new Set(list.map(BatchPlan.normalizeDomain).filter(Boolean))];
+        return domains.length > 0 ? domains : null;
+    }
+
+    /**
+     * Reduce una URL o dominio a la forma guardada en websites.domain.
+     * @param {string} value - Ej: "https://www.bbc.com/news"
+     * @returns {string} Ej: "bbc.com"
+     */
+    static normalizeDomain(value) {
+        return String(value)
+            .trim()
+            .toLowerCase()
+            .replace(/^[a-z]+:\/\//, '')
+            .replace(/^www\./, '')
+            .split(/[/?#]/)[0];
+    }
+}
+
+export default BatchPlan;
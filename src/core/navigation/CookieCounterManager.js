@@ -1,3 +1,5 @@
+import { BrowserDisconnectedError, toBrowserError } from '../errors/AppError.js';
+
 /**
  * Gestor de conteo de cookies
  * Previene valores negativos causados por timeouts y desconexiones
@@ -82,6 +84,11 @@ class CookieCounterManager {
                 
             } catch (error) {
                 console.warn(`[${profileId}] Intento ${attempt} falló: ${error.message}`);
+
+                // Sin navegador no tiene sentido reintentar: pasar directo al fallback
+                if (toBrowserError(error, { page }) instanceof BrowserDisconnectedError) {
+                    break;
+                }
                 
                 // En el último intento, no esperar
                 if (attempt < this.config.maxRetries) {
@@ -116,7 +123,7 @@ class CookieCounterManager {
         }
 
         if (page.isClosed && page.isClosed()) {
-            throw new Error('Página cerrada');
+            throw new BrowserDisconnectedError('Página cerrada');
         }
 
         const context = page.context();
@@ -128,8 +135,9 @@ class CookieCounterManager {
         try {
             await page.evaluate(() => document.readyState);
         } catch (evalError) {
-            if (evalError.message.includes('closed') || evalError.message.includes('Target page')) {
-                throw new Error('Navegador desconectado');
+            const browserError = toBrowserError(evalError, { page });
+            if (browserError instanceof BrowserDisconnectedError) {
+                throw browserError;
             }
         }
 
@@ -4,6 +4,8 @@
  */
 
 import CookieCounterManager from './CookieCounterManager.js';
+import { sleep, raceAbort } from '../utils/abort.js';
+
 class CookieDetector {
     constructor() {
         this.cookiePatterns = this.initializeCookiePatterns();
@@ -170,13 +172,14 @@ class CookieDetector {
     /**
      * Detecta overlays y modales de cookies usando z-index alto
      * @param {Object} page - Instancia de página de Playwright
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<Array>} Lista de elementos detectados
      */
-    async detectCookieOverlay(page) {
+    async detectCookieOverlay(page, signal) {
         try {
             // Esperar a que la página cargue - timeout más corto
-            await page.waitForLoadState('domcontentloaded', { timeout: 5000 });
-            await this.sleep(1500); // Reducir tiempo de espera
+            await raceAbort(page.waitForLoadState('domcontentloaded', { timeout: 5000 }), signal);
+            await this.sleep(1500, signal); // Reducir tiempo de espera
 
             // Buscar elementos con z-index alto (típico de overlays)
             const overlayElements = await page.evaluate(() => {
@@ -210,6 +213,7 @@ class CookieDetector {
 
             return overlayElements;
         } catch (error) {
+            signal?.throwIfAborted();
             console.error('Error detectando overlays de cookies:', error.message);
             return [];
         }
@@ -450,9 +454,10 @@ class CookieDetector {
      * Realiza clic en un botón de forma robusta
      * @param {Object} page - Instancia de página de Playwright
      * @param {Object} button - Objeto del botón a hacer clic
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<boolean>} Éxito del clic
      */
-    async clickButtonRobust(page, button) {
+    async clickButtonRobust(page, button, signal) {
         try {
             const { element } = button;
             
@@ -471,27 +476,30 @@ class CookieDetector {
 
             // Scroll al elemento si es necesario
             try {
-                await element.scrollIntoViewIfNeeded();
-                await this.sleep(500);
+                await raceAbort(element.scrollIntoViewIfNeeded(), signal);
+                await this.sleep(500, signal);
             } catch (scrollError) {
+                signal?.throwIfAborted();
                 console.log('No se pudo hacer scroll al elemento');
             }
 
             // Intentar clic normal primero
             try {
-                await element.click({ timeout: 5000 });
+                await raceAbort(element.click({ timeout: 5000 }), signal);
                 console.log('Clic normal exitoso');
                 return true;
             } catch (clickError) {
+                signal?.throwIfAborted();
                 console.log('Clic normal falló, intentando clic forzado');
             }
 
             // Intentar clic forzado
             try {
-                await element.click({ force: true, timeout: 5000 });
+                await raceAbort(element.click({ force: true, timeout: 5000 }), signal);
                 console.log('Clic forzado exitoso');
                 return true;
             } catch (forceClickError) {
+                signal?.throwIfAborted();
                 console.log('Clic forzado falló, intentando JavaScript');
             }
 
@@ -506,6 +514,7 @@ class CookieDetector {
             }
 
         } catch (error) {
+            signal?.throwIfAborted();
             console.error('Error en clic robusto:', error.message);
             return false;
         }
@@ -514,9 +523,10 @@ class CookieDetector {
     /**
      * Flujo completo de detección y aceptación de cookies
      * @param {Object} page - Instancia de página de Playwright
+     * @param {AbortSignal} [signal] - Señal de la sesión; al abortarse, la búsqueda rechaza con `signal.reason`
      * @returns {Promise<Object>} Resultado de la operación
      */
-    async acceptCookies(page) {
+    async acceptCookies(page, signal) {
         const maxAttempts = 3;
         let attempts = 0;
 
@@ -528,7 +538,7 @@ class CookieDetector {
                 console.log(`Intento ${attempts}/${maxAttempts}`);
 
                 // ESTRATEGIA 1: Detectar overlays con z-index alto
-                const overlays = await this.detectCookieOverlay(page);
+                const overlays = await this.detectCookieOverlay(page, signal);
                 if (overlays.length > 0) {
                     console.log(`Detectados ${overlays.length} overlays potenciales`);
                 }
@@ -558,15 +568,15 @@ class CookieDetector {
                     console.log(`Botón encontrado: "${acceptButton.text}"(${acceptButton.method})`);
                     
                     // Simular comportamiento humano antes del clic
-                    await this.humanLikeDelay(300, 1000);
+                    await this.humanLikeDelay(300, 1000, signal);
                     
                     // Hacer clic robusto en el botón
-                    const clickSuccess = await this.clickButtonRobust(page, acceptButton);
+                    const clickSuccess = await this.clickButtonRobust(page, acceptButton, signal);
                     
                     if (clickSuccess) {
                         // Verificar que el banner desapareció
-                        await this.sleep(1000);
-                        const bannersAfter = await this.detectCookieOverlay(page);
+                        await this.sleep(1000, signal);
+                        const bannersAfter = await this.detectCookieOverlay(page, signal);
                         
                         if (bannersAfter.length < overlays.length || !cookieBanner) {
                             return {
@@ -583,10 +593,11 @@ class CookieDetector {
 
                 // Esperar entre intentos
                 if (attempts < maxAttempts) {
-                    await this.sleep(attempts === 1 ? 2000 : 1000);
+                    await this.sleep(attempts === 1 ? 2000 : 1000, signal);
                 }
 
             } catch (error) {
+                signal?.throwIfAborted();
                 console.error(`Error en intento ${attempts}:`, error.message);
                 if (attempts === maxAttempts) {
                     return {
@@ -635,13 +646,14 @@ class CookieDetector {
      * Utilidad para pausas con variabilidad humana
      * @param {number} min - Tiempo mínimo en ms
      * @param {number} max - Tiempo máximo en ms
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<void>}
      */
-    async humanLikeDelay(min, max) {
+    async humanLikeDelay(min, max, signal) {
         const delay = Math.floor(Math.random() * (max - min + 1)) + min;
         const variation = delay * 0.2; // ±20% de variación
         const finalDelay = delay + Math.floor(Math.random() * (variation * 2)) - variation;
-        await this.sleep(Math.max(finalDelay, min));
+        await this.sleep(Math.max(finalDelay, min), signal);
     }
 
     /**
@@ -655,10 +667,11 @@ class CookieDetector {
     /**
      * Utilidad para pausas simples
      * @param {number} ms - Milisegundos a esperar
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<void>}
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    sleep(ms, signal) {
+        return sleep(ms, signal);
     }
 }
 
@@ -4,6 +4,7 @@ import TimingManager from './TimingManager.js';
 import NavigationPatternGenerator from './NavigationPatternGenerator.js';
 import ContentAnalyzer from './ContentAnalyzer.js';
 import LinkSelector from './LinkSelector.js';
+import { raceAbort } from '../utils/abort.js';
 
 /**
  * Sistema de simulación de comportamiento humano para navegación web
@@ -35,9 +36,12 @@ class HumanBehaviorSimulator {
      * @param {Object} page - Página de Playwright
      * @param {Object} website - Datos del sitio web
      * @param {Object} options - Opciones de navegación
+     * @param {AbortSignal} [options.signal] - Señal de la sesión; al abortarse, corta cualquier
+     *   scroll, pausa o clic en curso y la navegación rechaza con `signal.reason`
      * @returns {Promise<Object>} Resultado de la navegación
      */
     async simulateHumanNavigation(page, website, options = {}) {
+        const { signal } = options;
         const startTime = Date.now();
         const siteType = await this.contentAnalyzer.detectSiteType(page, website);
         const pattern = this.patternGenerator.generatePattern(siteType);
@@ -65,7 +69,7 @@ class HumanBehaviorSimulator {
                 console.log(`\nPágina ${i + 1}/${pagesToVisit} - ${page.url()}`);
                 
                 // Simular lectura de la página actual
-                const readingResult = await this.simulatePageReading(page, pattern);
+                const readingResult = await this.simulatePageReading(page, pattern, signal);
                 navigationResult.interactionsPerformed += readingResult.interactions;
                 
                 // Actualizar fatiga y atención
@@ -73,13 +77,13 @@ class HumanBehaviorSimulator {
                 
                 // Si no es la última página, buscar siguiente enlace
                 if (i < pagesToVisit - 1) {
-                    const nextLink = await this.findAndClickNextLink(page, pattern, visitedUrls);
+                    const nextLink = await this.findAndClickNextLink(page, pattern, visitedUrls, signal);
                     if (nextLink) {
                         visitedUrls.push(nextLink.href);
                         navigationResult.pagesVisited++;
                         
                         // Esperar carga de nueva página con comportamiento humano
-                        await this.waitForPageLoadHuman(page);
+                        await this.waitForPageLoadHuman(page, signal);
                     } else {
                         console.log('No se encontraron más enlaces válidos');
                         break;
@@ -99,6 +103,8 @@ class HumanBehaviorSimulator {
             return navigationResult;
             
         } catch (error) {
+            // Una detención no es un error del sitio: propagarla al controlador
+            signal?.throwIfAborted();
             console.error('Error en navegación humana:', error.message);
             navigationResult.error = error.message;
             return navigationResult;
@@ -109,9 +115,10 @@ class HumanBehaviorSimulator {
      * Simula la lectura humana de una página
      * @param {Object} page - Página de Playwright
      * @param {Object} pattern - Patrón de navegación
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<Object>} Resultado de la lectura
      */
-    async simulatePageReading(page, pattern) {
+    async simulatePageReading(page, pattern, signal) {
         const startTime = Date.now();
         let interactions = 0;
 
@@ -125,25 +132,26 @@ class HumanBehaviorSimulator {
             console.log(`Tiempo de lectura estimado: ${Math.round(readingTime/1000)}s`);
 
             // Simular movimientos iniciales del mouse
-            await this.mouseSimulator.performInitialMovements(page);
+            await this.mouseSimulator.performInitialMovements(page, signal);
             interactions++;
 
             // Scroll progresivo simulando lectura
             const scrollResult = await this.scrollSimulator.simulateReading(page, {
                 totalTime: readingTime,
                 contentMetrics,
-                humanState: this.humanState
+                humanState: this.humanState,
+                signal
             });
             interactions += scrollResult.scrollActions;
 
             // Micro-interacciones aleatorias durante la lectura
             if (Math.random() > 0.7) {
-                await this.performMicroInteractions(page);
+                await this.performMicroInteractions(page, signal);
                 interactions++;
             }
 
             // Pausa final antes de decidir siguiente acción
-            await this.timingManager.humanPause('decision', this.humanState.fatigue);
+            await this.timingManager.humanPause('decision', this.humanState.fatigue, { signal });
 
             return {
                 timeSpent: Date.now() - startTime,
@@ -153,6 +161,7 @@ class HumanBehaviorSimulator {
             };
 
         } catch (error) {
+            signal?.throwIfAborted();
             console.warn('Error simulando lectura:', error.message);
             return {
                 timeSpent: Date.now() - startTime,
@@ -167,9 +176,10 @@ class HumanBehaviorSimulator {
      * @param {Object} page - Página de Playwright
      * @param {Object} pattern - Patrón de navegación
      * @param {Array} visitedUrls - URLs ya visitadas
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<Object|null>} Información del enlace clicado
      */
-    async findAndClickNextLink(page, pattern, visitedUrls) {
+    async findAndClickNextLink(page, pattern, visitedUrls, signal) {
         try {
             // Analizar enlaces disponibles
             const availableLinks = await this.linkSelector.analyzeAvailableLinks(page);
@@ -195,7 +205,7 @@ class HumanBehaviorSimulator {
             console.log(`Seleccionado: ${selectedLink.text} (${selectedLink.href})`);
 
             // Intentar múltiples estrategias para hacer clic en el enlace
-            const clickSuccess = await this.performRobustLinkClick(page, selectedLink);
+            const clickSuccess = await this.performRobustLinkClick(page, selectedLink, signal);
             
             if (clickSuccess) {
                 return selectedLink;
@@ -205,6 +215,7 @@ class HumanBehaviorSimulator {
             }
 
         } catch (error) {
+            signal?.throwIfAborted();
             console.warn('Error buscando siguiente enlace:', error.message);
             return null;
         }
@@ -214,13 +225,14 @@ class HumanBehaviorSimulator {
      * Realiza clic en enlace con múltiples estrategias de fallback
      * @param {Object} page - Página de Playwright
      * @param {Object} selectedLink - Enlace seleccionado
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<boolean>} True si el clic fue exitoso
      */
-    async performRobustLinkClick(page, selectedLink) {
+    async performRobustLinkClick(page, selectedLink, signal) {
         const strategies = [
-            () => this.clickWithMouseSimulation(page, selectedLink),
-            () => this.clickWithDirectSelector(page, selectedLink),
-            () => this.clickWithNavigation(page, selectedLink)
+            () => this.clickWithMouseSimulation(page, selectedLink, signal),
+            () => this.clickWithDirectSelector(page, selectedLink, signal),
+            () => this.clickWithNavigation(page, selectedLink, signal)
         ];
 
         for (let i = 0; i < strategies.length; i++) {
@@ -232,6 +244,7 @@ class HumanBehaviorSimulator {
                     return true;
                 }
             } catch (error) {
+                signal?.throwIfAborted();
                 console.warn(`Estrategia ${i + 1} falló: ${error.message}`);
             }
         }
@@ -243,9 +256,10 @@ class HumanBehaviorSimulator {
      * Estrategia 1: Clic con simulación de mouse
      * @param {Object} page - Página de Playwright
      * @param {Object} selectedLink - Enlace seleccionado
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<boolean>} True si fue exitoso
      */
-    async clickWithMouseSimulation(page, selectedLink) {
+    async clickWithMouseSimulation(page, selectedLink, signal) {
         const linkElement = await page.$(selectedLink.selector);
         if (!linkElement) return false;
 
@@ -255,28 +269,29 @@ class HumanBehaviorSimulator {
 
         try {
             // Movimiento del mouse hacia el enlace
-            await this.mouseSimulator.moveToElementNaturally(page, linkElement);
+            await this.mouseSimulator.moveToElementNaturally(page, linkElement, signal);
             
             // Pausa antes del clic
-            await this.timingManager.humanPause('click_hesitation', this.humanState.fatigue);
+            await this.timingManager.humanPause('click_hesitation', this.humanState.fatigue, { signal });
             
             // Hover con timeout reducido
-            await linkElement.hover({ timeout: 5000 });
+            await raceAbort(linkElement.hover({ timeout: 5000 }), signal);
             
             // Clic con comportamiento humano
-            await this.performHumanClick(linkElement);
+            await this.performHumanClick(linkElement, signal);
             
             // Verificar navegación
-            await page.waitForLoadState('domcontentloaded', { timeout: 10000 });
+            await raceAbort(page.waitForLoadState('domcontentloaded', { timeout: 10000 }), signal);
             return true;
 
         } catch (error) {
+            signal?.throwIfAborted();
             // Si hay error de hover por popup, intentar clic directo
             if (error.message.includes('intercepts pointer events') || 
                 error.message.includes('Timeout')) {
                 try {
-                    await this.performHumanClick(linkElement);
-                    await page.waitForLoadState('domcontentloaded', { timeout: 10000 });
+                    await this.performHumanClick(linkElement, signal);
+                    await raceAbort(page.waitForLoadState('domcontentloaded', { timeout: 10000 }), signal);
                     return true;
                 } catch (clickError) {
                     throw clickError;
@@ -290,14 +305,16 @@ class HumanBehaviorSimulator {
      * Estrategia 2: Clic directo con selector
      * @param {Object} page - Página de Playwright
      * @param {Object} selectedLink - Enlace seleccionado
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<boolean>} True si fue exitoso
      */
-    async clickWithDirectSelector(page, selectedLink) {
+    async clickWithDirectSelector(page, selectedLink, signal) {
         try {
-            await page.click(selectedLink.selector, { timeout: 5000 });
-            await page.waitForLoadState('domcontentloaded', { timeout: 10000 });
+            await raceAbort(page.click(selectedLink.selector, { timeout: 5000 }), signal);
+            await raceAbort(page.waitForLoadState('domcontentloaded', { timeout: 10000 }), signal);
             return true;
         } catch (error) {
+            signal?.throwIfAborted();
             return false;
         }
     }
@@ -306,20 +323,22 @@ class HumanBehaviorSimulator {
      * Estrategia 3: Navegación directa por URL
      * @param {Object} page - Página de Playwright
      * @param {Object} selectedLink - Enlace seleccionado
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<boolean>} True si fue exitoso
      */
-    async clickWithNavigation(page, selectedLink) {
+    async clickWithNavigation(page, selectedLink, signal) {
         try {
             // Solo para enlaces internos válidos
             if (selectedLink.href && selectedLink.href.startsWith('http')) {
-                await page.goto(selectedLink.href, { 
+                await raceAbort(page.goto(selectedLink.href, { 
                     waitUntil: 'domcontentloaded',
                     timeout: 15000 
-                });
+                }), signal);
                 return true;
             }
             return false;
         } catch (error) {
+            signal?.throwIfAborted();
             return false;
         }
     }
@@ -327,12 +346,13 @@ class HumanBehaviorSimulator {
     /**
      * Realiza un clic con comportamiento humano
      * @param {Object} element - Elemento a hacer clic
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async performHumanClick(element) {
+    async performHumanClick(element, signal) {
         // Posible hover antes del clic
         if (Math.random() > 0.7) {
-            await element.hover();
-            await this.timingManager.humanPause('hover', this.humanState.fatigue);
+            await raceAbort(element.hover(), signal);
+            await this.timingManager.humanPause('hover', this.humanState.fatigue, { signal });
         }
 
         // Clic con pequeña variación de posición
@@ -341,9 +361,9 @@ class HumanBehaviorSimulator {
             const clickX = box.x + box.width * (0.3 + Math.random() * 0.4);
             const clickY = box.y + box.height * (0.3 + Math.random() * 0.4);
             
-            await element.click({ position: { x: clickX - box.x, y: clickY - box.y } });
+            await raceAbort(element.click({ position: { x: clickX - box.x, y: clickY - box.y } }), signal);
         } else {
-            await element.click();
+            await raceAbort(element.click(), signal);
         }
 
         this.humanState.interactionHistory.push({
@@ -356,12 +376,13 @@ class HumanBehaviorSimulator {
     /**
      * Realiza micro-interacciones para parecer más humano
      * @param {Object} page - Página de Playwright
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async performMicroInteractions(page) {
+    async performMicroInteractions(page, signal) {
         const interactions = [
-            () => this.mouseSimulator.performRandomMovement(page),
-            () => this.scrollSimulator.performMicroScroll(page),
-            () => this.timingManager.humanPause('distraction', this.humanState.fatigue)
+            () => this.mouseSimulator.performRandomMovement(page, signal),
+            () => this.scrollSimulator.performMicroScroll(page, signal),
+            () => this.timingManager.humanPause('distraction', this.humanState.fatigue, { signal })
         ];
 
         const selectedInteraction = interactions[Math.floor(Math.random() * interactions.length)];
@@ -371,19 +392,21 @@ class HumanBehaviorSimulator {
     /**
      * Espera la carga de página con comportamiento humano
      * @param {Object} page - Página de Playwright
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async waitForPageLoadHuman(page) {
+    async waitForPageLoadHuman(page, signal) {
         try {
             // Esperar navegación básica
-            await page.waitForLoadState('domcontentloaded', { timeout: 30000 });
+            await raceAbort(page.waitForLoadState('domcontentloaded', { timeout: 30000 }), signal);
             
             // Pausa humana adicional para "procesar" la nueva página
-            await this.timingManager.humanPause('page_processing', this.humanState.fatigue);
+            await this.timingManager.humanPause('page_processing', this.humanState.fatigue, { signal });
             
             // Pequeño movimiento de mouse al cargar
-            await this.mouseSimulator.performPageLoadMovement(page);
+            await this.mouseSimulator.performPageLoadMovement(page, signal);
             
         } catch (error) {
+            signal?.throwIfAborted();
             console.warn('Timeout esperando carga de página');
         }
     }
@@ -1,3 +1,5 @@
+import { sleep } from '../utils/abort.js';
+
 /**
  * Simulador de movimientos naturales del mouse
  * Implementa trayectorias curvas de Bezier y patrones humanos realistas
@@ -12,8 +14,9 @@ class MouseMovementSimulator {
     /**
      * Realiza movimientos iniciales del mouse al cargar una página
      * @param {Object} page - Página de Playwright
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async performInitialMovements(page) {
+    async performInitialMovements(page, signal) {
         try {
             // Obtener dimensiones de la ventana con fallback
             let viewport = await page.viewportSize();
@@ -41,7 +44,7 @@ class MouseMovementSimulator {
             this.updatePosition(startX, startY);
             
             // Pequeño movimiento aleatorio después de 1-3 segundos
-            await this.sleep(this.randomBetween(1000, 3000));
+            await this.sleep(this.randomBetween(1000, 3000), signal);
             
             const deltaX = (Math.random() - 0.5) * 100;
             const deltaY = (Math.random() - 0.5) * 100;
@@ -50,9 +53,10 @@ class MouseMovementSimulator {
             const newX = Math.max(10, Math.min(viewport.width - 10, startX + deltaX));
             const newY = Math.max(10, Math.min(viewport.height - 10, startY + deltaY));
             
-            await this.moveNaturally(page, newX, newY);
+            await this.moveNaturally(page, newX, newY, signal);
             
         } catch (error) {
+            signal?.throwIfAborted();
             console.warn('Error en movimientos iniciales del mouse:', error.message);
         }
     }
@@ -61,8 +65,9 @@ class MouseMovementSimulator {
      * Mueve el mouse de forma natural hacia un elemento
      * @param {Object} page - Página de Playwright
      * @param {Object} element - Elemento destino
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async moveToElementNaturally(page, element) {
+    async moveToElementNaturally(page, element, signal) {
         try {
             const box = await element.boundingBox();
             if (!box) {
@@ -75,9 +80,10 @@ class MouseMovementSimulator {
             const targetY = box.y + box.height * (0.3 + Math.random() * 0.4);
 
             // Mover naturalmente hacia el objetivo
-            await this.moveNaturally(page, targetX, targetY);
+            await this.moveNaturally(page, targetX, targetY, signal);
             
         } catch (error) {
+            signal?.throwIfAborted();
             console.warn('Error moviendo mouse hacia elemento:', error.message);
         }
     }
@@ -87,8 +93,9 @@ class MouseMovementSimulator {
      * @param {Object} page - Página de Playwright
      * @param {number} targetX - Coordenada X destino
      * @param {number} targetY - Coordenada Y destino
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async moveNaturally(page, targetX, targetY) {
+    async moveNaturally(page, targetX, targetY, signal) {
         const start = { ...this.currentPosition };
         const end = { x: targetX, y: targetY };
         
@@ -105,7 +112,7 @@ class MouseMovementSimulator {
             
             // Velocidad variable basada en personalidad del mouse
             const delay = this.calculateMovementDelay(i, path.length, distance);
-            await this.sleep(delay);
+            await this.sleep(delay, signal);
         }
         
         this.updatePosition(targetX, targetY);
@@ -173,8 +180,9 @@ class MouseMovementSimulator {
     /**
      * Realiza movimiento aleatorio pequeño
      * @param {Object} page - Página de Playwright
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async performRandomMovement(page) {
+    async performRandomMovement(page, signal) {
         const viewport = await page.viewportSize();
         
         // Movimiento pequeño desde posición actual
@@ -188,22 +196,23 @@ class MouseMovementSimulator {
         newX = Math.max(10, Math.min(viewport.width - 10, newX));
         newY = Math.max(10, Math.min(viewport.height - 10, newY));
         
-        await this.moveNaturally(page, newX, newY);
+        await this.moveNaturally(page, newX, newY, signal);
     }
 
     /**
      * Movimiento específico al cargar página
      * @param {Object} page - Página de Playwright
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async performPageLoadMovement(page) {
+    async performPageLoadMovement(page, signal) {
         // Simular que el usuario mueve el mouse después de cargar página
-        await this.sleep(this.randomBetween(500, 1500));
+        await this.sleep(this.randomBetween(500, 1500), signal);
         
         const viewport = await page.viewportSize();
         const targetX = viewport.width * (0.2 + Math.random() * 0.6);
         const targetY = viewport.height * (0.3 + Math.random() * 0.4);
         
-        await this.moveNaturally(page, targetX, targetY);
+        await this.moveNaturally(page, targetX, targetY, signal);
     }
 
     /**
@@ -341,9 +350,10 @@ class MouseMovementSimulator {
     /**
      * Utilidad para pausas
      * @param {number} ms - Millisegundos a esperar
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async sleep(ms, signal) {
+        return sleep(ms, signal);
     }
 }
 
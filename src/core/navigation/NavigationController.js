@@ -1,6 +1,25 @@
 import { EventEmitter } from 'events';
 import CookieDetector from './CookieDetector.js';
 import HumanBehaviorSimulator from './HumanBehaviorSimulator.js';
+import TerminationPolicy from './TerminationPolicy.js';
+import SessionWatchdog from './SessionWatchdog.js';
+import WorkerPool from '../utils/WorkerPool.js';
+import SiteLists from '../database/SiteLists.js';
+import CategoryMix from '../database/CategoryMix.js';
+import { sleep, raceAbort } from '../utils/abort.js';
+import {
+    StopRequestedError,
+    BrowserDisconnectedError,
+    NavigationTimeoutError,
+    ProfileCooldownError,
+    BatchInProgressError,
+    toBrowserError
+} from '../errors/AppError.js';
+
+// Latido de las sesiones en la base, aparte del checkpoint por sitio: una
+// pausa o una espera larga dentro de un sitio no deben hacerla pasar por
+// huérfana (DatabaseManager la da por muerta tras 10 minutos sin señales)
+const SESSION_HEARTBEAT_INTERVAL_MS = 60 * 1000;
 
 /**
  * Controlador principal de navegación
@@ -18,6 +37,15 @@ class NavigationController extends EventEmitter {
         this.humanBehaviorSimulator = new HumanBehaviorSimulator();
         this.activeSessions = new Map();
         this.stopFlags = new Map(); // Flags para detener sesiones individualmente
+        this.abortControllers = new Map(); // Cancelación por perfil: corta las esperas en curso al detener
+        this.heartbeatTimers = new Map(); // Latido periódico en la base de cada sesión en curso
+        this.sessionPool = null; // Pool que acota cuántos perfiles corren a la vez
+        this.currentBatch = null; // Lote en curso: id, objetivo y política por defecto, promesas de sus sesiones
+        this.batchStarting = false; // Hay un lote validándose y registrándose, todavía sin pool
+        this.watchdog = null; // Vigila las sesiones del lote en curso por si se cuelgan
+        this.sessionBrowsers = new Map(); // Navegador y página en uso por perfil; el watchdog puede reemplazarlos
+        this.interruptedRun = null; // Ejecución que quedó a medias en el arranque anterior
+        this.recoveryPromise = null;
         this.globalStats = {
             totalSessions: 0,
             completedSessions: 0,
@@ -35,11 +63,114 @@ class NavigationController extends EventEmitter {
      */
     setStopFlag(profileId) {
         this.stopFlags.set(profileId, true);
+        // Cortar en el acto cualquier pausa, scroll o clic en curso de la sesión
+        this.abortControllers.get(profileId)?.abort(new StopRequestedError(profileId));
         console.log(`[${profileId}] Flag de detención establecido`);
     }
     //#endregion Setters
 
+    //#region Pause
+    /**
+     * Pausa una sesión activa. El navegador queda abierto y el progreso se
+     * conserva; la sesión se detiene en el próximo punto seguro (inicio del
+     * siguiente sitio o la espera entre sitios) hasta que se reanude.
+     * El tiempo en pausa no cuenta para la duración mínima.
+     * @param {string} profileId - ID del perfil a pausar
+     * @returns {boolean} True si la sesión quedó pausada
+     */
+    pauseSession(profileId) {
+        const sessionStats = this.activeSessions.get(profileId);
+        if (!sessionStats) {
+            throw new Error(`No hay una sesión activa para el perfil ${profileId}`);
+        }
+        if (sessionStats.status === 'paused') return false;
+
+        sessionStats.status = 'paused';
+        sessionStats.pausedAt = Date.now();
+        console.log(`[${profileId}] Sesión pausada`);
+
+        this.emit('session:paused', {
+            sessionId: sessionStats.sessionId,
+            profileId,
+            timestamp: new Date().toISOString()
+        });
+        return true;
+    }
+
+    /**
+     * Reanuda una sesión pausada con pauseSession.
+     * @param {string} profileId - ID del perfil a reanudar
+     * @returns {boolean} True si la sesión se reanudó
+     */
+    resumeSession(profileId) {
+        const sessionStats = this.activeSessions.get(profileId);
+        if (!sessionStats) {
+            throw new Error(`No hay una sesión activa para el perfil ${profileId}`);
+        }
+        if (sessionStats.status !== 'paused') return false;
+
+        sessionStats.pausedDuration += Date.now() - sessionStats.pausedAt;
+        sessionStats.pausedAt = null;
+        sessionStats.status = 'running';
+        console.log(`[${profileId}] Sesión reanudada (${Math.round(sessionStats.pausedDuration / 1000)}s en pausa en total)`);
+
+        this.emit('session:resumed', {
+            sessionId: sessionStats.sessionId,
+            profileId,
+            pausedDuration: sessionStats.pausedDuration,
+            timestamp: new Date().toISOString()
+        });
+        return true;
+    }
+
+    /**
+     * Tiempo total que la sesión pasó en pausa, incluyendo la pausa en curso.
+     * @param {Object} sessionStats - Estadísticas de la sesión
+     * @returns {number} Milisegundos en pausa
+     */
+    getPausedDuration(sessionStats) {
+        const current = sessionStats.pausedAt ? Date.now() - sessionStats.pausedAt : 0;
+        return (sessionStats.pausedDuration || 0) + current;
+    }
+
+    /**
+     * Bloquea mientras la sesión esté pausada. Sigue atendiendo el flag de
+     * detención para que "detener" funcione también sobre sesiones pausadas,
+     * y la fecha límite y la duración máxima de la política, que corren
+     * durante la pausa.
+     * @param {string} profileId - ID del perfil
+     * @param {TerminationPolicy} [policy] - Política de la sesión
+     * @param {number} [startTime] - Inicio de la sesión (timestamp)
+     * @returns {Promise<string|null>} Límite de reloj alcanzado en la pausa, o null
+     * @throws {StopRequestedError} Si se pide detener durante la pausa
+     */
+    async waitWhilePaused(profileId, policy = null, startTime = null) {
+        while (this.activeSessions.get(profileId)?.status === 'paused') {
+            this.checkStopFlagOrThrow(profileId);
+            const timeLimit = policy?.evaluateTimeLimits({ elapsedMs: Date.now() - startTime });
+            if (timeLimit) {
+                console.log(`[${profileId}] Límite alcanzado durante la pausa (${timeLimit})`);
+                return timeLimit;
+            }
+            // Una sesión en pausa no está colgada
+            this.watchdog?.touch(profileId);
+            await this.sleep(500, this.getSessionSignal(profileId));
+        }
+        this.checkStopFlagOrThrow(profileId);
+        return null;
+    }
+    //#endregion Pause
+
     //#region Public state queries
+    /**
+     * Indica si hay un lote corriendo o preparándose (validando perfiles y
+     * registrándose), aunque todavía no tenga sesiones activas ni en cola.
+     * @returns {boolean}
+     */
+    isBatchActive() {
+        return this.batchStarting || this.currentBatch !== null;
+    }
+
     /**
      * Cantidad de sesiones de navegación activas.
      * @returns {number}
@@ -67,92 +198,528 @@ class NavigationController extends EventEmitter {
         });
         return sessions;
     }
+
+    /**
+     * Cantidad de perfiles esperando un slot libre en el pool.
+     * @returns {number}
+     */
+    getQueuedSessionCount() {
+        return this.sessionPool ? this.sessionPool.getQueuedCount() : 0;
+    }
+
+    /**
+     * Snapshot de los perfiles en cola con su posición (1-based).
+     * @returns {Array<{profileId:string, position:number}>}
+     */
+    getQueuedProfilesSnapshot() {
+        if (!this.sessionPool) return [];
+        return this.sessionPool.getQueueSnapshot()
+            .map(({ id, position }) => ({ profileId: id, position }));
+    }
+
     /**
      * Devuelve el estado global agregado para consumo del renderer vía IPC.
      * Reusa getActiveSessionsSnapshot para no duplicar la lógica de serialización
      * y devuelve una copia superficial de globalStats para evitar mutación
      * accidental del estado interno.
-     * @returns {{activeSessions: Array, globalStats: Object, isRunning: boolean}}
+     * @returns {{activeSessions: Array, queuedProfiles: Array, globalStats: Object, isRunning: boolean}}
      */
     getGlobalStatus() {
+        const queuedProfiles = this.getQueuedProfilesSnapshot();
         return {
             activeSessions: this.getActiveSessionsSnapshot(),
+            queuedProfiles,
             globalStats: { ...this.globalStats },
-            isRunning: this.activeSessions.size > 0
+            isRunning: this.activeSessions.size > 0 || queuedProfiles.length > 0
         };
     }
     //#endregion Public state queries
 
     //#region Starters
     /**
-     * Inicia múltiples sesiones de navegación en paralelo
+     * Inicia múltiples sesiones de navegación en paralelo.
+     * Las sesiones pasan por un pool de concurrencia acotada
+     * (adspower.maxConcurrentProfiles); los perfiles que excedan el límite
+     * esperan en cola y arrancan escalonados según profileStartupDelay
+     * más un jitter aleatorio.
      * @param {Array|string} profileIds - Array de IDs o ID único de perfil
      * @param {number} targetCookies - Cantidad objetivo de cookies por perfil
-     * @returns {Promise<Object>} Resultado agregado de todas las sesiones
+     * @param {Object} [options]
+     * @param {Object<string, number>} [options.targets] - Objetivo propio por perfil (pisa targetCookies)
+     * @param {TerminationPolicy|Object} [options.policy] - Política de terminación de las sesiones
+     * @param {Object<string, Object>} [options.policies] - Campos de la política que cada perfil pisa
+     * @param {Object<string, Array<string>>} [options.sites] - Dominios a los que se limita cada perfil
+     * @param {Object<string, Array<string>>} [options.siteLists] - Listas de sitios a las que se limita cada perfil
+     * @param {Array<string>} [options.defaultSiteLists] - Listas de sitios de los perfiles que no traen las suyas
+     * @param {CategoryMix|Object|string} [options.categoryMix] - Mezcla de categorías de los sitios del lote
+     * @param {string} [options.startedBy] - Origen del lote ('app', 'cli', 'resume'), para los reportes
+     * @param {string} [options.rerunOf] - Lote guardado que esta ejecución repite
+     * @param {number} [options.scheduleRunId] - Ejecución programada que lanza el lote
+     * @param {boolean} [options.ignoreCooldown=false] - Arranca aunque algún perfil siga en enfriamiento
+     * @returns {Promise<Object>} Resultado agregado de todas las sesiones, con el batchId del lote
+     * @throws {BatchInProgressError} Si ya hay un lote corriendo o preparándose
+     * @throws {ProfileCooldownError} Si algún perfil corrió hace menos del enfriamiento configurado
+     * @throws {Error} Si alguna lista de sitios no existe o la mezcla de categorías es inválida
      */
-    async startMultipleNavigationSessions(profileIds, targetCookies = null) {
-        const profiles = Array.isArray(profileIds) ? profileIds : [profileIds];
+    async startMultipleNavigationSessions(profileIds, targetCookies = null, options = {}) {
+        // Un perfil repetido correría dos sesiones sobre el mismo navegador
+        const profiles = [...new Set(Array.isArray(profileIds) ? profileIds : [profileIds])];
         const effectiveTarget = targetCookies || this.configStore.getDefaultCookieTarget();
+        const targets = options.targets || {};
+        const policy = TerminationPolicy.from(options.policy);
+        const policies = options.policies || {};
+        const sites = options.sites || {};
+        const defaultSiteLists = options.defaultSiteLists?.length > 0 ? options.defaultSiteLists : null;
+        const siteLists = Object.fromEntries(profiles
+            .map(profileId => [profileId, options.siteLists?.[profileId] || defaultSiteLists])
+            .filter(([, names]) => names));
+        const categoryMix = CategoryMix.from(options.categoryMix);
+        const { maxConcurrentProfiles, profileStartupDelay, profileStartupJitter } = this.configStore.getConcurrencyConfig();
+
+        // Marcar el lote antes del primer await: hasta crear el pool las
+        // cuentas de sesiones dan 0 y otro arranque pisaría este lote
+        if (this.isBatchActive()) {
+            throw new BatchInProgressError(this.currentBatch?.batchId);
+        }
+        this.batchStarting = true;
 
-        console.log(`Iniciando navegación con ${profiles.length} perfil(es)`);
-        console.log(`Objetivo por perfil: ${effectiveTarget} cookies`);
-        console.log(`Perfiles: ${profiles.join(', ')}`);
-
-        this.globalStats.totalSessions = profiles.length;
-        this.globalStats.startTime = new Date();
-
-        // Emitir estadísticas globales actualizadas
-        this.emitGlobalStats(this.globalStats);
-
-        // Configurar WAL mode para SQLite (mejora concurrencia)
-        await this.setupDatabaseConcurrency();
+        let batchId;
+        try {
+            // Una reanudación continúa las sesiones cortadas, no es una corrida nueva
+            if (!options.ignoreCooldown && options.startedBy !== 'resume') {
+                await this.assertProfilesRested(profiles);
+            }
+            await this.assertSiteListsExist([...Object.values(siteLists).flat()]);
+
+            console.log(`Iniciando navegación con ${profiles.length} perfil(es)`);
+            console.log(`Objetivo por perfil: ${effectiveTarget} cookies`);
+            console.log(`Política de terminación: ${policy.describe()}`);
+            if (categoryMix) console.log(`Mezcla de categorías: ${categoryMix.describe()}`);
+            console.log(`Perfiles: ${profiles.join(', ')}`);
+            console.log(`Máximo de perfiles simultáneos: ${maxConcurrentProfiles}`);
+
+            this.globalStats.totalSessions = profiles.length;
+            this.globalStats.startTime = new Date();
+
+            // Emitir estadísticas globales actualizadas
+            this.emitGlobalStats(this.globalStats);
+
+            // Configurar WAL mode para SQLite (mejora concurrencia)
+            await this.setupDatabaseConcurrency();
+
+            // Registrar el lote antes de abrir el pool: desde ahí se le pueden sumar perfiles
+            batchId = `batch_${Date.now()}`;
+            await this.registerBatch({
+                batchId,
+                startedAt: this.globalStats.startTime,
+                startedBy: options.startedBy,
+                rerunOf: options.rerunOf,
+                scheduleRunId: options.scheduleRunId,
+                profileIds: profiles,
+                defaultTarget: effectiveTarget,
+                targets: Object.fromEntries(profiles.map(profileId => [profileId, targets[profileId] ?? effectiveTarget])),
+                policy: policy.toJSON(),
+                overrides: { policies, sites, siteLists },
+                categoryMix: categoryMix?.toJSON() || null
+            });
+        } finally {
+            this.batchStarting = false;
+        }
 
-        // Iniciar todas las sesiones en paralelo
-        const sessionPromises = profiles.map(profileId =>
-            this.startSingleNavigationSession(profileId, effectiveTarget)
-                .catch(error => {
-                    console.error(`Error en perfil ${profileId}:`, error.message);
-                    this.globalStats.errors++;
-                    return {
-                        profileId,
-                        success: false,
-                        error: error.message,
-                        cookiesCollected: 0,
-                        sitesVisited: 0,
-                        duration: 0
-                    };
-                })
-        );
+        this.sessionPool = this.createSessionPool({
+            concurrency: maxConcurrentProfiles,
+            startDelay: profileStartupDelay,
+            jitter: profileStartupJitter
+        });
+        this.watchdog = this.createWatchdog();
+
+        // Encolar todas las sesiones; el pool decide cuándo arranca cada una.
+        // El lote queda abierto para sumar perfiles mientras corre.
+        this.currentBatch = { batchId, defaultTarget: effectiveTarget, policy, defaultSiteLists, categoryMix, sessionPromises: [] };
+        profiles.forEach(profileId => {
+            this.enqueueSession(profileId, targets[profileId] ?? effectiveTarget, {
+                policy: policies[profileId],
+                sites: sites[profileId],
+                siteLists: siteLists[profileId]
+            });
+        });
         
         // Mostrar progreso mientras ejecutan
         const progressInterval = setInterval(() => {
             this.showGlobalProgress();
         }, 10000); // Cada 10 segundos
+
+        // Atender detenciones individuales pedidas desde la CLI
+        const stopRequestsInterval = setInterval(() => {
+            this.applyExternalStopRequests();
+        }, 3000);
         
         try {
-            // Esperar a que terminen todas las sesiones
-            const results = await Promise.all(sessionPromises);
+            // Esperar a que terminen todas las sesiones, incluidas las que
+            // se sumaron al lote mientras corría
+            const { sessionPromises } = this.currentBatch;
+            let results = [];
+            do {
+                results = await Promise.all([...sessionPromises]);
+            } while (results.length < sessionPromises.length);
+
             clearInterval(progressInterval);
+            clearInterval(stopRequestsInterval);
+            this.stopWatchdog();
+            this.sessionPool = null;
+            this.currentBatch = null;
             
             // Calcular estadísticas finales
             const finalStats = this.calculateFinalStats(results);
+            finalStats.batchId = batchId;
+            const allStopped = results.length > 0 && results.every(result => result.stopped);
+            await this.finishBatch(batchId, allStopped ? 'stopped' : 'completed');
             this.showFinalReport(finalStats);
             
             return finalStats;
             
         } catch (error) {
             clearInterval(progressInterval);
+            clearInterval(stopRequestsInterval);
+            this.stopWatchdog();
+            this.sessionPool = null;
+            this.currentBatch = null;
+            await this.finishBatch(batchId, 'error', error);
             throw error;
         }
     }
 
+    /**
+     * Verifica que ningún perfil haya corrido dentro del enfriamiento
+     * configurado (navigation.profileCooldownMinutes). Los perfiles que ya
+     * están en el lote en curso no cuentan.
+     * @param {Array<string>} profileIds
+     * @returns {Promise<void>}
+     * @throws {ProfileCooldownError} Con cada perfil y cuándo vuelve a estar disponible
+     */
+    async assertProfilesRested(profileIds) {
+        const cooldownMinutes = this.configStore.getProfileCooldownMinutes();
+        if (!cooldownMinutes) return;
+
+        const candidates = profileIds.filter(profileId => !this.sessionPool?.has(profileId));
+        const cooldownMs = cooldownMinutes * 60 * 1000;
+        const rows = await this.databaseManager.getProfilesInCooldown(candidates, new Date(Date.now() - cooldownMs));
+        if (rows.length === 0) return;
+
+        throw new ProfileCooldownError(rows.map(row => ({
+            profileId: row.profile_id,
+            lastActivityAt: row.last_activity_at,
+            availableAt: new Date(new Date(row.last_activity_at).getTime() + cooldownMs)
+        })), cooldownMinutes);
+    }
+
+    /**
+     * Verifica que existan todas las listas de sitios pedidas, para no
+     * arrancar sesiones que fallarían al elegir sus sitios.
+     * @param {Array<string>} names - Nombres de listas (pueden repetirse)
+     * @returns {Promise<void>}
+     * @throws {Error} Con los nombres que no corresponden a ninguna lista
+     */
+    async assertSiteListsExist(names) {
+        const unique = SiteLists.parseNames(names);
+        if (!unique) return;
+
+        const missing = await SiteLists.findMissing(this.databaseManager, unique);
+        if (missing.length > 0) {
+            throw new Error(`No existe la lista de sitios: ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Suma perfiles al lote en curso. Comparten el pool de concurrencia y
+     * las estadísticas globales con los perfiles que arrancaron el lote.
+     * Los perfiles que ya están corriendo o en cola se ignoran; los que se
+     * suman usan las listas de sitios del lote, si tiene.
+     * @param {Array<string>} profileIds - IDs de perfiles a sumar
+     * @param {number} [targetCookies] - Objetivo por perfil (por defecto, el del lote)
+     * @returns {{added: Array<string>, skipped: Array<string>}}
+     * @throws {Error} Si no hay una navegación en curso
+     */
+    addProfilesToBatch(profileIds, targetCookies = null) {
+        if (!this.currentBatch || !this.sessionPool) {
+            throw new Error('No hay una navegación en curso a la que sumar perfiles');
+        }
+
+        const added = [];
+        const skipped = [];
+
+        for (const profileId of new Set(profileIds)) {
+            if (this.sessionPool.has(profileId)) {
+                skipped.push(profileId);
+                continue;
+            }
+            this.enqueueSession(profileId, targetCookies || this.currentBatch.defaultTarget, {
+                siteLists: this.currentBatch.defaultSiteLists
+            });
+            added.push(profileId);
+        }
+
+        if (added.length > 0) {
+            console.log(`Perfiles sumados al lote en curso: ${added.join(', ')}`);
+            const target = targetCookies || this.currentBatch.defaultTarget;
+            this.recordBatchProfiles(this.currentBatch.batchId, Object.fromEntries(added.map(profileId => [profileId, target])));
+            this.globalStats.totalSessions += added.length;
+            this.emitGlobalStats(this.globalStats);
+        }
+
+        return { added, skipped };
+    }
+
+    /**
+     * Encola la sesión de un perfil en el pool del lote en curso. La promesa
+     * resultante nunca rechaza: los errores y las salidas de la cola se
+     * convierten en un resultado de sesión.
+     * @param {string} profileId - ID del perfil
+     * @param {number} targetCookies - Objetivo de cookies del perfil
+     * @param {Object} [overrides]
+     * @param {Object} [overrides.policy] - Campos de la política del lote que pisa este perfil
+     * @param {Array<string>} [overrides.sites] - Dominios a los que se limita este perfil
+     * @param {Array<string>} [overrides.siteLists] - Listas de sitios a las que se limita este perfil
+     * @returns {Promise<Object>} Resultado de la sesión
+     */
+    enqueueSession(profileId, targetCookies, overrides = {}) {
+        const policy = overrides.policy
+            ? TerminationPolicy.from({ ...this.currentBatch.policy.toJSON(), ...overrides.policy })
+            : this.currentBatch.policy;
+        const siteFilter = {};
+        if (overrides.sites) siteFilter.domains = overrides.sites;
+        if (overrides.siteLists) siteFilter.siteLists = overrides.siteLists;
+        if (this.currentBatch.categoryMix) siteFilter.categoryMix = this.currentBatch.categoryMix;
+
+        const { batchId } = this.currentBatch;
+        const promise = this.sessionPool.run(profileId, () => this.startSingleNavigationSession(profileId, targetCookies, policy, siteFilter, batchId))
+            .catch(error => {
+                if (error.code === 'TASK_CANCELLED') {
+                    console.log(`[${profileId}] Retirado de la cola antes de iniciar`);
+                    return {
+                        profileId,
+                        success: true,
+                        stopped: true,
+                        reason: 'user_request',
+                        cookiesCollected: 0,
+                        sitesVisited: 0,
+                        duration: 0
+                    };
+                }
+
+                console.error(`Error en perfil ${profileId}:`, error.message);
+                this.globalStats.errors++;
+                return {
+                    profileId,
+                    success: false,
+                    error: error.message,
+                    cookiesCollected: 0,
+                    sitesVisited: 0,
+                    duration: 0
+                };
+            });
+
+        this.currentBatch.sessionPromises.push(promise);
+        return promise;
+    }
+
+    /**
+     * Crea el pool de sesiones y reenvía sus cambios de cola como eventos
+     * session:queued, uno por perfil en espera.
+     * @param {Object} options - Opciones de WorkerPool
+     * @returns {WorkerPool}
+     */
+    createSessionPool(options) {
+        const pool = new WorkerPool(options);
+
+        pool.on('queue:changed', snapshot => {
+            snapshot.forEach(({ id, position }) => {
+                this.emitSessionQueued(id, position, snapshot.length);
+            });
+        });
+
+        return pool;
+    }
+
+    /**
+     * Crea y arranca el watchdog de sesiones colgadas del lote, según
+     * navigation.watchdog. Reenvía sus avisos como session:stalled y
+     * session:recovered y registra cada intervención en la base de datos.
+     * @returns {SessionWatchdog|null} null si está deshabilitado
+     */
+    createWatchdog() {
+        const { enabled, idleTimeout, recoveryGrace, checkInterval } = this.configStore.getWatchdogConfig();
+        if (!enabled) return null;
+
+        const watchdog = new SessionWatchdog({
+            idleTimeout,
+            recoveryGrace,
+            checkInterval,
+            recover: (profileId, step) => this.recoverStalledSession(profileId, step)
+        });
+
+        watchdog.on('stalled', ({ profileId, sessionId, step, attempt, idleMs }) => {
+            console.warn(`[${profileId}] Sesión sin progreso hace ${Math.round(idleMs / 1000)}s, intervención ${attempt}: ${step}`);
+            this.emit('session:stalled', {
+                sessionId,
+                profileId,
+                step,
+                attempt,
+                idleMs,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        watchdog.on('intervention', async intervention => {
+            const sessionStats = this.activeSessions.get(intervention.profileId);
+            if (sessionStats) sessionStats.interventions++;
+
+            if (!intervention.success) {
+                console.warn(`[${intervention.profileId}] Falló ${intervention.step}: ${intervention.error}`);
+            }
+
+            try {
+                await this.databaseManager.recordSessionIntervention(intervention);
+            } catch (error) {
+                console.warn(`[${intervention.profileId}] Error registrando intervención:`, error.message);
+            }
+        });
+
+        watchdog.on('recovered', ({ profileId, sessionId, step, attempts, stalledMs }) => {
+            console.log(`[${profileId}] Sesión recuperada tras ${attempts} intervención(es) (último paso: ${step})`);
+            this.emit('session:recovered', {
+                sessionId,
+                profileId,
+                step,
+                attempts,
+                stalledMs,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        watchdog.start();
+        return watchdog;
+    }
+
+    /**
+     * Detiene el watchdog del lote, si hay uno.
+     */
+    stopWatchdog() {
+        if (this.watchdog) {
+            this.watchdog.stop();
+            this.watchdog = null;
+        }
+    }
+
+    /**
+     * Aplica un paso de recuperación sobre una sesión colgada. La página o
+     * el navegador nuevos quedan en sessionBrowsers marcados como
+     * reemplazados; el bucle de la sesión los toma en su próxima vuelta
+     * (ver takeReplacedBrowser). Cerrar la página o el navegador viejos hace
+     * fallar la operación colgada, lo que destraba el bucle.
+     * @param {string} profileId - ID del perfil
+     * @param {string} step - Uno de SessionWatchdog.STEPS
+     * @returns {Promise<void>}
+     * @throws {Error} Si el paso no se pudo aplicar
+     */
+    async recoverStalledSession(profileId, step) {
+        const current = this.sessionBrowsers.get(profileId);
+        if (!current) {
+            throw new Error(`No hay navegador registrado para el perfil ${profileId}`);
+        }
+
+        // Mientras dure la recuperación, el bucle de la sesión espera en vez
+        // de tratar la página cerrada como una pérdida de conexión
+        current.recovering = true;
+        try {
+            await this.applyRecoveryStep(profileId, step, current);
+        } finally {
+            current.recovering = false;
+        }
+    }
+
+    /**
+     * @param {string} profileId - ID del perfil
+     * @param {string} step - Uno de SessionWatchdog.STEPS
+     * @param {{browserInstance:Object, page:Object}} current - Navegador y página en uso
+     * @returns {Promise<void>}
+     */
+    async applyRecoveryStep(profileId, step, current) {
+        switch (step) {
+            case 'reload_page':
+                await current.page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
+                break;
+
+            case 'reopen_page': {
+                const { browserInstance } = current;
+                const page = await browserInstance.context.newPage();
+                await current.page.close().catch(() => {});
+                browserInstance.page = page;
+                this.sessionBrowsers.set(profileId, { browserInstance, page, replaced: true });
+                break;
+            }
+
+            case 'restart_profile': {
+                await this.adsPowerManager.stopProfile(profileId).catch(error => {
+                    console.warn(`[${profileId}] Error deteniendo perfil colgado: ${error.message}`);
+                });
+                this.checkStopFlagOrThrow(profileId);
+                const browserInstance = await this.startProfile(profileId);
+                this.sessionBrowsers.set(profileId, { browserInstance, page: browserInstance.page, replaced: true });
+                break;
+            }
+
+            default:
+                throw new Error(`Paso de recuperación desconocido: ${step}`);
+        }
+    }
+
+    /**
+     * Espera a que termine una recuperación del watchdog en curso y devuelve
+     * el navegador y la página que dejó si reemplazó los de la sesión,
+     * marcándolos como tomados.
+     * @param {string} profileId - ID del perfil
+     * @returns {Promise<{browserInstance:Object, page:Object}|null>}
+     * @throws {StopRequestedError} Si se pide detener durante la espera
+     */
+    async takeReplacedBrowser(profileId) {
+        while (this.sessionBrowsers.get(profileId)?.recovering) {
+            this.checkStopFlagOrThrow(profileId);
+            await this.sleep(500, this.getSessionSignal(profileId));
+        }
+
+        const current = this.sessionBrowsers.get(profileId);
+        if (!current?.replaced) return null;
+        current.replaced = false;
+        return current;
+    }
+
+    /**
+     * Mensaje para un perfil que no tiene ningún sitio activo para visitar
+     * @param {Object} siteFilter - Filtros de getRandomWebsites del perfil
+     * @returns {string}
+     */
+    describeEmptySiteFilter(siteFilter) {
+        const limits = [
+            siteFilter.domains ? `los dominios asignados (${siteFilter.domains.join(', ')})` : null,
+            siteFilter.siteLists ? `las listas de sitios asignadas (${siteFilter.siteLists.join(', ')})` : null
+        ].filter(Boolean);
+
+        return limits.length > 0
+            ? `Ningún sitio activo coincide con ${limits.join(' y ')}`
+            : 'No hay sitios web disponibles en la base de datos';
+    }
+
     /**
      * Inicia una sesión de navegación individual con comportamiento humano
      * @param {string} profileId - ID del perfil
      * @param {number} targetCookies - Cantidad objetivo de cookies
+     * @param {TerminationPolicy} [policy] - Cuándo termina la sesión (por defecto, cookies y tiempo mínimo)
+     * @param {Object} [siteFilter] - Filtros de getRandomWebsites para elegir los sitios del perfil
+     * @param {string|null} [batchId] - Lote al que pertenece la sesión
      * @returns {Promise<Object>} Resultado de la sesión
      */
-    async startSingleNavigationSession(profileId, targetCookies) {
+    async startSingleNavigationSession(profileId, targetCookies, policy = new TerminationPolicy(), siteFilter = {}, batchId = null) {
         const sessionId = `session_${profileId}_${Date.now()}`;
         const startTime = Date.now();
         
@@ -168,6 +735,7 @@ class NavigationController extends EventEmitter {
         const sessionStats = {
             sessionId,
             profileId,
+            batchId,
             startTime: new Date(startTime),
             endTime: null,
             targetCookies,
@@ -177,22 +745,34 @@ class NavigationController extends EventEmitter {
             humanBehaviorScore: 0,
             success: false,
             error: null,
-            currentSite: null
+            endReason: null,
+            interventions: 0,
+            currentSite: null,
+            status: 'running',
+            pausedAt: null,
+            pausedDuration: 0,
+            // Mezcla pedida y sitios visitados de cada categoría
+            categoryMix: siteFilter.categoryMix?.toJSON() || null,
+            categoryVisits: {}
         };
 
         // Registrar sesión activa
         this.activeSessions.set(profileId, sessionStats);
+        const signal = this.createSessionSignal(profileId);
 
         let browserInstance = null;
 
         try {
             // Registrar sesión en base de datos
             await this.registerSession(sessionStats);
+            this.startSessionHeartbeat(sessionStats);
 
             // Iniciar navegador usando AdsPowerManager global
             browserInstance = await this.startProfile(profileId);
             // SDD: must remain 'let' — page is reassigned in the reconnection path (line ~336).
             let page = browserInstance.page;
+            this.sessionBrowsers.set(profileId, { browserInstance, page, replaced: false });
+            this.watchdog?.track(profileId, sessionId);
             
             console.log(`[${profileId}] Navegador iniciado`);
 
@@ -201,10 +781,17 @@ class NavigationController extends EventEmitter {
             sessionStats.initialCookieBaseline = initialCookieCount;
             console.log(`[${profileId}] Baseline inicial: ${initialCookieCount} cookies`);
 
+            // Los dominios que el perfil visitó dentro de la ventana van al final
+            const revisitWindowHours = this.configStore.getSiteRevisitWindowHours();
+            if (revisitWindowHours > 0) {
+                const since = new Date(startTime - revisitWindowHours * 60 * 60 * 1000).toISOString();
+                siteFilter = { ...siteFilter, revisit: { profileId, since } };
+            }
+
             // Obtener sitios web para navegar
-            let websites = await this.databaseManager.getRandomWebsites(100);
+            let websites = await this.selectSessionWebsites(profileId, siteFilter);
             if (websites.length === 0) {
-                throw new Error('No hay sitios web disponibles en la base de datos');
+                throw new Error(this.describeEmptySiteFilter(siteFilter));
             }
 
             console.log(`[${profileId}] ${websites.length} sitios disponibles`);
@@ -213,36 +800,57 @@ class NavigationController extends EventEmitter {
             const minimumTime = this.calculateMinimumNavigationTime(targetCookies);
             console.log(`[${profileId}] Tiempo mínimo: ${Math.round(minimumTime/60000)} minutos`);
 
-            // Navegar por sitios hasta alcanzar objetivo Y tiempo mínimo
+            // Navegar por sitios hasta que la política de terminación lo indique
             let siteIndex = 0;
             const endTime = startTime + minimumTime;
             let consecutiveConnectionErrors = 0;
             const maxConnectionErrors = 3;
 
-            // BUCLE PRINCIPAL: Continuar hasta cumplir AMBAS condiciones
+            // BUCLE PRINCIPAL: Continuar hasta que se cumpla la política
             while (true) {
                 // Verificar interrupción manual PRIMERO
                 try {
                     this.checkStopFlagOrThrow(profileId);
                 } catch (stopError) {
-                    if (stopError.code === 'STOP_REQUESTED') {
+                    if (stopError instanceof StopRequestedError) {
                         console.log(`[${profileId}] Sesión interrumpida por flag de detención`);
                         throw stopError; // Propagar para salir completamente
                     }
                 }
 
+                // Si la sesión está pausada, esperar acá con el navegador abierto.
+                // Si vence un límite de reloj en la pausa, la política corta abajo
+                await this.waitWhilePaused(profileId, policy, startTime);
+
+                // Tomar la página o el navegador nuevos si el watchdog los reemplazó
+                const replaced = await this.takeReplacedBrowser(profileId);
+                if (replaced) {
+                    ({ browserInstance, page } = replaced);
+                    consecutiveConnectionErrors = 0;
+                }
+
+                // El tiempo en pausa no cuenta para la duración mínima
+                const effectiveEndTime = endTime + this.getPausedDuration(sessionStats);
                 const cookiesReached = sessionStats.cookiesCollected >= targetCookies;
-                const timeReached = Date.now() >= endTime;
-                
-                // Solo terminar si se cumplieron AMBAS condiciones
-                if (cookiesReached && timeReached) {
-                    console.log(`[${profileId}] Objetivos completados: ${sessionStats.cookiesCollected}/${targetCookies} cookies en ${Math.round((Date.now() - startTime)/60000)} minutos`);
+                const timeReached = Date.now() >= effectiveEndTime;
+
+                const endReason = policy.evaluate({
+                    cookiesCollected: sessionStats.cookiesCollected,
+                    targetCookies,
+                    sitesVisited: sessionStats.sitesVisited,
+                    elapsedMs: Date.now() - startTime,
+                    minimumTimeReached: timeReached
+                });
+
+                if (endReason) {
+                    sessionStats.endReason = endReason;
+                    console.log(`[${profileId}] Sesión terminada (${endReason}): ${sessionStats.cookiesCollected}/${targetCookies} cookies en ${Math.round((Date.now() - startTime)/60000)} minutos`);
                     break;
                 }
                 
                 // Mostrar progreso si ya alcanzó cookies pero sigue por tiempo
                 if (cookiesReached && !timeReached) {
-                    const remainingMinutes = Math.round((endTime - Date.now()) / 60000);
+                    const remainingMinutes = Math.round((effectiveEndTime - Date.now()) / 60000);
                     console.log(`[${profileId}] Objetivo alcanzado, continuando ${remainingMinutes} min más por realismo`);
                 }
 
@@ -250,7 +858,7 @@ class NavigationController extends EventEmitter {
                 if (siteIndex >= websites.length) {
                     console.log(`[${profileId}] Reiniciando lista de sitios`);
                     siteIndex = 0;
-                    websites = await this.databaseManager.getRandomWebsites(100);
+                    websites = await this.selectSessionWebsites(profileId, siteFilter);
                 }
 
                 const website = websites[siteIndex];
@@ -272,24 +880,25 @@ class NavigationController extends EventEmitter {
                     try {
                         await page.evaluate(() => document.readyState);
                     } catch (evalError) {
-                        if (evalError.message.includes('Target page, context or browser has been closed')) {
+                        if (toBrowserError(evalError, { profileId, page }) instanceof BrowserDisconnectedError) {
                             // Antes de intentar reconectar, verificar si fue detención manual
                             if (this.shouldStopSession(profileId)) {
                                 console.log(`[${profileId}] Navegador cerrado debido a detención manual`);
-                                const stopError = new Error('Sesión detenida por solicitud del usuario');
-                                stopError.code = 'STOP_REQUESTED';
-                                stopError.profileId = profileId;
-                                throw stopError;
+                                throw new StopRequestedError(profileId);
                             }
                             
                             consecutiveConnectionErrors++;
                             
                             if (consecutiveConnectionErrors >= maxConnectionErrors) {
-                                throw new Error('CONEXION_PERDIDA: Navegador perdió conexión permanentemente');
+                                throw new BrowserDisconnectedError('Navegador perdió conexión permanentemente', {
+                                    profileId,
+                                    permanent: true,
+                                    cause: evalError
+                                });
                             }
                             
                             console.warn(`[${profileId}] Conexión perdida temporalmente, reintentando...`);
-                            await this.sleep(2000);
+                            await this.sleep(2000, signal);
                             
                             // Verificar otra vez después del sleep
                             this.checkStopFlagOrThrow(profileId);
@@ -314,14 +923,28 @@ class NavigationController extends EventEmitter {
                         sessionId
                     );
 
+                    // Si el watchdog reemplazó la página o el navegador mientras el
+                    // sitio estaba colgado, el error es esperable: reintentar el sitio
+                    const replacedDuringSite = await this.takeReplacedBrowser(profileId);
+                    if (replacedDuringSite) {
+                        console.log(`[${profileId}] Reintentando ${website.domain} tras la recuperación del watchdog`);
+                        ({ browserInstance, page } = replacedDuringSite);
+                        consecutiveConnectionErrors = 0;
+                        continue;
+                    }
+
                     // Verificar si hubo error de conexión
-                    if (siteResult.error && siteResult.error.startsWith('CONEXION_PERDIDA')) {
+                    if (siteResult.failure instanceof BrowserDisconnectedError) {
                         consecutiveConnectionErrors++;
                         console.warn(`[${profileId}] Error de conexión ${consecutiveConnectionErrors}/${maxConnectionErrors}: ${siteResult.error}`);
                         
                         if (consecutiveConnectionErrors >= maxConnectionErrors) {
                             console.error(`[${profileId}] Demasiados errores de conexión consecutivos, terminando sesión`);
-                            throw new Error('Navegador perdió conexión permanentemente');
+                            throw new BrowserDisconnectedError('Navegador perdió conexión permanentemente', {
+                                profileId,
+                                permanent: true,
+                                cause: siteResult.failure
+                            });
                         }
                         
                         // Intentar reconectar
@@ -338,17 +961,16 @@ class NavigationController extends EventEmitter {
                             }
                             
                             // Esperar antes de reconectar
-                            await this.sleep(5000);
+                            await this.sleep(5000, signal);
 
-                            // Verificar si se debe detener la sesión antes de reconectar
-                            if (this.shouldStopSession(profileId)) {
-                                console.log(`[${profileId}] Pausa interrumpida por flag de detención`);
-                                break;
-                            }
+                            // Verificar si se debe detener la sesión antes de reconectar:
+                            // salir como detenida, no como completada
+                            this.checkStopFlagOrThrow(profileId);
                             
                             // Reconectar
                             browserInstance = await this.startProfile(profileId);
                             page = browserInstance.page;
+                            this.sessionBrowsers.set(profileId, { browserInstance, page, replaced: false });
                             
                             console.log(`[${profileId}] Navegador reconectado exitosamente`);
                             consecutiveConnectionErrors = 0; // Resetear contador
@@ -358,7 +980,13 @@ class NavigationController extends EventEmitter {
                             
                         } catch (reconnectError) {
                             console.error(`[${profileId}] Error reconectando: ${reconnectError.message}`);
-                            throw new Error(`No se pudo reconectar navegador: ${reconnectError.message}`);
+                            // Un pedido de detención durante la reconexión no es una falla
+                            if (reconnectError instanceof StopRequestedError) throw reconnectError;
+                            throw new BrowserDisconnectedError(`No se pudo reconectar navegador: ${reconnectError.message}`, {
+                                profileId,
+                                permanent: true,
+                                cause: reconnectError
+                            });
                         }
                     } else {
                         // Resetear contador si no hubo error de conexión
@@ -378,6 +1006,8 @@ class NavigationController extends EventEmitter {
                     }
 
                     sessionStats.sitesVisited++;
+                    const category = website.category || 'general';
+                    sessionStats.categoryVisits[category] = (sessionStats.categoryVisits[category] || 0) + 1;
                     sessionStats.totalInteractions += siteResult.interactions || 0;
                     sessionStats.humanBehaviorScore += siteResult.humanScore || 0;
 
@@ -391,6 +1021,7 @@ class NavigationController extends EventEmitter {
                     });
 
                     await this.registerSiteVisit(sessionStats, website, siteResult);
+                    await this.checkpointSession(sessionStats);
 
                     console.log(`[${profileId}] +${siteResult.cookiesGained} cookies (Total: ${sessionStats.cookiesCollected}/${targetCookies})`);
 
@@ -407,33 +1038,35 @@ class NavigationController extends EventEmitter {
                     
                     for (let i = 0; i < totalIncrements; i++) {
                         const currentIncrement = Math.min(pauseIncrements, pauseTime - (i * pauseIncrements));
-                        await this.sleep(currentIncrement);
+                        await this.sleep(currentIncrement, signal);
                         
                         // VERIFICACIÓN: Durante la pausa, cada 500ms
                         this.checkStopFlagOrThrow(profileId);
+
+                        // Si el usuario pausó la sesión, quedarse acá hasta que la reanude
+                        if (await this.waitWhilePaused(profileId, policy, startTime)) break;
                     }
 
                 } catch (siteError) {
                     // VERIFICACIÓN: Si el error es detención manual, propagar inmediatamente
-                    if (siteError.code === 'STOP_REQUESTED') {
+                    if (siteError instanceof StopRequestedError) {
                         console.log(`[${profileId}] Detención detectada durante procesamiento de sitio`);
                         throw siteError;
                     }
                     
                     console.warn(`[${profileId}] Error en ${website.domain}: ${siteError.message}`);
+
+                    // El sitio falló pero la sesión sigue viva: registrar el latido
+                    await this.checkpointSession(sessionStats);
                     
                     // VERIFICACIÓN: Antes de continuar con el siguiente sitio después de un error
                     if (this.shouldStopSession(profileId)) {
                         console.log(`[${profileId}] Detención solicitada después de error en sitio`);
-                        const stopError = new Error('Sesión detenida por solicitud del usuario');
-                        stopError.code = 'STOP_REQUESTED';
-                        stopError.profileId = profileId;
-                        throw stopError;
+                        throw new StopRequestedError(profileId);
                     }
                     
                     // Si es error crítico de conexión, propagar hacia arriba
-                    if (siteError.message.includes('Navegador perdió conexión permanentemente') ||
-                        siteError.message.includes('No se pudo reconectar navegador')) {
+                    if (siteError instanceof BrowserDisconnectedError && siteError.permanent) {
                         throw siteError;
                     }
                 }
@@ -458,6 +1091,7 @@ class NavigationController extends EventEmitter {
             console.log(`Cookies: ${sessionStats.cookiesCollected}/${targetCookies}`);
             console.log(`Sitios: ${sessionStats.sitesVisited}`);
             console.log(`Tiempo: ${Math.round(totalTime/60000)} minutos (mín: ${Math.round(minimumTime/60000)})`);
+            console.log(`Motivo de fin: ${sessionStats.endReason}`);
             console.log(`Puntuación humana: ${sessionStats.humanBehaviorScore}/100`);
 
             // Emitir evento de sesión completada
@@ -476,12 +1110,15 @@ class NavigationController extends EventEmitter {
                 totalInteractions: sessionStats.totalInteractions,
                 humanBehaviorScore: sessionStats.humanBehaviorScore,
                 duration: totalTime,
-                targetReached: sessionStats.cookiesCollected >= targetCookies
+                targetReached: sessionStats.cookiesCollected >= targetCookies,
+                endReason: sessionStats.endReason,
+                interventions: sessionStats.interventions,
+                categoryReport: CategoryMix.report(sessionStats.categoryMix, sessionStats.categoryVisits)
             };
 
         } catch (error) {
             // Verificar si es detención intencional del usuario
-            if (error.code === 'STOP_REQUESTED') {
+            if (error instanceof StopRequestedError) {
                 console.log(`[${profileId}] Sesión detenida correctamente por solicitud del usuario`);
                 
                 sessionStats.success = false;
@@ -509,7 +1146,8 @@ class NavigationController extends EventEmitter {
                     stopped: true,
                     reason: 'user_request',
                     cookiesCollected: sessionStats.cookiesCollected,
-                    sitesVisited: sessionStats.sitesVisited
+                    sitesVisited: sessionStats.sitesVisited,
+                    categoryReport: CategoryMix.report(sessionStats.categoryMix, sessionStats.categoryVisits)
                 };
             }
             
@@ -530,12 +1168,20 @@ class NavigationController extends EventEmitter {
                 success: false,
                 error: error.message,
                 cookiesCollected: sessionStats.cookiesCollected,
-                sitesVisited: sessionStats.sitesVisited
+                sitesVisited: sessionStats.sitesVisited,
+                categoryReport: CategoryMix.report(sessionStats.categoryMix, sessionStats.categoryVisits)
             };
 
         } finally {
             // Limpiar sesión activa
             this.activeSessions.delete(profileId);
+            this.abortControllers.delete(profileId);
+            this.stopSessionHeartbeat(profileId);
+            this.watchdog?.untrack(profileId);
+
+            // El watchdog pudo haber reemplazado el navegador sin que el bucle lo tomara
+            browserInstance = this.sessionBrowsers.get(profileId)?.browserInstance || browserInstance;
+            this.sessionBrowsers.delete(profileId);
             
             // Cerrar navegador
             if (browserInstance) {
@@ -562,6 +1208,106 @@ class NavigationController extends EventEmitter {
     }
     //#endregion Starters
 
+    //#region Recovery
+    /**
+     * Recupera la ejecución que quedó a medias si la app o la máquina
+     * murieron durante una navegación: marca las sesiones huérfanas como
+     * 'interrupted' y cierra sus navegadores en Ads Power. El resultado
+     * queda disponible vía getInterruptedRun() para ofrecer reanudarla.
+     * @returns {Promise<Object|null>} Ejecución interrumpida o null
+     */
+    recoverInterruptedRun() {
+        this.recoveryPromise = this.performRunRecovery();
+        return this.recoveryPromise;
+    }
+
+    /**
+     * Implementación de recoverInterruptedRun.
+     * @returns {Promise<Object|null>}
+     */
+    async performRunRecovery() {
+        const sessions = await this.databaseManager.recoverOrphanedSessions();
+        if (sessions.length === 0) {
+            this.interruptedRun = null;
+            return null;
+        }
+
+        // Una entrada por perfil: si quedó más de una sesión huérfana, manda la última
+        const latestByProfile = new Map();
+        sessions.forEach(session => latestByProfile.set(session.profileId, session));
+
+        const profiles = Array.from(latestByProfile.values()).map(session => ({
+            profileId: session.profileId,
+            sessionId: session.sessionId,
+            targetCookies: session.targetCookies,
+            cookiesCollected: session.cookiesCollected,
+            remainingCookies: Math.max(session.targetCookies - session.cookiesCollected, 0)
+        }));
+
+        this.interruptedRun = {
+            detectedAt: new Date().toISOString(),
+            profiles
+        };
+
+        console.log(`Ejecución interrumpida detectada: ${profiles.length} perfil(es)`);
+
+        // Cerrar los navegadores que quedaron abiertos en Ads Power
+        for (const { profileId } of profiles) {
+            try {
+                if (this.adsPowerManager) {
+                    await this.adsPowerManager.stopProfile(profileId);
+                    console.log(`[${profileId}] Navegador huérfano cerrado en Ads Power`);
+                }
+            } catch (error) {
+                console.warn(`[${profileId}] No se pudo cerrar el navegador huérfano: ${error.message}`);
+            }
+        }
+
+        return this.interruptedRun;
+    }
+
+    /**
+     * Devuelve la ejecución interrumpida pendiente, esperando a que termine
+     * la recuperación si todavía está en curso.
+     * @returns {Promise<Object|null>}
+     */
+    async getInterruptedRun() {
+        if (this.recoveryPromise) {
+            await this.recoveryPromise.catch(() => {});
+        }
+        return this.interruptedRun;
+    }
+
+    /**
+     * Consume la ejecución interrumpida y arma el plan para reanudarla:
+     * solo los perfiles que no alcanzaron su objetivo, con lo que les falta.
+     * @returns {{profileIds: Array<string>, targets: Object<string, number>}|null}
+     */
+    takeResumePlan() {
+        if (!this.interruptedRun) return null;
+
+        const pending = this.interruptedRun.profiles.filter(p => p.remainingCookies > 0);
+        this.interruptedRun = null;
+
+        if (pending.length === 0) return null;
+
+        const targets = {};
+        pending.forEach(p => { targets[p.profileId] = p.remainingCookies; });
+
+        return {
+            profileIds: pending.map(p => p.profileId),
+            targets
+        };
+    }
+
+    /**
+     * Descarta la ejecución interrumpida sin reanudarla.
+     */
+    dismissInterruptedRun() {
+        this.interruptedRun = null;
+    }
+    //#endregion Recovery
+
     /**
      * Procesa un sitio web con comportamiento humano realista
      * @param {Object} page - Página de Playwright
@@ -572,31 +1318,38 @@ class NavigationController extends EventEmitter {
      * @returns {Promise<Object>} Resultado del procesamiento
      */
     async processSiteWithHumanBehavior(page, website, sessionStats, profileId, sessionId) {
+        const signal = this.getSessionSignal(profileId);
+        const startTime = Date.now();
         const cookiesBefore = await this.cookieDetector.getCookieCount(page, sessionStats.profileId);
 
         let visitSuccess = false;
         let errorMessage = null;
+        let failure = null;
         let interactions = 0;
         let humanScore = 0;
+        // null si la visita no llegó a buscar el aviso de cookies
+        let bannerAccepted = null;
 
         try {
-            // erificar que la página siga disponible antes de navegar
+            // Verificar que la página siga disponible antes de navegar
             if (!page || (page.isClosed && page.isClosed())) {
-                throw new Error('La página del navegador se ha cerrado');
+                throw new BrowserDisconnectedError('La página del navegador se ha cerrado', { profileId });
             }
 
             // Verificar conexión del contexto
             try {
                 await page.evaluate(() => document.readyState);
             } catch (evalError) {
-                if (evalError.message.includes('Target page, context or browser has been closed')) {
-                    throw new Error('Conexión del navegador perdida');
+                const browserError = toBrowserError(evalError, { profileId, page });
+                if (browserError instanceof BrowserDisconnectedError) {
+                    throw browserError;
                 }
             }
 
             // Navegar al sitio con reintentos
             let navigationSuccess = false;
             let navAttempt = 0;
+            let lastNavError = null;
             const maxNavAttempts = 3;
 
             while (!navigationSuccess && navAttempt < maxNavAttempts) {
@@ -604,10 +1357,10 @@ class NavigationController extends EventEmitter {
                     navAttempt++;
                     console.log(`[${sessionStats.profileId}] Intento navegación ${navAttempt}/${maxNavAttempts} a ${website.domain}`);
                     
-                    await page.goto(website.url, { 
+                    await raceAbort(page.goto(website.url, { 
                         waitUntil: 'domcontentloaded',
                         timeout: 30000 
-                    });
+                    }), signal);
                     
                     // Verificar que la navegación fue exitosa
                     const currentUrl = page.url();
@@ -628,11 +1381,18 @@ class NavigationController extends EventEmitter {
                     }
                     
                 } catch (navError) {
+                    if (navError instanceof StopRequestedError) throw navError;
                     console.warn(`[${sessionStats.profileId}] Error navegación intento ${navAttempt}: ${navError.message}`);
+                    lastNavError = toBrowserError(navError, { profileId, page, url: website.url });
+
+                    // Sin navegador no tiene sentido reintentar
+                    if (lastNavError instanceof BrowserDisconnectedError) {
+                        throw lastNavError;
+                    }
                     
                     // Si no es el último intento, esperar antes del siguiente
                     if (navAttempt < maxNavAttempts) {
-                        await this.sleep(2000);
+                        await this.sleep(2000, signal);
 
                         // Verificar si se debe detener la sesión antes de reintentar
                         if (this.shouldStopSession(profileId)) {
@@ -644,23 +1404,28 @@ class NavigationController extends EventEmitter {
             }
 
             if (!navigationSuccess) {
-                throw new Error(`No se pudo navegar a ${website.domain} después de ${maxNavAttempts} intentos`);
+                if (lastNavError instanceof NavigationTimeoutError) {
+                    throw new NavigationTimeoutError(website.url, { attempts: navAttempt, cause: lastNavError });
+                }
+                throw new Error(`No se pudo navegar a ${website.domain} después de ${navAttempt} intentos`);
             }
 
             // Pequeña pausa inicial para estabilización
-            await this.sleep(3000);
+            await this.sleep(3000, signal);
 
             // Verificar nuevamente que la página sigue disponible después de navegar
             try {
                 await page.evaluate(() => document.readyState);
             } catch (evalError) {
-                if (evalError.message.includes('Target page, context or browser has been closed')) {
-                    throw new Error('Conexión perdida después de navegación');
+                const browserError = toBrowserError(evalError, { profileId, page });
+                if (browserError instanceof BrowserDisconnectedError) {
+                    throw browserError;
                 }
             }
 
             // Detectar y aceptar cookies automáticamente
-            const cookieResult = await this.cookieDetector.acceptCookies(page);
+            const cookieResult = await this.cookieDetector.acceptCookies(page, signal);
+            bannerAccepted = Boolean(cookieResult.success);
             if (cookieResult.success) {
                 console.log(`[${sessionStats.profileId}] Cookies aceptadas: ${cookieResult.method}`);
             }
@@ -684,7 +1449,8 @@ class NavigationController extends EventEmitter {
                 {
                     maxTime: this.randomBetween(30000, 120000), // 30-120 segundos por sitio
                     priority: 'cookies',
-                    targetCookies: sessionStats.targetCookies - sessionStats.cookiesCollected
+                    targetCookies: sessionStats.targetCookies - sessionStats.cookiesCollected,
+                    signal
                 }
             );
 
@@ -695,16 +1461,12 @@ class NavigationController extends EventEmitter {
             console.log(`[${sessionStats.profileId}] Navegación humana: ${navigationResult.pagesVisited || 1} páginas, ${interactions} interacciones, score ${humanScore}/100`);
 
         } catch (error) {
+            // La detención sale del sitio sin contar cookies ni registrar la visita
+            if (error instanceof StopRequestedError) throw error;
             console.error(`[${sessionStats.profileId}] Error en ${website.domain}: ${error.message}`);
-            errorMessage = error.message;
-            
-            // Si el error es por conexión perdida, marcar para reconexión
-            if (error.message.includes('Target page, context or browser has been closed') ||
-                error.message.includes('Navegador desconectado') ||
-                error.message.includes('Conexión perdida') ||
-                error.message.includes('Browser has been closed')) {
-                errorMessage = `CONEXION_PERDIDA: ${error.message}`;
-            }
+            // Una BrowserDisconnectedError acá marca el sitio para reconexión
+            failure = toBrowserError(error, { profileId: sessionStats.profileId, page, url: website.url });
+            errorMessage = failure.message;
         }
 
         const cookiesAfter = await this.cookieDetector.getCookieCount(page, sessionStats.profileId);
@@ -731,9 +1493,11 @@ class NavigationController extends EventEmitter {
             cookiesGained,
             success: visitSuccess,
             error: errorMessage,
+            failure,
             interactions,
             humanScore,
-            duration: 0
+            bannerAccepted,
+            duration: Date.now() - startTime
         };
     }
 
@@ -899,6 +1663,24 @@ class NavigationController extends EventEmitter {
         }
     }
 
+    /**
+     * Elige los sitios de la sesión de un perfil. Con el historial activo
+     * (siteFilter.revisit), los dominios visitados dentro de la ventana
+     * solo se repiten cuando no alcanzan los demás.
+     * @param {string} profileId
+     * @param {Object} siteFilter - Filtros de getRandomWebsites del perfil
+     * @returns {Promise<Array<Object>>}
+     */
+    async selectSessionWebsites(profileId, siteFilter) {
+        const websites = await this.databaseManager.getRandomWebsites(100, [], siteFilter);
+
+        const repeated = websites.filter(website => website.revisited_at).length;
+        if (repeated > 0) {
+            console.log(`[${profileId}] Solo ${websites.length - repeated} sitios sin visitar en la ventana; se suman ${repeated} ya visitados, del más viejo al más reciente`);
+        }
+        return websites;
+    }
+
     /**
      * Registra una nueva sesión en la base de datos
      */
@@ -906,19 +1688,66 @@ class NavigationController extends EventEmitter {
         try {
             await this.databaseManager.db.runAsync(`
                 INSERT INTO navigation_sessions 
-                (session_id, profile_id, target_cookies, started_at, status) 
-                VALUES (?, ?, ?, ?, 'running')
+                (session_id, profile_id, target_cookies, started_at, status, batch_id, category_mix) 
+                VALUES (?, ?, ?, ?, 'running', ?, ?)
             `, [
                 sessionStats.sessionId,
                 sessionStats.profileId,
                 sessionStats.targetCookies,
-                sessionStats.startTime.toISOString()
+                sessionStats.startTime.toISOString(),
+                sessionStats.batchId || null,
+                sessionStats.categoryMix ? JSON.stringify(sessionStats.categoryMix) : null
             ]);
+            await this.databaseManager.refreshProfileStats(sessionStats.profileId);
         } catch (error) {
             console.warn(`Error registrando sesión ${sessionStats.profileId}:`, error.message);
         }
     }
 
+    /**
+     * Registra un lote nuevo en la base de datos. Un fallo no frena la
+     * navegación: el lote simplemente no aparece en los reportes.
+     * @param {Object} batch - Datos de DatabaseManager.createBatch
+     */
+    async registerBatch(batch) {
+        try {
+            await this.databaseManager.createBatch(batch);
+        } catch (error) {
+            console.warn(`Error registrando lote ${batch.batchId}:`, error.message);
+        }
+    }
+
+    /**
+     * Registra en el lote los perfiles sumados mientras corre.
+     * @param {string} batchId
+     * @param {Object<string, number>} targets - Objetivo de cada perfil sumado
+     */
+    async recordBatchProfiles(batchId, targets) {
+        try {
+            await this.databaseManager.addProfilesToBatch(batchId, targets);
+        } catch (error) {
+            console.warn(`Error actualizando perfiles del lote ${batchId}:`, error.message);
+        }
+    }
+
+    /**
+     * Cierra el lote en la base de datos con los totales de sus sesiones.
+     * @param {string} batchId
+     * @param {string} status - 'completed', 'stopped' o 'error'
+     * @param {Error} [error] - Error que cortó el lote
+     */
+    async finishBatch(batchId, status, error = null) {
+        try {
+            await this.databaseManager.completeBatch(batchId, {
+                status,
+                error: error?.message,
+                completedAt: new Date()
+            });
+        } catch (dbError) {
+            console.warn(`Error cerrando lote ${batchId}:`, dbError.message);
+        }
+    }
+
     /**
      * Registra una visita a sitio en la base de datos
      */
@@ -926,8 +1755,9 @@ class NavigationController extends EventEmitter {
         try {
             await this.databaseManager.db.runAsync(`
                 INSERT INTO site_visits 
-                (session_id, website_id, cookies_before, cookies_after, success, error_message, visited_at) 
-                VALUES (?, ?, ?, ?, ?, ?, ?)
+                (session_id, website_id, cookies_before, cookies_after, success, error_message, error_code,
+                 duration_seconds, banner_accepted, visited_at) 
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 sessionStats.sessionId,
                 website.id,
@@ -935,17 +1765,91 @@ class NavigationController extends EventEmitter {
                 siteResult.cookiesAfter,
                 siteResult.success,
                 siteResult.error,
+                siteResult.failure?.code || null,
+                siteResult.duration ? Math.round(siteResult.duration / 1000) : null,
+                siteResult.bannerAccepted ?? null,
                 new Date().toISOString()
             ]);
             
-            // Actualizar estadísticas del sitio web
+            // Actualizar estadísticas del sitio web y el historial del perfil
             await this.databaseManager.updateWebsiteStats(website.url, siteResult.cookiesGained);
+            await this.databaseManager.refreshWebsiteStats(website.id);
+            await this.databaseManager.recordProfileSiteVisit(sessionStats.profileId, website.domain);
             
         } catch (error) {
             console.warn(`Error registrando visita:`, error.message);
+            return;
+        }
+
+        await this.updateWebsiteHealth(sessionStats, website);
+    }
+
+    /**
+     * Recalcula la salud del sitio después de una visita; los sitios que
+     * fallan seguido entran en cuarentena (ver SiteHealth)
+     * @param {Object} sessionStats - Estadísticas de la sesión
+     * @param {Object} website - Sitio visitado
+     */
+    async updateWebsiteHealth(sessionStats, website) {
+        const { enabled, ...options } = this.configStore.getSiteHealthConfig();
+        if (!enabled) return;
+
+        try {
+            const result = await this.databaseManager.refreshWebsiteHealth(website.id, options);
+            if (result?.action === 'quarantined') {
+                console.warn(`[${sessionStats.profileId}] ${website.domain} entra en cuarentena (puntaje ${result.health.score}); próximo reintento: ${result.retryAt}`);
+            } else if (result?.action === 'retry-failed') {
+                console.log(`[${sessionStats.profileId}] ${website.domain} sigue en cuarentena; próximo reintento: ${result.retryAt}`);
+            } else if (result?.action === 'revived') {
+                console.log(`[${sessionStats.profileId}] ${website.domain} respondió bien y sale de la cuarentena`);
+            }
+        } catch (error) {
+            console.warn(`Error actualizando la salud de ${website.domain}:`, error.message);
         }
     }
 
+    /**
+     * Guarda en la base de datos el avance parcial de la sesión y su latido
+     * @param {Object} sessionStats - Estadísticas de la sesión
+     */
+    async checkpointSession(sessionStats) {
+        try {
+            await this.databaseManager.saveSessionCheckpoint(sessionStats.sessionId, {
+                cookiesCollected: sessionStats.cookiesCollected,
+                sitesVisited: sessionStats.sitesVisited,
+                totalInteractions: sessionStats.totalInteractions,
+                currentSite: sessionStats.currentSite,
+                categoryVisits: sessionStats.categoryVisits
+            });
+        } catch (error) {
+            console.warn(`[${sessionStats.profileId}] Error guardando checkpoint:`, error.message);
+        }
+    }
+
+    /**
+     * Arranca el latido periódico de la sesión, que la mantiene viva en la
+     * base mientras está en pausa o esperando dentro de un sitio
+     * @param {Object} sessionStats - Estadísticas de la sesión
+     */
+    startSessionHeartbeat(sessionStats) {
+        this.stopSessionHeartbeat(sessionStats.profileId);
+        const timer = setInterval(() => {
+            this.checkpointSession(sessionStats);
+        }, SESSION_HEARTBEAT_INTERVAL_MS);
+        // No mantener vivo el proceso de la CLI solo por el latido
+        timer.unref?.();
+        this.heartbeatTimers.set(sessionStats.profileId, timer);
+    }
+
+    /**
+     * Corta el latido periódico de la sesión del perfil
+     * @param {string} profileId - ID del perfil
+     */
+    stopSessionHeartbeat(profileId) {
+        clearInterval(this.heartbeatTimers.get(profileId));
+        this.heartbeatTimers.delete(profileId);
+    }
+
     /**
      * Completa una sesión en la base de datos
      */
@@ -953,14 +1857,16 @@ class NavigationController extends EventEmitter {
         try {
             await this.databaseManager.db.runAsync(`
                 UPDATE navigation_sessions 
-                SET completed_at = ?, cookies_collected = ?, sites_visited = ?, status = 'completed'
+                SET completed_at = ?, cookies_collected = ?, sites_visited = ?, status = 'completed', end_reason = ?
                 WHERE session_id = ?
             `, [
                 sessionStats.endTime.toISOString(),
                 sessionStats.cookiesCollected,
                 sessionStats.sitesVisited,
+                sessionStats.endReason,
                 sessionStats.sessionId
             ]);
+            await this.databaseManager.refreshProfileStats(sessionStats.profileId);
         } catch (error) {
             console.warn(`Error completando sesión:`, error.message);
         }
@@ -982,7 +1888,8 @@ class NavigationController extends EventEmitter {
                     cookies_collected = ?, 
                     sites_visited = ?, 
                     status = ?,
-                    error_log = ?
+                    error_log = ?,
+                    end_reason = ?
                 WHERE session_id = ?
             `, [
                 currentTime,
@@ -990,8 +1897,10 @@ class NavigationController extends EventEmitter {
                 sessionStats.sitesVisited || 0,
                 status,
                 reason,
+                reason,
                 sessionStats.sessionId
             ]);
+            await this.databaseManager.refreshProfileStats(sessionStats.profileId);
             
             console.log(`[${sessionStats.profileId}] Sesión marcada como ${status} en BD`);
             
@@ -1005,7 +1914,8 @@ class NavigationController extends EventEmitter {
      */
     showGlobalProgress() {
         const activeSessions = Array.from(this.activeSessions.values());
-        if (activeSessions.length === 0) return;
+        const queuedProfiles = this.getQueuedProfilesSnapshot();
+        if (activeSessions.length === 0 && queuedProfiles.length === 0) return;
         
         console.log('\nPROGRESO GLOBAL:');
         console.log('═'.repeat(60));
@@ -1019,6 +1929,10 @@ class NavigationController extends EventEmitter {
                 console.log(`Actual: ${session.currentSite}`);
             }
         });
+
+        queuedProfiles.forEach(({ profileId, position }) => {
+            console.log(`[${profileId}] En cola (posición ${position} de ${queuedProfiles.length})`);
+        });
         
         console.log('═'.repeat(60));
     }
@@ -1052,6 +1966,9 @@ class NavigationController extends EventEmitter {
     showFinalReport(stats) {
         console.log('\nREPORTE FINAL DE NAVEGACIÓN');
         console.log('═'.repeat(80));
+        if (stats.batchId) {
+            console.log(`Lote: ${stats.batchId}`);
+        }
         console.log(`Perfiles procesados: ${stats.totalProfiles}`);
         console.log(`Exitosos: ${stats.successfulProfiles}`);
         console.log(`Fallidos: ${stats.failedProfiles}`);
@@ -1066,6 +1983,9 @@ class NavigationController extends EventEmitter {
             const status = result.success ? '✅' : '❌';
             const target = result.targetReached ? '🎯' : '⏳';
             console.log(`${status} ${target} [${result.profileId}] ${result.cookiesCollected} cookies, ${result.sitesVisited} sitios`);
+            if (result.categoryReport?.some(row => row.requested !== null)) {
+                console.log(`   Mezcla: ${CategoryMix.describeReport(result.categoryReport)}`);
+            }
         });
         
         console.log('═'.repeat(80));
@@ -1097,6 +2017,7 @@ class NavigationController extends EventEmitter {
      */
     emitSessionProgress(sessionId, profileId, data) {
         console.log(`[DEBUG] Emitiendo session:progress para ${profileId}: ${data.cookiesCollected}/${data.targetCookies} cookies`);
+        this.watchdog?.touch(profileId);
 
         this.emit('session:progress', {
             sessionId,
@@ -1122,6 +2043,21 @@ class NavigationController extends EventEmitter {
         });
     }
 
+    /**
+     * Emite evento de perfil en cola esperando un slot libre
+     * @param {string} profileId - ID del perfil
+     * @param {number} position - Posición en la cola (1-based)
+     * @param {number} queueLength - Largo total de la cola
+     */
+    emitSessionQueued(profileId, position, queueLength) {
+        this.emit('session:queued', {
+            profileId,
+            position,
+            queueLength,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     /**
      * Emite evento de sesión completada
      * @param {string} sessionId - ID de la sesión
@@ -1148,6 +2084,7 @@ class NavigationController extends EventEmitter {
             sessionId,
             profileId,
             error: error.message || error,
+            code: error.code || null,
             timestamp: new Date().toISOString()
         });
     }
@@ -1172,9 +2109,11 @@ class NavigationController extends EventEmitter {
 
     /**
      * Función sleep/delay
+     * @param {number} ms - Milisegundos a esperar
+     * @param {AbortSignal} [signal] - Señal de la sesión; si se aborta, rechaza con StopRequestedError
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    sleep(ms, signal) {
+        return sleep(ms, signal);
     }
 
     //#region Stop
@@ -1184,6 +2123,14 @@ class NavigationController extends EventEmitter {
      */
     async stopAllSessions() {
         console.log(`Iniciando detención de ${this.activeSessions.size} sesiones activas...`);
+
+        // PASO 0: Vaciar la cola del pool para que no arranquen más perfiles
+        if (this.sessionPool) {
+            const dequeued = this.sessionPool.clear();
+            if (dequeued.length > 0) {
+                console.log(`${dequeued.length} perfil(es) retirados de la cola`);
+            }
+        }
         
         if (this.activeSessions.size === 0) {
             console.log('No hay sesiones activas para detener');
@@ -1258,6 +2205,7 @@ class NavigationController extends EventEmitter {
         // PASO 6: Limpiar todas las estructuras internas como failsafe
         this.activeSessions.clear();
         this.stopFlags.clear();
+        this.abortControllers.clear();
         
         // PASO 7: Reiniciar estadísticas globales
         this.globalStats = {
@@ -1272,6 +2220,64 @@ class NavigationController extends EventEmitter {
         console.log('Todas las sesiones han sido procesadas y recursos limpiados');
     }
 
+    /**
+     * Detiene la sesión de un solo perfil sin afectar al resto del lote.
+     * Si el perfil todavía espera en la cola, se retira sin llegar a arrancar.
+     * @param {string} profileId - ID del perfil
+     * @returns {Promise<Object>} Resultado con el estado de la detención
+     * @throws {Error} Si el perfil no está corriendo ni en cola
+     */
+    async stopSession(profileId) {
+        if (this.sessionPool?.cancel(profileId)) {
+            console.log(`[${profileId}] Retirado de la cola por solicitud del usuario`);
+            this.emit('session:stopped', {
+                profileId,
+                reason: 'user_request',
+                timestamp: new Date().toISOString()
+            });
+            return { profileId, status: 'dequeued' };
+        }
+
+        const sessionStats = this.activeSessions.get(profileId);
+        if (!sessionStats) {
+            throw new Error(`No hay una sesión activa para el perfil ${profileId}`);
+        }
+
+        // El bucle de navegación detecta el flag y registra la sesión como detenida
+        this.setStopFlag(profileId);
+        console.log(`[${profileId}] Flag de detención establecido`);
+
+        // Cerrar el navegador corta cualquier espera larga dentro de la página
+        try {
+            await this.adsPowerManager.stopProfile(profileId);
+        } catch (error) {
+            console.warn(`[${profileId}] Error deteniendo perfil en Ads Power: ${error.message}`);
+        }
+
+        return { profileId, sessionId: sessionStats.sessionId, status: 'stopping' };
+    }
+
+    /**
+     * Aplica las detenciones individuales pedidas desde otro proceso (CLI),
+     * que quedan registradas en la base de datos como 'stop_requested'
+     * @returns {Promise<void>}
+     */
+    async applyExternalStopRequests() {
+        try {
+            const sessionIds = Array.from(this.activeSessions.values()).map(session => session.sessionId);
+            const requested = await this.databaseManager.getStopRequestedSessions(sessionIds);
+
+            for (const { profile_id: profileId } of requested) {
+                if (this.activeSessions.has(profileId) && !this.shouldStopSession(profileId)) {
+                    console.log(`[${profileId}] Detención solicitada desde la CLI`);
+                    await this.stopSession(profileId);
+                }
+            }
+        } catch (error) {
+            console.warn(`Error consultando detenciones pendientes: ${error.message}`);
+        }
+    }
+
     /**
      * Verifica si una sesión debe detenerse
      * @param {string} profileId - ID del perfil
@@ -1284,18 +2290,41 @@ class NavigationController extends EventEmitter {
     /**
      * Verifica si una sesión debe detenerse y lanza excepción si es necesario
      * @param {string} profileId - ID del perfil
-     * @throws {Error} Lanza error especial STOP_REQUESTED si debe detenerse
+     * @throws {StopRequestedError} Si debe detenerse
      */
     checkStopFlagOrThrow(profileId) {
         if (this.stopFlags.get(profileId) === true) {
             console.log(`[${profileId}] Stop flag detectado - interrumpiendo operación`);
-            const error = new Error('Sesión detenida por solicitud del usuario');
-            error.code = 'STOP_REQUESTED';
-            error.profileId = profileId;
-            throw error;
+            throw new StopRequestedError(profileId);
         }
     }
 
+    /**
+     * Crea la señal de cancelación de una sesión. setStopFlag la aborta con
+     * un StopRequestedError, que rechaza la espera en curso de cualquier
+     * módulo de navegación. Si la detención se pidió antes de arrancar, la
+     * señal nace abortada.
+     * @param {string} profileId - ID del perfil
+     * @returns {AbortSignal}
+     */
+    createSessionSignal(profileId) {
+        const controller = new AbortController();
+        this.abortControllers.set(profileId, controller);
+        if (this.shouldStopSession(profileId)) {
+            controller.abort(new StopRequestedError(profileId));
+        }
+        return controller.signal;
+    }
+
+    /**
+     * Señal de cancelación de la sesión en curso del perfil.
+     * @param {string} profileId - ID del perfil
+     * @returns {AbortSignal|undefined} Undefined si el perfil no tiene sesión
+     */
+    getSessionSignal(profileId) {
+        return this.abortControllers.get(profileId)?.signal;
+    }
+
     /**
      * Limpia flag de detención para una sesión
      * @param {string} profileId - ID del perfil
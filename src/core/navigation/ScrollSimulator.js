@@ -1,3 +1,5 @@
+import { sleep } from '../utils/abort.js';
+
 /**
  * Simulador de scroll natural y patrones de lectura humana
  * Implementa movimientos progresivos que simulan lectura real
@@ -13,13 +15,15 @@ class ScrollSimulator {
      * Simula lectura de página con scroll progresivo
      * @param {Object} page - Página de Playwright
      * @param {Object} options - Opciones de lectura
+     * @param {AbortSignal} [options.signal] - Corta la lectura si se detiene la sesión
      * @returns {Promise<Object>} Resultado de la simulación
      */
     async simulateReading(page, options = {}) {
         const {
             totalTime = 30000,
             contentMetrics = {},
-            humanState = { fatigue: 0, attentionSpan: 1 }
+            humanState = { fatigue: 0, attentionSpan: 1 },
+            signal
         } = options;
 
         console.log(`Iniciando simulación de lectura por ${Math.round(totalTime/1000)}s`);
@@ -48,16 +52,16 @@ class ScrollSimulator {
                 console.log(`Segmento ${i + 1}: scroll a ${segment.targetPosition}px por ${Math.round(segment.readingTime/1000)}s`);
 
                 // Scroll hacia la posición objetivo
-                const scrollResult = await this.scrollToPositionNaturally(page, segment.targetPosition, segment.scrollSpeed);
+                const scrollResult = await this.scrollToPositionNaturally(page, segment.targetPosition, segment.scrollSpeed, signal);
                 scrollActions += scrollResult.actions;
                 totalScrollDistance += scrollResult.distance;
 
                 // Simular tiempo de lectura en esa posición
-                await this.simulateReadingPause(segment.readingTime, humanState);
+                await this.simulateReadingPause(segment.readingTime, humanState, signal);
 
                 // Micro-scrolls ocasionales durante la lectura
                 if (Math.random() > 0.6 && segment.readingTime > 5000) {
-                    const microScrolls = await this.performMicroScrollsDuringReading(page, segment.readingTime * 0.3);
+                    const microScrolls = await this.performMicroScrollsDuringReading(page, segment.readingTime * 0.3, signal);
                     scrollActions += microScrolls.actions;
                     totalScrollDistance += microScrolls.distance;
                 }
@@ -71,7 +75,7 @@ class ScrollSimulator {
 
             // Scroll final aleatorio (exploración)
             if (Math.random() > 0.7) {
-                const finalScroll = await this.performFinalExploration(page, pageMetrics);
+                const finalScroll = await this.performFinalExploration(page, pageMetrics, signal);
                 scrollActions += finalScroll.actions;
                 totalScrollDistance += finalScroll.distance;
             }
@@ -89,6 +93,8 @@ class ScrollSimulator {
             return result;
 
         } catch (error) {
+            // Una detención no es un error de lectura: propagarla
+            signal?.throwIfAborted();
             console.error('Error en simulación de lectura:', error.message);
             return {
                 scrollActions,
@@ -104,9 +110,10 @@ class ScrollSimulator {
      * @param {Object} page - Página de Playwright
      * @param {number} targetPosition - Posición objetivo en pixels
      * @param {string} speed - Velocidad del scroll ('slow', 'medium', 'fast')
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<Object>} Resultado del scroll
      */
-    async scrollToPositionNaturally(page, targetPosition, speed = 'medium') {
+    async scrollToPositionNaturally(page, targetPosition, speed = 'medium', signal) {
         const currentPos = await page.evaluate(() => window.pageYOffset);
         const distance = Math.abs(targetPosition - currentPos);
         
@@ -164,13 +171,13 @@ class ScrollSimulator {
             const variabilityFactor = 0.7 + Math.random() * 0.6; // 0.7x a 1.3x
             const finalDelay = Math.round(baseDelay * variabilityFactor);
             
-            await this.sleep(finalDelay);
+            await this.sleep(finalDelay, signal);
 
             // Ocasionalmente, hacer una pausa más larga (como si se estuviera leyendo algo interesante)
             if (Math.random() > 0.85) {
                 const longPause = this.randomBetween(800, 2000);
                 console.log(`Pausa de lectura: ${longPause}ms`);
-                await this.sleep(longPause);
+                await this.sleep(longPause, signal);
             }
 
             // Muy ocasionalmente, pequeño scroll hacia atrás (como si se hubiera pasado algo)
@@ -179,7 +186,7 @@ class ScrollSimulator {
                 await page.evaluate((backAmount) => {
                     window.scrollBy(0, -backAmount);
                 }, backScroll);
-                await this.sleep(this.randomBetween(300, 700));
+                await this.sleep(this.randomBetween(300, 700), signal);
                 console.log(`Micro-retroceso de ${backScroll}px`);
             }
         }
@@ -194,9 +201,10 @@ class ScrollSimulator {
      * Realiza micro-scrolls durante la lectura
      * @param {Object} page - Página de Playwright
      * @param {number} duration - Duración en millisegundos
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<Object>} Resultado de los micro-scrolls
      */
-    async performMicroScrollsDuringReading(page, duration) {
+    async performMicroScrollsDuringReading(page, duration, signal) {
         const startTime = Date.now();
         let actions = 0;
         let totalDistance = 0;
@@ -221,7 +229,7 @@ class ScrollSimulator {
 
             // Pausa más larga entre micro-scrolls para ser más realista
             const pauseTime = this.randomBetween(microScrollInterval * 0.8, microScrollInterval * 1.2);
-            await this.sleep(Math.min(pauseTime, duration - (Date.now() - startTime)));
+            await this.sleep(Math.min(pauseTime, duration - (Date.now() - startTime)), signal);
 
             // Si queda poco tiempo, salir del loop
             if (Date.now() - startTime >= duration * 0.9) {
@@ -236,9 +244,10 @@ class ScrollSimulator {
      * Realiza scroll de exploración final
      * @param {Object} page - Página de Playwright
      * @param {Object} pageMetrics - Métricas de la página
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<Object>} Resultado de la exploración
      */
-    async performFinalExploration(page, pageMetrics) {
+    async performFinalExploration(page, pageMetrics, signal) {
         console.log('Realizando exploración final');
         
         let actions = 0;
@@ -254,7 +263,8 @@ class ScrollSimulator {
                 const scrollToBottom = await this.scrollToPositionNaturally(
                     page, 
                     pageMetrics.totalHeight - pageMetrics.viewportHeight, 
-                    'fast'
+                    'fast',
+                    signal
                 );
                 actions += scrollToBottom.actions;
                 totalDistance += scrollToBottom.distance;
@@ -264,16 +274,16 @@ class ScrollSimulator {
                 // Algunos scrolls aleatorios
                 for (let i = 0; i < 3; i++) {
                     const randomPos = Math.random() * pageMetrics.totalHeight;
-                    const randomScroll = await this.scrollToPositionNaturally(page, randomPos, 'medium');
+                    const randomScroll = await this.scrollToPositionNaturally(page, randomPos, 'medium', signal);
                     actions += randomScroll.actions;
                     totalDistance += randomScroll.distance;
-                    await this.sleep(this.randomBetween(1000, 2000));
+                    await this.sleep(this.randomBetween(1000, 2000), signal);
                 }
                 break;
 
             case 'top':
                 // Volver al inicio
-                const scrollToTop = await this.scrollToPositionNaturally(page, 0, 'medium');
+                const scrollToTop = await this.scrollToPositionNaturally(page, 0, 'medium', signal);
                 actions += scrollToTop.actions;
                 totalDistance += scrollToTop.distance;
                 break;
@@ -285,8 +295,9 @@ class ScrollSimulator {
     /**
      * Realiza un micro-scroll simple
      * @param {Object} page - Página de Playwright
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async performMicroScroll(page) {
+    async performMicroScroll(page, signal) {
         const scrollDelta = this.randomBetween(-10, 20);
         
         await page.evaluate((delta) => {
@@ -299,15 +310,16 @@ class ScrollSimulator {
         this.currentScrollPosition += scrollDelta;
         
         // Pequeña pausa después del micro-scroll
-        await this.sleep(this.randomBetween(100, 300));
+        await this.sleep(this.randomBetween(100, 300), signal);
     }
 
     /**
      * Simula pausa de lectura humana
      * @param {number} duration - Duración de la pausa
      * @param {Object} humanState - Estado humano actual
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async simulateReadingPause(duration, humanState) {
+    async simulateReadingPause(duration, humanState, signal) {
         // Ajustar duración por fatiga y atención
         const fatigueMultiplier = 1 - (humanState.fatigue * 0.3);
         const attentionMultiplier = humanState.attentionSpan;
@@ -318,18 +330,18 @@ class ScrollSimulator {
         const chunks = Math.floor(adjustedDuration / 3000); // Chunks de 3 segundos
         
         for (let i = 0; i < chunks; i++) {
-            await this.sleep(3000);
+            await this.sleep(3000, signal);
             
             // Ocasionalmente, pequeña pausa extra (distracción)
             if (Math.random() > 0.8) {
-                await this.sleep(this.randomBetween(500, 1500));
+                await this.sleep(this.randomBetween(500, 1500), signal);
             }
         }
 
         // Tiempo restante
         const remaining = adjustedDuration % 3000;
         if (remaining > 0) {
-            await this.sleep(remaining);
+            await this.sleep(remaining, signal);
         }
     }
 
@@ -510,9 +522,10 @@ class ScrollSimulator {
     /**
      * Utilidad para pausas
      * @param {number} ms - Millisegundos a esperar
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async sleep(ms, signal) {
+        return sleep(ms, signal);
     }
 }
 
@@ -0,0 +1,172 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Vigila que cada sesión de navegación siga avanzando.
+ *
+ * Una sesión puede colgarse sin lanzar errores: una página que nunca
+ * termina de cargar, un `page.evaluate` que no retorna o un scroll que
+ * gira en falso. El watchdog registra el último progreso de cada perfil y,
+ * si pasa `idleTimeout` sin novedades, interviene en pasos cada vez más
+ * drásticos (ver STEPS). Si tras un paso siguen sin llegar novedades en
+ * `recoveryGrace`, pasa al siguiente; el último paso se repite hasta que
+ * la sesión se recupere o termine.
+ *
+ * Cómo se ejecuta cada paso lo decide quien crea el watchdog, mediante la
+ * función `recover(profileId, step)`.
+ *
+ * Eventos:
+ *   - 'stalled'      ({profileId, sessionId, step, attempt, idleMs}) antes de cada intervención.
+ *   - 'intervention' ({profileId, sessionId, step, attempt, idleMs, success, error}) al terminarla.
+ *   - 'recovered'    ({profileId, sessionId, step, attempts, stalledMs}) con el primer progreso posterior.
+ */
+class SessionWatchdog extends EventEmitter {
+    static STEPS = Object.freeze(['reload_page', 'reopen_page', 'restart_profile']);
+
+    /**
+     * @param {Object} options
+     * @param {Function} options.recover - async (profileId, step) => void; lanza si el paso falla
+     * @param {number} [options.idleTimeout=600000] - Tiempo sin progreso para considerar colgada la sesión (ms)
+     * @param {number} [options.recoveryGrace=90000] - Espera tras una intervención antes de escalar (ms)
+     * @param {number} [options.checkInterval=30000] - Cada cuánto se revisan las sesiones (ms)
+     * @param {Function} [options.now=Date.now] - Reloj inyectable para tests
+     */
+    constructor({ recover, idleTimeout = 10 * 60 * 1000, recoveryGrace = 90 * 1000, checkInterval = 30 * 1000, now = Date.now } = {}) {
+        super();
+
+        if (typeof recover !== 'function') {
+            throw new Error('SessionWatchdog requiere una función recover');
+        }
+
+        this.recover = recover;
+        this.idleTimeout = idleTimeout;
+        this.recoveryGrace = recoveryGrace;
+        this.checkInterval = checkInterval;
+        this.now = now;
+
+        this.sessions = new Map();
+        this.timer = null;
+    }
+
+    /**
+     * Arranca las revisiones periódicas.
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.check();
+        }, this.checkInterval);
+        // No mantener vivo el proceso de la CLI solo por el watchdog
+        this.timer.unref?.();
+    }
+
+    /**
+     * Detiene las revisiones y olvida todas las sesiones.
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.sessions.clear();
+    }
+
+    /**
+     * Empieza a vigilar la sesión de un perfil.
+     * @param {string} profileId
+     * @param {string} sessionId
+     */
+    track(profileId, sessionId) {
+        const now = this.now();
+        this.sessions.set(profileId, {
+            sessionId,
+            lastProgressAt: now,
+            lastActionAt: now,
+            attempts: 0,
+            lastStep: null,
+            recovering: false
+        });
+    }
+
+    /**
+     * Deja de vigilar la sesión de un perfil.
+     * @param {string} profileId
+     */
+    untrack(profileId) {
+        this.sessions.delete(profileId);
+    }
+
+    /**
+     * Registra progreso de la sesión. Si estaba colgada, la da por recuperada.
+     * @param {string} profileId
+     */
+    touch(profileId) {
+        const entry = this.sessions.get(profileId);
+        if (!entry) return;
+
+        const now = this.now();
+        if (entry.attempts > 0 && !entry.recovering) {
+            this.emit('recovered', {
+                profileId,
+                sessionId: entry.sessionId,
+                step: entry.lastStep,
+                attempts: entry.attempts,
+                stalledMs: now - entry.lastProgressAt
+            });
+            entry.attempts = 0;
+            entry.lastStep = null;
+        }
+
+        entry.lastProgressAt = now;
+        entry.lastActionAt = now;
+    }
+
+    /**
+     * Revisa todas las sesiones e interviene las que están colgadas.
+     * @returns {Promise<void>}
+     */
+    async check() {
+        const checks = [];
+        for (const [profileId, entry] of this.sessions) {
+            if (entry.recovering) continue;
+
+            const threshold = entry.attempts === 0 ? this.idleTimeout : this.recoveryGrace;
+            if (this.now() - entry.lastActionAt >= threshold) {
+                checks.push(this.intervene(profileId, entry));
+            }
+        }
+        await Promise.all(checks);
+    }
+
+    /**
+     * Ejecuta el siguiente paso de recuperación de una sesión colgada.
+     * @param {string} profileId
+     * @param {Object} entry - Estado de vigilancia de la sesión
+     * @returns {Promise<void>}
+     */
+    async intervene(profileId, entry) {
+        const steps = SessionWatchdog.STEPS;
+        const step = steps[Math.min(entry.attempts, steps.length - 1)];
+        const attempt = entry.attempts + 1;
+        const idleMs = this.now() - entry.lastProgressAt;
+
+        entry.recovering = true;
+        entry.attempts = attempt;
+        entry.lastStep = step;
+        this.emit('stalled', { profileId, sessionId: entry.sessionId, step, attempt, idleMs });
+
+        let success = true;
+        let error = null;
+        try {
+            await this.recover(profileId, step);
+        } catch (recoverError) {
+            success = false;
+            error = recoverError.message;
+        }
+
+        entry.recovering = false;
+        entry.lastActionAt = this.now();
+        this.emit('intervention', { profileId, sessionId: entry.sessionId, step, attempt, idleMs, success, error });
+    }
+}
+
+export default SessionWatchdog;
@@ -0,0 +1,176 @@
+/**
+ * Política de terminación de una sesión de navegación.
+ *
+ * Decide cuándo termina el bucle principal de startSingleNavigationSession.
+ * El modo combina las dos condiciones clásicas (objetivo de cookies y
+ * tiempo mínimo realista); los límites duros (sitios, duración y fecha
+ * límite) cortan la sesión aunque el modo no se haya cumplido, así un
+ * perfil que nunca llega a su objetivo no corre para siempre.
+ */
+class TerminationPolicy {
+    /**
+     * Modos soportados:
+     *   - cookies: termina al alcanzar el objetivo de cookies
+     *   - time:    termina al cumplir el tiempo mínimo
+     *   - both:    exige ambas condiciones (comportamiento histórico)
+     *   - either:  alcanza con cualquiera de las dos
+     */
+    static MODES = Object.freeze(['cookies', 'time', 'both', 'either']);
+
+    /**
+     * Motivos de fin que puede devolver evaluate(). Se guardan tal cual en
+     * navigation_sessions.end_reason.
+     */
+    static REASONS = Object.freeze({
+        COOKIE_TARGET: 'cookie_target',
+        MIN_TIME: 'min_time',
+        COOKIE_TARGET_AND_TIME: 'cookie_target_and_time',
+        MAX_SITES: 'max_sites',
+        MAX_DURATION: 'max_duration',
+        DEADLINE: 'deadline'
+    });
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.mode='both'] - Uno de TerminationPolicy.MODES
+     * @param {number|null} [options.maxSites] - Máximo de sitios a visitar
+     * @param {number|null} [options.maxDurationMinutes] - Duración máxima de reloj, pausas incluidas
+     * @param {string|Date|null} [options.deadline] - Fecha y hora absoluta de corte
+     * @throws {Error} Si alguna opción es inválida
+     */
+    constructor({ mode = 'both', maxSites = null, maxDurationMinutes = null, deadline = null } = {}) {
+        if (!TerminationPolicy.MODES.includes(mode)) {
+            throw new Error(`Modo de terminación inválido: ${mode} (usar ${TerminationPolicy.MODES.join(', ')})`);
+        }
+
+        this.mode = mode;
+        this.maxSites = TerminationPolicy.parsePositive(maxSites, 'maxSites');
+        this.maxDurationMinutes = TerminationPolicy.parsePositive(maxDurationMinutes, 'maxDurationMinutes');
+        this.deadline = TerminationPolicy.parseDeadline(deadline);
+    }
+
+    /**
+     * Crea una política a partir de un objeto plano (IPC, CLI) o devuelve
+     * la misma instancia si ya lo es.
+     * @param {TerminationPolicy|Object|null} value
+     * @returns {TerminationPolicy}
+     */
+    static from(value) {
+        if (value instanceof TerminationPolicy) return value;
+        return new TerminationPolicy(value || {});
+    }
+
+    /**
+     * Evalúa si la sesión debe terminar.
+     * @param {Object} state
+     * @param {number} state.cookiesCollected - Cookies recolectadas
+     * @param {number} state.targetCookies - Objetivo de cookies
+     * @param {number} state.sitesVisited - Sitios visitados
+     * @param {number} state.elapsedMs - Tiempo de reloj desde el inicio
+     * @param {boolean} state.minimumTimeReached - Si se cumplió el tiempo mínimo (sin pausas)
+     * @param {number} [state.now] - Timestamp actual
+     * @returns {string|null} Motivo de fin o null si debe seguir
+     */
+    evaluate({ cookiesCollected, targetCookies, sitesVisited, elapsedMs, minimumTimeReached, now = Date.now() }) {
+        const { REASONS } = TerminationPolicy;
+
+        // Los límites duros tienen prioridad sobre el modo
+        const timeLimit = this.evaluateTimeLimits({ elapsedMs, now });
+        if (timeLimit) {
+            return timeLimit;
+        }
+        if (this.maxSites && sitesVisited >= this.maxSites) {
+            return REASONS.MAX_SITES;
+        }
+
+        const cookiesReached = cookiesCollected >= targetCookies;
+
+        switch (this.mode) {
+            case 'cookies':
+                return cookiesReached ? REASONS.COOKIE_TARGET : null;
+            case 'time':
+                return minimumTimeReached ? REASONS.MIN_TIME : null;
+            case 'either':
+                if (cookiesReached) return REASONS.COOKIE_TARGET;
+                return minimumTimeReached ? REASONS.MIN_TIME : null;
+            default:
+                return cookiesReached && minimumTimeReached ? REASONS.COOKIE_TARGET_AND_TIME : null;
+        }
+    }
+
+    /**
+     * Evalúa solo los límites de reloj (fecha límite y duración máxima),
+     * que siguen corriendo mientras la sesión está en pausa.
+     * @param {Object} state
+     * @param {number} state.elapsedMs - Tiempo de reloj desde el inicio
+     * @param {number} [state.now] - Timestamp actual
+     * @returns {string|null} DEADLINE, MAX_DURATION o null si debe seguir
+     */
+    evaluateTimeLimits({ elapsedMs, now = Date.now() }) {
+        const { REASONS } = TerminationPolicy;
+
+        if (this.deadline && now >= this.deadline.getTime()) {
+            return REASONS.DEADLINE;
+        }
+        if (this.maxDurationMinutes && elapsedMs >= this.maxDurationMinutes * 60000) {
+            return REASONS.MAX_DURATION;
+        }
+        return null;
+    }
+
+    /**
+     * Descripción corta para logs.
+     * @returns {string}
+     */
+    describe() {
+        const parts = [`modo ${this.mode}`];
+        if (this.maxSites) parts.push(`máx. ${this.maxSites} sitios`);
+        if (this.maxDurationMinutes) parts.push(`máx. ${this.maxDurationMinutes} min`);
+        if (this.deadline) parts.push(`hasta ${this.deadline.toISOString()}`);
+        return parts.join(', ');
+    }
+
+    /**
+     * Forma serializable, apta para IPC y para reconstruir con from().
+     * @returns {{mode:string, maxSites:number|null, maxDurationMinutes:number|null, deadline:string|null}}
+     */
+    toJSON() {
+        return {
+            mode: this.mode,
+            maxSites: this.maxSites,
+            maxDurationMinutes: this.maxDurationMinutes,
+            deadline: this.deadline ? this.deadline.toISOString() : null
+        };
+    }
+
+    /**
+     * Normaliza un límite numérico opcional. Vacío o null significa "sin límite".
+     * @param {*} value
+     * @param {string} name - Nombre de la opción para el mensaje de error
+     * @returns {number|null}
+     */
+    static parsePositive(value, name) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number <= 0) {
+            throw new Error(`${name} debe ser un número mayor a 0 (recibido: ${value})`);
+        }
+        return number;
+    }
+
+    /**
+     * Normaliza la fecha límite opcional.
+     * @param {string|Date|null} value
+     * @returns {Date|null}
+     */
+    static parseDeadline(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Fecha límite inválida: ${value}`);
+        }
+        return date;
+    }
+}
+
+export default TerminationPolicy;
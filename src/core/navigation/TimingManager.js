@@ -1,3 +1,5 @@
+import { sleep } from '../utils/abort.js';
+
 /**
  * Gestor de tiempos y pausas humanas realistas
  * Controla los ritmos de navegación para simular comportamiento humano natural
@@ -18,6 +20,7 @@ class TimingManager {
      * @param {string} context - Contexto de la pausa ('reading', 'decision', 'click_hesitation', etc.)
      * @param {number} fatigueLevel - Nivel de fatiga 0-1
      * @param {Object} options - Opciones adicionales
+     * @param {AbortSignal} [options.signal] - Corta la pausa si se detiene la sesión
      * @returns {Promise<number>} Tiempo real de pausa en ms
      */
     async humanPause(context, fatigueLevel = 0, options = {}) {
@@ -26,7 +29,7 @@ class TimingManager {
         console.log(`Pausa ${context}: ${Math.round(pauseTime/1000)}s (fatiga: ${Math.round(fatigueLevel*100)}%)`);
         
         // Realizar pausa con posibles micro-interrupciones
-        await this.performPauseWithVariation(pauseTime, context);
+        await this.performPauseWithVariation(pauseTime, context, options.signal);
         
         // Registrar pausa para análisis
         this.recordPause(context, pauseTime, fatigueLevel);
@@ -121,8 +124,9 @@ class TimingManager {
      * Realiza pausa con micro-variaciones realistas
      * @param {number} totalTime - Tiempo total de pausa
      * @param {string} context - Contexto de la pausa
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async performPauseWithVariation(totalTime, context) {
+    async performPauseWithVariation(totalTime, context, signal) {
         const startTime = Date.now();
         let remainingTime = totalTime;
 
@@ -130,13 +134,13 @@ class TimingManager {
         if (totalTime > 5000) {
             while (remainingTime > 1000) {
                 const segmentTime = Math.min(remainingTime, this.randomBetween(2000, 4000));
-                await this.sleep(segmentTime);
+                await this.sleep(segmentTime, signal);
                 remainingTime -= segmentTime;
 
                 // Micro-interrupción ocasional
                 if (remainingTime > 1000 && Math.random() > 0.8) {
                     const microBreak = this.randomBetween(100, 500);
-                    await this.sleep(microBreak);
+                    await this.sleep(microBreak, signal);
                     remainingTime -= microBreak;
                 }
             }
@@ -144,7 +148,7 @@ class TimingManager {
 
         // Tiempo restante
         if (remainingTime > 0) {
-            await this.sleep(remainingTime);
+            await this.sleep(remainingTime, signal);
         }
 
         this.sessionMetrics.totalPauses++;
@@ -373,9 +377,10 @@ class TimingManager {
      * Simula tiempo de "pensamiento" antes de una acción
      * @param {string} actionType - Tipo de acción ('click', 'type', 'navigate')
      * @param {number} complexity - Complejidad 0-1
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      * @returns {Promise<number>} Tiempo de pensamiento
      */
-    async simulateThinkingTime(actionType, complexity = 0.5) {
+    async simulateThinkingTime(actionType, complexity = 0.5, signal) {
         const baseThinkingTimes = {
             click: { min: 200, max: 800 },
             type: { min: 500, max: 2000 },
@@ -393,7 +398,7 @@ class TimingManager {
         thinkingTime *= this.timingProfile.decisiveness;
 
         // Realizar pausa
-        await this.sleep(Math.round(thinkingTime));
+        await this.sleep(Math.round(thinkingTime), signal);
         
         return thinkingTime;
     }
@@ -534,9 +539,10 @@ class TimingManager {
     /**
      * Utilidad para pausas
      * @param {number} ms - Millisegundos a esperar
+     * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
      */
-    async sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async sleep(ms, signal) {
+        return sleep(ms, signal);
     }
 }
 
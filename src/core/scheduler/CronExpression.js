@@ -0,0 +1,225 @@
+/**
+ * Expresión cron de cinco campos: minuto, hora, día del mes, mes y día de
+ * la semana, evaluada en la hora local de la máquina.
+ *
+ * Cada campo acepta `*`, valores sueltos, listas (`1,15`), rangos (`9-18`)
+ * y pasos (`*\/15`, `8-20/2`). Meses y días de la semana aceptan también
+ * sus nombres en inglés de tres letras (`jan`, `mon-fri`); el domingo es
+ * 0 o 7. Como en cron clásico, si se restringen tanto el día del mes como
+ * el día de la semana, alcanza con que coincida cualquiera de los dos.
+ */
+class CronExpression {
+    static FIELDS = Object.freeze([
+        { name: 'minuto', min: 0, max: 59 },
+        { name: 'hora', min: 0, max: 23 },
+        { name: 'día del mes', min: 1, max: 31 },
+        { name: 'mes', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+        { name: 'día de la semana', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+    ]);
+
+    static MACROS = Object.freeze({
+        '@hourly': '0 * * * *',
+        '@daily': '0 0 * * *',
+        '@weekly': '0 0 * * 0',
+        '@monthly': '0 0 1 * *'
+    });
+
+    // Más allá de este horizonte se considera que la expresión no vuelve a coincidir (ej: 30 de febrero)
+    static SEARCH_YEARS = 5;
+
+    /**
+     * @param {string} expression
+     * @throws {Error} Si la expresión es inválida
+     */
+    constructor(expression) {
+        if (typeof expression !== 'string' || !expression.trim()) {
+            throw new Error('La expresión cron está vacía');
+        }
+
+        this.expression = expression.trim();
+        const normalized = CronExpression.MACROS[this.expression.toLowerCase()] || this.expression;
+        const parts = normalized.split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error(`Expresión cron inválida: "${this.expression}" (se esperan 5 campos: minuto hora día mes día-semana)`);
+        }
+
+        const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) =>
+            CronExpression.parseField(part, CronExpression.FIELDS[index])
+        );
+
+        // El 7 es otro nombre del domingo
+        if (daysOfWeek.has(7)) {
+            daysOfWeek.delete(7);
+            daysOfWeek.add(0);
+        }
+
+        this.minutes = minutes;
+        this.hours = hours;
+        this.daysOfMonth = daysOfMonth;
+        this.months = months;
+        this.daysOfWeek = daysOfWeek;
+        this.dayOfMonthRestricted = parts[2] !== '*';
+        this.dayOfWeekRestricted = parts[4] !== '*';
+    }
+
+    /**
+     * @param {string} expression
+     * @returns {CronExpression}
+     */
+    static parse(expression) {
+        return new CronExpression(expression);
+    }
+
+    /**
+     * Indica si la expresión es válida sin lanzar.
+     * @param {string} expression
+     * @returns {boolean}
+     */
+    static isValid(expression) {
+        try {
+            new CronExpression(expression);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Convierte un campo en el conjunto de valores que admite.
+     * @param {string} part - Texto del campo
+     * @param {Object} field - Entrada de CronExpression.FIELDS
+     * @returns {Set<number>}
+     * @throws {Error} Si el campo es inválido o se sale del rango
+     */
+    static parseField(part, field) {
+        const values = new Set();
+
+        for (const item of part.toLowerCase().split(',')) {
+            const [range, stepText, extra] = item.split('/');
+            if (extra !== undefined || !range) {
+                throw new Error(`Campo ${field.name} inválido: "${part}"`);
+            }
+
+            let step = 1;
+            if (stepText !== undefined) {
+                step = Number(stepText);
+                if (!Number.isInteger(step) || step < 1) {
+                    throw new Error(`Paso inválido en el campo ${field.name}: "${item}"`);
+                }
+            }
+
+            let start;
+            let end;
+            if (range === '*') {
+                start = field.min;
+                end = field.max;
+            } else if (range.includes('-')) {
+                const [from, to] = range.split('-');
+                start = CronExpression.parseValue(from, field);
+                end = CronExpression.parseValue(to, field);
+                if (start > end) {
+                    throw new Error(`Rango invertido en el campo ${field.name}: "${item}"`);
+                }
+            } else {
+                start = CronExpression.parseValue(range, field);
+                // "5/15" significa desde 5 hasta el final, de 15 en 15
+                end = stepText !== undefined ? field.max : start;
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * @param {string} text - Número o nombre de tres letras
+     * @param {Object} field - Entrada de CronExpression.FIELDS
+     * @returns {number}
+     * @throws {Error} Si no es un valor del campo
+     */
+    static parseValue(text, field) {
+        const nameIndex = field.names ? field.names.indexOf(text) : -1;
+        const value = nameIndex >= 0 ? nameIndex + field.offset : Number(text);
+
+        if (text === '' || !Number.isInteger(value) || value < field.min || value > field.max) {
+            throw new Error(`Valor fuera de rango en el campo ${field.name}: "${text}" (${field.min}-${field.max})`);
+        }
+        return value;
+    }
+
+    /**
+     * Indica si la expresión coincide con el minuto de la fecha dada.
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    matches(date) {
+        return this.minutes.has(date.getMinutes())
+            && this.hours.has(date.getHours())
+            && this.months.has(date.getMonth() + 1)
+            && this.matchesDay(date);
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    matchesDay(date) {
+        const dayOfMonth = this.daysOfMonth.has(date.getDate());
+        const dayOfWeek = this.daysOfWeek.has(date.getDay());
+
+        if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+            return dayOfMonth || dayOfWeek;
+        }
+        return dayOfMonth && dayOfWeek;
+    }
+
+    /**
+     * Próximo minuto que coincide con la expresión, estrictamente posterior
+     * a `after`. Avanza de a mes, día u hora completos cuando ese campo no
+     * coincide, así que no recorre minuto a minuto.
+     * @param {Date|number} [after=new Date()]
+     * @returns {Date}
+     * @throws {Error} Si la expresión no vuelve a coincidir en SEARCH_YEARS años
+     */
+    next(after = new Date()) {
+        const date = new Date(after);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        const limit = new Date(date);
+        limit.setFullYear(limit.getFullYear() + CronExpression.SEARCH_YEARS);
+
+        while (date < limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+            if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+            if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+                continue;
+            }
+            if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+                continue;
+            }
+            return date;
+        }
+
+        throw new Error(`La expresión cron "${this.expression}" no tiene próximas ejecuciones`);
+    }
+
+    toString() {
+        return this.expression;
+    }
+}
+
+export default CronExpression;
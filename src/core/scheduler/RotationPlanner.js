@@ -0,0 +1,244 @@
+import Scheduler from './Scheduler.js';
+import TimeWindow from './TimeWindow.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Planificador de rotación diaria de perfiles.
+ *
+ * Reparte un pool de perfiles en la capacidad del día (slots simultáneos ×
+ * horas) para que todos reciban su parte. El día se divide en tandas de
+ * `sessionMinutes` separadas por `gapMinutes`: cada tanda ocupa hasta
+ * `slots` perfiles, y el margen entre tandas deja cerrar los navegadores
+ * antes de la siguiente (el programador omite un disparo si todavía hay
+ * una navegación en curso).
+ *
+ * Cada tanda elige, entre los perfiles que ya cumplieron el enfriamiento,
+ * los que menos corridas llevan; a igual cantidad, el que descansa hace
+ * más tiempo y después el orden del pool. Como la rotación se repite todos
+ * los días, el enfriamiento también se respeta entre la última tanda de un
+ * día y la primera del siguiente. El enfriamiento se cuenta desde el fin
+ * del margen que sigue a la tanda, así los segundos que tarda en cerrar
+ * la sesión no hacen que el controller rechace la siguiente corrida.
+ *
+ * El plan se revisa antes de guardarlo: toSchedules lo convierte en una
+ * programación diaria por tanda, con la ventana de la tanda como corte.
+ */
+class RotationPlanner {
+    // Alcanza para que los navegadores de una tanda cierren antes de la siguiente
+    static DEFAULT_GAP_MINUTES = 10;
+
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.profileIds - Pool de perfiles a rotar
+     * @param {number} options.slots - Perfiles simultáneos por tanda
+     * @param {number} options.hours - Horas del día disponibles para la rotación
+     * @param {string} [options.start='00:00'] - Hora de la primera tanda, "HH:MM"
+     * @param {number} options.sessionMinutes - Duración de cada tanda
+     * @param {number} [options.cooldownMinutes=0] - Descanso mínimo de un perfil entre corridas
+     * @param {number} [options.gapMinutes=10] - Margen entre el cierre de una tanda y la siguiente
+     * @throws {Error} Si algún valor es inválido o no entra ni una tanda
+     */
+    constructor({ profileIds, slots, hours, start = '00:00', sessionMinutes, cooldownMinutes = 0, gapMinutes = RotationPlanner.DEFAULT_GAP_MINUTES } = {}) {
+        this.profileIds = [...new Set((profileIds || []).map(id => String(id).trim()).filter(Boolean))];
+        if (this.profileIds.length === 0) {
+            throw new Error('La rotación necesita al menos un perfil');
+        }
+
+        this.slots = RotationPlanner.parseNumber(slots, 'slots simultáneos', { min: 1, integer: true });
+        this.hours = RotationPlanner.parseNumber(hours, 'horas disponibles', { min: 0, max: 24 });
+        this.sessionMinutes = RotationPlanner.parseNumber(sessionMinutes, 'duración de la tanda', { min: 1, integer: true });
+        this.cooldownMinutes = RotationPlanner.parseNumber(cooldownMinutes, 'enfriamiento', { min: 0, integer: true });
+        this.gapMinutes = RotationPlanner.parseNumber(gapMinutes, 'margen entre tandas', { min: 0, integer: true });
+        this.startMinutes = TimeWindow.parseTime(start, 'inicio');
+
+        if (this.sessionMinutes > this.hours * 60) {
+            throw new Error(`No entra ninguna tanda de ${this.sessionMinutes} min en ${this.hours} h`);
+        }
+    }
+
+    /**
+     * @param {*} value
+     * @param {string} label - Campo, para el mensaje de error
+     * @param {Object} limits
+     * @param {number} limits.min - Mínimo admitido
+     * @param {number} [limits.max=Infinity] - Máximo admitido
+     * @param {boolean} [limits.integer=false]
+     * @returns {number}
+     * @throws {Error} Si el valor no es un número dentro de los límites
+     */
+    static parseNumber(value, label, { min, max = Infinity, integer = false }) {
+        const number = Number(value);
+        if (value === null || value === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number))
+            || number < min || number > max) {
+            const range = max === Infinity ? `desde ${min}` : `de ${min} a ${max}`;
+            throw new Error(`Valor inválido para ${label}: "${value}" (${integer ? 'entero ' : ''}${range})`);
+        }
+        return number;
+    }
+
+    /**
+     * Arma la rotación.
+     * @returns {{
+     *   waves: Array<{index: number, start: string, end: string, profileIds: Array<string>}>,
+     *   profiles: Array<{profileId: string, runs: number, waves: Array<number>}>,
+     *   capacity: {slots: number, hours: number, waves: number, sessions: number},
+     *   share: {min: number, max: number},
+     *   settings: Object,
+     *   warnings: Array<string>
+     * }}
+     */
+    plan() {
+        const waveLength = this.sessionMinutes + this.gapMinutes;
+        // La última tanda no necesita margen después
+        const waveCount = Math.floor((this.hours * 60 + this.gapMinutes) / waveLength);
+
+        const state = new Map(this.profileIds.map((profileId, order) => [profileId, {
+            profileId, order, runs: 0, waves: [], firstStart: null, releasedAt: null
+        }]));
+
+        const waves = [];
+        const warnings = [];
+        const underfilled = [];
+
+        for (let index = 0; index < waveCount; index++) {
+            const start = index * waveLength;
+            const end = start + this.sessionMinutes;
+            const released = end + this.gapMinutes;
+
+            const chosen = [...state.values()]
+                .filter(profile => this.isRested(profile, start, released))
+                .sort((a, b) => a.runs - b.runs
+                    || (a.releasedAt ?? -1) - (b.releasedAt ?? -1)
+                    || a.order - b.order)
+                .slice(0, this.slots);
+
+            chosen.forEach(profile => {
+                profile.runs++;
+                profile.waves.push(index + 1);
+                profile.firstStart ??= start;
+                profile.releasedAt = released;
+            });
+
+            const wave = {
+                index: index + 1,
+                start: TimeWindow.formatTime((this.startMinutes + start) % MINUTES_PER_DAY),
+                end: TimeWindow.formatTime((this.startMinutes + end) % MINUTES_PER_DAY),
+                profileIds: chosen.map(profile => profile.profileId)
+            };
+            waves.push(wave);
+
+            if (chosen.length < Math.min(this.slots, this.profileIds.length)) {
+                underfilled.push(wave.index);
+            }
+        }
+
+        if (underfilled.length > 0) {
+            warnings.push(`Tandas con slots libres por el enfriamiento: ${underfilled.join(', ')}`);
+        }
+
+        const profiles = [...state.values()].map(({ profileId, runs, waves: profileWaves }) => ({
+            profileId, runs, waves: profileWaves
+        }));
+        const runs = profiles.map(profile => profile.runs);
+
+        const idle = profiles.filter(profile => profile.runs === 0).map(profile => profile.profileId);
+        if (idle.length > 0) {
+            warnings.push(`No alcanza la capacidad para: ${idle.join(', ')} (sumar horas o slots)`);
+        }
+
+        return {
+            waves: waves.filter(wave => wave.profileIds.length > 0),
+            profiles,
+            capacity: { slots: this.slots, hours: this.hours, waves: waveCount, sessions: waveCount * this.slots },
+            share: { min: Math.min(...runs), max: Math.max(...runs) },
+            settings: {
+                start: TimeWindow.formatTime(this.startMinutes),
+                sessionMinutes: this.sessionMinutes,
+                cooldownMinutes: this.cooldownMinutes,
+                gapMinutes: this.gapMinutes
+            },
+            warnings
+        };
+    }
+
+    /**
+     * Indica si un perfil puede correr en una tanda. También mira su
+     * primera tanda del día siguiente, porque la rotación se repite.
+     * @param {Object} profile - Estado del perfil dentro de plan()
+     * @param {number} start - Inicio de la tanda, en minutos desde el inicio de la rotación
+     * @param {number} released - Fin del margen que sigue a la tanda
+     * @returns {boolean}
+     */
+    isRested(profile, start, released) {
+        if (profile.releasedAt === null) return true;
+        return start >= profile.releasedAt + this.cooldownMinutes
+            && profile.firstStart + MINUTES_PER_DAY >= released + this.cooldownMinutes;
+    }
+
+    /**
+     * Convierte un plan en una programación diaria por tanda, validada con
+     * Scheduler.prepare. Cada una se llama "<nombre> #<tanda>".
+     * @param {Object} plan - Resultado de plan()
+     * @param {Object} base
+     * @param {string} base.name - Prefijo de los nombres
+     * @param {number} base.targetCookies
+     * @param {Object} [base.policy] - Política de las sesiones; el corte lo da la ventana de la tanda
+     * @param {boolean} [base.enabled=true]
+     * @param {Date} [now]
+     * @returns {Array<Object>} Programaciones listas para DatabaseManager.createSchedule
+     */
+    static toSchedules(plan, base, now = new Date()) {
+        const name = String(base?.name ?? '').trim();
+        if (!name) {
+            throw new Error('La rotación necesita un nombre');
+        }
+
+        return plan.waves.map(wave => {
+            const [hours, minutes] = wave.start.split(':').map(Number);
+            return Scheduler.prepare({
+                name: `${name} #${wave.index}`,
+                cron: `${minutes} ${hours} * * *`,
+                window: { start: wave.start, end: wave.end },
+                profileIds: wave.profileIds,
+                targetCookies: base.targetCookies,
+                policy: base.policy,
+                enabled: base.enabled
+            }, now);
+        });
+    }
+
+    /**
+     * Guarda las programaciones de una rotación. Con `replace`, antes borra
+     * las de una rotación anterior con el mismo nombre; sin él, un nombre
+     * repetido es un error y no se guarda nada.
+     * @param {Object} databaseManager
+     * @param {Array<Object>} schedules - Resultado de toSchedules
+     * @param {Object} options
+     * @param {string} options.name - Nombre de la rotación
+     * @param {boolean} [options.replace=false]
+     * @returns {Promise<{created: Array<number>, removed: number}>}
+     */
+    static async commit(databaseManager, schedules, { name, replace = false }) {
+        const pattern = new RegExp(`^${name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')} #\\d+$`);
+        const existing = (await databaseManager.getSchedules()).filter(schedule => pattern.test(schedule.name));
+
+        if (existing.length > 0 && !replace) {
+            throw new Error(`Ya hay una rotación "${name.trim()}" (${existing.length} programación(es)); reemplazarla o usar otro nombre`);
+        }
+
+        for (const schedule of existing) {
+            await databaseManager.deleteSchedule(schedule.id);
+        }
+
+        // Los nombres "<nombre> #N" siempre caen en el patrón, así que ya no chocan
+        const created = [];
+        for (const schedule of schedules) {
+            created.push(await databaseManager.createSchedule(schedule));
+        }
+
+        return { created, removed: existing.length };
+    }
+}
+
+export default RotationPlanner;
@@ -0,0 +1,303 @@
+import { EventEmitter } from 'events';
+import CronExpression from './CronExpression.js';
+import TimeWindow from './TimeWindow.js';
+import TerminationPolicy from '../navigation/TerminationPolicy.js';
+import BatchPlan from '../navigation/BatchPlan.js';
+import { ProfileCooldownError, BatchInProgressError } from '../errors/AppError.js';
+import { createLogger } from '../utils/Logger.js';
+
+const log = createLogger('Scheduler');
+
+/**
+ * Programador de navegaciones recurrentes.
+ *
+ * Cada programación guarda una expresión cron, una ventana horaria
+ * opcional y el lote a lanzar (perfiles, objetivo, política y plan por
+ * perfil). Cada `checkInterval` se buscan las programaciones vencidas y se
+ * lanza su lote con la función `launch`, que recibe los mismos argumentos
+ * que NavigationController.startMultipleNavigationSessions.
+ *
+ * Antes de lanzar, cada programación se "reclama" en la base: su
+ * next_run_at solo avanza si nadie lo avanzó antes. Así la app y un
+ * `schedule run` de la CLI sobre la misma base no disparan dos veces.
+ *
+ * Cada disparo queda en schedule_runs con uno de estos estados:
+ *   - running / completed / stopped / error: el lote se lanzó
+ *   - skipped: fuera de la ventana horaria, con otra navegación en curso o
+ *     con perfiles en enfriamiento
+ *   - missed: el proceso no estaba corriendo a la hora programada
+ *
+ * Eventos:
+ *   - 'run:started'  ({scheduleId, name, runId, scheduledFor})
+ *   - 'run:finished' ({scheduleId, name, runId, status, batchId, message})
+ *   - 'run:skipped'  ({scheduleId, name, runId, status, message})
+ */
+class Scheduler extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.databaseManager
+     * @param {Function} options.launch - async (profileIds, targetCookies, options) => finalStats
+     * @param {Function} [options.isBusy] - () => boolean; true si ya hay una navegación en curso
+     * @param {Promise} [options.ready] - Las revisiones esperan a que se resuelva (o falle); p. ej. la recuperación de la corrida interrumpida
+     * @param {number} [options.checkInterval=30000] - Cada cuánto se buscan programaciones vencidas (ms)
+     * @param {number} [options.missedRunGrace=300000] - Atraso máximo para lanzar igual una ejecución (ms)
+     * @param {Function} [options.now=Date.now] - Reloj inyectable para tests
+     */
+    constructor({ databaseManager, launch, isBusy = () => false, ready = Promise.resolve(), checkInterval = 30 * 1000, missedRunGrace = 5 * 60 * 1000, now = Date.now } = {}) {
+        super();
+
+        if (!databaseManager) {
+            throw new Error('Scheduler requiere un databaseManager');
+        }
+        if (typeof launch !== 'function') {
+            throw new Error('Scheduler requiere una función launch');
+        }
+
+        this.databaseManager = databaseManager;
+        this.launch = launch;
+        this.isBusy = isBusy;
+        this.ready = ready.catch(() => {});
+        this.checkInterval = checkInterval;
+        this.missedRunGrace = missedRunGrace;
+        this.now = now;
+
+        this.timer = null;
+        this.checking = false;
+        this.activeRuns = new Set();
+    }
+
+    /**
+     * Valida y normaliza una programación antes de guardarla. La usan la
+     * CLI y el IPC, así ambos rechazan lo mismo.
+     * @param {Object} input
+     * @param {string} input.name
+     * @param {string} input.cron - Expresión cron (ver CronExpression)
+     * @param {Object|string|null} [input.window] - Ventana horaria (ver TimeWindow.from)
+     * @param {Array<string>} [input.profileIds]
+     * @param {number} input.targetCookies - Objetivo de cookies del lote
+     * @param {Object} [input.policy] - Política del lote, sin fecha límite
+     * @param {Array<Object>} [input.plan] - Entradas de BatchPlan; sus perfiles se suman a profileIds
+     * @param {boolean} [input.enabled=true]
+     * @param {Date} [now] - Referencia para calcular la próxima ejecución
+     * @returns {Object} Programación lista para DatabaseManager.createSchedule/updateSchedule
+     * @throws {Error} Si algún campo es inválido
+     */
+    static prepare(input, now = new Date()) {
+        const name = String(input?.name ?? '').trim();
+        if (!name) {
+            throw new Error('La programación necesita un nombre');
+        }
+
+        const cron = CronExpression.parse(input.cron);
+        const window = TimeWindow.from(input.window);
+        const plan = BatchPlan.fromEntries(input.plan || []);
+
+        const profileIds = [...new Set([...(input.profileIds || []), ...plan.getProfileIds()])];
+        if (profileIds.length === 0) {
+            throw new Error('La programación necesita al menos un perfil');
+        }
+
+        const targetCookies = Number(input.targetCookies);
+        if (!Number.isInteger(targetCookies) || targetCookies <= 0) {
+            throw new Error('El objetivo de cookies debe ser un entero mayor a 0');
+        }
+
+        // Una fecha absoluta no tiene sentido en algo que se repite: el
+        // corte de cada ejecución lo da la ventana horaria
+        const policy = TerminationPolicy.from(input.policy);
+        if (policy.deadline || plan.entries.some(entry => entry.policy?.deadline)) {
+            throw new Error('Las programaciones no admiten fecha límite; usar la ventana horaria');
+        }
+
+        const enabled = input.enabled !== false;
+        return {
+            name,
+            cron: cron.expression,
+            window: window ? window.toJSON() : null,
+            profileIds,
+            targetCookies,
+            policy: policy.toJSON(),
+            plan: plan.entries,
+            enabled,
+            nextRunAt: enabled ? cron.next(now) : null
+        };
+    }
+
+    /**
+     * Arranca las revisiones periódicas. La primera corre en el acto, así
+     * las ejecuciones perdidas mientras el proceso no corría se registran
+     * al abrir la app.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.check();
+        }, this.checkInterval);
+        await this.check();
+    }
+
+    /**
+     * Detiene las revisiones. Los lotes ya lanzados siguen corriendo.
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Lanza las programaciones vencidas, una vez resuelto `ready`. Si la
+     * revisión anterior sigue en curso, no hace nada.
+     * @returns {Promise<void>}
+     */
+    async check() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            await this.ready;
+            const due = await this.databaseManager.getDueSchedules(new Date(this.now()));
+            for (const schedule of due) {
+                await this.fire(schedule);
+            }
+        } catch (error) {
+            log.error('Error revisando programaciones', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Dispara una programación vencida: la reclama, decide si corresponde
+     * lanzarla y registra el resultado.
+     * @param {Object} schedule - Programación tal como la devuelve DatabaseManager
+     * @returns {Promise<number|null>} ID de la ejecución registrada, o null si otro proceso la reclamó
+     */
+    async fire(schedule) {
+        const now = new Date(this.now());
+        const scheduledFor = schedule.next_run_at;
+
+        let nextRunAt = null;
+        try {
+            nextRunAt = CronExpression.parse(schedule.cron).next(now);
+        } catch (error) {
+            log.warn('La programación no tiene próximas ejecuciones', { name: schedule.name, error: error.message });
+        }
+
+        const claimed = await this.databaseManager.claimSchedule(schedule.id, scheduledFor, nextRunAt);
+        if (!claimed) return null;
+
+        const context = { scheduleId: schedule.id, name: schedule.name };
+
+        if (now - new Date(scheduledFor) > this.missedRunGrace) {
+            return this.skip(context, scheduledFor, 'missed', 'El programador no estaba corriendo a la hora programada');
+        }
+
+        const window = TimeWindow.from(schedule.window);
+        if (window && !window.contains(now)) {
+            return this.skip(context, scheduledFor, 'skipped', `Fuera de la ventana horaria ${window}`);
+        }
+
+        if (this.isBusy()) {
+            return this.skip(context, scheduledFor, 'skipped', 'Ya había una navegación en curso');
+        }
+
+        const runId = await this.databaseManager.createScheduleRun({
+            scheduleId: schedule.id,
+            scheduledFor,
+            status: 'running',
+            startedAt: now
+        });
+        this.emit('run:started', { ...context, runId, scheduledFor });
+        log.info('Lanzando programación', { name: schedule.name, scheduledFor });
+
+        const run = this.execute(schedule, runId, window ? window.endFor(now) : null);
+        this.activeRuns.add(run);
+        run.finally(() => this.activeRuns.delete(run));
+
+        return runId;
+    }
+
+    /**
+     * Lanza el lote de una programación y registra cómo terminó.
+     * @param {Object} schedule
+     * @param {number} runId
+     * @param {Date|null} windowEnd - Cierre de la ventana; se usa como fecha límite de las sesiones
+     * @returns {Promise<void>}
+     */
+    async execute(schedule, runId, windowEnd) {
+        let status;
+        let batchId = null;
+        let message;
+
+        try {
+            const policy = TerminationPolicy.from({ ...schedule.policy, deadline: windowEnd });
+            const plan = BatchPlan.fromEntries(schedule.plan || []);
+            const stats = await this.launch(schedule.profile_ids, schedule.target_cookies, {
+                policy,
+                ...plan.toSessionOptions(),
+                startedBy: 'schedule',
+                scheduleRunId: runId
+            });
+
+            const allStopped = stats.results?.length > 0 && stats.results.every(result => result.stopped);
+            status = allStopped ? 'stopped' : 'completed';
+            batchId = stats.batchId || null;
+            message = `${stats.totalCookiesCollected} cookies, ${stats.successfulProfiles}/${stats.totalProfiles} perfiles exitosos`;
+        } catch (error) {
+            log.error('Error en la ejecución programada', { name: schedule.name, error: error.message });
+            // Perfiles en enfriamiento o un lote lanzado entre medio desde la UI
+            const skipped = error instanceof ProfileCooldownError || error instanceof BatchInProgressError;
+            status = skipped ? 'skipped' : 'error';
+            message = error.message;
+        }
+
+        try {
+            await this.databaseManager.finishScheduleRun(runId, {
+                status,
+                batchId,
+                message,
+                finishedAt: new Date(this.now())
+            });
+        } catch (error) {
+            log.warn('No se pudo registrar el fin de la ejecución programada', { runId, error: error.message });
+        }
+
+        this.emit('run:finished', { scheduleId: schedule.id, name: schedule.name, runId, status, batchId, message });
+    }
+
+    /**
+     * Registra un disparo que no lanzó navegación.
+     * @param {{scheduleId: number, name: string}} context
+     * @param {string} scheduledFor
+     * @param {string} status - 'skipped' o 'missed'
+     * @param {string} message
+     * @returns {Promise<number>} ID de la ejecución registrada
+     */
+    async skip(context, scheduledFor, status, message) {
+        const now = new Date(this.now());
+        const runId = await this.databaseManager.createScheduleRun({
+            scheduleId: context.scheduleId,
+            scheduledFor,
+            status,
+            startedAt: now,
+            finishedAt: now,
+            message
+        });
+        log.info('Programación sin lanzar', { name: context.name, status, message });
+        this.emit('run:skipped', { ...context, runId, status, message });
+        return runId;
+    }
+
+    /**
+     * Espera a que terminen los lotes lanzados por el programador.
+     * @returns {Promise<void>}
+     */
+    async waitForRuns() {
+        await Promise.allSettled([...this.activeRuns]);
+    }
+}
+
+export default Scheduler;
@@ -0,0 +1,116 @@
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Franja horaria diaria ("08:00" a "18:00") en la hora local de la máquina.
+ *
+ * Una programación solo arranca dentro de su ventana, y las sesiones que
+ * lanza se cortan al cierre de la ventana. Si el inicio es posterior al
+ * fin, la ventana cruza la medianoche ("22:00" a "06:00").
+ */
+class TimeWindow {
+    /**
+     * @param {Object} options
+     * @param {string} options.start - Hora de apertura, "HH:MM"
+     * @param {string} options.end - Hora de cierre, "HH:MM"
+     * @throws {Error} Si alguna hora es inválida o ambas coinciden
+     */
+    constructor({ start, end }) {
+        this.startMinutes = TimeWindow.parseTime(start, 'inicio');
+        this.endMinutes = TimeWindow.parseTime(end, 'fin');
+
+        if (this.startMinutes === this.endMinutes) {
+            throw new Error('La ventana horaria debe tener inicio y fin distintos');
+        }
+    }
+
+    /**
+     * Crea una ventana a partir de un objeto plano o de un texto
+     * "HH:MM-HH:MM". Sin valor devuelve null (sin restricción horaria).
+     * @param {TimeWindow|Object|string|null} value
+     * @returns {TimeWindow|null}
+     * @throws {Error} Si la ventana es inválida o le falta uno de los extremos
+     */
+    static from(value) {
+        if (value instanceof TimeWindow) return value;
+        if (value === null || value === undefined || value === '') return null;
+
+        if (typeof value === 'string') {
+            const [start, end, extra] = value.split('-').map(part => part.trim());
+            if (extra !== undefined || !start || !end) {
+                throw new Error(`Ventana horaria inválida: "${value}" (usar HH:MM-HH:MM)`);
+            }
+            return new TimeWindow({ start, end });
+        }
+
+        if (!value.start && !value.end) return null;
+        if (!value.start || !value.end) {
+            throw new Error('La ventana horaria necesita hora de inicio y de fin');
+        }
+        return new TimeWindow(value);
+    }
+
+    /**
+     * @param {string} text - Hora "HH:MM"
+     * @param {string} label - Extremo de la ventana, para el mensaje de error
+     * @returns {number} Minutos desde la medianoche
+     */
+    static parseTime(text, label) {
+        const match = TIME_PATTERN.exec(String(text ?? '').trim());
+        if (!match) {
+            throw new Error(`Hora de ${label} inválida: "${text}" (usar HH:MM)`);
+        }
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {boolean} true si la fecha cae dentro de la ventana
+     */
+    contains(date) {
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        if (this.startMinutes < this.endMinutes) {
+            return minutes >= this.startMinutes && minutes < this.endMinutes;
+        }
+        return minutes >= this.startMinutes || minutes < this.endMinutes;
+    }
+
+    /**
+     * Momento en que cierra la ventana que contiene a `date`.
+     * @param {Date} date
+     * @returns {Date|null} null si la fecha está fuera de la ventana
+     */
+    endFor(date) {
+        if (!this.contains(date)) return null;
+
+        const end = new Date(date);
+        end.setHours(Math.floor(this.endMinutes / 60), this.endMinutes % 60, 0, 0);
+        // En una ventana nocturna, antes de medianoche el cierre es al día siguiente
+        if (end <= date) {
+            end.setDate(end.getDate() + 1);
+        }
+        return end;
+    }
+
+    /**
+     * @returns {{start: string, end: string}}
+     */
+    toJSON() {
+        return { start: TimeWindow.formatTime(this.startMinutes), end: TimeWindow.formatTime(this.endMinutes) };
+    }
+
+    toString() {
+        const { start, end } = this.toJSON();
+        return `${start}-${end}`;
+    }
+
+    /**
+     * @param {number} minutes - Minutos desde la medianoche
+     * @returns {string} "HH:MM"
+     */
+    static formatTime(minutes) {
+        const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+        return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+}
+
+export default TimeWindow;
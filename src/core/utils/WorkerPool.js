@@ -0,0 +1,201 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Pool de trabajadores con concurrencia acotada y arranques escalonados.
+ *
+ * Pensado para lanzar sesiones de navegación sin saturar AdsPower ni la
+ * RAM de la máquina: como máximo `concurrency` tareas corren a la vez, el
+ * resto espera en una cola FIFO. Entre dos arranques consecutivos se
+ * respeta `startDelay` más un jitter aleatorio en [0, jitter] ms, de modo
+ * que los perfiles no se abran todos en el mismo segundo.
+ *
+ * Las tareas encoladas se identifican por un id (el profileId en el caso
+ * de navegación) para poder consultar su posición en la cola o cancelarlas
+ * antes de que arranquen.
+ *
+ * Eventos:
+ *   - 'queue:changed' (Array<{id, position}>) cada vez que cambia la cola.
+ *   - 'task:started'  ({id}) cuando una tarea sale de la cola y arranca.
+ *   - 'task:finished' ({id}) cuando una tarea termina (éxito o error).
+ */
+class WorkerPool extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.concurrency=1] - Tareas simultáneas máximas
+     * @param {number} [options.startDelay=0] - Pausa mínima entre arranques (ms)
+     * @param {number} [options.jitter=0] - Jitter máximo sumado a la pausa (ms)
+     * @param {Function} [options.now=Date.now] - Reloj inyectable para tests
+     * @param {Function} [options.random=Math.random] - Fuente de aleatoriedad inyectable
+     */
+    constructor({ concurrency = 1, startDelay = 0, jitter = 0, now = Date.now, random = Math.random } = {}) {
+        super();
+
+        this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+        this.startDelay = Math.max(0, startDelay || 0);
+        this.jitter = Math.max(0, jitter || 0);
+        this.now = now;
+        this.random = random;
+
+        this.queue = [];
+        this.running = new Set();
+        this.nextStartAt = 0;
+        this.drainTimer = null;
+    }
+
+    /**
+     * Encola una tarea. Arranca en cuanto haya un slot libre y se haya
+     * cumplido la pausa de escalonamiento.
+     * @param {string} id - Identificador único de la tarea
+     * @param {Function} task - Función que retorna una Promise
+     * @returns {Promise<*>} Resultado de la tarea
+     */
+    run(id, task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id, task, resolve, reject });
+            this.emitQueueChanged();
+            this.drain();
+        });
+    }
+
+    /**
+     * Posición (1-based) de una tarea en la cola.
+     * @param {string} id - Identificador de la tarea
+     * @returns {number} Posición, 0 si está corriendo, -1 si no se conoce
+     */
+    getQueuePosition(id) {
+        if (this.running.has(id)) return 0;
+        const index = this.queue.findIndex(item => item.id === id);
+        return index === -1 ? -1 : index + 1;
+    }
+
+    /**
+     * Snapshot de la cola con la posición de cada tarea.
+     * @returns {Array<{id:string, position:number}>}
+     */
+    getQueueSnapshot() {
+        return this.queue.map((item, index) => ({ id: item.id, position: index + 1 }));
+    }
+
+    /**
+     * Cantidad de tareas en ejecución.
+     * @returns {number}
+     */
+    getRunningCount() {
+        return this.running.size;
+    }
+
+    /**
+     * Cantidad de tareas esperando en la cola.
+     * @returns {number}
+     */
+    getQueuedCount() {
+        return this.queue.length;
+    }
+
+    /**
+     * Indica si una tarea está en ejecución o esperando en la cola.
+     * @param {string} id - Identificador de la tarea
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.running.has(id) || this.queue.some(item => item.id === id);
+    }
+
+    /**
+     * Quita una tarea de la cola antes de que arranque. Su promesa se
+     * rechaza con un error de código TASK_CANCELLED.
+     * @param {string} id - Identificador de la tarea
+     * @returns {boolean} True si la tarea estaba encolada
+     */
+    cancel(id) {
+        const index = this.queue.findIndex(item => item.id === id);
+        if (index === -1) return false;
+
+        const [item] = this.queue.splice(index, 1);
+        item.reject(this.createCancelledError(item.id));
+        this.emitQueueChanged();
+        return true;
+    }
+
+    /**
+     * Vacía la cola completa. Las tareas en ejecución no se tocan.
+     * @returns {Array<string>} IDs de las tareas canceladas
+     */
+    clear() {
+        if (this.drainTimer) {
+            clearTimeout(this.drainTimer);
+            this.drainTimer = null;
+        }
+
+        const cancelled = this.queue.splice(0, this.queue.length);
+        cancelled.forEach(item => item.reject(this.createCancelledError(item.id)));
+
+        if (cancelled.length > 0) {
+            this.emitQueueChanged();
+        }
+        return cancelled.map(item => item.id);
+    }
+
+    /**
+     * Arranca tareas mientras haya slots libres. Si la pausa de
+     * escalonamiento no se cumplió, programa un nuevo intento.
+     */
+    drain() {
+        if (this.drainTimer) return;
+
+        while (this.running.size < this.concurrency && this.queue.length > 0) {
+            const wait = this.nextStartAt - this.now();
+            if (wait > 0) {
+                this.drainTimer = setTimeout(() => {
+                    this.drainTimer = null;
+                    this.drain();
+                }, wait);
+                return;
+            }
+
+            const item = this.queue.shift();
+            this.nextStartAt = this.now() + this.startDelay + Math.floor(this.random() * (this.jitter + 1));
+            this.emitQueueChanged();
+            this.start(item);
+        }
+    }
+
+    /**
+     * Ejecuta una tarea y libera su slot al terminar.
+     * @param {Object} item - Entrada de la cola
+     */
+    start(item) {
+        this.running.add(item.id);
+        this.emit('task:started', { id: item.id });
+
+        Promise.resolve()
+            .then(() => item.task())
+            .then(item.resolve, item.reject)
+            .finally(() => {
+                this.running.delete(item.id);
+                this.emit('task:finished', { id: item.id });
+                this.drain();
+            });
+    }
+
+    /**
+     * Emite el snapshot actual de la cola.
+     */
+    emitQueueChanged() {
+        this.emit('queue:changed', this.getQueueSnapshot());
+    }
+
+    /**
+     * Error con el que se rechazan las tareas canceladas antes de arrancar.
+     * @param {string} id - Identificador de la tarea
+     * @returns {Error}
+     */
+    createCancelledError(id) {
+        const error = new Error(`Tarea ${id} cancelada antes de iniciar`);
+        error.code = 'TASK_CANCELLED';
+        error.taskId = id;
+        return error;
+    }
+}
+
+export default WorkerPool;
@@ -0,0 +1,79 @@
+/**
+ * Esperas cancelables con AbortSignal.
+ *
+ * Cada sesión de navegación tiene su propio AbortController; al detenerla,
+ * el controlador aborta con un StopRequestedError como motivo. Todas las
+ * pausas de los módulos de navegación usan estas funciones, así que la
+ * espera en curso se corta en el acto y el motivo sube hasta el bucle de la
+ * sesión. Sin signal, se comportan como un setTimeout común.
+ */
+
+/**
+ * Espera `ms` milisegundos, o hasta que se aborte la señal.
+ * @param {number} ms - Tiempo de espera
+ * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
+ * @returns {Promise<void>}
+ * @throws {*} `signal.reason` si la señal se aborta antes o durante la espera
+ */
+export function sleep(ms, signal) {
+    if (!signal) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Espera una operación que no acepta AbortSignal (clics, cargas de página
+ * de Playwright), pero deja de esperarla si se aborta la señal. La
+ * operación sigue en segundo plano hasta que se cierre el navegador; su
+ * resultado o error se descarta.
+ * @template T
+ * @param {Promise<T>} promise - Operación en curso
+ * @param {AbortSignal} [signal] - Señal de cancelación de la sesión
+ * @returns {Promise<T>}
+ * @throws {*} `signal.reason` si la señal se aborta antes de que termine
+ */
+export function raceAbort(promise, signal) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            promise.catch(() => {});
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            promise.catch(() => {});
+            reject(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        promise.then(
+            value => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            error => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
+}
@@ -0,0 +1,101 @@
+/**
+ * Utilidades mínimas de CSV (RFC 4180) sin dependencias externas.
+ *
+ * Soporta campos entre comillas con comas, saltos de línea y comillas
+ * escapadas (""), finales de línea CRLF y el BOM que agrega Excel.
+ */
+
+/**
+ * Parsea un CSV con fila de encabezados.
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<Object<string, string>>} Una fila por objeto, con las claves del encabezado
+ * @throws {Error} Si hay comillas sin cerrar
+ */
+export function parseCsv(text) {
+    const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) return [];
+
+    const headers = rows[0].map(header => header.trim());
+    return rows.slice(1)
+        .filter(row => row.some(value => value.trim() !== ''))
+        .map(row => Object.fromEntries(
+            headers.map((header, index) => [header, (row[index] ?? '').trim()])
+        ));
+}
+
+/**
+ * Arma un CSV con fila de encabezados. Entre comillas van solo los campos
+ * que lo necesitan (comas, comillas o saltos de línea); null y undefined
+ * quedan vacíos.
+ * @param {Array<Object>} rows
+ * @param {Array<string>} headers - Columnas, en orden
+ * @returns {string} Contenido con finales de línea LF y salto final
+ */
+export function formatCsv(rows, headers) {
+    const lines = [headers, ...rows.map(row => headers.map(header => row[header]))]
+        .map(values => values.map(formatCsvField).join(','));
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parsea un CSV a una matriz de valores, sin interpretar encabezados.
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<Array<string>>}
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('CSV inválido: comillas sin cerrar');
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
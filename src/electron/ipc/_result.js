@@ -1,4 +1,5 @@
 import { createLogger } from '../../core/utils/Logger.js';
+import { AppError } from '../../core/errors/AppError.js';
 
 /**
  * Convención unificada de manejo de errores en handlers IPC.
@@ -45,6 +46,10 @@ import { createLogger } from '../../core/utils/Logger.js';
  *   - Preserva metadata útil (userMessage, code, retryAfterMinutes) cuando
  *     el error venga de servicios que ya estructuran su info — por ejemplo
  *     AuthService con errores tipo MULTIPLE_SESSIONS_BLOCKED.
+ *   - Para los errores tipados del dominio (core/errors/AppError.js) el
+ *     `code` es estable (STOP_REQUESTED, BROWSER_DISCONNECTED,
+ *     NAVIGATION_TIMEOUT, ADSPOWER_API_ERROR, PROFILE_COOLDOWN) y se
+ *     agregan sus `details`.
  */
 export function handle(scope, fn) {
     const log = createLogger(`ipc:${scope}`);
@@ -76,5 +81,9 @@ export function mapError(error) {
     if (error.retryAfterMinutes !== undefined) {
         envelope.retryAfterMinutes = error.retryAfterMinutes;
     }
+    if (error instanceof AppError) {
+        const details = error.getDetails();
+        if (Object.keys(details).length > 0) envelope.details = details;
+    }
     return envelope;
 }
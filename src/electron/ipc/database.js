@@ -1,17 +1,37 @@
+import path from 'path';
 import { createLogger } from '../../core/utils/Logger.js';
 import { handle, mapError } from './_result.js';
+import SiteCatalog from '../../core/database/SiteCatalog.js';
+import SiteLists from '../../core/database/SiteLists.js';
+import BackupScheduler from '../../core/database/BackupScheduler.js';
 
 const log = createLogger('ipc:database');
 
 /**
  * Handlers IPC para consultas a la base de datos: stats de sitios,
- * muestreo aleatorio y reportes de navegación.
+ * muestreo aleatorio, editor del catálogo, listas de sitios, importación
+ * y exportación, copias de la base, reportes de navegación, lotes y
+ * cobertura del catálogo por perfil.
  *
  * Los handlers simples usan `handle()`. Los de reports mantienen try/catch
  * propio porque devuelven shape con fallback de paginación vacía que la UI
  * necesita aún en caso de error.
+ *
+ * Los archivos del catálogo se eligen con los diálogos nativos: la UI
+ * nunca pasa rutas, así no puede leer ni escribir fuera de lo que el
+ * usuario eligió. Las copias de la base se piden por nombre dentro de la
+ * carpeta de copias, o también con el diálogo.
+ *
+ * @param {Electron.IpcMain} ipcMain
+ * @param {Object} deps
+ * @param {Object} deps.services
+ * @param {Electron.Dialog} deps.dialog
+ * @param {Function} deps.getMainWindow - devuelve la BrowserWindow activa
  */
 export function registerDatabaseHandlers(ipcMain, deps) {
+    // Archivo de la última vista previa; la importación usa este
+    let importFilePath = null;
+
     ipcMain.handle('database:get-stats', handle('database.get-stats', async () => {
         const stats = await deps.services.databaseManager.getWebsiteStats();
         return { success: true, stats };
@@ -22,6 +42,235 @@ export function registerDatabaseHandlers(ipcMain, deps) {
         return { success: true, sites };
     }));
 
+    ipcMain.handle('database:list-sites', handle('database.list-sites', async (event, options = {}) => {
+        const { filters = {}, page = 1, limit = 25 } = options;
+        return deps.services.databaseManager.getWebsites(filters, page, limit);
+    }));
+
+    // Alta o edición; en la edición los campos que no vienen se conservan
+    ipcMain.handle('database:save-site', handle('database.save-site', async (event, config = {}) => {
+        const databaseManager = deps.services.databaseManager;
+        const current = config.id ? await databaseManager.getWebsite(config.id) : null;
+        if (config.id && !current) {
+            throw new Error('El sitio ya no existe');
+        }
+
+        const site = SiteCatalog.normalizeSite({ ...current, ...config });
+        const [existing] = await databaseManager.getWebsitesByUrls([site.url]);
+        if (existing && existing.id !== config.id) {
+            throw new Error(`Ya existe un sitio con la URL ${site.url}`);
+        }
+
+        let id = config.id;
+        if (id) {
+            // Sacarlo de la cuarentena a mano equivale a revivirlo
+            if (current.status === 'quarantined' && site.status !== 'quarantined') {
+                await databaseManager.reviveWebsites([id]);
+            }
+            await databaseManager.updateWebsite(id, site);
+        } else {
+            id = await databaseManager.createWebsite(site);
+        }
+
+        log.info('Sitio guardado', { id, url: site.url });
+        return { success: true, site: await databaseManager.getWebsite(id) };
+    }));
+
+    ipcMain.handle('database:remove-site', handle('database.remove-site', async (event, id) => {
+        const removed = await deps.services.databaseManager.deleteWebsite(id);
+        return { success: true, removed };
+    }));
+
+    ipcMain.handle('database:set-sites-category', handle('database.set-sites-category', async (event, ids, category) => {
+        if (!Array.isArray(ids) || ids.length === 0) {
+            throw new Error('No hay sitios seleccionados');
+        }
+        const updated = await deps.services.databaseManager.setWebsitesCategory(ids, SiteCatalog.parseCategory(category));
+        log.info('Categoría cambiada en bloque', { category, updated });
+        return { success: true, updated };
+    }));
+
+    ipcMain.handle('database:list-quarantined', handle('database.list-quarantined', async () => {
+        const sites = await deps.services.databaseManager.getQuarantinedWebsites();
+        return { success: true, sites };
+    }));
+
+    ipcMain.handle('database:revive-sites', handle('database.revive-sites', async (event, ids) => {
+        if (!Array.isArray(ids) || ids.length === 0) {
+            throw new Error('No hay sitios seleccionados');
+        }
+        const revived = await deps.services.databaseManager.reviveWebsites(ids);
+        log.info('Sitios sacados de la cuarentena', { ids, revived });
+        return { success: true, revived };
+    }));
+
+    ipcMain.handle('database:list-backups', handle('database.list-backups', async () => {
+        const backups = await deps.services.databaseManager.listBackups();
+        return {
+            success: true,
+            backupDir: deps.services.databaseManager.getBackupDir(),
+            backups: backups.map(({ name, label, createdAt, size }) => ({ name, label, createdAt: createdAt.toISOString(), size }))
+        };
+    }));
+
+    ipcMain.handle('database:backup-now', handle('database.backup-now', async () => {
+        const backupPath = await deps.services.databaseManager.createBackup(BackupScheduler.MANUAL_LABEL);
+        return { success: true, name: path.basename(backupPath) };
+    }));
+
+    // Sin nombre se elige el archivo con el diálogo
+    ipcMain.handle('database:restore-backup', handle('database.restore-backup', async (event, name = null) => {
+        const controller = deps.services.navigationController;
+        const databaseManager = deps.services.databaseManager;
+        // También las navegaciones de la CLI o de `schedule run` sobre la misma base
+        if (controller?.isBatchActive() || await databaseManager.hasRunningNavigation()) {
+            throw new Error('Detener la navegación antes de restaurar una copia');
+        }
+
+        let filePath;
+        if (name) {
+            const backup = await databaseManager.findBackup(name);
+            if (!backup) {
+                throw new Error(`No existe la copia ${name}`);
+            }
+            filePath = backup.path;
+        } else {
+            const { canceled, filePaths } = await deps.dialog.showOpenDialog(deps.getMainWindow(), {
+                title: 'Restaurar copia de la base',
+                defaultPath: databaseManager.getBackupDir(),
+                properties: ['openFile'],
+                filters: [{ name: 'Copias de la base', extensions: ['db'] }]
+            });
+            if (canceled || filePaths.length === 0) {
+                return { success: true, canceled: true };
+            }
+            filePath = filePaths[0];
+        }
+
+        // Los programadores no deben tocar la base mientras se reemplaza
+        const schedulers = [deps.services.scheduler, deps.services.backupScheduler, deps.services.maintenanceScheduler].filter(Boolean);
+        schedulers.forEach(scheduler => scheduler.stop());
+        let result;
+        try {
+            result = await databaseManager.restoreBackup(filePath);
+        } finally {
+            for (const scheduler of schedulers) {
+                scheduler.start().catch(error => {
+                    log.warn('Error reanudando un programador tras restaurar', { error: error.message });
+                });
+            }
+        }
+        log.info('Base restaurada', { from: result.restoredFrom, safetyBackup: result.safetyBackup });
+        return {
+            success: true,
+            fileName: path.basename(result.restoredFrom),
+            safetyBackup: path.basename(result.safetyBackup),
+            websites: result.websites
+        };
+    }));
+
+    ipcMain.handle('database:list-site-lists', handle('database.list-site-lists', async () => {
+        const lists = await deps.services.databaseManager.getSiteLists();
+        return { success: true, lists };
+    }));
+
+    // Alta o edición de una lista; los nombres no distinguen mayúsculas
+    ipcMain.handle('database:save-site-list', handle('database.save-site-list', async (event, config = {}) => {
+        const databaseManager = deps.services.databaseManager;
+        if (config.id && !await databaseManager.getSiteList(config.id)) {
+            throw new Error('La lista ya no existe');
+        }
+
+        const list = SiteLists.normalize(config);
+        const existing = await databaseManager.getSiteListByName(list.name);
+        if (existing && existing.id !== config.id) {
+            throw new Error(`Ya existe la lista ${list.name}`);
+        }
+
+        let id = config.id;
+        if (id) {
+            await databaseManager.updateSiteList(id, list);
+        } else {
+            id = await databaseManager.createSiteList(list);
+        }
+
+        log.info('Lista de sitios guardada', { id, name: list.name });
+        return { success: true, list: await databaseManager.getSiteList(id) };
+    }));
+
+    ipcMain.handle('database:remove-site-list', handle('database.remove-site-list', async (event, id) => {
+        const removed = await deps.services.databaseManager.deleteSiteList(id);
+        return { success: true, removed };
+    }));
+
+    // Suma o quita de una lista los sitios seleccionados en el catálogo
+    ipcMain.handle('database:set-site-list-members', handle('database.set-site-list-members', async (event, listId, ids, remove = false) => {
+        const databaseManager = deps.services.databaseManager;
+        if (!Array.isArray(ids) || ids.length === 0) {
+            throw new Error('No hay sitios seleccionados');
+        }
+        const list = await databaseManager.getSiteList(listId);
+        if (!list) {
+            throw new Error('La lista ya no existe');
+        }
+
+        const changed = remove
+            ? await databaseManager.removeSitesFromList(list.id, ids)
+            : await databaseManager.addSitesToList(list.id, ids);
+        log.info(remove ? 'Sitios quitados de una lista' : 'Sitios sumados a una lista', { list: list.name, changed });
+        return { success: true, list: list.name, changed };
+    }));
+
+    // Pide el archivo y muestra qué cambiaría, sin tocar la base
+    ipcMain.handle('database:preview-import', handle('database.preview-import', async (event, options = {}) => {
+        const { canceled, filePaths } = await deps.dialog.showOpenDialog(deps.getMainWindow(), {
+            title: 'Importar sitios',
+            properties: ['openFile'],
+            filters: [{ name: 'Listas de sitios', extensions: ['csv', 'json'] }]
+        });
+        if (canceled || filePaths.length === 0) {
+            return { success: true, canceled: true };
+        }
+
+        importFilePath = filePaths[0];
+        const catalog = await SiteCatalog.fromFile(importFilePath, { category: options.category || null });
+        const { diff } = await catalog.import(deps.services.databaseManager, { dryRun: true });
+        return { success: true, fileName: path.basename(importFilePath), diff };
+    }));
+
+    // Se vuelve a leer el archivo, así se importa lo que tiene ahora
+    ipcMain.handle('database:import-sites', handle('database.import-sites', async (event, options = {}) => {
+        if (!importFilePath) {
+            throw new Error('Primero hay que elegir el archivo a importar');
+        }
+
+        const catalog = await SiteCatalog.fromFile(importFilePath, { category: options.category || null });
+        const { diff, inserted, updated } = await catalog.import(deps.services.databaseManager, {
+            update: Boolean(options.update)
+        });
+        log.info('Sitios importados', { file: path.basename(importFilePath), inserted, updated });
+        importFilePath = null;
+        return { success: true, diff, inserted, updated };
+    }));
+
+    ipcMain.handle('database:export-sites', handle('database.export-sites', async () => {
+        const { canceled, filePath } = await deps.dialog.showSaveDialog(deps.getMainWindow(), {
+            title: 'Exportar catálogo de sitios',
+            defaultPath: `sitios-${new Date().toISOString().slice(0, 10)}.csv`,
+            filters: [
+                { name: 'CSV', extensions: ['csv'] },
+                { name: 'JSON', extensions: ['json'] }
+            ]
+        });
+        if (canceled || !filePath) {
+            return { success: true, canceled: true };
+        }
+
+        const count = await SiteCatalog.export(deps.services.databaseManager, filePath);
+        log.info('Catálogo exportado', { file: filePath, count });
+        return { success: true, fileName: path.basename(filePath), count };
+    }));
+
     ipcMain.handle('reports:get', async (event, options = {}) => {
         const { filters = {}, page = 1, limit = 10 } = options;
         try {
@@ -29,20 +278,18 @@ export function registerDatabaseHandlers(ipcMain, deps) {
             return { success: true, ...result };
         } catch (error) {
             log.error('Error obteniendo reportes', error);
-            // Shape con paginación vacía que la UI espera para renderizar
-            // estado "sin resultados" en lugar de romper la tabla.
-            return {
-                ...mapError(error),
-                data: [],
-                pagination: {
-                    currentPage: 1,
-                    totalPages: 0,
-                    totalRecords: 0,
-                    recordsPerPage: limit,
-                    hasNextPage: false,
-                    hasPreviousPage: false
-                }
-            };
+            return { ...mapError(error), ...emptyPage(limit) };
+        }
+    });
+
+    ipcMain.handle('reports:batches', async (event, options = {}) => {
+        const { filters = {}, page = 1, limit = 10 } = options;
+        try {
+            const result = await deps.services.databaseManager.getBatchReports(filters, page, limit);
+            return { success: true, ...result };
+        } catch (error) {
+            log.error('Error obteniendo lotes', error);
+            return { ...mapError(error), ...emptyPage(limit) };
         }
     });
 
@@ -56,5 +303,34 @@ export function registerDatabaseHandlers(ipcMain, deps) {
         }
     });
 
+    // Cobertura histórica del catálogo; los recientes cuentan dentro de la
+    // ventana de repetición configurada
+    ipcMain.handle('reports:coverage', handle('reports.coverage', async () => {
+        const windowHours = deps.services.configStore.getSiteRevisitWindowHours();
+        const since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+        const profiles = await deps.services.databaseManager.getProfileSiteCoverage(null, since);
+        return { success: true, profiles, windowHours };
+    }));
+
     log.debug('Handlers de base de datos registrados');
 }
+
+/**
+ * Shape con paginación vacía que la UI espera para renderizar
+ * estado "sin resultados" en lugar de romper la tabla.
+ * @param {number} limit - Registros por página pedidos
+ * @returns {{data: Array, pagination: Object}}
+ */
+function emptyPage(limit) {
+    return {
+        data: [],
+        pagination: {
+            currentPage: 1,
+            totalPages: 0,
+            totalRecords: 0,
+            recordsPerPage: limit,
+            hasNextPage: false,
+            hasPreviousPage: false
+        }
+    };
+}
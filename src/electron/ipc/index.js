@@ -2,6 +2,7 @@ import { registerAuthHandlers } from './auth.js';
 import { registerAdsPowerHandlers } from './adspower.js';
 import { registerNavigationHandlers } from './navigation.js';
 import { registerDatabaseHandlers } from './database.js';
+import { registerScheduleHandlers } from './schedules.js';
 import { registerConfigHandlers } from './config.js';
 import { registerSystemHandlers } from './system.js';
 import { registerClipboardHandlers } from './clipboard.js';
@@ -15,14 +16,18 @@ const log = createLogger('ipc:bootstrap');
  *
  * @param {Electron.IpcMain} ipcMain
  * @param {Object} deps
+ * @returns {{launchNavigation: Function, attachScheduler: Function}} Ganchos que main.js le pasa al programador
  */
 export function registerAllIpcHandlers(ipcMain, deps) {
     registerAuthHandlers(ipcMain, deps);
     registerAdsPowerHandlers(ipcMain, deps);
-    registerNavigationHandlers(ipcMain, deps);
+    const { launchNavigation } = registerNavigationHandlers(ipcMain, deps);
     registerDatabaseHandlers(ipcMain, deps);
+    const { attachScheduler } = registerScheduleHandlers(ipcMain, deps);
     registerConfigHandlers(ipcMain, deps);
     registerSystemHandlers(ipcMain, deps);
     registerClipboardHandlers(ipcMain);
     log.info('Todos los handlers IPC registrados');
+
+    return { launchNavigation, attachScheduler };
 }
@@ -1,5 +1,10 @@
 import { createLogger } from '../../core/utils/Logger.js';
 import { handle, mapError } from './_result.js';
+import TerminationPolicy from '../../core/navigation/TerminationPolicy.js';
+import BatchPlan from '../../core/navigation/BatchPlan.js';
+import SiteLists from '../../core/database/SiteLists.js';
+import CategoryMix from '../../core/database/CategoryMix.js';
+import { ProfileCooldownError } from '../../core/errors/AppError.js';
 import { DEFAULT_COOKIE_TARGET, MAX_RECOMMENDED_PROFILES, ESTIMATED_RAM_PER_PROFILE_MB } from '../../core/config/defaults.js';
 
 const log = createLogger('ipc:navigation');
@@ -9,16 +14,21 @@ const log = createLogger('ipc:navigation');
  * NavigationController hacia la UI vía mainWindow.webContents.send.
  *
  * Acá vive toda la conversación entre el renderer y el controller:
- * inicio, parada, consulta de estado, snapshot de sesiones activas,
- * y el forwarding de los eventos emitidos por el NavigationController
- * (session:started, progress, completed, error, global:stats).
+ * inicio, parada, perfiles sumados a un lote en curso, consulta de
+ * estado, snapshot de sesiones activas, reanudación de ejecuciones interrumpidas,
+ * configuración de lotes guardados para repetirlos, y el forwarding de los eventos emitidos por el NavigationController
+ * (session:queued, started, progress, paused, resumed, stopped, completed,
+ * error, global:stats).
  *
  * @param {Electron.IpcMain} ipcMain
  * @param {Object} deps
  * @param {Object} deps.services
  * @param {Object} deps.services.navigationController
  * @param {Object} deps.services.adsPowerManager
+ * @param {Object} deps.services.configStore
+ * @param {Object} deps.services.databaseManager
  * @param {Function} deps.getMainWindow - devuelve la BrowserWindow activa
+ * @returns {{launchNavigation: Function}} Lanzador compartido con el programador
  */
 export function registerNavigationHandlers(ipcMain, deps) {
     const { services } = deps;
@@ -45,6 +55,16 @@ export function registerNavigationHandlers(ipcMain, deps) {
         const controller = services.navigationController;
         if (!controller || listenersAttachedTo === controller) return;
 
+        controller.on('session:queued', (data) => {
+            sendProgress({
+                type: 'session_queued',
+                profileId: data.profileId,
+                position: data.position,
+                queueLength: data.queueLength,
+                timestamp: new Date().toISOString()
+            });
+        });
+
         controller.on('session:started', (data) => {
             log.debug('session:started recibido', { profileId: data.profileId });
             sendProgress({
@@ -73,6 +93,60 @@ export function registerNavigationHandlers(ipcMain, deps) {
             });
         });
 
+        controller.on('session:paused', (data) => {
+            sendProgress({
+                type: 'session_paused',
+                sessionId: data.sessionId,
+                profileId: data.profileId,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        controller.on('session:resumed', (data) => {
+            sendProgress({
+                type: 'session_resumed',
+                sessionId: data.sessionId,
+                profileId: data.profileId,
+                pausedDuration: data.pausedDuration,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        controller.on('session:stopped', (data) => {
+            sendProgress({
+                type: 'session_stopped',
+                sessionId: data.sessionId,
+                profileId: data.profileId,
+                reason: data.reason,
+                stats: data.stats,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        controller.on('session:stalled', (data) => {
+            sendProgress({
+                type: 'session_stalled',
+                sessionId: data.sessionId,
+                profileId: data.profileId,
+                step: data.step,
+                attempt: data.attempt,
+                idleMs: data.idleMs,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        controller.on('session:recovered', (data) => {
+            sendProgress({
+                type: 'session_recovered',
+                sessionId: data.sessionId,
+                profileId: data.profileId,
+                step: data.step,
+                attempts: data.attempts,
+                stalledMs: data.stalledMs,
+                timestamp: new Date().toISOString()
+            });
+        });
+
         controller.on('session:completed', (data) => {
             sendProgress({
                 type: 'session_completed',
@@ -89,6 +163,7 @@ export function registerNavigationHandlers(ipcMain, deps) {
                 sessionId: data.sessionId,
                 profileId: data.profileId,
                 error: data.error,
+                code: data.code,
                 timestamp: new Date().toISOString()
             });
         });
@@ -139,16 +214,46 @@ export function registerNavigationHandlers(ipcMain, deps) {
     }
 
     function checkSystemResources(profileCount) {
-        const requiredRAM = profileCount * ESTIMATED_RAM_PER_PROFILE_MB;
-        log.info('Recursos estimados', { profileCount, requiredRAM });
-        if (profileCount > MAX_RECOMMENDED_PROFILES) {
-            log.warn('Cantidad de perfiles supera el máximo recomendado', {
-                profileCount,
+        // El pool nunca abre más de maxConcurrentProfiles navegadores a la vez
+        const { maxConcurrentProfiles } = services.configStore.getConcurrencyConfig();
+        const concurrentProfiles = Math.min(profileCount, maxConcurrentProfiles);
+        const requiredRAM = concurrentProfiles * ESTIMATED_RAM_PER_PROFILE_MB;
+        log.info('Recursos estimados', { profileCount, concurrentProfiles, requiredRAM });
+        if (concurrentProfiles > MAX_RECOMMENDED_PROFILES) {
+            log.warn('Cantidad de perfiles simultáneos supera el máximo recomendado', {
+                concurrentProfiles,
                 max: MAX_RECOMMENDED_PROFILES
             });
         }
     }
 
+    /**
+     * Arranca la navegación en background y avisa a la UI. Compartido por
+     * navigation:start, navigation:resume-interrupted y el programador.
+     * @returns {Promise<Object>} Estadísticas finales del lote
+     */
+    function launchNavigation(profileIds, targetCookies, options = {}) {
+        checkSystemResources(profileIds.length);
+        setupProgressEvents();
+
+        const promise = services.navigationController.startMultipleNavigationSessions(
+            profileIds,
+            targetCookies,
+            options
+        );
+
+        sendStatus({
+            status: 'starting',
+            profileIds,
+            targetCookies,
+            timestamp: new Date().toISOString()
+        });
+
+        // Manejo en background — no esperamos el resultado acá.
+        handleCompletion(promise);
+        return promise;
+    }
+
     ipcMain.handle('navigation:start', async (event, config) => {
         try {
             log.info('Solicitud de navegación desde UI', config);
@@ -176,41 +281,61 @@ export function registerNavigationHandlers(ipcMain, deps) {
                 await validateProfilesExist(profileIds);
             }
 
-            checkSystemResources(profileIds.length);
-            setupProgressEvents();
-
-            const promise = services.navigationController.startMultipleNavigationSessions(
-                profileIds,
-                targetCookies
-            );
+            // Validar la política y el plan por perfil antes de responder, así
+            // el error llega al formulario
+            const policy = TerminationPolicy.from(config.policy);
+            const plan = BatchPlan.fromEntries(config.plan || []);
+            const unknown = plan.getProfileIds().filter(id => !profileIds.includes(id));
+            if (unknown.length > 0) {
+                throw new Error(`El plan incluye perfiles que no están en la lista: ${unknown.join(', ')}`);
+            }
+            const planOptions = plan.toSessionOptions();
+            const defaultSiteLists = SiteLists.parseNames(config.siteLists);
+            await services.navigationController.assertSiteListsExist([
+                ...(defaultSiteLists || []),
+                ...Object.values(planOptions.siteLists).flat()
+            ]);
+            const categoryMix = CategoryMix.from(config.categoryMix);
+
+            // El controller vuelve a verificarlo, pero así el aviso llega al formulario
+            const ignoreCooldown = Boolean(config.ignoreCooldown);
+            if (!ignoreCooldown) {
+                await services.navigationController.assertProfilesRested(profileIds);
+            }
 
-            sendStatus({
-                status: 'starting',
-                profileIds,
-                targetCookies,
-                timestamp: new Date().toISOString()
+            launchNavigation(profileIds, targetCookies, {
+                policy,
+                ...planOptions,
+                defaultSiteLists,
+                categoryMix,
+                startedBy: 'app',
+                rerunOf: config.rerunOf || null,
+                ignoreCooldown
             });
 
-            // Manejo en background — no esperamos el resultado acá.
-            handleCompletion(promise);
-
             return {
                 success: true,
                 message: 'Navegación iniciada correctamente',
                 data: {
                     profileIds,
                     targetCookies,
-                    totalTarget: targetCookies * profileIds.length
+                    totalTarget: profileIds.reduce((sum, id) => sum + (planOptions.targets[id] ?? targetCookies), 0),
+                    policy: policy.toJSON(),
+                    categoryMix: categoryMix?.toJSON() || null
                 }
             };
         } catch (error) {
-            // Side-effect: notificar UI antes de devolver el envelope.
+            // Side-effect: notificar UI antes de devolver el envelope. Un
+            // perfil en enfriamiento no es un error de navegación: el
+            // formulario pregunta si iniciar igual
             log.error('Error iniciando navegación', error);
-            sendStatus({
-                status: 'error',
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            if (!(error instanceof ProfileCooldownError)) {
+                sendStatus({
+                    status: 'error',
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
             return mapError(error);
         }
     });
@@ -222,7 +347,7 @@ export function registerNavigationHandlers(ipcMain, deps) {
                 return { success: false, error: 'NavigationController no está disponible' };
             }
 
-            const before = controller.getActiveSessionCount();
+            const before = controller.getActiveSessionCount() + controller.getQueuedSessionCount();
             if (before === 0) {
                 sendStatus({ status: 'stopped', timestamp: new Date().toISOString() });
                 return {
@@ -270,6 +395,55 @@ export function registerNavigationHandlers(ipcMain, deps) {
         }
     });
 
+    ipcMain.handle('navigation:stop-profile', handle('navigation.stop-profile', async (event, profileId) => {
+        const controller = services.navigationController;
+        if (!controller) {
+            return { success: false, error: 'NavigationController no está disponible' };
+        }
+        const result = await controller.stopSession(profileId);
+        return { success: true, ...result };
+    }));
+
+    ipcMain.handle('navigation:add-profiles', handle('navigation.add-profiles', async (event, config) => {
+        const controller = services.navigationController;
+        if (!controller) {
+            return { success: false, error: 'NavigationController no está disponible' };
+        }
+        if (!config || !Array.isArray(config.profileIds) || config.profileIds.length === 0) {
+            throw new Error('Se requiere al menos un perfil para sumar al lote');
+        }
+
+        if (config.validateProfiles !== false) {
+            await validateProfilesExist(config.profileIds);
+        }
+
+        if (!config.ignoreCooldown) {
+            await controller.assertProfilesRested(config.profileIds);
+        }
+
+        const { added, skipped } = controller.addProfilesToBatch(config.profileIds, config.targetCookies);
+        log.info('Perfiles sumados al lote en curso', { added, skipped });
+        return { success: true, added, skipped };
+    }));
+
+    ipcMain.handle('navigation:pause-session', handle('navigation.pause-session', (event, profileId) => {
+        const controller = services.navigationController;
+        if (!controller) {
+            return { success: false, error: 'NavigationController no está disponible' };
+        }
+        const paused = controller.pauseSession(profileId);
+        return { success: true, profileId, changed: paused };
+    }));
+
+    ipcMain.handle('navigation:resume-session', handle('navigation.resume-session', (event, profileId) => {
+        const controller = services.navigationController;
+        if (!controller) {
+            return { success: false, error: 'NavigationController no está disponible' };
+        }
+        const resumed = controller.resumeSession(profileId);
+        return { success: true, profileId, changed: resumed };
+    }));
+
     ipcMain.handle('navigation:get-status', handle('navigation.get-status', () => {
         if (!services.navigationController) {
             return { success: false, error: 'NavigationController no está disponible' };
@@ -289,14 +463,86 @@ export function registerNavigationHandlers(ipcMain, deps) {
             };
         }
         const sessions = controller.getActiveSessionsSnapshot();
+        const queuedProfiles = controller.getQueuedProfilesSnapshot();
         return {
             success: true,
-            hasActiveSessions: sessions.length > 0,
+            hasActiveSessions: sessions.length > 0 || queuedProfiles.length > 0,
             sessionCount: sessions.length,
             sessions,
+            queuedProfiles,
             timestamp: new Date().toISOString()
         };
     }));
 
+    // Configuración de un lote guardado para cargarla en el formulario y
+    // repetirlo; el usuario la revisa antes de iniciar
+    ipcMain.handle('navigation:get-rerun-config', handle('navigation.get-rerun-config', async (event, batchId) => {
+        const batch = await services.databaseManager.getBatch(batchId);
+        if (!batch) {
+            throw new Error(`No existe el lote ${batchId}`);
+        }
+
+        const { profileIds, targetCookies, policy, categoryMix, plan, expiredDeadline } = BatchPlan.forRerun(batch);
+        return {
+            success: true,
+            data: { batchId, profileIds, targetCookies, policy, categoryMix, plan: plan.entries, expiredDeadline }
+        };
+    }));
+
+    ipcMain.handle('navigation:get-interrupted-run', handle('navigation.get-interrupted-run', async () => {
+        const controller = services.navigationController;
+        if (!controller) {
+            return { success: true, data: null };
+        }
+        return { success: true, data: await controller.getInterruptedRun() };
+    }));
+
+    ipcMain.handle('navigation:resume-interrupted', async () => {
+        try {
+            const controller = services.navigationController;
+            if (!controller) {
+                throw new Error('NavigationController no está inicializado');
+            }
+            if (controller.getActiveSessionCount() + controller.getQueuedSessionCount() > 0) {
+                throw new Error('Ya hay una navegación en curso');
+            }
+
+            await controller.getInterruptedRun();
+            const plan = controller.takeResumePlan();
+            if (!plan) {
+                throw new Error('No hay una ejecución interrumpida para reanudar');
+            }
+
+            log.info('Reanudando ejecución interrumpida', plan);
+            launchNavigation(plan.profileIds, null, { targets: plan.targets, startedBy: 'resume' });
+
+            const totalTarget = Object.values(plan.targets).reduce((sum, t) => sum + t, 0);
+            return {
+                success: true,
+                message: 'Ejecución interrumpida reanudada',
+                data: {
+                    profileIds: plan.profileIds,
+                    targets: plan.targets,
+                    totalTarget
+                }
+            };
+        } catch (error) {
+            log.error('Error reanudando ejecución interrumpida', error);
+            sendStatus({
+                status: 'error',
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+            return mapError(error);
+        }
+    });
+
+    ipcMain.handle('navigation:dismiss-interrupted', handle('navigation.dismiss-interrupted', () => {
+        services.navigationController?.dismissInterruptedRun();
+        return { success: true };
+    }));
+
     log.debug('Handlers de navigation registrados');
+
+    return { launchNavigation };
 }
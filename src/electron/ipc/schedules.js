@@ -0,0 +1,144 @@
+import { createLogger } from '../../core/utils/Logger.js';
+import { handle } from './_result.js';
+import Scheduler from '../../core/scheduler/Scheduler.js';
+import CronExpression from '../../core/scheduler/CronExpression.js';
+import RotationPlanner from '../../core/scheduler/RotationPlanner.js';
+
+const log = createLogger('ipc:schedules');
+
+/**
+ * Handlers IPC del editor de programaciones: listado, alta y edición,
+ * activación, borrado, registro de ejecuciones y planificación de
+ * rotaciones de perfiles. El programador lee la
+ * base en cada revisión, así que los cambios valen desde la siguiente
+ * sin avisarle.
+ *
+ * Los eventos del programador se reenvían a la UI como
+ * `schedules:run-event` una vez que main.js lo crea (ver attachScheduler).
+ *
+ * @param {Electron.IpcMain} ipcMain
+ * @param {Object} deps
+ * @param {Object} deps.services
+ * @param {Object} deps.services.databaseManager
+ * @param {Object} deps.services.configStore
+ * @param {Function} deps.getMainWindow - devuelve la BrowserWindow activa
+ * @returns {{attachScheduler: Function}}
+ */
+export function registerScheduleHandlers(ipcMain, deps) {
+    const { services } = deps;
+
+    ipcMain.handle('schedules:list', handle('schedules.list', async () => {
+        const schedules = await services.databaseManager.getSchedules();
+        return { success: true, schedules, enabled: services.configStore.getSchedulerConfig().enabled };
+    }));
+
+    ipcMain.handle('schedules:save', handle('schedules.save', async (event, config) => {
+        const schedule = Scheduler.prepare(config);
+
+        const existing = await services.databaseManager.getScheduleByName(schedule.name);
+        if (existing && existing.id !== config.id) {
+            throw new Error(`Ya existe una programación llamada "${schedule.name}"`);
+        }
+
+        let id = config.id;
+        if (id) {
+            const updated = await services.databaseManager.updateSchedule(id, schedule);
+            if (!updated) {
+                throw new Error('La programación ya no existe');
+            }
+        } else {
+            id = await services.databaseManager.createSchedule(schedule);
+        }
+
+        log.info('Programación guardada', { id, name: schedule.name, cron: schedule.cron });
+        return { success: true, schedule: await services.databaseManager.getSchedule(id) };
+    }));
+
+    ipcMain.handle('schedules:set-enabled', handle('schedules.set-enabled', async (event, id, enabled) => {
+        const schedule = await services.databaseManager.getSchedule(id);
+        if (!schedule) {
+            throw new Error('La programación ya no existe');
+        }
+
+        const nextRunAt = enabled ? CronExpression.parse(schedule.cron).next(new Date()) : null;
+        await services.databaseManager.setScheduleEnabled(id, enabled, nextRunAt);
+        return { success: true, schedule: await services.databaseManager.getSchedule(id) };
+    }));
+
+    ipcMain.handle('schedules:remove', handle('schedules.remove', async (event, id) => {
+        const removed = await services.databaseManager.deleteSchedule(id);
+        return { success: true, removed };
+    }));
+
+    ipcMain.handle('schedules:runs', handle('schedules.runs', async (event, options = {}) => {
+        const runs = await services.databaseManager.getScheduleRuns(options);
+        return { success: true, runs };
+    }));
+
+    /**
+     * Arma una rotación y las programaciones que guardaría. Los slots y el
+     * enfriamiento caen a la configuración si el formulario no los trae.
+     * @param {Object} config - Campos del formulario de rotación
+     * @returns {{plan: Object, schedules: Array<Object>}}
+     */
+    function buildRotation(config = {}) {
+        const planner = new RotationPlanner({
+            profileIds: config.profileIds,
+            slots: config.slots || services.configStore.getConcurrencyConfig().maxConcurrentProfiles,
+            hours: config.hours,
+            start: config.start,
+            sessionMinutes: config.sessionMinutes,
+            cooldownMinutes: config.cooldownMinutes ?? services.configStore.getProfileCooldownMinutes(),
+            gapMinutes: config.gapMinutes ?? RotationPlanner.DEFAULT_GAP_MINUTES
+        });
+        const plan = planner.plan();
+        const schedules = RotationPlanner.toSchedules(plan, {
+            name: config.name,
+            targetCookies: config.targetCookies,
+            policy: config.policy,
+            enabled: config.enabled
+        });
+        return { plan, schedules };
+    }
+
+    // Vista previa: no guarda nada
+    ipcMain.handle('schedules:plan-rotation', handle('schedules.plan-rotation', async (event, config) => {
+        const { plan, schedules } = buildRotation(config);
+        const stats = await services.databaseManager.getProfileStats(plan.profiles.map(profile => profile.profileId));
+        return { success: true, plan, schedules, stats };
+    }));
+
+    // Se vuelve a armar con la misma configuración, así se guarda lo que se mostró
+    ipcMain.handle('schedules:commit-rotation', handle('schedules.commit-rotation', async (event, config) => {
+        const { schedules } = buildRotation(config);
+        const { created, removed } = await RotationPlanner.commit(services.databaseManager, schedules, {
+            name: config.name,
+            replace: Boolean(config.replace)
+        });
+        log.info('Rotación guardada', { name: config.name, created: created.length, removed });
+        return { success: true, created: created.length, removed };
+    }));
+
+    /**
+     * Reenvía a la UI los disparos del programador.
+     * @param {import('events').EventEmitter} scheduler
+     */
+    function attachScheduler(scheduler) {
+        for (const type of ['run:started', 'run:finished', 'run:skipped']) {
+            scheduler.on(type, (data) => {
+                const win = deps.getMainWindow();
+                if (win && !win.isDestroyed()) {
+                    win.webContents.send('schedules:run-event', {
+                        type,
+                        ...data,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            });
+        }
+    }
+
+    log.debug('Handlers de programaciones registrados');
+
+    return { attachScheduler };
+}
@@ -10,6 +10,9 @@ import ConfigStore from '../core/config/ConfigStore.js';
 import DatabaseManager from '../core/database/DatabaseManager.js';
 import AdsPowerManager from '../core/adspower/AdsPowerManager.js';
 import NavigationController from '../core/navigation/NavigationController.js';
+import Scheduler from '../core/scheduler/Scheduler.js';
+import BackupScheduler from '../core/database/BackupScheduler.js';
+import MaintenanceScheduler from '../core/database/MaintenanceScheduler.js';
 import { AuthService } from '../core/auth/AuthService.js';
 import { createLogger, attachFileTransport } from '../core/utils/Logger.js';
 import { registerAllIpcHandlers } from './ipc/index.js';
@@ -38,7 +41,7 @@ const APP_VERSION = packageJson.version;
  *
  * Responsabilidades:
  *   - Crear la BrowserWindow, el menú y el auto-updater.
- *   - Construir los servicios del core (DB, AdsPower, NavigationController, Auth).
+ *   - Construir los servicios del core (DB, AdsPower, NavigationController, Scheduler, Auth).
  *   - Persistir configuración y sesión vía electron-store.
  *   - Migrar configuraciones de versiones viejas (config.json, claves top-level).
  *   - Delegar TODA la lógica de IPC a los routers de src/electron/ipc/.
@@ -98,6 +101,9 @@ class ElectronApp {
             databaseManager: null,
             adsPowerManager: null,
             navigationController: null,
+            scheduler: null,
+            backupScheduler: null,
+            maintenanceScheduler: null,
             authService: null
         };
     }
@@ -248,11 +254,12 @@ class ElectronApp {
      * propaga automáticamente sin necesidad de re-registrar.
      */
     setupIpcHandlers() {
-        registerAllIpcHandlers(ipcMain, {
+        this.ipcHooks = registerAllIpcHandlers(ipcMain, {
             services: this.services,
             authState: this.authState,
             appVersion: APP_VERSION,
             shell,
+            dialog,
             getMainWindow: () => this.mainWindow,
             clearStoredAuth: () => clearStoredAuth({
                 store: this.store,
@@ -289,6 +296,16 @@ class ElectronApp {
                 this.adsPowerManager
             );
 
+            // Sin await: cerrar navegadores huérfanos depende de Ads Power y no
+            // debe frenar el arranque. La UI consulta el resultado vía IPC.
+            const recovery = this.navigationController.recoverInterruptedRun().catch(error => {
+                log.warn('No se pudo recuperar la ejecución interrumpida', error);
+            });
+
+            this.startScheduler(recovery);
+            this.startBackupScheduler();
+            this.startMaintenanceScheduler();
+
             log.info('Servicios del core inicializados');
         } catch (error) {
             log.error('Error inicializando servicios', error);
@@ -296,6 +313,86 @@ class ElectronApp {
         }
     }
 
+    /**
+     * Arranca el programador mientras la app está abierta. Lanza por el
+     * mismo camino que el botón "Iniciar Navegación", así la UI sigue el
+     * lote programado como cualquier otro.
+     * @param {Promise} recovery - Recuperación de la corrida interrumpida; no
+     *   se lanza nada hasta que cierre los navegadores huérfanos
+     */
+    startScheduler(recovery) {
+        const config = this.configStore.getSchedulerConfig();
+        if (!config.enabled) {
+            log.info('Programador desactivado por configuración');
+            return;
+        }
+
+        const controller = this.navigationController;
+        this.services.scheduler = new Scheduler({
+            databaseManager: this.databaseManager,
+            launch: (...args) => this.ipcHooks.launchNavigation(...args),
+            isBusy: () => controller.isBatchActive(),
+            ready: recovery,
+            checkInterval: config.checkInterval,
+            missedRunGrace: config.missedRunGrace
+        });
+        this.ipcHooks.attachScheduler(this.services.scheduler);
+
+        // Sin await: la primera revisión no debe frenar el arranque
+        this.services.scheduler.start().catch(error => {
+            log.warn('No se pudo iniciar el programador', error);
+        });
+    }
+
+    /**
+     * Arranca las copias automáticas de la base mientras la app está
+     * abierta (database.autoBackup).
+     */
+    startBackupScheduler() {
+        const config = this.configStore.getBackupConfig();
+        if (!config.autoBackup) {
+            log.info('Copias automáticas de la base desactivadas por configuración');
+            return;
+        }
+
+        this.services.backupScheduler = new BackupScheduler({
+            databaseManager: this.databaseManager,
+            backupInterval: config.backupInterval,
+            keepBackups: config.keepBackups,
+            maxBackupAgeDays: config.maxBackupAgeDays
+        });
+
+        // Sin await: copiar la base no debe frenar el arranque
+        this.services.backupScheduler.start().catch(error => {
+            log.warn('No se pudieron iniciar las copias automáticas', error);
+        });
+    }
+
+    /**
+     * Arranca el mantenimiento periódico de la base (database.autoMaintenance).
+     * Se pospone mientras haya una navegación en curso.
+     */
+    startMaintenanceScheduler() {
+        const config = this.configStore.getMaintenanceConfig();
+        if (!config.autoMaintenance) {
+            log.info('Mantenimiento de la base desactivado por configuración');
+            return;
+        }
+
+        const controller = this.navigationController;
+        this.services.maintenanceScheduler = new MaintenanceScheduler({
+            databaseManager: this.databaseManager,
+            maintenanceInterval: config.maintenanceInterval,
+            visitRetentionDays: config.visitRetentionDays,
+            isBusy: () => controller.isBatchActive()
+        });
+
+        // Sin await: VACUUM puede tardar y no debe frenar el arranque
+        this.services.maintenanceScheduler.start().catch(error => {
+            log.warn('No se pudo iniciar el mantenimiento de la base', error);
+        });
+    }
+
     showErrorDialog(title, message) {
         dialog.showErrorBox(title, message);
     }
@@ -318,6 +415,21 @@ class ElectronApp {
                 this.autoUpdater = null;
             }
 
+            if (this.services.scheduler) {
+                this.services.scheduler.stop();
+                this.services.scheduler = null;
+            }
+
+            if (this.services.backupScheduler) {
+                this.services.backupScheduler.stop();
+                this.services.backupScheduler = null;
+            }
+
+            if (this.services.maintenanceScheduler) {
+                this.services.maintenanceScheduler.stop();
+                this.services.maintenanceScheduler = null;
+            }
+
             if (this.navigationController) {
                 await this.navigationController.stopAllSessions();
             }
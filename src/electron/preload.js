@@ -29,8 +29,16 @@ const electronAPI = {
     navigation: {
         start: (config) => ipcRenderer.invoke('navigation:start', config),
         stop: () => ipcRenderer.invoke('navigation:stop'),
+        stopProfile: (profileId) => ipcRenderer.invoke('navigation:stop-profile', profileId),
+        addProfiles: (config) => ipcRenderer.invoke('navigation:add-profiles', config),
+        pauseSession: (profileId) => ipcRenderer.invoke('navigation:pause-session', profileId),
+        resumeSession: (profileId) => ipcRenderer.invoke('navigation:resume-session', profileId),
         getStatus: () => ipcRenderer.invoke('navigation:get-status'),
         getActiveSessions: () => ipcRenderer.invoke('navigation:get-active-sessions'),
+        getInterruptedRun: () => ipcRenderer.invoke('navigation:get-interrupted-run'),
+        resumeInterrupted: () => ipcRenderer.invoke('navigation:resume-interrupted'),
+        dismissInterrupted: () => ipcRenderer.invoke('navigation:dismiss-interrupted'),
+        getRerunConfig: (batchId) => ipcRenderer.invoke('navigation:get-rerun-config', batchId),
         
         // Listeners para eventos de navegación
         onProgressUpdate: (callback) => ipcRenderer.on('navigation:progress', callback),
@@ -42,7 +50,23 @@ const electronAPI = {
     // Base de datos
     database: {
         getStats: () => ipcRenderer.invoke('database:get-stats'),
-        getSites: (count) => ipcRenderer.invoke('database:get-sites', count)
+        getSites: (count) => ipcRenderer.invoke('database:get-sites', count),
+        listSites: (options) => ipcRenderer.invoke('database:list-sites', options),
+        saveSite: (config) => ipcRenderer.invoke('database:save-site', config),
+        removeSite: (id) => ipcRenderer.invoke('database:remove-site', id),
+        setSitesCategory: (ids, category) => ipcRenderer.invoke('database:set-sites-category', ids, category),
+        listQuarantined: () => ipcRenderer.invoke('database:list-quarantined'),
+        reviveSites: (ids) => ipcRenderer.invoke('database:revive-sites', ids),
+        listBackups: () => ipcRenderer.invoke('database:list-backups'),
+        backupNow: () => ipcRenderer.invoke('database:backup-now'),
+        restoreBackup: (name) => ipcRenderer.invoke('database:restore-backup', name),
+        listSiteLists: () => ipcRenderer.invoke('database:list-site-lists'),
+        saveSiteList: (config) => ipcRenderer.invoke('database:save-site-list', config),
+        removeSiteList: (id) => ipcRenderer.invoke('database:remove-site-list', id),
+        setSiteListMembers: (listId, ids, remove) => ipcRenderer.invoke('database:set-site-list-members', listId, ids, remove),
+        previewImport: (options) => ipcRenderer.invoke('database:preview-import', options),
+        importSites: (options) => ipcRenderer.invoke('database:import-sites', options),
+        exportSites: () => ipcRenderer.invoke('database:export-sites')
     },
 
     // Configuración
@@ -70,7 +94,22 @@ const electronAPI = {
     // Reportes
     reports: {
         get: (options) => ipcRenderer.invoke('reports:get', options),
-        summary: (filters) => ipcRenderer.invoke('reports:summary', filters)
+        summary: (filters) => ipcRenderer.invoke('reports:summary', filters),
+        batches: (options) => ipcRenderer.invoke('reports:batches', options),
+        coverage: () => ipcRenderer.invoke('reports:coverage')
+    },
+
+    // Programaciones
+    schedules: {
+        list: () => ipcRenderer.invoke('schedules:list'),
+        save: (config) => ipcRenderer.invoke('schedules:save', config),
+        setEnabled: (id, enabled) => ipcRenderer.invoke('schedules:set-enabled', id, enabled),
+        remove: (id) => ipcRenderer.invoke('schedules:remove', id),
+        runs: (options) => ipcRenderer.invoke('schedules:runs', options),
+        planRotation: (config) => ipcRenderer.invoke('schedules:plan-rotation', config),
+        commitRotation: (config) => ipcRenderer.invoke('schedules:commit-rotation', config),
+
+        onRunEvent: (callback) => ipcRenderer.on('schedules:run-event', callback)
     }
 };
 
@@ -6,6 +6,17 @@ import DatabaseManager from './core/database/DatabaseManager.js';
 import ConfigStore from './core/config/ConfigStore.js';
 import InMemoryStore from './core/config/InMemoryStore.js';
 import NavigationController from './core/navigation/NavigationController.js';
+import TerminationPolicy from './core/navigation/TerminationPolicy.js';
+import BatchPlan from './core/navigation/BatchPlan.js';
+import Scheduler from './core/scheduler/Scheduler.js';
+import RotationPlanner from './core/scheduler/RotationPlanner.js';
+import SiteCatalog from './core/database/SiteCatalog.js';
+import SiteLists from './core/database/SiteLists.js';
+import CategoryMix from './core/database/CategoryMix.js';
+import SiteStats from './core/database/SiteStats.js';
+import BackupScheduler from './core/database/BackupScheduler.js';
+import MaintenanceScheduler from './core/database/MaintenanceScheduler.js';
+import { ProfileCooldownError } from './core/errors/AppError.js';
 import { DEFAULT_APP_CONFIG } from './core/config/defaults.js';
 
 const program = new Command();
@@ -22,6 +33,9 @@ class CookiesTool {
         this.adsPowerManager = new AdsPowerManager(this.configStore);
         this.databaseManager = new DatabaseManager();
         this.navigationController = null; // Se inicializa después de cargar config
+        this.scheduler = null; // Solo con `schedule run`
+        this.backupScheduler = null; // Solo con `schedule run`
+        this.maintenanceScheduler = null; // Solo con `schedule run`
     }
 
     /**
@@ -99,17 +113,56 @@ class CookiesTool {
                 await this.stopProfile(profileId);
             });
 
+        // Comando para detener la sesión de un perfil dentro de una navegación en curso
+        program
+            .command('stop-profile-session')
+            .description('Detiene la sesión de navegación de un perfil sin afectar al resto del lote')
+            .argument('<profileId>', 'ID del perfil cuya sesión se detiene')
+            .action(async (profileId) => {
+                await this.stopProfileSession(profileId);
+            });
+
         // Comando para iniciar navegación
         program
             .command('start-navigation')
             .description('Inicia navegación automatizada para recolectar cookies')
-            .argument('<profileIds>', 'ID(s) de perfiles separados por comas (ej: profile1,profile2,profile3)')
+            .argument('[profileIds]', 'ID(s) de perfiles separados por comas (ej: profile1,profile2,profile3)')
             .option('-c, --cookies <number>', 'Cantidad objetivo de cookies por perfil', '2500')
+            .option('-p, --plan <file>', 'Archivo CSV o JSON con objetivo, sitios y política propios de cada perfil')
+            .option('-s, --site-list <names>', 'Listas de sitios a las que se limitan los perfiles sin listas propias en el plan, separadas por comas')
+            .option('--mix <weights>', 'Mezcla de categorías de los sitios (ej: news=40,blog=30,ecommerce=30)')
             .option('--validate-profiles', 'Validar que todos los perfiles existen antes de iniciar', false)
+            .option('-m, --max-concurrent <number>', 'Máximo de perfiles corriendo a la vez (el resto espera en cola)')
+            .option('--until <mode>', 'Cuándo termina cada sesión: cookies, time, both o either', 'both')
+            .option('--max-sites <number>', 'Corta la sesión al visitar esta cantidad de sitios')
+            .option('--max-duration <minutes>', 'Corta la sesión tras esta cantidad de minutos de reloj')
+            .option('--deadline <datetime>', 'Corta todas las sesiones en esta fecha y hora (ej: 2025-06-01T18:00)')
+            .option('--ignore-cooldown', 'Inicia aunque algún perfil haya corrido dentro del enfriamiento', false)
             .action(async (profileIds, options) => {
                 await this.startMultipleNavigation(profileIds, options);
             });
 
+        // Comando para repetir un lote guardado
+        program
+            .command('rerun')
+            .description('Repite un lote de navegación con sus perfiles, objetivos y política')
+            .argument('<batchId>', 'ID del lote a repetir (ver list-batches)')
+            .option('-c, --cookies <number>', 'Nuevo objetivo para los perfiles sin objetivo propio')
+            .option('--add <profileIds>', 'Perfiles a sumar, separados por comas')
+            .option('--exclude <profileIds>', 'Perfiles a quitar, separados por comas')
+            .option('--validate-profiles', 'Validar que todos los perfiles existen antes de iniciar', false)
+            .option('-m, --max-concurrent <number>', 'Máximo de perfiles corriendo a la vez (el resto espera en cola)')
+            .option('--until <mode>', 'Pisa cuándo termina cada sesión: cookies, time, both o either')
+            .option('--max-sites <number>', 'Pisa el máximo de sitios por sesión')
+            .option('--max-duration <minutes>', 'Pisa la duración máxima de cada sesión')
+            .option('--deadline <datetime>', 'Pisa la fecha y hora de corte')
+            .option('--mix <weights>', 'Pisa la mezcla de categorías (ej: news=40,blog=60)')
+            .option('--ignore-cooldown', 'Inicia aunque algún perfil haya corrido dentro del enfriamiento', false)
+            .option('--dry-run', 'Muestra la configuración resultante sin iniciar la navegación', false)
+            .action(async (batchId, options) => {
+                await this.rerunBatch(batchId, options);
+            });
+
         // Comando para obtener sitios web aleatorios de la DB
         program
             .command('get-random-sites')
@@ -127,6 +180,234 @@ class CookiesTool {
                 await this.showDatabaseStats();
             });
 
+        // Comando para ver la última corrida y los totales de cada perfil
+        program
+            .command('profile-stats')
+            .description('Muestra la última corrida, los totales históricos, el enfriamiento y la cobertura del catálogo de cada perfil')
+            .argument('[profileIds]', 'ID(s) de perfiles separados por comas (por defecto, todos)')
+            .action(async (profileIds) => {
+                await this.showProfileStats(profileIds);
+            });
+
+        // Comando para listar los lotes de navegación recientes
+        program
+            .command('list-batches')
+            .description('Lista los lotes de navegación recientes con su resumen')
+            .option('-l, --limit <number>', 'Cantidad de lotes a mostrar', '10')
+            .action(async (options) => {
+                await this.listBatches(parseInt(options.limit));
+            });
+
+        // Comandos para el catálogo de sitios
+        const sites = program
+            .command('sites')
+            .description('Importa y exporta el catálogo de sitios web y administra sus listas');
+
+        sites
+            .command('import')
+            .description('Agrega al catálogo los sitios de un archivo CSV o JSON')
+            .argument('<file>', 'Archivo .csv (columnas url, category, status) o .json')
+            .option('-c, --category <category>', `Categoría para las filas que no traen una (${SiteCatalog.CATEGORIES.join(', ')})`)
+            .option('--update', 'Aplica la categoría y el estado del archivo a los sitios que ya existen', false)
+            .option('--dry-run', 'Muestra qué cambiaría sin tocar la base', false)
+            .action(async (file, options) => {
+                await this.importSites(file, options);
+            });
+
+        sites
+            .command('export')
+            .description('Exporta el catálogo con sus estadísticas a un archivo CSV o JSON')
+            .argument('<file>', 'Archivo de destino (.csv o .json)')
+            .action(async (file) => {
+                await this.exportSites(file);
+            });
+
+        sites
+            .command('stats')
+            .description('Muestra las estadísticas de los sitios sobre sus últimas visitas')
+            .option('-s, --sort <metric>', `Métrica para ordenar (${Object.keys(SiteStats.SORTS).join(', ')})`, 'cookies-per-minute')
+            .option('-l, --limit <number>', 'Cantidad de sitios a mostrar', '20')
+            .option('-c, --category <category>', 'Solo los sitios de esta categoría')
+            .action(async (options) => {
+                await this.showSiteStats(options);
+            });
+
+        sites
+            .command('quarantine')
+            .description('Muestra los sitios en cuarentena por fallar seguido, con su último error')
+            .action(async () => {
+                await this.showQuarantinedSites();
+            });
+
+        sites
+            .command('revive')
+            .description('Saca sitios de la cuarentena y los devuelve a la rotación')
+            .argument('[sites...]', 'Dominios o URLs; cada uno revive todas las URLs de su dominio')
+            .option('--all', 'Revive todos los sitios en cuarentena', false)
+            .action(async (siteValues, options) => {
+                await this.reviveSites(siteValues, options);
+            });
+
+        // Listas de sitios con nombre para limitar lotes y perfiles
+        const lists = sites
+            .command('lists')
+            .description('Administra las listas de sitios a las que se puede limitar una navegación');
+
+        lists
+            .command('show', { isDefault: true })
+            .description('Muestra las listas, o los sitios de una lista')
+            .argument('[name]', 'Nombre de la lista')
+            .action(async (name) => {
+                await this.showSiteLists(name);
+            });
+
+        lists
+            .command('create')
+            .description('Crea una lista de sitios vacía')
+            .argument('<name>', 'Nombre de la lista (sin "," ";" ni "|")')
+            .option('-d, --description <text>', 'Para qué campaña es la lista')
+            .action(async (name, options) => {
+                await this.createSiteList(name, options);
+            });
+
+        lists
+            .command('rename')
+            .description('Cambia el nombre de una lista de sitios')
+            .argument('<name>', 'Nombre actual')
+            .argument('<newName>', 'Nombre nuevo')
+            .action(async (name, newName) => {
+                await this.renameSiteList(name, newName);
+            });
+
+        lists
+            .command('delete')
+            .description('Borra una lista de sitios; sus sitios siguen en el catálogo')
+            .argument('<name>', 'Nombre de la lista')
+            .action(async (name) => {
+                await this.deleteSiteList(name);
+            });
+
+        lists
+            .command('add')
+            .description('Suma sitios del catálogo a una lista')
+            .argument('<name>', 'Nombre de la lista')
+            .argument('[sites...]', 'Dominios o URLs; cada uno suma todas las URLs de su dominio')
+            .option('-c, --category <category>', 'Suma también todos los sitios de esta categoría')
+            .action(async (name, siteValues, options) => {
+                await this.changeSiteListMembers(name, siteValues, { ...options, remove: false });
+            });
+
+        lists
+            .command('remove')
+            .description('Quita sitios de una lista')
+            .argument('<name>', 'Nombre de la lista')
+            .argument('[sites...]', 'Dominios o URLs; cada uno quita todas las URLs de su dominio')
+            .option('-c, --category <category>', 'Quita también todos los sitios de esta categoría')
+            .action(async (name, siteValues, options) => {
+                await this.changeSiteListMembers(name, siteValues, { ...options, remove: true });
+            });
+
+        // Comandos para las copias de la base
+        const db = program
+            .command('db')
+            .description('Copia, restaura y mantiene la base de datos');
+
+        db
+            .command('backup')
+            .description('Copia la base en el acto (las copias manuales no se borran solas)')
+            .action(async () => {
+                await this.backupDatabase();
+            });
+
+        db
+            .command('backups')
+            .description('Lista las copias de la base, de la más nueva a la más vieja')
+            .action(async () => {
+                await this.listDatabaseBackups();
+            });
+
+        db
+            .command('restore')
+            .description('Reemplaza la base por una copia, después de validarla y de copiar la base actual')
+            .argument('<backup>', 'Nombre de una copia de `db backups` o ruta a un archivo .db')
+            .option('--force', 'Restaura aunque haya una navegación en curso', false)
+            .action(async (backup, options) => {
+                await this.restoreDatabase(backup, options);
+            });
+
+        db
+            .command('maintain')
+            .description('Resume las visitas viejas, compacta la base (VACUUM/ANALYZE) e informa el espacio recuperado')
+            .option('-d, --days <number>', 'Días de visitas detalladas que se guardan (por defecto, database.visitRetentionDays; 0 no resume)')
+            .option('--force', 'Mantiene la base aunque haya una navegación en curso', false)
+            .action(async (options) => {
+                await this.maintainDatabase(options);
+            });
+
+        // Comandos para las navegaciones programadas
+        const schedule = program
+            .command('schedule')
+            .description('Administra las navegaciones recurrentes programadas');
+
+        schedule
+            .command('add')
+            .description('Crea una programación')
+            .argument('<name>', 'Nombre único de la programación')
+            .argument('[profileIds]', 'ID(s) de perfiles separados por comas')
+            .requiredOption('--cron <expression>', 'Cuándo se lanza, en formato cron (ej: "0 9 * * 1-5")')
+            .option('-w, --window <start-end>', 'Ventana horaria permitida; las sesiones se cortan al cerrarla (ej: 08:00-18:00)')
+            .option('-c, --cookies <number>', 'Cantidad objetivo de cookies por perfil', '2500')
+            .option('-p, --plan <file>', 'Archivo CSV o JSON con objetivo, sitios y política propios de cada perfil')
+            .option('--until <mode>', 'Cuándo termina cada sesión: cookies, time, both o either', 'both')
+            .option('--max-sites <number>', 'Corta la sesión al visitar esta cantidad de sitios')
+            .option('--max-duration <minutes>', 'Corta la sesión tras esta cantidad de minutos de reloj')
+            .option('--disabled', 'Crea la programación desactivada', false)
+            .action(async (name, profileIds, options) => {
+                await this.addSchedule(name, profileIds, options);
+            });
+
+        schedule
+            .command('list')
+            .description('Lista las programaciones y sus últimas ejecuciones')
+            .option('-r, --runs <number>', 'Cantidad de ejecuciones recientes a mostrar', '10')
+            .action(async (options) => {
+                await this.listSchedules(parseInt(options.runs));
+            });
+
+        schedule
+            .command('remove')
+            .description('Borra una programación y su registro de ejecuciones')
+            .argument('<name>', 'Nombre o ID de la programación')
+            .action(async (name) => {
+                await this.removeSchedule(name);
+            });
+
+        schedule
+            .command('rotate')
+            .description('Planifica una rotación diaria de perfiles; con --commit la guarda como programaciones')
+            .argument('<name>', 'Nombre de la rotación; cada tanda se guarda como "<nombre> #N"')
+            .argument('<profileIds>', 'Pool de perfiles separados por comas')
+            .option('--start <time>', 'Hora de la primera tanda (HH:MM)', '08:00')
+            .option('--hours <number>', 'Horas por día disponibles para la rotación', '10')
+            .option('--slots <number>', 'Perfiles simultáneos por tanda (por defecto, adspower.maxConcurrentProfiles)')
+            .option('--session <minutes>', 'Duración de cada tanda en minutos', '60')
+            .option('--cooldown <minutes>', 'Descanso mínimo entre corridas de un perfil (por defecto, navigation.profileCooldownMinutes)')
+            .option('--gap <minutes>', 'Margen entre una tanda y la siguiente', String(RotationPlanner.DEFAULT_GAP_MINUTES))
+            .option('-c, --cookies <number>', 'Cantidad objetivo de cookies por perfil', '2500')
+            .option('--until <mode>', 'Cuándo termina cada sesión: cookies, time, both o either', 'both')
+            .option('--commit', 'Guarda el plan como programaciones (sin esto solo se muestra)', false)
+            .option('--replace', 'Reemplaza una rotación anterior con el mismo nombre', false)
+            .action(async (name, profileIds, options) => {
+                await this.planRotation(name, profileIds, options);
+            });
+
+        schedule
+            .command('run')
+            .description('Corre el programador en primer plano hasta Ctrl+C (modo sin interfaz)')
+            .action(async () => {
+                await this.runScheduler();
+            });
+
         // Comando para limpiar y salir
         program
             .command('cleanup')
@@ -143,52 +424,201 @@ class CookiesTool {
      */
     async startMultipleNavigation(profileIdsString, options) {
         try {
-            // Parsear IDs de perfiles
-            const profileIds = this.parseProfileIds(profileIdsString);
-            const targetCookies = parseInt(options.cookies);
-            
-            console.log('INICIANDO NAVEGACIÓN MÚLTIPLE');
-            console.log('═'.repeat(50));
-            console.log(`Perfiles: ${profileIds.length}`);
-            console.log(`Objetivo por perfil: ${targetCookies} cookies`);
-            console.log(`Total objetivo: ${targetCookies * profileIds.length} cookies`);
-            
-            // Validar perfiles si se solicita
-            if (options.validateProfiles) {
-                await this.validateProfiles(profileIds);
+            // Los perfiles del plan se suman a los pasados por argumento
+            const plan = options.plan ? await BatchPlan.fromFile(options.plan) : new BatchPlan();
+            const argumentIds = profileIdsString ? this.parseProfileIds(profileIdsString) : [];
+            const profileIds = [...new Set([...argumentIds, ...plan.getProfileIds()])];
+            if (profileIds.length === 0) {
+                throw new Error('Debe proporcionar al menos un ID de perfil o un archivo --plan');
             }
-            
-            // Configurar manejo graceful de interrupción
-            this.setupGracefulShutdown();
-            
-            // Verificar recursos del sistema
-            this.checkSystemResources(profileIds.length);
-            
-            console.log('\nIniciando sesiones...');
-            
-            // Llamar al NavigationController para manejar múltiples sesiones
-            const results = await this.navigationController.startMultipleNavigationSessions(
-                profileIds, 
-                targetCookies
-            );
-            
-            // Mostrar resumen final
-            this.showExecutionSummary(results);
-            
-            return results;
+
+            const policy = new TerminationPolicy({
+                mode: options.until,
+                maxSites: options.maxSites,
+                maxDurationMinutes: options.maxDuration,
+                deadline: options.deadline
+            });
+
+            return await this.runNavigation({
+                profileIds,
+                targetCookies: parseInt(options.cookies),
+                policy,
+                plan,
+                planLabel: options.plan,
+                siteLists: SiteLists.parseNames(options.siteList),
+                categoryMix: CategoryMix.from(options.mix)
+            }, options);
             
         } catch (error) {
-            console.error('Error en navegación múltiple:', error.message);
-            
-            // Intentar cleanup en caso de error
-            try {
-                await this.cleanup();
-            } catch (cleanupError) {
-                console.error('Error en cleanup:', cleanupError.message);
+            await this.handleNavigationError(error);
+        }
+    }
+
+    /**
+     * Repite un lote guardado con sus perfiles, objetivos y política. Las
+     * opciones del comando pisan los valores del lote antes de iniciar.
+     * @param {string} batchId - ID del lote a repetir (ver list-batches)
+     * @param {Object} options - Opciones del comando
+     */
+    async rerunBatch(batchId, options) {
+        try {
+            const batch = await this.databaseManager.getBatch(batchId);
+            if (!batch) {
+                throw new Error(`No existe el lote ${batchId} (ver list-batches)`);
             }
-            
-            process.exit(1);
+
+            const rerun = BatchPlan.forRerun(batch);
+            if (rerun.expiredDeadline) {
+                console.log('La fecha límite del lote original ya pasó: se repite sin ella');
+            }
+
+            const added = options.add ? this.parseProfileIds(options.add) : [];
+            const excluded = options.exclude ? this.parseProfileIds(options.exclude) : [];
+            const profileIds = [...new Set([...rerun.profileIds, ...added])]
+                .filter(profileId => !excluded.includes(profileId));
+            if (profileIds.length === 0) {
+                throw new Error('No quedan perfiles para repetir el lote');
+            }
+
+            // Solo se pisan los campos de la política pasados por opción
+            const policyOverrides = {
+                mode: options.until,
+                maxSites: options.maxSites,
+                maxDurationMinutes: options.maxDuration,
+                deadline: options.deadline
+            };
+            const policy = new TerminationPolicy({
+                ...rerun.policy,
+                ...Object.fromEntries(Object.entries(policyOverrides).filter(([, value]) => value !== undefined))
+            });
+
+            return await this.runNavigation({
+                profileIds,
+                targetCookies: options.cookies !== undefined ? parseInt(options.cookies) : rerun.targetCookies,
+                policy,
+                plan: new BatchPlan(rerun.plan.entries.filter(entry => profileIds.includes(entry.profileId))),
+                planLabel: `lote ${batchId}`,
+                categoryMix: CategoryMix.from(options.mix ?? rerun.categoryMix),
+                rerunOf: batchId
+            }, options);
+
+        } catch (error) {
+            await this.handleNavigationError(error);
+        }
+    }
+
+    /**
+     * Muestra la configuración de un lote y lo ejecuta
+     * @param {Object} run
+     * @param {Array<string>} run.profileIds - Perfiles del lote
+     * @param {number} run.targetCookies - Objetivo por defecto de cada perfil
+     * @param {TerminationPolicy} run.policy - Política del lote
+     * @param {BatchPlan} run.plan - Ajustes propios de cada perfil
+     * @param {string} [run.planLabel] - De dónde salió el plan, para el encabezado
+     * @param {Array<string>} [run.siteLists] - Listas de sitios de los perfiles sin listas propias
+     * @param {CategoryMix|null} [run.categoryMix] - Mezcla de categorías de los sitios
+     * @param {string} [run.rerunOf] - Lote que se repite
+     * @param {Object} options - Opciones del comando (maxConcurrent, validateProfiles, dryRun)
+     * @returns {Promise<Object|null>} Resultado del lote, o null con --dry-run
+     */
+    async runNavigation(run, options) {
+        const { profileIds, targetCookies, policy, plan } = run;
+        const planOptions = plan.toSessionOptions();
+        const totalTarget = profileIds.reduce((sum, id) => sum + (planOptions.targets[id] ?? targetCookies), 0);
+
+        if (options.maxConcurrent !== undefined) {
+            const maxConcurrent = parseInt(options.maxConcurrent);
+            if (isNaN(maxConcurrent) || maxConcurrent < 1) {
+                throw new Error('--max-concurrent debe ser un número mayor a 0');
+            }
+            this.configStore.set('adspower.maxConcurrentProfiles', maxConcurrent);
+        }
+        const { maxConcurrentProfiles } = this.configStore.getConcurrencyConfig();
+        
+        console.log(run.rerunOf ? `REPITIENDO LOTE ${run.rerunOf}` : 'INICIANDO NAVEGACIÓN MÚLTIPLE');
+        console.log('═'.repeat(50));
+        console.log(`Perfiles: ${profileIds.length}`);
+        console.log(`Objetivo por perfil: ${targetCookies} cookies`);
+        console.log(`Total objetivo: ${totalTarget} cookies`);
+        console.log(`Simultáneos: ${Math.min(maxConcurrentProfiles, profileIds.length)} (resto en cola)`);
+        console.log(`Terminación: ${policy.describe()}`);
+        if (run.siteLists) {
+            console.log(`Listas de sitios: ${run.siteLists.join(', ')}`);
+        }
+        if (run.categoryMix) {
+            console.log(`Mezcla de categorías: ${run.categoryMix.describe()}`);
+        }
+        if (plan.entries.length > 0) {
+            console.log(`Plan: ${run.planLabel} (${plan.getProfileIds().length} perfil(es) con ajustes propios)`);
+        }
+
+        if (options.dryRun) {
+            console.log(`Perfiles: ${profileIds.join(', ')}`);
+            plan.entries.forEach(entry => {
+                const details = [
+                    entry.targetCookies ? `${entry.targetCookies} cookies` : null,
+                    entry.sites ? `sitios ${entry.sites.join(', ')}` : null,
+                    entry.siteLists ? `listas ${entry.siteLists.join(', ')}` : null,
+                    entry.policy ? TerminationPolicy.from({ ...policy.toJSON(), ...entry.policy }).describe() : null
+                ].filter(Boolean);
+                console.log(`  [${entry.profileId}] ${details.join('; ')}`);
+            });
+            console.log('\nSimulación: no se inicia la navegación');
+            return null;
+        }
+        
+        // Validar perfiles si se solicita
+        if (options.validateProfiles) {
+            await this.validateProfiles(profileIds);
         }
+        
+        // Configurar manejo graceful de interrupción
+        this.setupGracefulShutdown();
+        
+        // Verificar recursos del sistema
+        this.checkSystemResources(Math.min(profileIds.length, maxConcurrentProfiles));
+        
+        console.log('\nIniciando sesiones...');
+        
+        // Llamar al NavigationController para manejar múltiples sesiones
+        const results = await this.navigationController.startMultipleNavigationSessions(
+            profileIds, 
+            targetCookies,
+            {
+                policy,
+                ...planOptions,
+                defaultSiteLists: run.siteLists,
+                categoryMix: run.categoryMix,
+                startedBy: 'cli',
+                rerunOf: run.rerunOf,
+                ignoreCooldown: options.ignoreCooldown
+            }
+        );
+        
+        // Mostrar resumen final
+        this.showExecutionSummary(results);
+        
+        return results;
+    }
+
+    /**
+     * Informa el error de una navegación, libera recursos y termina el proceso
+     * @param {Error} error
+     */
+    async handleNavigationError(error) {
+        console.error('Error en navegación múltiple:', error.message);
+        if (error instanceof ProfileCooldownError) {
+            console.log('Usar --ignore-cooldown para iniciar igual (ver profile-stats)');
+        }
+        
+        // Intentar cleanup en caso de error
+        try {
+            await this.cleanup();
+        } catch (cleanupError) {
+            console.error('Error en cleanup:', cleanupError.message);
+        }
+        
+        process.exit(1);
     }
 
     /**
@@ -254,13 +684,13 @@ class CookiesTool {
 
     /**
      * Verifica recursos del sistema y muestra advertencias
-     * @param {number} profileCount - Cantidad de perfiles a ejecutar
+     * @param {number} profileCount - Cantidad de perfiles corriendo a la vez
      */
     checkSystemResources(profileCount) {
         const estimatedRAM = profileCount * 300; // 300MB por perfil según specs
         
         console.log('\nVERIFICACIÓN DE RECURSOS:');
-        console.log(`Perfiles: ${profileCount}`);
+        console.log(`Perfiles simultáneos: ${profileCount}`);
         console.log(`RAM estimada: ~${estimatedRAM}MB`);
         
         if (estimatedRAM > 2000) {
@@ -396,6 +826,32 @@ class CookiesTool {
         }
     }
 
+    /**
+     * Pide detener la sesión en curso de un perfil. La navegación corre en
+     * otro proceso (otra terminal o la app), así que el pedido se registra
+     * en la base de datos y ese proceso lo atiende en pocos segundos.
+     * @param {string} profileId - ID del perfil
+     */
+    async stopProfileSession(profileId) {
+        try {
+            const requested = await this.databaseManager.requestSessionStop(profileId);
+
+            if (requested === 0) {
+                console.error(`No hay una sesión en ejecución para el perfil ${profileId}`);
+                process.exitCode = 1;
+                return;
+            }
+
+            console.log(`Detención solicitada para ${profileId}`);
+            console.log('La sesión se detendrá en los próximos segundos; el resto del lote sigue corriendo');
+        } catch (error) {
+            console.error('Error solicitando detención:', error.message);
+            process.exitCode = 1;
+        } finally {
+            await this.databaseManager.close();
+        }
+    }
+
     /**
      * Obtiene sitios web aleatorios de la base de datos
      * @param {number} count - Cantidad de sitios a obtener
@@ -451,12 +907,755 @@ class CookiesTool {
         }
     }
 
+    /**
+     * Muestra la última corrida y los totales históricos de cada perfil,
+     * hasta cuándo sigue en enfriamiento y cuánto del catálogo visitó
+     * @param {string} [profileIdsString] - IDs separados por comas
+     */
+    async showProfileStats(profileIdsString) {
+        try {
+            const profileIds = profileIdsString ? this.parseProfileIds(profileIdsString) : null;
+            const stats = await this.databaseManager.getProfileStats(profileIds);
+
+            if (stats.length === 0) {
+                console.log('No hay corridas registradas para esos perfiles');
+                return;
+            }
+
+            const cooldownMs = this.configStore.getProfileCooldownMinutes() * 60 * 1000;
+            const revisitWindowHours = this.configStore.getSiteRevisitWindowHours();
+            const coverage = new Map((await this.databaseManager.getProfileSiteCoverage(
+                stats.map(row => row.profile_id),
+                new Date(Date.now() - revisitWindowHours * 60 * 60 * 1000)
+            )).map(row => [row.profile_id, row]));
+
+            console.log(`\nPerfiles (${stats.length}), enfriamiento de ${cooldownMs / 60000} min:`);
+            console.log('─'.repeat(60));
+
+            stats.forEach(row => {
+                const availableAt = row.last_activity_at ? new Date(new Date(row.last_activity_at).getTime() + cooldownMs) : null;
+                const cooldown = availableAt && availableAt > new Date()
+                    ? `en enfriamiento hasta ${availableAt.toLocaleString('es-ES')}`
+                    : 'disponible';
+                console.log(`${row.profile_id} - ${cooldown}`);
+                console.log(`Última corrida: ${row.last_run_at_formatted || '-'}  Sesiones: ${row.total_sessions}  Duración total: ${row.total_duration_formatted}`);
+                console.log(`Cookies: ${row.total_cookies}  Sitios: ${row.total_sites}`);
+                const covered = coverage.get(row.profile_id);
+                const recent = revisitWindowHours > 0 ? `, ${covered.recent_domains} en las últimas ${revisitWindowHours} h` : '';
+                console.log(`Catálogo cubierto: ${covered.domains_visited} de ${covered.total_domains} dominios activos (${covered.coverage}%)${recent}`);
+                console.log('─'.repeat(60));
+            });
+        } catch (error) {
+            console.error('Error obteniendo estadísticas de perfiles:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Importa sitios desde un archivo y muestra la diferencia con el catálogo
+     * @param {string} filePath - Archivo .csv o .json
+     * @param {Object} options - Opciones del comando
+     */
+    async importSites(filePath, options) {
+        try {
+            const catalog = await SiteCatalog.fromFile(filePath, { category: options.category });
+            const { diff, inserted, updated } = await catalog.import(this.databaseManager, {
+                dryRun: options.dryRun,
+                update: options.update
+            });
+
+            console.log(`IMPORTACIÓN DE SITIOS${options.dryRun ? ' (prueba)' : ''}: ${filePath}`);
+            console.log('═'.repeat(50));
+            console.log(`Nuevos: ${diff.added.length}`);
+            console.log(`Con otra categoría o estado: ${diff.changed.length}${options.update ? '' : ' (se conservan; usar --update para aplicarlos)'}`);
+            console.log(`Sin cambios: ${diff.unchanged.length}`);
+            console.log(`Repetidos en el archivo: ${diff.duplicates.length}`);
+            console.log(`Inválidos: ${diff.invalid.length}`);
+
+            const limit = 20;
+            const listing = [
+                ...diff.added.map(site => `  + ${site.url} (${site.category}${site.status === 'active' ? '' : `, ${site.status}`})`),
+                ...diff.changed.map(site => `  ~ ${site.url} (${site.previous.category}/${site.previous.status} → ${site.category}/${site.status})`)
+            ];
+            if (listing.length > 0) {
+                console.log('\nCambios:');
+                listing.slice(0, limit).forEach(line => console.log(line));
+                if (listing.length > limit) console.log(`  ... y ${listing.length - limit} más`);
+            }
+
+            const problems = [
+                ...diff.invalid.map(entry => `  Fila ${entry.row}: ${entry.value || '(vacía)'} - ${entry.reason}`),
+                ...diff.duplicates.map(entry => `  Fila ${entry.row}: ${entry.url} - repetida (fila ${entry.firstRow})`)
+            ];
+            if (problems.length > 0) {
+                console.log('\nDescartados:');
+                problems.slice(0, limit).forEach(line => console.log(line));
+                if (problems.length > limit) console.log(`  ... y ${problems.length - limit} más`);
+            }
+
+            if (options.dryRun) {
+                console.log('\nPrueba: no se modificó la base (quitar --dry-run para importar)');
+                return;
+            }
+            console.log(`\nImportación terminada: ${inserted} sitio(s) agregado(s), ${updated} actualizado(s)`);
+        } catch (error) {
+            console.error('Error importando sitios:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Exporta el catálogo completo con sus estadísticas
+     * @param {string} filePath - Archivo .csv o .json de destino
+     */
+    async exportSites(filePath) {
+        try {
+            const count = await SiteCatalog.export(this.databaseManager, filePath);
+            console.log(`Catálogo exportado: ${count} sitio(s) en ${filePath}`);
+        } catch (error) {
+            console.error('Error exportando sitios:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Muestra los sitios con visitas ordenados por una métrica
+     * @param {Object} options - Opciones del comando (sort, limit, category)
+     */
+    async showSiteStats(options) {
+        try {
+            const limit = parseInt(options.limit, 10);
+            if (!Number.isInteger(limit) || limit < 1) {
+                throw new Error(`Cantidad inválida: ${options.limit}`);
+            }
+            const category = options.category ? SiteCatalog.parseCategory(options.category) : null;
+            const sites = await this.databaseManager.getSiteStatsRanking({ sort: options.sort, limit, category });
+
+            const show = (value, unit = '') => value === null || value === undefined ? '-' : `${value}${unit}`;
+            console.log(`ESTADÍSTICAS DE SITIOS (últimas ${SiteStats.WINDOW} visitas, por ${options.sort})`);
+            console.log('═'.repeat(50));
+            if (sites.length === 0) {
+                console.log('No hay sitios con visitas registradas');
+                return;
+            }
+
+            sites.forEach((site, index) => {
+                console.log(`${index + 1}. ${site.url} (${site.category}${site.status === 'active' ? '' : `, ${site.status}`})`);
+                console.log(`   Cookies/min: ${show(site.cookies_per_minute)} | Éxito: ${show(site.success_rate, '%')} de ${site.stats_visits} visita(s) | Aviso aceptado: ${show(site.banner_accept_rate, '%')}`);
+                console.log(`   Duración: media ${show(site.avg_duration_seconds, 's')}, p95 ${show(site.p95_duration_seconds, 's')}`);
+                if (site.last_error) {
+                    console.log(`   Último error (${this.databaseManager.formatDateTime(site.last_error_at)}): ${site.last_error}`);
+                }
+            });
+        } catch (error) {
+            console.error('Error mostrando estadísticas de sitios:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    //#region Cuarentena de sitios
+    /**
+     * Muestra los sitios en cuarentena con su último error y el próximo reintento
+     */
+    async showQuarantinedSites() {
+        try {
+            const quarantined = await this.databaseManager.getQuarantinedWebsites();
+            console.log('SITIOS EN CUARENTENA');
+            console.log('═'.repeat(50));
+            if (quarantined.length === 0) {
+                console.log('No hay sitios en cuarentena');
+                return;
+            }
+
+            quarantined.forEach(site => {
+                const retry = site.quarantine_retry_at
+                    ? `próximo reintento ${this.databaseManager.formatDateTime(site.quarantine_retry_at)}`
+                    : 'sin reintento automático';
+                console.log(`${site.url} (puntaje ${site.health_score ?? '-'}, ${retry})`);
+                console.log(`  ${site.last_error || site.quarantine_reason || 'Sin errores registrados'}`);
+            });
+            console.log(`\nTotal: ${quarantined.length} sitio(s); para devolverlos a la rotación usar sites revive`);
+        } catch (error) {
+            console.error('Error mostrando sitios en cuarentena:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Saca sitios de la cuarentena por dominio o URL, o todos con --all
+     * @param {Array<string>} siteValues - Dominios o URLs
+     * @param {Object} options - Opciones del comando (all)
+     */
+    async reviveSites(siteValues, options) {
+        try {
+            let ids;
+            if (options.all) {
+                ids = (await this.databaseManager.getQuarantinedWebsites()).map(site => site.id);
+            } else if (siteValues.length > 0) {
+                const { websites, notFound } = await SiteLists.resolveSites(this.databaseManager, { sites: siteValues });
+                if (notFound.length > 0) {
+                    console.log(`Sin sitios en el catálogo: ${notFound.join(', ')}`);
+                }
+                ids = websites.map(site => site.id);
+            } else {
+                throw new Error('Indicar al menos un dominio o URL, o --all');
+            }
+
+            const revived = await this.databaseManager.reviveWebsites(ids);
+            console.log(`${revived} sitio(s) fuera de la cuarentena`);
+        } catch (error) {
+            console.error('Error reviviendo sitios:', error.message);
+            process.exitCode = 1;
+        }
+    }
+    //#endregion Cuarentena de sitios
+
+    //#region Listas de sitios
+    /**
+     * Busca una lista por nombre
+     * @param {string} name
+     * @returns {Promise<Object>}
+     * @throws {Error} Si no existe
+     */
+    async findSiteList(name) {
+        const list = await this.databaseManager.getSiteListByName(String(name).trim());
+        if (!list) {
+            throw new Error(`No existe la lista de sitios: ${name} (ver sites lists)`);
+        }
+        return list;
+    }
+
+    /**
+     * Muestra todas las listas con sus totales o los sitios de una
+     * @param {string} [name] - Lista a detallar
+     */
+    async showSiteLists(name) {
+        try {
+            if (name) {
+                const list = await this.findSiteList(name);
+                const members = await this.databaseManager.getSiteListMembers(list.id);
+
+                console.log(`LISTA ${list.name}${list.description ? ` - ${list.description}` : ''}`);
+                console.log('═'.repeat(50));
+                if (members.length === 0) {
+                    console.log('La lista no tiene sitios (usar sites lists add)');
+                    return;
+                }
+                members.forEach(site => {
+                    console.log(`  ${site.url} (${site.category}${site.status === 'active' ? '' : `, ${site.status}`})`);
+                });
+                console.log(`\nTotal: ${members.length} sitio(s)`);
+                return;
+            }
+
+            const lists = await this.databaseManager.getSiteLists();
+            console.log('LISTAS DE SITIOS');
+            console.log('═'.repeat(50));
+            if (lists.length === 0) {
+                console.log('No hay listas (usar sites lists create)');
+                return;
+            }
+            lists.forEach(list => {
+                console.log(`${list.name}: ${list.active_count} activo(s) de ${list.site_count} sitio(s)`);
+                if (list.description) console.log(`  ${list.description}`);
+            });
+        } catch (error) {
+            console.error('Error mostrando listas de sitios:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Crea una lista de sitios vacía
+     * @param {string} name
+     * @param {Object} options - Opciones del comando (description)
+     */
+    async createSiteList(name, options) {
+        try {
+            const list = SiteLists.normalize({ name, description: options.description });
+            if (await this.databaseManager.getSiteListByName(list.name)) {
+                throw new Error(`Ya existe la lista ${list.name}`);
+            }
+
+            await this.databaseManager.createSiteList(list);
+            console.log(`Lista creada: ${list.name} (sumar sitios con sites lists add)`);
+        } catch (error) {
+            console.error('Error creando la lista de sitios:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Cambia el nombre de una lista; conserva su descripción y sus sitios
+     * @param {string} name - Nombre actual
+     * @param {string} newName
+     */
+    async renameSiteList(name, newName) {
+        try {
+            const list = await this.findSiteList(name);
+            const renamed = SiteLists.normalize({ name: newName, description: list.description });
+            const existing = await this.databaseManager.getSiteListByName(renamed.name);
+            if (existing && existing.id !== list.id) {
+                throw new Error(`Ya existe la lista ${renamed.name}`);
+            }
+
+            await this.databaseManager.updateSiteList(list.id, renamed);
+            console.log(`Lista renombrada: ${list.name} → ${renamed.name}`);
+            console.log('Los lotes y programaciones que usaban el nombre anterior ya no la encuentran');
+        } catch (error) {
+            console.error('Error renombrando la lista de sitios:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Borra una lista; sus sitios siguen en el catálogo
+     * @param {string} name
+     */
+    async deleteSiteList(name) {
+        try {
+            const list = await this.findSiteList(name);
+            await this.databaseManager.deleteSiteList(list.id);
+            console.log(`Lista borrada: ${list.name}`);
+        } catch (error) {
+            console.error('Error borrando la lista de sitios:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Suma o quita sitios de una lista por dominio, URL o categoría
+     * @param {string} name - Nombre de la lista
+     * @param {Array<string>} siteValues - Dominios o URLs
+     * @param {Object} options - Opciones del comando (category, remove)
+     */
+    async changeSiteListMembers(name, siteValues, options) {
+        try {
+            if (siteValues.length === 0 && !options.category) {
+                throw new Error('Indicar al menos un dominio o URL, o una categoría con --category');
+            }
+
+            const list = await this.findSiteList(name);
+            const { websites, notFound } = await SiteLists.resolveSites(this.databaseManager, {
+                sites: siteValues,
+                category: options.category
+            });
+            const ids = websites.map(site => site.id);
+
+            if (options.remove) {
+                const removed = await this.databaseManager.removeSitesFromList(list.id, ids);
+                console.log(`${removed} sitio(s) quitado(s) de ${list.name}`);
+            } else {
+                const added = await this.databaseManager.addSitesToList(list.id, ids);
+                console.log(`${added} sitio(s) sumado(s) a ${list.name}${added < ids.length ? ` (${ids.length - added} ya estaban)` : ''}`);
+            }
+            if (notFound.length > 0) {
+                console.log(`Sin sitios en el catálogo: ${notFound.join(', ')}`);
+            }
+        } catch (error) {
+            console.error('Error actualizando la lista de sitios:', error.message);
+            process.exitCode = 1;
+        }
+    }
+    //#endregion Listas de sitios
+
+    //#region Copias y mantenimiento de la base
+    /**
+     * Copia la base con la etiqueta de las copias manuales
+     */
+    async backupDatabase() {
+        try {
+            const backupPath = await this.databaseManager.createBackup(BackupScheduler.MANUAL_LABEL);
+            console.log(`Copia creada: ${backupPath}`);
+        } catch (error) {
+            console.error('Error copiando la base:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Muestra las copias de la carpeta de copias
+     */
+    async listDatabaseBackups() {
+        try {
+            const backups = await this.databaseManager.listBackups();
+            console.log('COPIAS DE LA BASE');
+            console.log('═'.repeat(50));
+            console.log(`Carpeta: ${this.databaseManager.getBackupDir()}`);
+            if (backups.length === 0) {
+                console.log('No hay copias');
+                return;
+            }
+
+            backups.forEach(backup => {
+                const size = (backup.size / (1024 * 1024)).toFixed(1);
+                console.log(`${backup.name}  ${this.databaseManager.formatDateTime(backup.createdAt.toISOString())}  ${backup.label}  ${size} MB`);
+            });
+            console.log(`\nTotal: ${backups.length} copia(s); para restaurar una usar db restore <nombre>`);
+        } catch (error) {
+            console.error('Error listando copias:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Restaura una copia por nombre (carpeta de copias) o por ruta
+     * @param {string} value - Nombre de la copia o ruta al archivo
+     * @param {Object} options - Opciones del comando (force)
+     */
+    async restoreDatabase(value, options) {
+        try {
+            // La app u otra CLI pueden estar navegando sobre esta misma base
+            if (!options.force && await this.databaseManager.hasRunningNavigation()) {
+                throw new Error('Hay una navegación en curso; detenerla antes de restaurar (o usar --force)');
+            }
+
+            const backup = await this.databaseManager.findBackup(value);
+            const result = await this.databaseManager.restoreBackup(backup ? backup.path : value);
+
+            console.log(`Base restaurada desde ${result.restoredFrom} (${result.websites} sitios)`);
+            if (result.migration.applied.length > 0) {
+                console.log(`Esquema actualizado de la versión ${result.migration.from} a la ${result.migration.to}`);
+            }
+            console.log(`La base anterior quedó en ${result.safetyBackup}`);
+        } catch (error) {
+            console.error('Error restaurando la copia:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Corre el mantenimiento de la base y muestra lo que liberó
+     * @param {Object} options - Opciones del comando (days, force)
+     */
+    async maintainDatabase(options) {
+        try {
+            // VACUUM necesita la base libre: la app u otra CLI pueden estar navegando sobre ella
+            if (!options.force && await this.databaseManager.hasRunningNavigation()) {
+                throw new Error('Hay una navegación en curso; detenerla antes del mantenimiento (o usar --force)');
+            }
+
+            const retentionDays = options.days !== undefined
+                ? Number(options.days)
+                : this.configStore.getMaintenanceConfig().visitRetentionDays;
+            if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+                throw new Error('Los días de retención deben ser un entero mayor o igual a 0');
+            }
+
+            console.log('Manteniendo la base (puede tardar con bases grandes)...');
+            const result = await this.databaseManager.runMaintenance({ retentionDays, startedBy: 'cli' });
+            const mb = bytes => (bytes / (1024 * 1024)).toFixed(2);
+
+            console.log('MANTENIMIENTO DE LA BASE');
+            console.log('═'.repeat(50));
+            if (result.cutoff) {
+                console.log(`Visitas anteriores a ${this.databaseManager.formatDateTime(result.cutoff)} resumidas: ${result.prunedVisits} (${result.aggregatedDays} día(s)-sitio)`);
+            } else {
+                console.log('Retención desactivada: no se resumieron visitas');
+            }
+            console.log(`Tamaño: ${mb(result.bytesBefore)} MB → ${mb(result.bytesAfter)} MB`);
+            console.log(`Espacio recuperado: ${mb(result.reclaimedBytes)} MB`);
+        } catch (error) {
+            console.error('Error manteniendo la base:', error.message);
+            process.exitCode = 1;
+        }
+    }
+    //#endregion Copias y mantenimiento de la base
+
+    /**
+     * Lista los lotes de navegación más recientes
+     * @param {number} limit - Cantidad de lotes a mostrar
+     */
+    async listBatches(limit) {
+        try {
+            const { data: batches } = await this.databaseManager.getBatchReports({}, 1, limit);
+
+            if (batches.length === 0) {
+                console.log('No hay lotes de navegación registrados');
+                return;
+            }
+
+            console.log(`\nLotes de navegación (${batches.length}):`);
+            console.log('─'.repeat(60));
+
+            batches.forEach(batch => {
+                console.log(`${batch.batch_id} - ${batch.status_label} (${batch.started_by_label})`);
+                console.log(`Inicio: ${batch.started_at_formatted}  Duración: ${batch.duration_formatted}`);
+                console.log(`Perfiles: ${batch.total_profiles} (${batch.completed_sessions} completados, ${batch.stopped_sessions} detenidos, ${batch.failed_sessions} con error, ${batch.interrupted_sessions} interrumpidos)`);
+                console.log(`Cookies: ${batch.cookies_collected}/${batch.target_cookies}  Sitios: ${batch.sites_visited}  Éxito: ${batch.success_rate}%`);
+                if (batch.error_message) {
+                    console.log(`Error: ${batch.error_message}`);
+                }
+                console.log('─'.repeat(60));
+            });
+        } catch (error) {
+            console.error('Error obteniendo lotes:', error.message);
+        }
+    }
+
+    /**
+     * Crea una programación a partir de las opciones del comando
+     * @param {string} name - Nombre único de la programación
+     * @param {string} [profileIdsString] - IDs separados por comas
+     * @param {Object} options - Opciones del comando
+     */
+    async addSchedule(name, profileIdsString, options) {
+        try {
+            const plan = options.plan ? await BatchPlan.fromFile(options.plan) : new BatchPlan();
+            const schedule = Scheduler.prepare({
+                name,
+                cron: options.cron,
+                window: options.window,
+                profileIds: profileIdsString ? this.parseProfileIds(profileIdsString) : [],
+                targetCookies: options.cookies,
+                policy: {
+                    mode: options.until,
+                    maxSites: options.maxSites,
+                    maxDurationMinutes: options.maxDuration
+                },
+                plan: plan.entries,
+                enabled: !options.disabled
+            });
+
+            if (await this.databaseManager.getScheduleByName(schedule.name)) {
+                throw new Error(`Ya existe una programación llamada "${schedule.name}" (borrarla con schedule remove)`);
+            }
+
+            await this.databaseManager.createSchedule(schedule);
+
+            console.log(`Programación "${schedule.name}" creada`);
+            console.log(`Cron: ${schedule.cron}${schedule.window ? `  Ventana: ${schedule.window.start}-${schedule.window.end}` : ''}`);
+            console.log(`Perfiles: ${schedule.profileIds.join(', ')}`);
+            console.log(`Terminación: ${TerminationPolicy.from(schedule.policy).describe()}`);
+            console.log(schedule.nextRunAt
+                ? `Próxima ejecución: ${this.databaseManager.formatDateTime(schedule.nextRunAt)}`
+                : 'Desactivada');
+            console.log('\nSe ejecuta mientras la app esté abierta o con `schedule run`');
+        } catch (error) {
+            console.error('Error creando programación:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Lista las programaciones con su próxima ejecución y el registro reciente
+     * @param {number} runsLimit - Cantidad de ejecuciones recientes a mostrar
+     */
+    async listSchedules(runsLimit) {
+        try {
+            const schedules = await this.databaseManager.getSchedules();
+
+            if (schedules.length === 0) {
+                console.log('No hay programaciones registradas');
+                return;
+            }
+
+            console.log(`\nProgramaciones (${schedules.length}):`);
+            console.log('─'.repeat(60));
+
+            schedules.forEach(schedule => {
+                const window = schedule.window ? `  Ventana: ${schedule.window.start}-${schedule.window.end}` : '';
+                console.log(`[${schedule.id}] ${schedule.name} - ${schedule.enabled ? 'Activa' : 'Desactivada'}`);
+                console.log(`Cron: ${schedule.cron}${window}`);
+                console.log(`Perfiles: ${schedule.profile_ids.length}  Objetivo: ${schedule.target_cookies} cookies${schedule.plan.length > 0 ? `  (${schedule.plan.length} con ajustes propios)` : ''}`);
+                console.log(`Próxima: ${schedule.next_run_at_formatted || '-'}  Última: ${schedule.last_run_status_label || '-'}`);
+                console.log('─'.repeat(60));
+            });
+
+            const runs = await this.databaseManager.getScheduleRuns({ limit: runsLimit });
+            if (runs.length > 0) {
+                console.log('\nÚltimas ejecuciones:');
+                runs.forEach(run => {
+                    const batch = run.batch_id ? ` [${run.batch_id}]` : '';
+                    console.log(`${run.scheduled_for_formatted}  ${run.schedule_name || run.schedule_id} - ${run.status_label}${batch}${run.message ? `: ${run.message}` : ''}`);
+                });
+            }
+        } catch (error) {
+            console.error('Error obteniendo programaciones:', error.message);
+        }
+    }
+
+    /**
+     * Borra una programación por nombre o ID
+     * @param {string} nameOrId
+     */
+    async removeSchedule(nameOrId) {
+        try {
+            const schedule = await this.databaseManager.getScheduleByName(nameOrId)
+                || (/^\d+$/.test(nameOrId) ? await this.databaseManager.getSchedule(parseInt(nameOrId)) : null);
+            if (!schedule) {
+                throw new Error(`No existe la programación ${nameOrId} (ver schedule list)`);
+            }
+
+            await this.databaseManager.deleteSchedule(schedule.id);
+            console.log(`Programación "${schedule.name}" borrada`);
+        } catch (error) {
+            console.error('Error borrando programación:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Muestra el plan de una rotación diaria y, con --commit, lo guarda
+     * como una programación por tanda
+     * @param {string} name - Nombre de la rotación
+     * @param {string} profileIdsString - Pool de perfiles separados por comas
+     * @param {Object} options - Opciones del comando
+     */
+    async planRotation(name, profileIdsString, options) {
+        try {
+            const planner = new RotationPlanner({
+                profileIds: this.parseProfileIds(profileIdsString),
+                slots: options.slots ?? this.configStore.getConcurrencyConfig().maxConcurrentProfiles,
+                hours: options.hours,
+                start: options.start,
+                sessionMinutes: options.session,
+                cooldownMinutes: options.cooldown ?? this.configStore.getProfileCooldownMinutes(),
+                gapMinutes: options.gap
+            });
+            const plan = planner.plan();
+            const schedules = RotationPlanner.toSchedules(plan, {
+                name,
+                targetCookies: options.cookies,
+                policy: { mode: options.until }
+            });
+
+            console.log(`ROTACIÓN "${name}"`);
+            console.log('═'.repeat(50));
+            console.log(`Capacidad: ${plan.capacity.slots} slot(s) × ${plan.capacity.hours} h = ${plan.capacity.waves} tanda(s), ${plan.capacity.sessions} corridas por día`);
+            console.log(`Tandas de ${plan.settings.sessionMinutes} min desde las ${plan.settings.start}, margen ${plan.settings.gapMinutes} min, enfriamiento ${plan.settings.cooldownMinutes} min`);
+            console.log(`Corridas por perfil: entre ${plan.share.min} y ${plan.share.max}`);
+
+            console.log('\nProgramaciones:');
+            schedules.forEach(schedule => {
+                console.log(`  ${schedule.name}  ${schedule.cron}  ${schedule.window.start}-${schedule.window.end}  ${schedule.profileIds.join(', ')}`);
+            });
+
+            console.log('\nReparto:');
+            plan.profiles.forEach(profile => {
+                console.log(`  ${profile.profileId}: ${profile.runs} corrida(s)${profile.waves.length > 0 ? ` (tandas ${profile.waves.join(', ')})` : ''}`);
+            });
+
+            plan.warnings.forEach(warning => console.warn(`Advertencia: ${warning}`));
+
+            if (!options.commit) {
+                console.log('\nVista previa: usar --commit para guardar las programaciones');
+                return;
+            }
+
+            const { created, removed } = await RotationPlanner.commit(this.databaseManager, schedules, {
+                name,
+                replace: options.replace
+            });
+            console.log(`\nRotación guardada: ${created.length} programación(es)${removed > 0 ? `, ${removed} reemplazada(s)` : ''}`);
+            console.log('Se ejecuta mientras la app esté abierta o con `schedule run`');
+        } catch (error) {
+            console.error('Error planificando rotación:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Corre el programador sin interfaz hasta que se interrumpa el proceso.
+     * Los lotes se lanzan en este mismo proceso, como con start-navigation,
+     * y recién después de recuperar la corrida interrumpida.
+     */
+    async runScheduler() {
+        const config = this.configStore.getSchedulerConfig();
+        const controller = this.navigationController;
+
+        this.scheduler = new Scheduler({
+            databaseManager: this.databaseManager,
+            launch: (profileIds, targetCookies, options) =>
+                controller.startMultipleNavigationSessions(profileIds, targetCookies, options),
+            isBusy: () => controller.isBatchActive(),
+            ready: this.recoverInterruptedRun(),
+            checkInterval: config.checkInterval,
+            missedRunGrace: config.missedRunGrace
+        });
+
+        this.scheduler.on('run:started', ({ name }) => {
+            console.log(`\n[${new Date().toLocaleString('es-ES')}] Lanzando "${name}"`);
+        });
+        this.scheduler.on('run:finished', ({ name, status, message }) => {
+            console.log(`[${new Date().toLocaleString('es-ES')}] "${name}" terminó (${this.databaseManager.getStatusLabel(status)}): ${message}`);
+        });
+        this.scheduler.on('run:skipped', ({ name, status, message }) => {
+            console.log(`[${new Date().toLocaleString('es-ES')}] "${name}" ${this.databaseManager.getStatusLabel(status).toLowerCase()}: ${message}`);
+        });
+
+        const backupConfig = this.configStore.getBackupConfig();
+        if (backupConfig.autoBackup) {
+            this.backupScheduler = new BackupScheduler({
+                databaseManager: this.databaseManager,
+                backupInterval: backupConfig.backupInterval,
+                keepBackups: backupConfig.keepBackups,
+                maxBackupAgeDays: backupConfig.maxBackupAgeDays
+            });
+        }
+
+        const maintenanceConfig = this.configStore.getMaintenanceConfig();
+        if (maintenanceConfig.autoMaintenance) {
+            this.maintenanceScheduler = new MaintenanceScheduler({
+                databaseManager: this.databaseManager,
+                maintenanceInterval: maintenanceConfig.maintenanceInterval,
+                visitRetentionDays: maintenanceConfig.visitRetentionDays,
+                isBusy: () => controller.isBatchActive()
+            });
+        }
+
+        this.setupGracefulShutdown();
+
+        const schedules = (await this.databaseManager.getSchedules()).filter(schedule => schedule.enabled);
+        console.log('PROGRAMADOR EN EJECUCIÓN (Ctrl+C para salir)');
+        console.log('═'.repeat(50));
+        if (schedules.length === 0) {
+            console.log(`No hay programaciones activas; se vuelven a revisar cada ${config.checkInterval / 1000}s`);
+        }
+        schedules.forEach(schedule => {
+            console.log(`• ${schedule.name}: próxima ${schedule.next_run_at_formatted || '-'}`);
+        });
+
+        await this.backupScheduler?.start();
+        await this.maintenanceScheduler?.start();
+        await this.scheduler.start();
+    }
+
+    /**
+     * Cierra las sesiones y los navegadores que dejó una corrida cortada,
+     * como hace la app al abrir. Las sesiones que otro proceso sigue
+     * navegando sobre la base no son huérfanas y no se tocan.
+     * @returns {Promise<void>}
+     */
+    async recoverInterruptedRun() {
+        try {
+            await this.navigationController.recoverInterruptedRun();
+        } catch (error) {
+            console.warn('No se pudo recuperar la ejecución interrumpida:', error.message);
+        }
+    }
+
     /**
      * Limpia recursos y cierra conexiones
      */
     async cleanup() {
         try {
             console.log('Limpiando recursos...');
+
+            if (this.scheduler) {
+                this.scheduler.stop();
+                this.scheduler = null;
+            }
+
+            if (this.backupScheduler) {
+                this.backupScheduler.stop();
+                this.backupScheduler = null;
+            }
+
+            if (this.maintenanceScheduler) {
+                this.maintenanceScheduler.stop();
+                this.maintenanceScheduler = null;
+            }
             
             // Detener todos los perfiles activos
             await this.adsPowerManager.stopAllProfiles();
@@ -134,6 +134,14 @@ class HexzorApp {
         // Reports Manager
         this.reportsManager = new ReportsManager(this);
         window.reportsManager = this.reportsManager;
+
+        // Schedules Manager
+        this.schedulesManager = new SchedulesManager(this);
+        window.schedulesManager = this.schedulesManager;
+
+        // Sites Manager
+        this.sitesManager = new SitesManager(this);
+        window.sitesManager = this.sitesManager;
     }
 
     /**
@@ -20,7 +20,12 @@ class DashboardManager {
             navigationForm: null,
             startNavigationBtn: null,
             stopNavigationBtn: null,
-            progressMonitor: null
+            addToBatchBtn: null,
+            progressMonitor: null,
+            recoveryCard: null,
+            resumeInterruptedBtn: null,
+            dismissInterruptedBtn: null,
+            rerunBatchSelect: null
         };
 
         // Estado del dashboard
@@ -28,7 +33,8 @@ class DashboardManager {
             selectedProfiles: new Set(),
             adsPowerConnected: false,
             profiles: [],
-            navigationRunning: false
+            navigationRunning: false,
+            rerunOf: null // Lote cargado en el formulario para repetirlo
         };
 
         // Instancia del gestor de perfiles
@@ -80,8 +86,17 @@ class DashboardManager {
         this.elements.navigationForm = document.getElementById('navigation-config-form');
         this.elements.startNavigationBtn = document.getElementById('start-navigation-btn');
         this.elements.stopNavigationBtn = document.getElementById('stop-navigation-btn');
+        this.elements.addToBatchBtn = document.getElementById('add-to-batch-btn');
         this.elements.progressMonitor = document.getElementById('progress-monitor');
 
+        // Recuperación de ejecución interrumpida
+        this.elements.recoveryCard = document.getElementById('recovery-card');
+        this.elements.resumeInterruptedBtn = document.getElementById('resume-interrupted-btn');
+        this.elements.dismissInterruptedBtn = document.getElementById('dismiss-interrupted-btn');
+
+        // Repetir un lote anterior
+        this.elements.rerunBatchSelect = document.getElementById('rerun-batch-select');
+
         // Verificar elementos críticos
         const required = ['navItems', 'sections'];
         for (const key of required) {
@@ -141,6 +156,39 @@ class DashboardManager {
             });
         }
 
+        if (this.elements.addToBatchBtn) {
+            this.elements.addToBatchBtn.addEventListener('click', () => {
+                this.handleAddProfilesToBatch();
+            });
+        }
+
+        // Reanudar / descartar ejecución interrumpida
+        if (this.elements.resumeInterruptedBtn) {
+            this.elements.resumeInterruptedBtn.addEventListener('click', () => {
+                this.handleResumeInterrupted();
+            });
+        }
+
+        if (this.elements.dismissInterruptedBtn) {
+            this.elements.dismissInterruptedBtn.addEventListener('click', () => {
+                this.handleDismissInterrupted();
+            });
+        }
+
+        // Repetir un lote: la lista se refresca al abrirla
+        if (this.elements.rerunBatchSelect) {
+            this.elements.rerunBatchSelect.addEventListener('focus', () => {
+                this.loadRerunOptions();
+            });
+            this.elements.rerunBatchSelect.addEventListener('change', async () => {
+                const batchId = this.elements.rerunBatchSelect.value;
+                this.elements.rerunBatchSelect.value = '';
+                if (batchId) {
+                    await this.loadBatchIntoForm(batchId);
+                }
+            });
+        }
+
         // CTA de copia del link de afiliado de TikTok Ads
         const copyAffiliateCta = document.getElementById('copy-affiliate-cta');
         if (copyAffiliateCta) {
@@ -200,22 +248,6 @@ class DashboardManager {
                 subtree: true
             });
         }
-
-        // Listener delegado para enlaces externos en la tabla de sitios.
-        // Se ancla UNA VEZ al contenedor padre estable (#sites-list) para que
-        // sobreviva al reemplazo de innerHTML en cada renderSitesTable().
-        const sitesContainer = document.getElementById('sites-list');
-        if (sitesContainer) {
-            sitesContainer.addEventListener('click', (e) => {
-                const link = e.target.closest('.external-link');
-                if (!link) return;
-                e.preventDefault();
-                const url = link.dataset.externalUrl;
-                if (url && window.electronAPI && window.electronAPI.system) {
-                    window.electronAPI.system.openExternal(url);
-                }
-            });
-        }
     }
     //#endregion Eventos
 
@@ -238,6 +270,9 @@ class DashboardManager {
         // Cargar estadísticas de base de datos
         await this.loadDatabaseStats();
 
+        // Ofrecer reanudar si la ejecución anterior quedó a medias
+        await this.checkInterruptedRun();
+
         // Verificar información del sistema
         this.updateSystemInfo();
     }
@@ -336,16 +371,20 @@ class DashboardManager {
                 }
                 break;
             case 'database':
-                await this.loadDatabasePreview();
+                await Promise.all([this.app.sitesManager.load(), this.app.sitesManager.loadSiteLists(), this.app.sitesManager.loadQuarantined()]);
                 break;
             case 'reports':
                 //Los reportes se cargan on-demand cuando el usuario hace clic en "Generar Reporte"
                 break;
+            case 'schedules':
+                await this.app.schedulesManager.load();
+                break;
             case 'settings':
                 // Inicializar settings manager si no está inicializado
                 if (window.settingsManager && !window.settingsManager.initialized) {
                     await window.settingsManager.initialize();
                 }
+                await window.settingsManager?.loadBackups();
                 break;
         }
     }
@@ -509,6 +548,12 @@ class DashboardManager {
         // Actualizar botón de detener navegación
         this.elements.stopNavigationBtn.disabled = false;
 
+        // Sumar perfiles solo tiene sentido con un lote en curso
+        if (this.elements.addToBatchBtn) {
+            this.elements.addToBatchBtn.classList.toggle('hidden', !navigationRunning);
+            this.elements.addToBatchBtn.disabled = !(navigationRunning && hasValidProfiles);
+        }
+
         console.log(`[DEBUG] Button states updated: canStart=${canStart}, canStop=${canStop}, navigationRunning=${navigationRunning}`);
     }
 
@@ -539,7 +584,12 @@ class DashboardManager {
 
             const config = {
                 profileIds: profileIds,
-                targetCookies: parseInt(formData.get('targetCookies')) || 2500
+                targetCookies: parseInt(formData.get('targetCookies')) || 2500,
+                policy: this.getTerminationPolicy(formData),
+                plan: this.profileInputManager.getProfilePlan(),
+                siteLists: formData.get('siteList') ? [formData.get('siteList')] : null,
+                categoryMix: formData.get('categoryMix').trim() || null,
+                rerunOf: this.state.rerunOf
             };
 
             console.log('Iniciando navegación con configuración:', config);
@@ -549,10 +599,14 @@ class DashboardManager {
             // Habilitar inmediatamente el botón de detener
             this.elements.stopNavigationBtn.disabled = false;
 
-            const result = await window.electronAPI.navigation.start(config);
+            let result = await window.electronAPI.navigation.start(config);
+            if (this.confirmIgnoreCooldown(result)) {
+                result = await window.electronAPI.navigation.start({ ...config, ignoreCooldown: true });
+            }
 
             if (result.success) {
                 this.state.navigationRunning = true;
+                this.state.rerunOf = null;
                 this.app.updateState('navigation.running', true);
                 this.showProgressMonitor();
                 this.app.showSuccess('Navegación iniciada correctamente');
@@ -573,6 +627,34 @@ class DashboardManager {
         }
     }
 
+    /**
+     * Si el backend rechazó perfiles en enfriamiento, pregunta si iniciar
+     * igual.
+     * @param {Object} result - Respuesta de navigation.start o navigation.addProfiles
+     * @returns {boolean} true si hay que repetir el pedido ignorando el enfriamiento
+     */
+    confirmIgnoreCooldown(result) {
+        if (result.success || result.code !== 'PROFILE_COOLDOWN') return false;
+        return confirm(`${result.error}\n\n¿Iniciar igual?`);
+    }
+
+    /**
+     * Arma la política de terminación a partir del formulario. Los campos
+     * vacíos significan "sin límite"; el backend valida los valores.
+     * @param {FormData} formData - Datos del formulario de navegación
+     * @returns {{mode:string, maxSites:string|null, maxDurationMinutes:string|null, deadline:string|null}}
+     */
+    getTerminationPolicy(formData) {
+        const deadline = formData.get('deadline');
+        return {
+            mode: formData.get('terminationMode') || 'both',
+            maxSites: formData.get('maxSites') || null,
+            maxDurationMinutes: formData.get('maxDurationMinutes') || null,
+            // datetime-local no trae zona horaria: se interpreta como hora local
+            deadline: deadline ? new Date(deadline).toISOString() : null
+        };
+    }
+
     /**
      * Maneja detención de navegación
      */
@@ -594,8 +676,8 @@ class DashboardManager {
                 return;
             }
 
-            // PASO 3: Verificar si hay sesiones para detener
-            if (!activeSessionsInfo.hasActiveSessions || activeSessionsInfo.sessionCount === 0) {
+            // PASO 3: Verificar si hay sesiones para detener (corriendo o en cola)
+            if (!activeSessionsInfo.hasActiveSessions) {
                 console.warn('No hay sesiones activas en el backend');
                 console.log(`Estado local estaba en: ${this.state.navigationRunning}`);
                 
@@ -615,6 +697,7 @@ class DashboardManager {
             // PASO 4: Hay sesiones activas, proceder a detener
             console.log(`Sesiones activas detectadas: ${activeSessionsInfo.sessionCount}`);
             console.log(`Perfiles: ${activeSessionsInfo.sessions.map(s => s.profileId).join(', ')}`);
+            console.log(`Perfiles en cola: ${(activeSessionsInfo.queuedProfiles || []).length}`);
             console.log('Procediendo a detener navegación...');
 
             // Deshabilitar botón durante la operación
@@ -664,6 +747,251 @@ class DashboardManager {
         }
     }
 
+    /**
+     * Suma los perfiles del formulario al lote que ya está corriendo.
+     * Entran al mismo pool de concurrencia y aparecen en el monitor de
+     * progreso a medida que el backend emite sus eventos.
+     */
+    async handleAddProfilesToBatch() {
+        const profileIds = this.getSelectedProfiles();
+        if (profileIds.length === 0) {
+            this.app.showError('Debes ingresar al menos un ID de perfil');
+            return;
+        }
+
+        const formData = new FormData(this.elements.navigationForm);
+        const config = {
+            profileIds,
+            targetCookies: parseInt(formData.get('targetCookies')) || null
+        };
+
+        this.elements.addToBatchBtn.disabled = true;
+
+        try {
+            let result = await window.electronAPI.navigation.addProfiles(config);
+            if (this.confirmIgnoreCooldown(result)) {
+                result = await window.electronAPI.navigation.addProfiles({ ...config, ignoreCooldown: true });
+            }
+
+            if (!result.success) {
+                this.app.showError('Error sumando perfiles: ' + result.error);
+                return;
+            }
+
+            if (result.added.length > 0) {
+                this.app.showSuccess(`${result.added.length} perfil(es) sumados al lote en curso`);
+            }
+            if (result.skipped.length > 0) {
+                this.app.showWarning(`Ya estaban en el lote: ${result.skipped.join(', ')}`);
+            }
+
+        } catch (error) {
+            console.error('Error sumando perfiles al lote:', error);
+            this.app.showError('Error de conexión al sumar perfiles');
+
+        } finally {
+            this.updateNavigationButtonState();
+        }
+    }
+
+    //#region Ejecución interrumpida
+    /**
+     * Consulta si el arranque anterior dejó una ejecución a medias y,
+     * si es así, muestra la tarjeta para reanudarla
+     */
+    async checkInterruptedRun() {
+        try {
+            const result = await window.electronAPI.navigation.getInterruptedRun();
+            if (result.success && result.data) {
+                this.renderInterruptedRun(result.data);
+            } else {
+                this.hideInterruptedRun();
+            }
+        } catch (error) {
+            console.error('Error consultando ejecución interrumpida:', error);
+        }
+    }
+
+    /**
+     * Renderiza la tarjeta de ejecución interrumpida
+     * @param {Object} run - Ejecución interrumpida ({detectedAt, profiles})
+     */
+    renderInterruptedRun(run) {
+        const card = this.elements.recoveryCard;
+        if (!card) return;
+
+        const pending = run.profiles.filter(p => p.remainingCookies > 0);
+        const remainingTotal = pending.reduce((sum, p) => sum + p.remainingCookies, 0);
+
+        const message = document.getElementById('recovery-message');
+        if (message) {
+            message.textContent = pending.length > 0
+                ? `La última navegación se cerró antes de terminar. Quedan ${remainingTotal.toLocaleString()} cookies pendientes en ${pending.length} perfil(es).`
+                : 'La última navegación se cerró antes de terminar, pero todos los perfiles ya habían alcanzado su objetivo.';
+        }
+
+        const list = document.getElementById('recovery-profiles');
+        if (list) {
+            list.innerHTML = run.profiles.map(p => `
+                <li>
+                    <strong>${Utils.escapeAttr(p.profileId)}</strong>:
+                    ${p.cookiesCollected}/${p.targetCookies} cookies
+                    ${p.remainingCookies > 0 ? `(faltan ${p.remainingCookies})` : '(completo)'}
+                </li>
+            `).join('');
+        }
+
+        if (this.elements.resumeInterruptedBtn) {
+            this.elements.resumeInterruptedBtn.disabled = pending.length === 0;
+        }
+
+        card.classList.remove('hidden');
+    }
+
+    /**
+     * Oculta la tarjeta de ejecución interrumpida
+     */
+    hideInterruptedRun() {
+        if (this.elements.recoveryCard) {
+            this.elements.recoveryCard.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Reanuda la ejecución interrumpida con los objetivos pendientes
+     */
+    async handleResumeInterrupted() {
+        try {
+            if (this.elements.resumeInterruptedBtn) {
+                this.elements.resumeInterruptedBtn.disabled = true;
+            }
+
+            const result = await window.electronAPI.navigation.resumeInterrupted();
+
+            if (result.success) {
+                this.hideInterruptedRun();
+                this.state.navigationRunning = true;
+                this.app.updateState('navigation.running', true);
+                this.showProgressMonitor();
+                this.app.showSuccess(`Navegación reanudada con ${result.data.profileIds.length} perfil(es)`);
+                this.updateNavigationButtonState();
+            } else {
+                this.app.showError('Error reanudando navegación: ' + result.error);
+                await this.checkInterruptedRun();
+            }
+
+        } catch (error) {
+            console.error('Error reanudando navegación:', error);
+            this.app.showError('Error de conexión al reanudar navegación');
+        } finally {
+            if (this.elements.resumeInterruptedBtn) {
+                this.elements.resumeInterruptedBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Descarta la ejecución interrumpida sin reanudarla
+     */
+    async handleDismissInterrupted() {
+        try {
+            await window.electronAPI.navigation.dismissInterrupted();
+        } catch (error) {
+            console.error('Error descartando ejecución interrumpida:', error);
+        }
+        this.hideInterruptedRun();
+    }
+    //#endregion Ejecución interrumpida
+
+    //#region Repetir lote
+    /**
+     * Llena el selector de "Repetir un lote anterior" con los lotes recientes
+     */
+    async loadRerunOptions() {
+        const select = this.elements.rerunBatchSelect;
+        if (!select) return;
+
+        try {
+            const result = await window.electronAPI.reports.batches({ filters: { dateRange: 'all' }, page: 1, limit: 10 });
+            if (!result.success) return;
+
+            select.innerHTML = `
+                <option value="">Repetir un lote anterior…</option>
+                ${result.data.map(batch => `
+                    <option value="${Utils.escapeAttr(batch.batch_id)}">
+                        ${Utils.escapeAttr(batch.started_at_formatted)} · ${batch.total_profiles} perfil(es) · ${Utils.escapeAttr(batch.status_label)}
+                    </option>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('Error cargando lotes anteriores:', error);
+        }
+    }
+
+    /**
+     * Carga en el formulario los perfiles, objetivos y política de un lote
+     * guardado. No inicia nada: el usuario revisa y toca "Iniciar".
+     * @param {string} batchId - Lote a repetir
+     */
+    async loadBatchIntoForm(batchId) {
+        try {
+            const result = await window.electronAPI.navigation.getRerunConfig(batchId);
+            if (!result.success) {
+                this.app.showError('Error cargando el lote: ' + result.error);
+                return;
+            }
+
+            const { profileIds, targetCookies, policy, categoryMix, plan, expiredDeadline } = result.data;
+            const fields = this.elements.navigationForm.elements;
+            fields.targetCookies.value = targetCookies;
+            fields.terminationMode.value = policy.mode;
+            fields.maxSites.value = policy.maxSites ?? '';
+            fields.maxDurationMinutes.value = policy.maxDurationMinutes ?? '';
+            fields.deadline.value = policy.deadline ? this.toDateTimeLocal(policy.deadline) : '';
+            // Las listas del lote vuelven como ajustes de cada perfil
+            fields.siteList.value = '';
+            fields.categoryMix.value = categoryMix
+                ? Object.entries(categoryMix).map(([category, share]) => `${category}=${share}`).join(', ')
+                : '';
+
+            this.profileInputManager.loadPlan(profileIds, plan);
+            this.state.rerunOf = batchId;
+            this.updateNavigationButtonState();
+
+            if (expiredDeadline) {
+                this.app.showWarning('La fecha límite del lote original ya pasó y se quitó. Revisá la configuración antes de iniciar.');
+            } else {
+                this.app.showInfo(`Lote cargado con ${profileIds.length} perfil(es). Revisá la configuración antes de iniciar.`);
+            }
+        } catch (error) {
+            console.error('Error cargando lote:', error);
+            this.app.showError('Error de conexión al cargar el lote');
+        }
+    }
+
+    /**
+     * Convierte una fecha ISO al formato de un input datetime-local (hora local)
+     * @param {string} isoDate
+     * @returns {string} Ej: "2025-06-01T18:00"
+     */
+    toDateTimeLocal(isoDate) {
+        const date = new Date(isoDate);
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 16);
+    }
+    //#endregion Repetir lote
+
+    /**
+     * Muestra como en curso una navegación que no arrancó desde el
+     * formulario (ej: la lanzó el programador)
+     */
+    followBackgroundNavigation() {
+        this.state.navigationRunning = true;
+        this.app.updateState('navigation.running', true);
+        this.showProgressMonitor();
+        this.updateNavigationButtonState();
+    }
+
     /**
      * Sincroniza el estado local de navegación con el estado real del backend
      * Se usa para recuperarse de desincronizaciones
@@ -788,78 +1116,6 @@ class DashboardManager {
         `;
     }
 
-    /**
-     * Carga vista previa de base de datos
-     */
-    async loadDatabasePreview() {
-        try {
-            const result = await window.electronAPI.database.getSites(10);
-            
-            if (result.success) {
-                this.renderSitesTable(result.sites);
-            }
-
-        } catch (error) {
-            console.error('Error cargando vista previa de sitios:', error);
-        }
-    }
-
-    /**
-     * Renderiza tabla de sitios
-     */
-    renderSitesTable(sites) {
-        const sitesElement = document.getElementById('sites-list');
-        if (!sitesElement) return;
-
-        if (!sites || sites.length === 0) {
-            sitesElement.innerHTML = `
-                <div class="empty-state">
-                    <p>No hay sitios disponibles</p>
-                </div>
-            `;
-            return;
-        }
-
-        const tableHtml = `
-            <table class="table">
-                <thead>
-                    <tr>
-                        <th>URL</th>
-                        <th>Dominio</th>
-                        <th>Categoría</th>
-                        <th>Estado</th>
-                        <th>Visitas</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${sites.map(site => `
-                        <tr>
-                            <td>
-                                <a href="#"
-                                   class="external-link"
-                                   data-external-url="${Utils.escapeAttr(site.url)}">
-                                    ${Utils.escapeAttr(site.url)}
-                                </a>
-                            </td>
-                            <td>${Utils.escapeAttr(site.domain)}</td>
-                            <td>
-                                <span class="badge badge-neutral">${Utils.escapeAttr(site.category || 'General')}</span>
-                            </td>
-                            <td>
-                                <span class="badge ${site.status === 'active' ? 'badge-success' : 'badge-neutral'}">
-                                    ${Utils.escapeAttr(site.status || 'Activo')}
-                                </span>
-                            </td>
-                            <td>${Number(site.visit_count) || 0}</td>
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-        `;
-
-        sitesElement.innerHTML = tableHtml;
-    }
-
     /**
      * Actualiza información del sistema
      */
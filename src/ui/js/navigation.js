@@ -10,6 +10,24 @@ class NavigationManager {
         this.totalCookiesCollected = 0;
         this.totalSitesVisited = 0;
         this.startTime = null;
+
+        this.setupCardActions();
+    }
+
+    /**
+     * Engancha un único listener delegado para los botones de cada tarjeta
+     * de perfil. Las tarjetas se regeneran en cada actualización, así que
+     * el listener vive en el contenedor estable.
+     */
+    setupCardActions() {
+        const container = document.getElementById('profile-progress-list');
+        if (!container) return;
+
+        container.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-session-action]');
+            if (!button || button.disabled) return;
+            this.handleSessionAction(button.dataset.sessionAction, button.dataset.profileId, button);
+        });
     }
 
     //#region Reset y Limpieza
@@ -107,8 +125,8 @@ class NavigationManager {
         div.className = 'profile-progress-item';
         div.innerHTML = `
             <div class="profile-progress-header">
-                <div class="profile-id">${session.profileId}</div>
-                <div class="profile-status status-${session.status}">${this.getStatusText(session.status)}</div>
+                <div class="profile-id">${Utils.escapeAttr(session.profileId)}</div>
+                <div class="profile-status status-${session.status}">${this.getSessionStatusLabel(session)}</div>
             </div>
             <div class="profile-progress-stats">
                 <div class="stat-item">
@@ -121,7 +139,7 @@ class NavigationManager {
                 </div>
                 <div class="stat-item">
                     <span class="stat-label">Actual:</span>
-                    <span class="stat-value">${session.currentSite}</span>
+                    <span class="stat-value">${Utils.escapeAttr(session.currentSite)}</span>
                 </div>
             </div>
             <div class="profile-progress-bar">
@@ -130,9 +148,48 @@ class NavigationManager {
                 </div>
                 <div class="progress-percentage ${(session.progress || 0) >= 100 ? 'completed' : ''}">${Math.round(session.progress || 0)}%</div>
             </div>
+            ${this.renderSessionActions(session)}
         `;
         return div;
     }
+
+    /**
+     * Botones de control de una tarjeta según el estado de la sesión
+     * @param {Object} session - Datos de la sesión
+     * @returns {string} HTML de las acciones (vacío si no aplica)
+     */
+    renderSessionActions(session) {
+        const { profileId } = session;
+        const stopButton = `<button type="button" class="btn btn-danger btn-sm" data-session-action="stop" data-profile-id="${Utils.escapeAttr(profileId)}">Detener</button>`;
+
+        if (session.status === 'running') {
+            return `
+                <div class="profile-progress-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-session-action="pause" data-profile-id="${Utils.escapeAttr(profileId)}">Pausar</button>
+                    ${stopButton}
+                </div>
+            `;
+        }
+
+        if (session.status === 'paused') {
+            return `
+                <div class="profile-progress-actions">
+                    <button type="button" class="btn btn-primary btn-sm" data-session-action="resume" data-profile-id="${Utils.escapeAttr(profileId)}">Reanudar</button>
+                    ${stopButton}
+                </div>
+            `;
+        }
+
+        if (session.status === 'queued') {
+            return `
+                <div class="profile-progress-actions">
+                    <button type="button" class="btn btn-outline btn-sm" data-session-action="stop" data-profile-id="${Utils.escapeAttr(profileId)}">Quitar de la cola</button>
+                </div>
+            `;
+        }
+
+        return '';
+    }
     //#endregion Crear elementos UI
 
     //#region Update UI
@@ -143,12 +200,30 @@ class NavigationManager {
     updateProgress(data) {
         // Procesar según tipo de evento
         switch (data.type) {
+            case 'session_queued':
+                this.handleSessionQueued(data);
+                break;
             case 'session_started':
                 this.handleSessionStarted(data);
                 break;
             case 'session_progress':
                 this.handleSessionProgress(data);
                 break;
+            case 'session_paused':
+                this.handleSessionPaused(data);
+                break;
+            case 'session_resumed':
+                this.handleSessionResumed(data);
+                break;
+            case 'session_stopped':
+                this.handleSessionStopped(data);
+                break;
+            case 'session_stalled':
+                this.handleSessionStalled(data);
+                break;
+            case 'session_recovered':
+                this.handleSessionRecovered(data);
+                break;
             case 'session_completed':
                 this.handleSessionCompleted(data);
                 break;
@@ -287,6 +362,41 @@ class NavigationManager {
     //#endregion Update UI
 
     //#region Handlers de eventos
+    /**
+     * Maneja evento de perfil en cola esperando un slot libre del pool.
+     * Se registra con una clave provisoria hasta que llegue su session_started.
+     * @param {Object} data - Datos del evento
+     */
+    handleSessionQueued(data) {
+        const queuedKey = this.getQueuedKey(data.profileId);
+        const existing = this.sessions.get(queuedKey);
+
+        if (existing) {
+            existing.queuePosition = data.position;
+            existing.queueLength = data.queueLength;
+            return;
+        }
+
+        // LIMPIEZA PREVENTIVA: el primer perfil encolado abre un ciclo nuevo
+        if (!this.isRunning && !this.hasQueuedSessions()) {
+            console.log('[NavigationManager] Primer perfil encolado del nuevo ciclo, limpiando estado anterior...');
+            this.resetNavigationState();
+        }
+
+        this.sessions.set(queuedKey, {
+            sessionId: queuedKey,
+            profileId: data.profileId,
+            targetCookies: 0,
+            cookiesCollected: 0,
+            sitesVisited: 0,
+            currentSite: 'Esperando turno...',
+            progress: 0,
+            status: 'queued',
+            queuePosition: data.position,
+            queueLength: data.queueLength
+        });
+    }
+
     /**
      * Maneja evento de sesión iniciada
      * @param {Object} data - Datos del evento
@@ -299,6 +409,9 @@ class NavigationManager {
             console.log('[NavigationManager] Primera sesion del nuevo ciclo, limpiando estado anterior...');
             this.resetNavigationState();
         }
+
+        // El perfil deja la cola: reemplazar su entrada provisoria
+        this.sessions.delete(this.getQueuedKey(data.profileId));
         
         // Inicializar sesión con targetCookies incluido
         this.sessions.set(data.sessionId, {
@@ -352,6 +465,113 @@ class NavigationManager {
         this.updateGlobalStats();
     }
 
+    /**
+     * Maneja evento de sesión pausada
+     * @param {Object} data - Datos del evento
+     */
+    handleSessionPaused(data) {
+        const session = this.sessions.get(data.sessionId);
+        if (session) {
+            session.status = 'paused';
+            session.currentSite = 'En pausa';
+        }
+    }
+
+    /**
+     * Maneja evento de sesión reanudada
+     * @param {Object} data - Datos del evento
+     */
+    handleSessionResumed(data) {
+        const session = this.sessions.get(data.sessionId);
+        if (session) {
+            session.status = 'running';
+            session.currentSite = 'Reanudando...';
+        }
+    }
+
+    /**
+     * Maneja evento de sesión detenida individualmente. Las sesiones que
+     * ya terminaron también emiten este evento al liberar el navegador,
+     * por eso solo se actualizan las que siguen en curso o en cola.
+     * @param {Object} data - Datos del evento
+     */
+    handleSessionStopped(data) {
+        const session = this.sessions.get(data.sessionId) || this.sessions.get(this.getQueuedKey(data.profileId));
+        if (!session || !['running', 'paused', 'queued'].includes(session.status)) return;
+
+        session.status = 'stopped';
+        session.currentSite = 'Detenido por el usuario';
+        session.endTime = new Date(data.timestamp);
+        if (data.stats) {
+            session.cookiesCollected = data.stats.cookiesCollected ?? session.cookiesCollected;
+            session.sitesVisited = data.stats.sitesVisited ?? session.sitesVisited;
+        }
+
+        this.checkAllSessionsCompleted();
+        this.updateGlobalStats();
+    }
+
+    /**
+     * Maneja evento de sesión colgada: el watchdog está intentando recuperarla
+     * @param {Object} data - Datos del evento
+     */
+    handleSessionStalled(data) {
+        const steps = {
+            reload_page: 'recargando la página',
+            reopen_page: 'reabriendo la página',
+            restart_profile: 'reiniciando el perfil'
+        };
+        const minutes = Math.round(data.idleMs / 60000);
+        const session = this.sessions.get(data.sessionId);
+        if (session) {
+            session.currentSite = `Sin progreso hace ${minutes} min, ${steps[data.step] || data.step}...`;
+        }
+
+        this.app.showWarning(`${data.profileId}: sin progreso hace ${minutes} min, ${steps[data.step] || data.step} (intento ${data.attempt})`);
+    }
+
+    /**
+     * Maneja evento de sesión recuperada por el watchdog
+     * @param {Object} data - Datos del evento
+     */
+    handleSessionRecovered(data) {
+        const session = this.sessions.get(data.sessionId);
+        if (session) {
+            session.currentSite = 'Recuperada, continuando...';
+        }
+
+        this.app.showInfo(`${data.profileId}: sesión recuperada tras ${data.attempts} intervención(es)`);
+    }
+
+    /**
+     * Ejecuta la acción de un botón de tarjeta contra el backend
+     * @param {string} action - 'pause' | 'resume' | 'stop'
+     * @param {string} profileId - ID del perfil
+     * @param {HTMLButtonElement} button - Botón presionado
+     */
+    async handleSessionAction(action, profileId, button) {
+        const api = window.electronAPI.navigation;
+        const actions = {
+            pause: () => api.pauseSession(profileId),
+            resume: () => api.resumeSession(profileId),
+            stop: () => api.stopProfile(profileId)
+        };
+        if (!actions[action]) return;
+
+        button.disabled = true;
+        try {
+            const result = await actions[action]();
+            if (!result.success) {
+                this.app.showError(`No se pudo completar la acción en ${profileId}: ${result.error}`);
+            }
+        } catch (error) {
+            console.error(`[NavigationManager] Error en acción ${action} para ${profileId}:`, error);
+            this.app.showError('Error de conexión con el proceso principal');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
     /**
      * Maneja evento de sesión completada
      * @param {Object} data - Datos del evento
@@ -392,6 +612,8 @@ class NavigationManager {
         if (session) {
             session.status = 'error';
             session.error = data.error;
+            session.errorCode = data.code || null;
+            session.currentSite = this.getErrorLabel(data.code) || session.currentSite;
             session.endTime = new Date(data.timestamp);
         }
 
@@ -402,6 +624,20 @@ class NavigationManager {
         this.updateGlobalStats();
     }
 
+    /**
+     * Texto corto para los códigos de error estables del backend
+     * @param {string|null} code - Código del error (ver core/errors/AppError.js)
+     * @returns {string|null}
+     */
+    getErrorLabel(code) {
+        const labels = {
+            BROWSER_DISCONNECTED: 'Se perdió la conexión con el navegador',
+            NAVIGATION_TIMEOUT: 'Tiempo de espera agotado al navegar',
+            ADSPOWER_API_ERROR: 'Ads Power rechazó el pedido'
+        };
+        return labels[code] || null;
+    }
+
     /**
      * Maneja estadísticas globales
      * @param {Object} data - Datos del evento
@@ -452,11 +688,43 @@ class NavigationManager {
             'running': 'Navegando',
             'completed': 'Completado',
             'error': 'Error',
-            'paused': 'Pausado'
+            'paused': 'Pausado',
+            'queued': 'En cola',
+            'stopped': 'Detenido'
         };
         return statusMap[status] || 'Desconocido';
     }
 
+    /**
+     * Texto de estado para la tarjeta de un perfil, con la posición
+     * en la cola cuando el perfil todavía espera su turno.
+     * @param {Object} session - Datos de la sesión
+     * @returns {string} Texto del estado
+     */
+    getSessionStatusLabel(session) {
+        const text = this.getStatusText(session.status);
+        return session.status === 'queued' && session.queuePosition
+            ? `${text} (#${session.queuePosition})`
+            : text;
+    }
+
+    /**
+     * Clave provisoria con la que se guarda un perfil en cola
+     * @param {string} profileId - ID del perfil
+     * @returns {string} Clave en el Map de sesiones
+     */
+    getQueuedKey(profileId) {
+        return `queued_${profileId}`;
+    }
+
+    /**
+     * Indica si hay perfiles esperando turno en la cola
+     * @returns {boolean}
+     */
+    hasQueuedSessions() {
+        return Array.from(this.sessions.values()).some(session => session.status === 'queued');
+    }
+
     /**
      * Obtiene todas las sesiones activas
      * @returns {Array} Array de sesiones
@@ -474,6 +742,7 @@ class NavigationManager {
             totalCookies: this.totalCookiesCollected,
             totalSites: this.totalSitesVisited,
             activeSessions: this.sessions.size,
+            queuedSessions: Array.from(this.sessions.values()).filter(session => session.status === 'queued').length,
             isRunning: this.isRunning,
             startTime: this.startTime,
             uptime: this.startTime ? Date.now() - this.startTime.getTime() : 0
@@ -486,7 +755,7 @@ class NavigationManager {
     checkAllSessionsCompleted() {
         const totalSessions = this.sessions.size;
         const completedSessions = Array.from(this.sessions.values()).filter(
-            session => session.status === 'completed' || session.progress >= 100
+            session => session.status === 'completed' || session.status === 'stopped' || session.progress >= 100
         ).length;
 
         console.log(`[NavigationManager] Sesiones completadas: ${completedSessions}/${totalSessions}`);
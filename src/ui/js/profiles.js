@@ -11,6 +11,7 @@ class ProfileInputManager {
             container: document.getElementById('profile-inputs'),
             addBtn: document.getElementById('add-profile-btn'),
             clearBtn: document.getElementById('clear-profiles-btn'),
+            overridesBtn: document.getElementById('toggle-profile-overrides-btn'),
             profileCount: document.getElementById('profile-count'),
             simultaneousCount: document.getElementById('simultaneous-count')
         };
@@ -45,6 +46,13 @@ class ProfileInputManager {
         this.elements.clearBtn.addEventListener('click', () => {
             this.clearAllProfiles();
         });
+
+        // Botón mostrar/ocultar ajustes por perfil
+        if (this.elements.overridesBtn) {
+            this.elements.overridesBtn.addEventListener('click', () => {
+                this.toggleOverrides();
+            });
+        }
     }
 
     /**
@@ -76,9 +84,28 @@ class ProfileInputManager {
                 type="text" 
                 class="profile-id-input" 
                 placeholder="Ej: k1a2b3c4"
-                value="${value}"
+                value="${Utils.escapeAttr(value)}"
                 data-profile-number="${profileNumber}"
             >
+            <div class="profile-overrides">
+                <input type="number" class="profile-override" data-field="targetCookies" min="1" step="100"
+                       placeholder="Objetivo" title="Objetivo de cookies de este perfil (vacío: el del lote)">
+                <input type="text" class="profile-override profile-override-sites" data-field="sites"
+                       placeholder="Sitios: bbc.com; cnn.com" title="Dominios a los que se limita este perfil (vacío: todos)">
+                <input type="text" class="profile-override profile-override-sites" data-field="siteLists"
+                       placeholder="Listas: noticias-es" title="Listas de sitios a las que se limita este perfil (vacío: la del lote)">
+                <select class="profile-override" data-field="mode" title="Cuándo termina la sesión de este perfil">
+                    <option value="">Terminar como el lote</option>
+                    <option value="both">Cookies y tiempo</option>
+                    <option value="either">Cookies o tiempo</option>
+                    <option value="cookies">Solo cookies</option>
+                    <option value="time">Solo tiempo</option>
+                </select>
+                <input type="number" class="profile-override" data-field="maxSites" min="1" step="1"
+                       placeholder="Máx. sitios" title="Máximo de sitios de este perfil (vacío: el del lote)">
+                <input type="number" class="profile-override" data-field="maxDurationMinutes" min="1" step="1"
+                       placeholder="Máx. min" title="Duración máxima en minutos de este perfil (vacío: la del lote)">
+            </div>
             <button type="button" class="remove-profile-btn" title="Eliminar perfil">
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
                     <line x1="18" y1="6" x2="6" y2="18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
@@ -245,6 +272,113 @@ class ProfileInputManager {
             .filter((value, index, array) => array.indexOf(value) === index); // Eliminar duplicados
     }
 
+    /**
+     * Muestra u oculta las columnas de ajustes por perfil
+     */
+    toggleOverrides() {
+        const visible = this.elements.container.classList.toggle('show-overrides');
+        this.elements.overridesBtn.classList.toggle('active', visible);
+    }
+
+    /**
+     * Arma el plan por perfil con los ajustes cargados en la tabla. Solo
+     * incluye los perfiles que pisan algún valor del lote; la validación
+     * final la hace el backend.
+     * @returns {Array<Object>} Entradas para BatchPlan
+     */
+    getProfilePlan() {
+        const seen = new Set();
+        const plan = [];
+
+        this.profiles.forEach(profile => {
+            const profileId = profile.input.value.trim();
+            if (!profileId || !this.isValidProfileId(profileId) || seen.has(profileId)) return;
+            seen.add(profileId);
+
+            const values = {};
+            profile.element.querySelectorAll('.profile-override').forEach(field => {
+                const value = field.value.trim();
+                if (value) values[field.dataset.field] = value;
+            });
+
+            const policy = {};
+            ['mode', 'maxSites', 'maxDurationMinutes'].forEach(key => {
+                if (values[key]) policy[key] = values[key];
+            });
+
+            const entry = { profileId };
+            if (values.targetCookies) entry.targetCookies = values.targetCookies;
+            if (values.sites) entry.sites = values.sites.split(/[;,|]/).map(site => site.trim()).filter(Boolean);
+            if (values.siteLists) entry.siteLists = values.siteLists.split(/[;,|]/).map(name => name.trim()).filter(Boolean);
+            if (Object.keys(policy).length > 0) entry.policy = policy;
+
+            if (Object.keys(entry).length > 1) plan.push(entry);
+        });
+
+        return plan;
+    }
+
+    /**
+     * Reemplaza las filas por los perfiles de un lote guardado, con los
+     * ajustes propios de cada uno. No pide confirmación: eso queda del
+     * lado de quien llama.
+     * @param {Array<string>} profileIds - Perfiles del lote, en orden
+     * @param {Array<Object>} [entries] - Entradas de BatchPlan con ajustes por perfil
+     */
+    loadPlan(profileIds, entries = []) {
+        const byProfile = new Map(entries.map(entry => [entry.profileId, entry]));
+        const loadedIds = profileIds.slice(0, this.maxProfiles);
+        if (loadedIds.length < profileIds.length) {
+            this.showError(`Solo se cargaron los primeros ${this.maxProfiles} de ${profileIds.length} perfiles`);
+        }
+
+        this.elements.container.innerHTML = '';
+        this.profiles = [];
+        this.nextProfileNumber = 1;
+
+        loadedIds.forEach(profileId => {
+            this.addProfile(profileId, true);
+            const { element, input } = this.profiles[this.profiles.length - 1];
+            this.validateProfileId(input);
+
+            const entry = byProfile.get(profileId);
+            if (entry) this.fillOverrides(element, entry);
+        });
+
+        if (this.profiles.length === 0) {
+            this.addInitialProfile();
+        }
+
+        // Mostrar los ajustes por perfil si el lote tenía alguno
+        const hasOverrides = loadedIds.some(profileId => byProfile.has(profileId));
+        this.elements.container.classList.toggle('show-overrides', hasOverrides);
+        this.elements.overridesBtn?.classList.toggle('active', hasOverrides);
+
+        this.updateSummary();
+        this.updateAddButtonState();
+    }
+
+    /**
+     * Completa los ajustes de una fila a partir de una entrada del plan
+     * @param {HTMLElement} element - Fila del perfil
+     * @param {Object} entry - Entrada de BatchPlan
+     */
+    fillOverrides(element, entry) {
+        const values = {
+            targetCookies: entry.targetCookies,
+            sites: entry.sites ? entry.sites.join('; ') : null,
+            siteLists: entry.siteLists ? entry.siteLists.join('; ') : null,
+            mode: entry.policy?.mode,
+            maxSites: entry.policy?.maxSites,
+            maxDurationMinutes: entry.policy?.maxDurationMinutes
+        };
+
+        element.querySelectorAll('.profile-override').forEach(field => {
+            const value = values[field.dataset.field];
+            field.value = value !== null && value !== undefined ? value : '';
+        });
+    }
+
     /**
      * Actualiza el resumen de perfiles
      */
@@ -9,6 +9,12 @@ class ReportsManager {
         this.recordsPerPage = 10;
         this.currentFilters = {};
         this.isLoading = false;
+
+        // Lotes: página actual y lote elegido para filtrar las sesiones
+        this.batchPage = 1;
+        this.batchesPerPage = 5;
+        this.batchesData = null;
+        this.selectedBatchId = null;
         
         this.initializeElements();
         this.setupEventListeners();
@@ -28,6 +34,7 @@ class ReportsManager {
             
             // Elementos que se crearán dinámicamente
             summaryContainer: null,
+            batchesContainer: null,
             tableContainer: null,
             paginationContainer: null
         };
@@ -50,6 +57,20 @@ class ReportsManager {
                 this.currentFilters.dateRange = this.elements.dateRangeSelect.value;
             });
         }
+
+        // Filas de lotes: se delega en el contenedor porque se re-renderiza
+        if (this.elements.reportsContent) {
+            this.elements.reportsContent.addEventListener('click', (event) => {
+                const rerunButton = event.target.closest('[data-batch-action="rerun"]');
+                if (rerunButton) {
+                    this.rerunBatch(rerunButton.dataset.batchId);
+                    return;
+                }
+
+                const row = event.target.closest('tr[data-batch-id]');
+                if (row) this.selectBatch(row.dataset.batchId);
+            });
+        }
     }
 
     /**
@@ -65,14 +86,16 @@ class ReportsManager {
             // Obtener filtros actuales
             this.updateFilters();
             
-            // Cargar datos y resumen en paralelo
-            const [reportsResult, summaryResult] = await Promise.all([
+            // Cargar datos, resumen, lotes y cobertura en paralelo
+            const [reportsResult, summaryResult, batchesResult, coverageResult] = await Promise.all([
                 this.loadReports(1), // Cargar primera página
-                this.loadSummary()
+                this.loadSummary(),
+                this.loadBatches(1),
+                window.electronAPI.reports.coverage()
             ]);
 
-            if (reportsResult.success && summaryResult.success) {
-                this.renderReports(reportsResult, summaryResult);
+            if (reportsResult.success && summaryResult.success && batchesResult.success) {
+                this.renderReports(reportsResult, summaryResult, batchesResult, coverageResult);
             } else {
                 this.showError('Error cargando reportes');
             }
@@ -92,7 +115,7 @@ class ReportsManager {
         this.currentPage = page;
         
         const options = {
-            filters: this.currentFilters,
+            filters: this.getSessionFilters(),
             page: page,
             limit: this.recordsPerPage
         };
@@ -104,7 +127,33 @@ class ReportsManager {
      * Carga resumen estadístico
      */
     async loadSummary() {
-        return await window.electronAPI.reports.summary(this.currentFilters);
+        return await window.electronAPI.reports.summary(this.getSessionFilters());
+    }
+
+    /**
+     * Carga una página de lotes
+     */
+    async loadBatches(page = 1) {
+        this.batchPage = page;
+
+        const result = await window.electronAPI.reports.batches({
+            filters: this.currentFilters,
+            page: page,
+            limit: this.batchesPerPage
+        });
+        if (result.success) {
+            this.batchesData = result;
+        }
+        return result;
+    }
+
+    /**
+     * Filtros de sesiones: los del período más el lote elegido, si hay
+     */
+    getSessionFilters() {
+        return this.selectedBatchId
+            ? { ...this.currentFilters, batchId: this.selectedBatchId }
+            : this.currentFilters;
     }
 
     /**
@@ -114,12 +163,13 @@ class ReportsManager {
         this.currentFilters = {
             dateRange: this.elements.dateRangeSelect?.value || 'month'
         };
+        this.selectedBatchId = null;
     }
 
     /**
      * Renderiza reportes completos
      */
-    renderReports(reportsData, summaryData) {
+    renderReports(reportsData, summaryData, batchesData, coverageData) {
         this.clearContent();
         
         const container = this.elements.reportsContent;
@@ -127,17 +177,23 @@ class ReportsManager {
         // Crear estructura
         container.innerHTML = `
             <div class="reports-summary-container"></div>
+            <div class="reports-batches-container"></div>
+            <div class="reports-coverage-container"></div>
             <div class="reports-table-container"></div>
             <div class="reports-pagination-container"></div>
         `;
         
         // Obtener referencias a los nuevos contenedores
         this.elements.summaryContainer = container.querySelector('.reports-summary-container');
+        this.elements.batchesContainer = container.querySelector('.reports-batches-container');
+        this.elements.coverageContainer = container.querySelector('.reports-coverage-container');
         this.elements.tableContainer = container.querySelector('.reports-table-container');
         this.elements.paginationContainer = container.querySelector('.reports-pagination-container');
         
         // Renderizar cada sección
         this.renderSummary(summaryData.summary);
+        this.renderBatches(batchesData);
+        this.renderCoverage(coverageData);
         this.renderTable(reportsData.data);
         this.renderPagination(reportsData.pagination);
     }
@@ -148,7 +204,7 @@ class ReportsManager {
     renderSummary(summary) {
         this.elements.summaryContainer.innerHTML = `
             <div class="reports-summary">
-                <h3>Resumen del Período</h3>
+                <h3>${this.selectedBatchId ? `Resumen del lote ${Utils.escapeAttr(this.selectedBatchId)}` : 'Resumen del Período'}</h3>
                 <div class="summary-stats">
                     <div class="stat-card">
                         <div class="stat-icon">
@@ -194,6 +250,218 @@ class ReportsManager {
         `;
     }
 
+    /**
+     * Renderiza los lotes del período con su resumen. Al elegir un lote,
+     * el resumen y la tabla de sesiones se limitan a ese lote.
+     */
+    renderBatches(batchesData) {
+        const batches = batchesData?.data || [];
+        if (batches.length === 0) {
+            this.elements.batchesContainer.innerHTML = '';
+            return;
+        }
+
+        const { currentPage, totalPages, hasNextPage, hasPreviousPage } = batchesData.pagination;
+
+        this.elements.batchesContainer.innerHTML = `
+            <div class="reports-batches">
+                <div class="reports-batches-header">
+                    <h3>Lotes</h3>
+                    ${this.selectedBatchId ? `
+                        <button class="btn btn-secondary btn-sm" onclick="window.reportsManager.selectBatch(null)">
+                            Ver todas las sesiones
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="reports-table-wrapper">
+                    <table class="reports-table">
+                        <thead>
+                            <tr>
+                                <th>Inicio</th>
+                                <th>Origen</th>
+                                <th>Perfiles</th>
+                                <th>Cookies</th>
+                                <th>Sitios</th>
+                                <th>Duración</th>
+                                <th>Éxito</th>
+                                <th>Estado</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${batches.map(batch => this.renderBatchRow(batch)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${totalPages > 1 ? `
+                    <div class="pagination-controls">
+                        <button class="btn btn-secondary btn-sm" ${!hasPreviousPage ? 'disabled' : ''}
+                                onclick="window.reportsManager.goToBatchPage(${currentPage - 1})">
+                            ← Anteriores
+                        </button>
+                        <span class="pagination-info">Página ${currentPage} de ${totalPages}</span>
+                        <button class="btn btn-secondary btn-sm" ${!hasNextPage ? 'disabled' : ''}
+                                onclick="window.reportsManager.goToBatchPage(${currentPage + 1})">
+                            Siguientes →
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza cuánto del catálogo activo visitó cada perfil, según su
+     * historial completo (no depende del período elegido)
+     */
+    renderCoverage(coverageData) {
+        const profiles = coverageData?.success ? coverageData.profiles : [];
+        if (profiles.length === 0) {
+            this.elements.coverageContainer.innerHTML = '';
+            return;
+        }
+
+        const { windowHours } = coverageData;
+        this.elements.coverageContainer.innerHTML = `
+            <div class="reports-batches">
+                <div class="reports-batches-header">
+                    <h3>Cobertura del catálogo</h3>
+                </div>
+                <div class="reports-table-wrapper">
+                    <table class="reports-table">
+                        <thead>
+                            <tr>
+                                <th>Perfil</th>
+                                <th>Dominios visitados</th>
+                                <th>Cobertura</th>
+                                <th>${windowHours > 0 ? `Últimas ${windowHours} h` : 'Recientes'}</th>
+                                <th>Última visita</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${profiles.map(profile => `
+                                <tr>
+                                    <td><strong>${Utils.escapeAttr(profile.profile_id)}</strong></td>
+                                    <td>${profile.domains_visited} / ${profile.total_domains}</td>
+                                    <td>
+                                        <span class="success-percentage">${profile.coverage}%</span>
+                                        <div class="progress-bar-mini">
+                                            <div class="progress-fill progress-success" style="width: ${Math.min(profile.coverage, 100)}%"></div>
+                                        </div>
+                                    </td>
+                                    <td>${windowHours > 0 ? profile.recent_domains : '-'}</td>
+                                    <td>${profile.last_visited_at ? new Date(profile.last_visited_at).toLocaleString('es-ES') : '-'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza una fila de la tabla de lotes
+     */
+    renderBatchRow(batch) {
+        const isSelected = batch.batch_id === this.selectedBatchId;
+        const batchId = Utils.escapeAttr(batch.batch_id);
+        const outcome = [
+            `${batch.completed_sessions} completadas`,
+            batch.stopped_sessions > 0 ? `${batch.stopped_sessions} detenidas` : null,
+            batch.failed_sessions > 0 ? `${batch.failed_sessions} con error` : null,
+            batch.interrupted_sessions > 0 ? `${batch.interrupted_sessions} interrumpidas` : null
+        ].filter(Boolean).join(', ');
+
+        return `
+            <tr class="batch-row ${isSelected ? 'selected' : ''}" title="${batchId}" data-batch-id="${batchId}">
+                <td>
+                    <div class="date-cell">${batch.started_at_formatted}</div>
+                </td>
+                <td>${batch.started_by_label}</td>
+                <td>
+                    <strong>${batch.total_profiles}</strong>
+                    <small class="end-reason">${outcome}</small>
+                </td>
+                <td>
+                    <span class="cookies-collected">${this.app.formatNumber(batch.cookies_collected || 0)}</span>
+                    <span class="cookies-target">/ ${this.app.formatNumber(batch.target_cookies || 0)}</span>
+                </td>
+                <td>
+                    <span class="sites-count">${batch.sites_visited || 0}</span>
+                </td>
+                <td>
+                    <div class="duration-cell">${batch.duration_formatted}</div>
+                </td>
+                <td>${batch.success_rate}%</td>
+                <td>
+                    <span class="badge badge-${batch.status}">${batch.status_label}</span>
+                    ${batch.error_message ? `<small class="end-reason">${Utils.escapeAttr(batch.error_message)}</small>` : ''}
+                </td>
+                <td>
+                    <button class="btn btn-secondary btn-sm" title="Cargar este lote en el formulario para repetirlo"
+                            data-batch-action="rerun" data-batch-id="${batchId}">
+                        Repetir
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Limita el resumen y las sesiones a un lote; con null o con el lote
+     * ya elegido, vuelve a mostrar todo el período
+     */
+    async selectBatch(batchId) {
+        if (this.isLoading) return;
+
+        this.selectedBatchId = batchId && batchId !== this.selectedBatchId ? batchId : null;
+        this.showTableLoading();
+
+        try {
+            const [reportsResult, summaryResult] = await Promise.all([
+                this.loadReports(1),
+                this.loadSummary()
+            ]);
+
+            if (reportsResult.success && summaryResult.success) {
+                this.renderSummary(summaryResult.summary);
+                this.renderBatches(this.batchesData);
+                this.renderTable(reportsResult.data);
+                this.renderPagination(reportsResult.pagination);
+            }
+        } catch (error) {
+            console.error('Error cargando sesiones del lote:', error);
+            this.showError('Error cargando sesiones del lote');
+        }
+    }
+
+    /**
+     * Lleva un lote al formulario de automatización para repetirlo
+     */
+    async rerunBatch(batchId) {
+        const dashboard = this.app.dashboardManager;
+        dashboard.showSection('automation');
+        await dashboard.loadBatchIntoForm(batchId);
+    }
+
+    /**
+     * Navega a una página de lotes
+     */
+    async goToBatchPage(page) {
+        if (this.isLoading || page < 1) return;
+
+        try {
+            const result = await this.loadBatches(page);
+            if (result.success) {
+                this.renderBatches(result);
+            }
+        } catch (error) {
+            console.error('Error cargando lotes:', error);
+            this.showError('Error cargando lotes');
+        }
+    }
+
     /**
      * Renderiza tabla de reportes
      */
@@ -275,17 +543,35 @@ class ReportsManager {
                 </td>
                 <td>
                     <span class="sites-count">${session.sites_visited || 0}</span>
+                    ${session.category_mix && session.category_report?.length
+                        ? `<small class="end-reason" title="Visitado por categoría (pedido)">${this.formatCategoryReport(session.category_report)}</small>`
+                        : ''}
                 </td>
                 <td>
                     <span class="success-percentage ${progressColor}">${successPercentage.toFixed(1)}%</span>
                 </td>
                 <td>
                     <span class="badge badge-${session.status}">${session.status_label}</span>
+                    ${session.end_reason_label ? `<small class="end-reason">${session.end_reason_label}</small>` : ''}
+                    ${session.status === 'running' && session.last_heartbeat_at_formatted
+                        ? `<small class="end-reason" title="${Utils.escapeAttr(session.current_site)}">Último latido: ${session.last_heartbeat_at_formatted}</small>`
+                        : ''}
                 </td>
             </tr>
         `;
     }
 
+    /**
+     * Mezcla visitada de una sesión contra la pedida
+     * @param {Array<Object>} report - category_report de la sesión
+     * @returns {string} Ej: "news 45% (40%) · blog 30% (30%)"
+     */
+    formatCategoryReport(report) {
+        return report
+            .map(row => `${Utils.escapeAttr(row.category)} ${row.realized}%${row.requested !== null ? ` (${row.requested}%)` : ''}`)
+            .join(' · ');
+    }
+
     /**
      * Renderiza controles de paginación
      */
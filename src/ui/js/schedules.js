@@ -0,0 +1,582 @@
+/**
+ * Gestor de Programaciones para Cookies Hexzor
+ * Editor de navegaciones recurrentes y registro de sus ejecuciones
+ */
+class SchedulesManager {
+    constructor(app) {
+        this.app = app;
+        this.schedules = [];
+
+        // Programación en edición (null = alta) y su plan por perfil, que
+        // el formulario no edita pero conserva al guardar
+        this.editingId = null;
+        this.plan = [];
+
+        // Configuración de la última vista previa de rotación; guardar solo
+        // se habilita mientras el formulario no cambie
+        this.rotationConfig = null;
+
+        this.initializeElements();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Inicializa referencias a elementos del DOM
+     */
+    initializeElements() {
+        this.elements = {
+            form: document.getElementById('schedule-form'),
+            formTitle: document.getElementById('schedule-form-title'),
+            batchSelect: document.getElementById('schedule-batch-select'),
+            planHint: document.getElementById('schedule-plan-hint'),
+            cancelBtn: document.getElementById('schedule-cancel-btn'),
+            disabledNotice: document.getElementById('scheduler-disabled-notice'),
+            list: document.getElementById('schedules-list'),
+            runs: document.getElementById('schedule-runs'),
+            rotationForm: document.getElementById('rotation-form'),
+            rotationCommitBtn: document.getElementById('rotation-commit-btn'),
+            rotationPreview: document.getElementById('rotation-preview')
+        };
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.form) {
+            this.elements.form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.saveSchedule();
+            });
+        }
+
+        if (this.elements.cancelBtn) {
+            this.elements.cancelBtn.addEventListener('click', () => {
+                this.resetForm();
+            });
+        }
+
+        // Cargar desde un lote: la lista se refresca al abrirla
+        if (this.elements.batchSelect) {
+            this.elements.batchSelect.addEventListener('focus', () => {
+                this.loadBatchOptions();
+            });
+            this.elements.batchSelect.addEventListener('change', async () => {
+                const batchId = this.elements.batchSelect.value;
+                this.elements.batchSelect.value = '';
+                if (batchId) {
+                    await this.loadBatch(batchId);
+                }
+            });
+        }
+
+        if (this.elements.rotationForm) {
+            this.elements.rotationForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.previewRotation();
+            });
+            this.elements.rotationForm.addEventListener('input', () => {
+                this.clearRotationPreview();
+            });
+            this.elements.rotationCommitBtn.addEventListener('click', () => {
+                this.commitRotation();
+            });
+        }
+
+        window.electronAPI.schedules.onRunEvent((event, data) => {
+            this.handleRunEvent(data);
+        });
+    }
+
+    /**
+     * Carga programaciones y registro de ejecuciones
+     */
+    async load() {
+        try {
+            const [listResult, runsResult] = await Promise.all([
+                window.electronAPI.schedules.list(),
+                window.electronAPI.schedules.runs({ limit: 30 })
+            ]);
+
+            if (!listResult.success) {
+                this.app.showError('Error cargando programaciones: ' + listResult.error);
+                return;
+            }
+
+            this.schedules = listResult.schedules;
+            this.elements.disabledNotice.classList.toggle('hidden', listResult.enabled);
+            this.renderSchedules();
+            this.renderRuns(runsResult.success ? runsResult.runs : []);
+        } catch (error) {
+            console.error('Error cargando programaciones:', error);
+            this.app.showError('Error de conexión al cargar programaciones');
+        }
+    }
+
+    /**
+     * Avisa los disparos del programador y refresca la sección si está a la vista
+     */
+    handleRunEvent(data) {
+        const name = Utils.escapeAttr(data.name);
+        if (data.type === 'run:started') {
+            this.app.dashboardManager?.followBackgroundNavigation();
+            this.app.showInfo(`Programación "${name}" iniciada`);
+        } else if (data.type === 'run:finished') {
+            const notify = data.status === 'error' ? 'showError' : 'showSuccess';
+            this.app[notify](`Programación "${name}" terminó: ${Utils.escapeAttr(data.message)}`);
+        } else if (data.type === 'run:skipped') {
+            this.app.showWarning(`Programación "${name}" omitida: ${Utils.escapeAttr(data.message)}`);
+        }
+
+        if (this.app.dashboardManager?.currentSection === 'schedules') {
+            this.load();
+        }
+    }
+
+    //#region Listado
+    /**
+     * Renderiza la tabla de programaciones
+     */
+    renderSchedules() {
+        if (this.schedules.length === 0) {
+            this.elements.list.innerHTML = '<p class="card-description">Todavía no hay programaciones.</p>';
+            return;
+        }
+
+        this.elements.list.innerHTML = `
+            <div class="reports-table-wrapper">
+                <table class="reports-table">
+                    <thead>
+                        <tr>
+                            <th>Nombre</th>
+                            <th>Cuándo</th>
+                            <th>Perfiles</th>
+                            <th>Próxima</th>
+                            <th>Última</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.schedules.map(schedule => this.renderScheduleRow(schedule)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza una fila de la tabla de programaciones
+     */
+    renderScheduleRow(schedule) {
+        const timeWindow = schedule.window ? `${schedule.window.start}-${schedule.window.end}` : 'Sin ventana';
+        const overrides = schedule.plan.length > 0 ? `${schedule.plan.length} con ajustes propios` : '';
+
+        return `
+            <tr class="schedule-row ${schedule.enabled ? '' : 'disabled'}">
+                <td><strong>${Utils.escapeAttr(schedule.name)}</strong></td>
+                <td>
+                    <code>${Utils.escapeAttr(schedule.cron)}</code>
+                    <small class="end-reason">${Utils.escapeAttr(timeWindow)}</small>
+                </td>
+                <td>
+                    <strong>${schedule.profile_ids.length}</strong>
+                    <small class="end-reason">${this.app.formatNumber(schedule.target_cookies)} cookies ${overrides}</small>
+                </td>
+                <td>${schedule.enabled ? (schedule.next_run_at_formatted || '-') : 'Desactivada'}</td>
+                <td>
+                    ${schedule.last_run_status ? `
+                        <span class="badge badge-${schedule.last_run_status}">${schedule.last_run_status_label}</span>
+                        ${schedule.last_run_message ? `<small class="end-reason">${Utils.escapeAttr(schedule.last_run_message)}</small>` : ''}
+                    ` : '-'}
+                </td>
+                <td>
+                    <div class="schedule-actions">
+                        <button class="btn btn-secondary btn-sm" onclick="window.schedulesManager.editSchedule(${schedule.id})">
+                            Editar
+                        </button>
+                        <button class="btn btn-outline btn-sm" onclick="window.schedulesManager.toggleSchedule(${schedule.id}, ${!schedule.enabled})">
+                            ${schedule.enabled ? 'Desactivar' : 'Activar'}
+                        </button>
+                        <button class="btn btn-outline btn-sm" onclick="window.schedulesManager.removeSchedule(${schedule.id})">
+                            Borrar
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Renderiza el registro de ejecuciones
+     */
+    renderRuns(runs) {
+        if (runs.length === 0) {
+            this.elements.runs.innerHTML = '<p class="card-description">Todavía no se ejecutó ninguna programación.</p>';
+            return;
+        }
+
+        this.elements.runs.innerHTML = `
+            <div class="reports-table-wrapper">
+                <table class="reports-table">
+                    <thead>
+                        <tr>
+                            <th>Programada para</th>
+                            <th>Programación</th>
+                            <th>Estado</th>
+                            <th>Lote</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${runs.map(run => `
+                            <tr>
+                                <td><div class="date-cell">${run.scheduled_for_formatted}</div></td>
+                                <td>${Utils.escapeAttr(run.schedule_name || run.schedule_id)}</td>
+                                <td>
+                                    <span class="badge badge-${run.status}">${run.status_label}</span>
+                                    ${run.message ? `<small class="end-reason">${Utils.escapeAttr(run.message)}</small>` : ''}
+                                </td>
+                                <td>${run.batch_id ? `<code>${Utils.escapeAttr(run.batch_id)}</code>` : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Activa o desactiva una programación
+     */
+    async toggleSchedule(id, enabled) {
+        try {
+            const result = await window.electronAPI.schedules.setEnabled(id, enabled);
+            if (!result.success) {
+                this.app.showError('Error actualizando la programación: ' + result.error);
+                return;
+            }
+            await this.load();
+        } catch (error) {
+            console.error('Error actualizando programación:', error);
+            this.app.showError('Error de conexión al actualizar la programación');
+        }
+    }
+
+    /**
+     * Borra una programación y su registro, previa confirmación
+     */
+    async removeSchedule(id) {
+        const schedule = this.schedules.find(item => item.id === id);
+        if (!schedule || !confirm(`¿Borrar la programación "${schedule.name}" y su registro de ejecuciones?`)) return;
+
+        try {
+            const result = await window.electronAPI.schedules.remove(id);
+            if (!result.success) {
+                this.app.showError('Error borrando la programación: ' + result.error);
+                return;
+            }
+            if (this.editingId === id) {
+                this.resetForm();
+            }
+            await this.load();
+        } catch (error) {
+            console.error('Error borrando programación:', error);
+            this.app.showError('Error de conexión al borrar la programación');
+        }
+    }
+    //#endregion Listado
+
+    //#region Editor
+    /**
+     * Lleva una programación existente al formulario
+     */
+    editSchedule(id) {
+        const schedule = this.schedules.find(item => item.id === id);
+        if (!schedule) return;
+
+        const fields = this.elements.form.elements;
+        fields.name.value = schedule.name;
+        fields.cron.value = schedule.cron;
+        fields.windowStart.value = schedule.window?.start || '';
+        fields.windowEnd.value = schedule.window?.end || '';
+        fields.profileIds.value = schedule.profile_ids.join(', ');
+        fields.targetCookies.value = schedule.target_cookies;
+        fields.terminationMode.value = schedule.policy?.mode || 'both';
+        fields.maxSites.value = schedule.policy?.maxSites ?? '';
+        fields.maxDurationMinutes.value = schedule.policy?.maxDurationMinutes ?? '';
+        fields.enabled.checked = schedule.enabled;
+
+        this.editingId = id;
+        this.plan = schedule.plan;
+        this.elements.formTitle.textContent = `Editar "${schedule.name}"`;
+        this.updatePlanHint();
+        this.elements.form.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Vuelve el formulario al alta de una programación nueva
+     */
+    resetForm() {
+        this.elements.form.reset();
+        this.editingId = null;
+        this.plan = [];
+        this.elements.formTitle.textContent = 'Nueva programación';
+        this.updatePlanHint();
+    }
+
+    /**
+     * Arma la configuración que recibe schedules:save
+     */
+    getFormConfig() {
+        const fields = this.elements.form.elements;
+        return {
+            id: this.editingId,
+            name: fields.name.value.trim(),
+            cron: fields.cron.value.trim(),
+            window: { start: fields.windowStart.value, end: fields.windowEnd.value },
+            profileIds: fields.profileIds.value.split(',').map(id => id.trim()).filter(Boolean),
+            targetCookies: parseInt(fields.targetCookies.value),
+            policy: {
+                mode: fields.terminationMode.value,
+                maxSites: fields.maxSites.value || null,
+                maxDurationMinutes: fields.maxDurationMinutes.value || null
+            },
+            plan: this.plan,
+            enabled: fields.enabled.checked
+        };
+    }
+
+    /**
+     * Guarda la programación del formulario (alta o edición)
+     */
+    async saveSchedule() {
+        try {
+            const result = await window.electronAPI.schedules.save(this.getFormConfig());
+            if (!result.success) {
+                this.app.showError('Error guardando la programación: ' + result.error);
+                return;
+            }
+
+            const { schedule } = result;
+            this.app.showSuccess(schedule.next_run_at_formatted
+                ? `Programación guardada. Próxima ejecución: ${schedule.next_run_at_formatted}`
+                : 'Programación guardada (desactivada)');
+            this.resetForm();
+            await this.load();
+        } catch (error) {
+            console.error('Error guardando programación:', error);
+            this.app.showError('Error de conexión al guardar la programación');
+        }
+    }
+
+    /**
+     * Muestra cuántos perfiles tienen ajustes propios, que se conservan al guardar
+     */
+    updatePlanHint() {
+        this.elements.planHint.textContent = this.plan.length > 0
+            ? `${this.plan.length} perfil(es) con objetivo, sitios o política propios; se conservan al guardar`
+            : 'IDs separados por comas';
+    }
+
+    /**
+     * Llena el selector de lotes recientes
+     */
+    async loadBatchOptions() {
+        const select = this.elements.batchSelect;
+        try {
+            const result = await window.electronAPI.reports.batches({ filters: { dateRange: 'all' }, page: 1, limit: 10 });
+            if (!result.success) return;
+
+            select.innerHTML = `
+                <option value="">Cargar desde un lote…</option>
+                ${result.data.map(batch => `
+                    <option value="${Utils.escapeAttr(batch.batch_id)}">
+                        ${Utils.escapeAttr(batch.started_at_formatted)} · ${batch.total_profiles} perfil(es) · ${Utils.escapeAttr(batch.status_label)}
+                    </option>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('Error cargando lotes anteriores:', error);
+        }
+    }
+
+    /**
+     * Carga en el formulario los perfiles, objetivo, política y plan de un
+     * lote. Las fechas límite se descartan: en una programación el corte lo
+     * da la ventana horaria.
+     */
+    async loadBatch(batchId) {
+        try {
+            const result = await window.electronAPI.navigation.getRerunConfig(batchId);
+            if (!result.success) {
+                this.app.showError('Error cargando el lote: ' + result.error);
+                return;
+            }
+
+            const { profileIds, targetCookies, policy, plan } = result.data;
+            const fields = this.elements.form.elements;
+            fields.profileIds.value = profileIds.join(', ');
+            fields.targetCookies.value = targetCookies;
+            fields.terminationMode.value = policy.mode;
+            fields.maxSites.value = policy.maxSites ?? '';
+            fields.maxDurationMinutes.value = policy.maxDurationMinutes ?? '';
+
+            let droppedDeadline = Boolean(policy.deadline);
+            this.plan = plan.map(entry => {
+                if (!entry.policy?.deadline) return entry;
+                droppedDeadline = true;
+                const { deadline, ...rest } = entry.policy;
+                return { ...entry, policy: rest };
+            });
+            this.updatePlanHint();
+
+            if (droppedDeadline) {
+                this.app.showWarning('Se quitaron las fechas límite del lote: en una programación el corte lo da la ventana horaria.');
+            } else {
+                this.app.showInfo(`Lote cargado con ${profileIds.length} perfil(es).`);
+            }
+        } catch (error) {
+            console.error('Error cargando lote:', error);
+            this.app.showError('Error de conexión al cargar el lote');
+        }
+    }
+    //#endregion Editor
+
+    //#region Rotación
+    /**
+     * Arma la configuración que reciben schedules:planRotation y
+     * schedules:commitRotation. Los campos vacíos caen a la configuración.
+     */
+    getRotationConfig() {
+        const fields = this.elements.rotationForm.elements;
+        return {
+            name: fields.name.value.trim(),
+            profileIds: fields.profileIds.value.split(',').map(id => id.trim()).filter(Boolean),
+            start: fields.start.value,
+            hours: parseFloat(fields.hours.value),
+            slots: fields.slots.value ? parseInt(fields.slots.value) : null,
+            sessionMinutes: parseInt(fields.sessionMinutes.value),
+            cooldownMinutes: fields.cooldownMinutes.value !== '' ? parseInt(fields.cooldownMinutes.value) : null,
+            targetCookies: parseInt(fields.targetCookies.value),
+            policy: { mode: fields.terminationMode.value },
+            replace: fields.replace.checked
+        };
+    }
+
+    /**
+     * Pide el plan de rotación y lo muestra sin guardar nada
+     */
+    async previewRotation() {
+        const config = this.getRotationConfig();
+        try {
+            const result = await window.electronAPI.schedules.planRotation(config);
+            if (!result.success) {
+                this.clearRotationPreview();
+                this.app.showError('Error planificando la rotación: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+
+            this.rotationConfig = config;
+            this.elements.rotationCommitBtn.disabled = false;
+            this.renderRotationPreview(result);
+        } catch (error) {
+            console.error('Error planificando rotación:', error);
+            this.app.showError('Error de conexión al planificar la rotación');
+        }
+    }
+
+    /**
+     * Descarta la vista previa: el formulario cambió y el plan ya no vale
+     */
+    clearRotationPreview() {
+        this.rotationConfig = null;
+        this.elements.rotationCommitBtn.disabled = true;
+        this.elements.rotationPreview.innerHTML = '';
+    }
+
+    /**
+     * Renderiza las tandas, el reparto por perfil y los avisos del plan
+     */
+    renderRotationPreview({ plan, schedules, stats }) {
+        const lastRuns = new Map(stats.map(row => [row.profile_id, row.last_run_at_formatted]));
+
+        this.elements.rotationPreview.innerHTML = `
+            <p class="card-description">
+                ${plan.capacity.waves} tanda(s) de ${plan.settings.sessionMinutes} min desde las ${plan.settings.start},
+                ${plan.capacity.slots} slot(s) cada una: ${plan.capacity.sessions} corridas por día.
+                Cada perfil corre entre ${plan.share.min} y ${plan.share.max} vez/veces
+                (enfriamiento ${plan.settings.cooldownMinutes} min).
+            </p>
+            ${plan.warnings.map(warning => `<div class="alert alert-warning">${Utils.escapeAttr(warning)}</div>`).join('')}
+            <div class="reports-table-wrapper">
+                <table class="reports-table">
+                    <thead>
+                        <tr>
+                            <th>Programación</th>
+                            <th>Ventana</th>
+                            <th>Perfiles</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${schedules.map(schedule => `
+                            <tr>
+                                <td><strong>${Utils.escapeAttr(schedule.name)}</strong> <code>${Utils.escapeAttr(schedule.cron)}</code></td>
+                                <td>${Utils.escapeAttr(`${schedule.window.start}-${schedule.window.end}`)}</td>
+                                <td>${Utils.escapeAttr(schedule.profileIds.join(', '))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="reports-table-wrapper">
+                <table class="reports-table">
+                    <thead>
+                        <tr>
+                            <th>Perfil</th>
+                            <th>Corridas por día</th>
+                            <th>Tandas</th>
+                            <th>Última corrida</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${plan.profiles.map(profile => `
+                            <tr>
+                                <td>${Utils.escapeAttr(profile.profileId)}</td>
+                                <td>${profile.runs}</td>
+                                <td>${profile.waves.join(', ') || '-'}</td>
+                                <td>${Utils.escapeAttr(lastRuns.get(profile.profileId) || 'Nunca')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Guarda como programaciones el plan mostrado en la vista previa
+     */
+    async commitRotation() {
+        if (!this.rotationConfig) return;
+
+        this.elements.rotationCommitBtn.disabled = true;
+        try {
+            const result = await window.electronAPI.schedules.commitRotation(this.rotationConfig);
+            if (!result.success) {
+                this.elements.rotationCommitBtn.disabled = false;
+                this.app.showError('Error guardando la rotación: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+
+            const replaced = result.removed > 0 ? ` (reemplaza ${result.removed})` : '';
+            this.app.showSuccess(`Rotación guardada: ${result.created} programación(es)${replaced}`);
+            this.elements.rotationForm.reset();
+            this.clearRotationPreview();
+            await this.load();
+        } catch (error) {
+            this.elements.rotationCommitBtn.disabled = false;
+            console.error('Error guardando rotación:', error);
+            this.app.showError('Error de conexión al guardar la rotación');
+        }
+    }
+    //#endregion Rotación
+}
@@ -22,6 +22,12 @@ class SettingsManager {
         this.backendStatusMessage = null;
         this.backendDefaultUrl = '';
 
+        // Copias de la base
+        this.backupsList = null;
+        this.backupsStatusMessage = null;
+        this.backupNowButton = null;
+        this.restoreFileButton = null;
+
         this.initialized = false;
     }
 
@@ -47,6 +53,12 @@ class SettingsManager {
         this.backendResetButton = document.getElementById('reset-backend-url');
         this.backendStatusMessage = document.getElementById('backend-url-status');
 
+        // Obtener referencias a elementos del DOM - Copias de la base
+        this.backupsList = document.getElementById('backups-list');
+        this.backupsStatusMessage = document.getElementById('backups-status');
+        this.backupNowButton = document.getElementById('backup-now-btn');
+        this.restoreFileButton = document.getElementById('restore-backup-file-btn');
+
         // Pedir defaults al main para evitar duplicarlos en el cliente.
         try {
             const defaults = await window.electronAPI.config.getDefaults();
@@ -101,6 +113,15 @@ class SettingsManager {
         this.backendUrlInput?.addEventListener('input', () => {
             this.clearBackendStatus();
         });
+
+        // Copias de la base
+        this.backupNowButton?.addEventListener('click', () => {
+            this.backupNow();
+        });
+
+        this.restoreFileButton?.addEventListener('click', () => {
+            this.restoreBackup(null);
+        });
     }
 
     /**
@@ -239,6 +260,128 @@ class SettingsManager {
         }
     }
 
+    /**
+     * Carga la lista de copias de la base
+     */
+    async loadBackups() {
+        if (!this.backupsList) return;
+
+        try {
+            const result = await window.electronAPI.database.listBackups();
+            if (!result.success) {
+                this.showBackupsStatus(`Error cargando las copias: ${result.error}`, 'error');
+                return;
+            }
+            this.renderBackups(result.backups, result.backupDir);
+        } catch (error) {
+            console.error('Error cargando copias de la base:', error);
+            this.showBackupsStatus('Error cargando las copias', 'error');
+        }
+    }
+
+    /**
+     * Renderiza la tabla de copias, de la más nueva a la más vieja
+     * @param {Array<Object>} backups
+     * @param {string} backupDir - Carpeta de las copias
+     */
+    renderBackups(backups, backupDir) {
+        const labels = { auto: 'Automática', manual: 'Manual', 'pre-restore': 'Antes de restaurar' };
+
+        if (backups.length === 0) {
+            this.backupsList.innerHTML = `<p class="card-description">Todavía no hay copias en ${Utils.escapeAttr(backupDir)}.</p>`;
+            return;
+        }
+
+        this.backupsList.innerHTML = `
+            <p class="card-description">Carpeta: ${Utils.escapeAttr(backupDir)}</p>
+            <div class="reports-table-wrapper">
+                <table class="reports-table">
+                    <thead>
+                        <tr>
+                            <th>Fecha</th>
+                            <th>Tipo</th>
+                            <th>Tamaño</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${backups.map(backup => `
+                            <tr>
+                                <td title="${Utils.escapeAttr(backup.name)}">${new Date(backup.createdAt).toLocaleString('es-ES')}</td>
+                                <td>${Utils.escapeAttr(labels[backup.label] || (/^v\d+$/.test(backup.label) ? 'Antes de migrar' : backup.label))}</td>
+                                <td>${Utils.formatBytes(backup.size)}</td>
+                                <td>
+                                    <button class="btn btn-secondary btn-sm" onclick="window.settingsManager.restoreBackup('${Utils.escapeAttr(backup.name)}')">
+                                        Restaurar
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Copia la base en el acto
+     */
+    async backupNow() {
+        this.backupNowButton.disabled = true;
+        try {
+            const result = await window.electronAPI.database.backupNow();
+            if (result.success) {
+                this.showBackupsStatus(`Copia creada: ${result.name}`, 'success');
+                await this.loadBackups();
+            } else {
+                this.showBackupsStatus(`Error: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Error copiando la base:', error);
+            this.showBackupsStatus('Error al copiar la base', 'error');
+        } finally {
+            this.backupNowButton.disabled = false;
+        }
+    }
+
+    /**
+     * Reemplaza la base por una copia
+     * @param {string|null} name - Copia de la lista; null para elegir el archivo
+     */
+    async restoreBackup(name) {
+        if (name && !confirm(`¿Restaurar la copia ${name}? Se reemplazan los datos actuales; la base de ahora queda guardada como copia.`)) return;
+
+        try {
+            const result = await window.electronAPI.database.restoreBackup(name);
+            if (result.canceled) return;
+            if (!result.success) {
+                this.showBackupsStatus(`Error: ${result.error}`, 'error');
+                return;
+            }
+            this.showBackupsStatus(
+                `Base restaurada desde ${result.fileName} (${result.websites} sitios). La base anterior quedó en ${result.safetyBackup}.`,
+                'success'
+            );
+            await this.loadBackups();
+        } catch (error) {
+            console.error('Error restaurando la copia:', error);
+            this.showBackupsStatus('Error al restaurar la copia', 'error');
+        }
+    }
+
+    /**
+     * Muestra un mensaje de estado para las copias de la base
+     * @param {string} message - Mensaje a mostrar
+     * @param {string} type - Tipo: 'success', 'error', 'info'
+     */
+    showBackupsStatus(message, type = 'info') {
+        if (!this.backupsStatusMessage) return;
+
+        this.backupsStatusMessage.textContent = message;
+        this.backupsStatusMessage.className = `status-message ${type}`;
+        this.backupsStatusMessage.classList.remove('hidden');
+    }
+
     /**
      * Resetea la URL de AdsPower al valor por defecto
      */
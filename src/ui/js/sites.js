@@ -0,0 +1,911 @@
+/**
+ * Gestor del Catálogo de Sitios para Cookies Hexzor
+ * Editor del catálogo con paginación y filtros, listas de sitios con
+ * nombre, importación de archivos de sitios con vista previa y
+ * exportación del catálogo
+ */
+class SitesManager {
+    constructor(app) {
+        this.app = app;
+
+        // Página a la vista; la paginación y los filtros se resuelven en la base
+        this.sites = [];
+        this.page = 1;
+        this.recordsPerPage = 25;
+
+        // Sitio en edición (null = alta) e IDs marcados para el cambio en bloque.
+        // La selección sobrevive al cambio de página, no al de filtros
+        this.editingId = null;
+        this.selectedIds = new Set();
+
+        // Listas de sitios; también llenan los selectores del formulario de inicio
+        this.siteLists = [];
+        this.editingListId = null;
+
+        // Opciones de la última vista previa; importar solo se habilita
+        // mientras el formulario no cambie
+        this.importOptions = null;
+
+        this.initializeElements();
+        this.setupEventListeners();
+        this.loadSiteLists();
+    }
+
+    /**
+     * Inicializa referencias a elementos del DOM
+     */
+    initializeElements() {
+        this.elements = {
+            form: document.getElementById('site-form'),
+            formTitle: document.getElementById('site-form-title'),
+            cancelBtn: document.getElementById('site-cancel-btn'),
+            filters: document.getElementById('sites-filters'),
+            list: document.getElementById('sites-list'),
+            pagination: document.getElementById('sites-pagination'),
+            selectedCount: document.getElementById('sites-selected-count'),
+            bulkCategory: document.getElementById('sites-bulk-category'),
+            bulkApplyBtn: document.getElementById('sites-bulk-apply-btn'),
+            bulkList: document.getElementById('sites-bulk-list'),
+            bulkAddListBtn: document.getElementById('sites-bulk-add-list-btn'),
+            bulkRemoveListBtn: document.getElementById('sites-bulk-remove-list-btn'),
+            listForm: document.getElementById('site-list-form'),
+            listFormTitle: document.getElementById('site-list-form-title'),
+            listCancelBtn: document.getElementById('site-list-cancel-btn'),
+            lists: document.getElementById('site-lists'),
+            quarantined: document.getElementById('sites-quarantined'),
+            importForm: document.getElementById('sites-import-form'),
+            importBtn: document.getElementById('sites-import-btn'),
+            exportBtn: document.getElementById('sites-export-btn'),
+            importPreview: document.getElementById('sites-import-preview')
+        };
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.form) {
+            this.elements.form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.saveSite();
+            });
+            this.elements.cancelBtn.addEventListener('click', () => {
+                this.resetForm();
+            });
+        }
+
+        // La búsqueda espera a que se deje de escribir; los selectores filtran al cambiar
+        if (this.elements.filters) {
+            const applyFilters = () => {
+                this.selectedIds.clear();
+                this.load(1);
+            };
+            const debouncedFilters = Utils.debounce(applyFilters, 300);
+            this.elements.filters.addEventListener('submit', (event) => event.preventDefault());
+            this.elements.filters.addEventListener('input', (event) => {
+                if (event.target.name === 'search') debouncedFilters();
+            });
+            this.elements.filters.addEventListener('change', (event) => {
+                if (event.target.name !== 'search') applyFilters();
+            });
+        }
+
+        // Casillas de la tabla: se delega en el contenedor porque se re-renderiza
+        if (this.elements.list) {
+            this.elements.list.addEventListener('change', (event) => {
+                const checkbox = event.target;
+                if (checkbox.dataset.selectAll !== undefined) {
+                    this.sites.forEach(site => checkbox.checked ? this.selectedIds.add(site.id) : this.selectedIds.delete(site.id));
+                    this.renderSites();
+                } else if (checkbox.dataset.siteId) {
+                    const id = Number(checkbox.dataset.siteId);
+                    checkbox.checked ? this.selectedIds.add(id) : this.selectedIds.delete(id);
+                    this.renderSites();
+                }
+            });
+        }
+
+        if (this.elements.bulkApplyBtn) {
+            this.elements.bulkCategory.addEventListener('change', () => {
+                this.updateBulkActions();
+            });
+            this.elements.bulkApplyBtn.addEventListener('click', () => {
+                this.applyBulkCategory();
+            });
+        }
+
+        if (this.elements.bulkList) {
+            this.elements.bulkList.addEventListener('change', () => {
+                this.updateBulkActions();
+            });
+            this.elements.bulkAddListBtn.addEventListener('click', () => {
+                this.applyBulkList(false);
+            });
+            this.elements.bulkRemoveListBtn.addEventListener('click', () => {
+                this.applyBulkList(true);
+            });
+        }
+
+        if (this.elements.listForm) {
+            this.elements.listForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.saveSiteList();
+            });
+            this.elements.listCancelBtn.addEventListener('click', () => {
+                this.resetSiteListForm();
+            });
+        }
+
+        if (this.elements.importForm) {
+            this.elements.importForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.previewImport();
+            });
+            this.elements.importForm.addEventListener('change', () => {
+                this.clearImportPreview();
+            });
+            this.elements.importBtn.addEventListener('click', () => {
+                this.importSites();
+            });
+        }
+
+        if (this.elements.exportBtn) {
+            this.elements.exportBtn.addEventListener('click', () => {
+                this.exportSites();
+            });
+        }
+    }
+
+    /**
+     * Carga una página del catálogo con los filtros del formulario
+     * @param {number} [page] - Por defecto, la página a la vista
+     */
+    async load(page = this.page) {
+        const fields = this.elements.filters.elements;
+        const filters = {
+            search: fields.search.value.trim(),
+            category: fields.category.value,
+            status: fields.status.value,
+            listId: Number(fields.listId.value) || null
+        };
+
+        try {
+            const result = await window.electronAPI.database.listSites({ filters, page, limit: this.recordsPerPage });
+            if (!result.success) {
+                this.app.showError('Error cargando sitios: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+
+            // Si se borró el último sitio de la última página, volver a la anterior
+            if (result.data.length === 0 && page > 1) {
+                await this.load(page - 1);
+                return;
+            }
+
+            this.sites = result.data;
+            this.page = page;
+            this.renderSites();
+            this.renderPagination(result.pagination);
+        } catch (error) {
+            console.error('Error cargando sitios:', error);
+            this.app.showError('Error de conexión al cargar sitios');
+        }
+    }
+
+    //#region Listado
+    /**
+     * Renderiza la página actual del catálogo
+     */
+    renderSites() {
+        this.updateBulkActions();
+
+        if (this.sites.length === 0) {
+            this.elements.list.innerHTML = '<p class="card-description">No hay sitios que coincidan con los filtros.</p>';
+            return;
+        }
+
+        const allSelected = this.sites.every(site => this.selectedIds.has(site.id));
+        this.elements.list.innerHTML = `
+            <div class="reports-table-wrapper">
+                <table class="reports-table">
+                    <thead>
+                        <tr>
+                            <th><input type="checkbox" data-select-all ${allSelected ? 'checked' : ''} title="Seleccionar la página"></th>
+                            <th>URL</th>
+                            <th>Dominio</th>
+                            <th>Categoría</th>
+                            <th>Estado</th>
+                            <th>Visitas</th>
+                            <th>Cookies prom.</th>
+                            <th>Éxito</th>
+                            <th>Cookies/min</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.sites.map(site => this.renderSiteRow(site)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza una fila del catálogo
+     */
+    renderSiteRow(site) {
+        const active = site.status === 'active';
+        const badge = {
+            active: ['badge-success', 'Activo'],
+            quarantined: ['badge-warning', 'En cuarentena']
+        }[site.status] || ['badge-neutral', 'Inactivo'];
+
+        return `
+            <tr class="site-row ${active ? '' : 'inactive'}">
+                <td><input type="checkbox" data-site-id="${site.id}" ${this.selectedIds.has(site.id) ? 'checked' : ''}></td>
+                <td><a href="${Utils.escapeAttr(site.url)}">${Utils.escapeAttr(site.url)}</a></td>
+                <td>${Utils.escapeAttr(site.domain)}</td>
+                <td><span class="badge badge-neutral">${Utils.escapeAttr(site.category)}</span></td>
+                <td>
+                    <span class="badge ${badge[0]}" ${site.health_score !== null && site.health_score !== undefined ? `title="Puntaje de salud: ${site.health_score}"` : ''}>${badge[1]}</span>
+                </td>
+                <td>${this.app.formatNumber(site.visit_count || 0)}</td>
+                <td>${Math.round(site.avg_cookies_collected || 0)}</td>
+                <td title="${Utils.escapeAttr(site.last_error ? `Último error: ${site.last_error}` : '')}">${site.success_rate !== null ? `${site.success_rate}%` : '-'}</td>
+                <td title="Duración media ${site.avg_duration_seconds ?? '-'}s, p95 ${site.p95_duration_seconds ?? '-'}s">${site.cookies_per_minute ?? '-'}</td>
+                <td>
+                    <div class="schedule-actions">
+                        <button class="btn btn-secondary btn-sm" onclick="window.sitesManager.editSite(${site.id})">
+                            Editar
+                        </button>
+                        <button class="btn btn-outline btn-sm" onclick="window.sitesManager.toggleSite(${site.id})">
+                            ${active ? 'Desactivar' : 'Activar'}
+                        </button>
+                        <button class="btn btn-outline btn-sm" onclick="window.sitesManager.removeSite(${site.id})">
+                            Borrar
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Renderiza controles de paginación
+     */
+    renderPagination(pagination) {
+        if (pagination.totalPages <= 1) {
+            this.elements.pagination.innerHTML = '';
+            return;
+        }
+
+        const { currentPage, totalPages, totalRecords, hasNextPage, hasPreviousPage } = pagination;
+        const first = (currentPage - 1) * this.recordsPerPage + 1;
+
+        this.elements.pagination.innerHTML = `
+            <div class="pagination-wrapper">
+                <div class="pagination-info">
+                    Mostrando ${first} - ${Math.min(currentPage * this.recordsPerPage, totalRecords)} de ${totalRecords} sitios
+                </div>
+                <div class="pagination-controls">
+                    <button class="btn btn-secondary btn-sm" ${!hasPreviousPage ? 'disabled' : ''}
+                            onclick="window.sitesManager.load(${currentPage - 1})">
+                        ← Anterior
+                    </button>
+                    <span class="pagination-info">Página ${currentPage} de ${totalPages}</span>
+                    <button class="btn btn-secondary btn-sm" ${!hasNextPage ? 'disabled' : ''}
+                            onclick="window.sitesManager.load(${currentPage + 1})">
+                        Siguiente →
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Carga los sitios en cuarentena
+     */
+    async loadQuarantined() {
+        if (!this.elements.quarantined) return;
+
+        try {
+            const result = await window.electronAPI.database.listQuarantined();
+            if (!result.success) {
+                this.app.showError('Error cargando sitios en cuarentena: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+            this.renderQuarantined(result.sites);
+        } catch (error) {
+            console.error('Error cargando sitios en cuarentena:', error);
+        }
+    }
+
+    /**
+     * Renderiza la tabla de sitios en cuarentena con su último error
+     */
+    renderQuarantined(sites) {
+        if (sites.length === 0) {
+            this.elements.quarantined.innerHTML = '<p class="card-description">No hay sitios en cuarentena.</p>';
+            return;
+        }
+
+        this.elements.quarantined.innerHTML = `
+            <div class="reports-table-wrapper">
+                <table class="reports-table">
+                    <thead>
+                        <tr>
+                            <th>Dominio</th>
+                            <th>Último error</th>
+                            <th>Puntaje</th>
+                            <th>Desde</th>
+                            <th>Próximo reintento</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sites.map(site => `
+                            <tr>
+                                <td><a href="${Utils.escapeAttr(site.url)}">${Utils.escapeAttr(site.domain)}</a></td>
+                                <td title="${Utils.escapeAttr(site.last_error_at ? this.app.formatDate(site.last_error_at) : '')}">
+                                    ${Utils.escapeAttr(site.last_error || site.quarantine_reason || '-')}
+                                </td>
+                                <td>${site.health_score ?? '-'}</td>
+                                <td>${site.quarantined_at ? this.app.formatDate(site.quarantined_at) : '-'}</td>
+                                <td>${site.quarantine_retry_at ? this.app.formatDate(site.quarantine_retry_at) : 'Solo a mano'}</td>
+                                <td>
+                                    <button class="btn btn-secondary btn-sm" onclick="window.sitesManager.reviveSite(${site.id})">
+                                        Revivir
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Saca un sitio de la cuarentena y lo devuelve a la rotación
+     */
+    async reviveSite(id) {
+        try {
+            const result = await window.electronAPI.database.reviveSites([id]);
+            if (!result.success) {
+                this.app.showError('Error reviviendo el sitio: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+            await Promise.all([this.load(), this.loadSiteLists(), this.loadQuarantined()]);
+        } catch (error) {
+            console.error('Error reviviendo sitio:', error);
+            this.app.showError('Error de conexión al revivir el sitio');
+        }
+    }
+
+    /**
+     * Activa o desactiva un sitio; los inactivos no entran en la navegación
+     */
+    async toggleSite(id) {
+        const site = this.sites.find(item => item.id === id);
+        if (!site) return;
+
+        try {
+            const status = site.status === 'active' ? 'inactive' : 'active';
+            const result = await window.electronAPI.database.saveSite({ id, status });
+            if (!result.success) {
+                this.app.showError('Error actualizando el sitio: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+            // Los totales de las listas solo cuentan los activos
+            await Promise.all([this.load(), this.loadSiteLists(), this.loadQuarantined()]);
+        } catch (error) {
+            console.error('Error actualizando sitio:', error);
+            this.app.showError('Error de conexión al actualizar el sitio');
+        }
+    }
+
+    /**
+     * Borra un sitio del catálogo
+     */
+    async removeSite(id) {
+        const site = this.sites.find(item => item.id === id);
+        if (!site || !confirm(`¿Borrar ${site.url} del catálogo? Para dejar de visitarlo sin perder sus estadísticas, desactívalo.`)) return;
+
+        try {
+            const result = await window.electronAPI.database.removeSite(id);
+            if (!result.success) {
+                this.app.showError('Error borrando el sitio: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+            this.selectedIds.delete(id);
+            if (this.editingId === id) {
+                this.resetForm();
+            }
+            await Promise.all([this.load(), this.loadSiteLists()]);
+        } catch (error) {
+            console.error('Error borrando sitio:', error);
+            this.app.showError('Error de conexión al borrar el sitio');
+        }
+    }
+
+    /**
+     * Refleja la selección en la barra de cambio en bloque
+     */
+    updateBulkActions() {
+        const count = this.selectedIds.size;
+        this.elements.selectedCount.textContent = count === 0
+            ? 'Ningún sitio seleccionado'
+            : `${count} sitio(s) seleccionado(s)`;
+        this.elements.bulkApplyBtn.disabled = count === 0 || !this.elements.bulkCategory.value;
+        this.elements.bulkAddListBtn.disabled = count === 0 || !this.elements.bulkList.value;
+        this.elements.bulkRemoveListBtn.disabled = count === 0 || !this.elements.bulkList.value;
+    }
+
+    /**
+     * Cambia la categoría de todos los sitios seleccionados
+     */
+    async applyBulkCategory() {
+        const category = this.elements.bulkCategory.value;
+        if (this.selectedIds.size === 0 || !category) return;
+
+        this.elements.bulkApplyBtn.disabled = true;
+        try {
+            const result = await window.electronAPI.database.setSitesCategory([...this.selectedIds], category);
+            if (!result.success) {
+                this.updateBulkActions();
+                this.app.showError('Error cambiando la categoría: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+
+            this.app.showSuccess(`Categoría cambiada a ${Utils.escapeAttr(category)} en ${result.updated} sitio(s)`);
+            this.selectedIds.clear();
+            this.elements.bulkCategory.value = '';
+            await this.load();
+        } catch (error) {
+            this.updateBulkActions();
+            console.error('Error cambiando categoría:', error);
+            this.app.showError('Error de conexión al cambiar la categoría');
+        }
+    }
+    //#endregion Listado
+
+    //#region Editor
+    /**
+     * Lleva un sitio de la página al formulario
+     */
+    editSite(id) {
+        const site = this.sites.find(item => item.id === id);
+        if (!site) return;
+
+        const fields = this.elements.form.elements;
+        fields.url.value = site.url;
+        fields.category.value = site.category;
+        fields.status.value = site.status;
+        this.editingId = id;
+        this.elements.formTitle.textContent = `Editar ${site.domain}`;
+        this.elements.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Vuelve el formulario al alta de un sitio nuevo
+     */
+    resetForm() {
+        this.elements.form.reset();
+        this.editingId = null;
+        this.elements.formTitle.textContent = 'Nuevo sitio';
+    }
+
+    /**
+     * Guarda el sitio del formulario (alta o edición)
+     */
+    async saveSite() {
+        const fields = this.elements.form.elements;
+        try {
+            const result = await window.electronAPI.database.saveSite({
+                id: this.editingId,
+                url: fields.url.value.trim(),
+                category: fields.category.value,
+                status: fields.status.value
+            });
+            if (!result.success) {
+                this.app.showError('Error guardando el sitio: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+
+            this.app.showSuccess(`Sitio guardado: ${Utils.escapeAttr(result.site.url)}`);
+            this.resetForm();
+            await Promise.all([this.load(), this.loadQuarantined()]);
+        } catch (error) {
+            console.error('Error guardando sitio:', error);
+            this.app.showError('Error de conexión al guardar el sitio');
+        }
+    }
+    //#endregion Editor
+
+    //#region Listas
+    /**
+     * Carga las listas de sitios y actualiza los selectores que las usan
+     */
+    async loadSiteLists() {
+        try {
+            const result = await window.electronAPI.database.listSiteLists();
+            if (!result.success) {
+                this.app.showError('Error cargando listas de sitios: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+
+            this.siteLists = result.lists;
+            this.renderSiteLists();
+            this.fillSiteListSelects();
+        } catch (error) {
+            console.error('Error cargando listas de sitios:', error);
+        }
+    }
+
+    /**
+     * Renderiza la tabla de listas con sus totales
+     */
+    renderSiteLists() {
+        if (!this.elements.lists) return;
+
+        if (this.siteLists.length === 0) {
+            this.elements.lists.innerHTML = '';
+            return;
+        }
+
+        this.elements.lists.innerHTML = `
+            <div class="reports-table-wrapper">
+                <table class="reports-table">
+                    <thead>
+                        <tr>
+                            <th>Lista</th>
+                            <th>Descripción</th>
+                            <th>Sitios activos</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.siteLists.map(list => `
+                            <tr>
+                                <td><strong>${Utils.escapeAttr(list.name)}</strong></td>
+                                <td>${Utils.escapeAttr(list.description || '')}</td>
+                                <td>${list.active_count} de ${list.site_count}</td>
+                                <td>
+                                    <div class="schedule-actions">
+                                        <button class="btn btn-secondary btn-sm" onclick="window.sitesManager.showSiteListSites(${list.id})">
+                                            Ver sitios
+                                        </button>
+                                        <button class="btn btn-outline btn-sm" onclick="window.sitesManager.editSiteList(${list.id})">
+                                            Editar
+                                        </button>
+                                        <button class="btn btn-outline btn-sm" onclick="window.sitesManager.removeSiteList(${list.id})">
+                                            Borrar
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Repone las opciones de los selectores marcados con data-site-lists
+     * ("id" o "name" según el valor que necesitan), conservando la
+     * primera opción y la elegida si la lista sigue existiendo
+     */
+    fillSiteListSelects() {
+        document.querySelectorAll('select[data-site-lists]').forEach(select => {
+            const key = select.dataset.siteLists;
+            const selected = select.value;
+            const placeholder = select.options[0];
+
+            select.innerHTML = '';
+            select.appendChild(placeholder);
+            this.siteLists.forEach(list => {
+                select.appendChild(new Option(`${list.name} (${list.active_count})`, String(list[key])));
+            });
+            select.value = this.siteLists.some(list => String(list[key]) === selected) ? selected : '';
+        });
+        this.updateBulkActions();
+    }
+
+    /**
+     * Filtra el catálogo por una lista
+     */
+    showSiteListSites(id) {
+        this.elements.filters.elements.listId.value = String(id);
+        this.selectedIds.clear();
+        this.load(1);
+        this.elements.filters.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Lleva una lista al formulario
+     */
+    editSiteList(id) {
+        const list = this.siteLists.find(item => item.id === id);
+        if (!list) return;
+
+        const fields = this.elements.listForm.elements;
+        fields.name.value = list.name;
+        fields.description.value = list.description || '';
+        this.editingListId = id;
+        this.elements.listFormTitle.textContent = `Editar ${list.name}`;
+        this.elements.listForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Vuelve el formulario al alta de una lista nueva
+     */
+    resetSiteListForm() {
+        this.elements.listForm.reset();
+        this.editingListId = null;
+        this.elements.listFormTitle.textContent = 'Nueva lista de sitios';
+    }
+
+    /**
+     * Guarda la lista del formulario (alta o edición)
+     */
+    async saveSiteList() {
+        const fields = this.elements.listForm.elements;
+        const previous = this.siteLists.find(item => item.id === this.editingListId);
+        try {
+            const result = await window.electronAPI.database.saveSiteList({
+                id: this.editingListId,
+                name: fields.name.value,
+                description: fields.description.value
+            });
+            if (!result.success) {
+                this.app.showError('Error guardando la lista: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+
+            if (previous && previous.name !== result.list.name) {
+                this.app.showWarning(`Lista renombrada a ${Utils.escapeAttr(result.list.name)}. Los lotes y programaciones que usaban ${Utils.escapeAttr(previous.name)} ya no la encuentran.`);
+            } else {
+                this.app.showSuccess(`Lista guardada: ${Utils.escapeAttr(result.list.name)}`);
+            }
+            this.resetSiteListForm();
+            await this.loadSiteLists();
+        } catch (error) {
+            console.error('Error guardando lista de sitios:', error);
+            this.app.showError('Error de conexión al guardar la lista');
+        }
+    }
+
+    /**
+     * Borra una lista; sus sitios siguen en el catálogo
+     */
+    async removeSiteList(id) {
+        const list = this.siteLists.find(item => item.id === id);
+        if (!list || !confirm(`¿Borrar la lista ${list.name}? Sus sitios siguen en el catálogo.`)) return;
+
+        try {
+            const result = await window.electronAPI.database.removeSiteList(id);
+            if (!result.success) {
+                this.app.showError('Error borrando la lista: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+            if (this.editingListId === id) {
+                this.resetSiteListForm();
+            }
+
+            const filtered = this.elements.filters.elements.listId.value === String(id);
+            await this.loadSiteLists();
+            if (filtered) {
+                this.selectedIds.clear();
+                await this.load(1);
+            }
+        } catch (error) {
+            console.error('Error borrando lista de sitios:', error);
+            this.app.showError('Error de conexión al borrar la lista');
+        }
+    }
+
+    /**
+     * Suma o quita de la lista elegida los sitios seleccionados
+     * @param {boolean} remove - true para quitarlos
+     */
+    async applyBulkList(remove) {
+        const listId = Number(this.elements.bulkList.value);
+        if (this.selectedIds.size === 0 || !listId) return;
+
+        this.elements.bulkAddListBtn.disabled = true;
+        this.elements.bulkRemoveListBtn.disabled = true;
+        try {
+            const result = await window.electronAPI.database.setSiteListMembers(listId, [...this.selectedIds], remove);
+            if (!result.success) {
+                this.updateBulkActions();
+                this.app.showError('Error actualizando la lista: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+
+            this.app.showSuccess(remove
+                ? `${result.changed} sitio(s) quitado(s) de ${Utils.escapeAttr(result.list)}`
+                : `${result.changed} sitio(s) sumado(s) a ${Utils.escapeAttr(result.list)}`);
+            this.selectedIds.clear();
+            await this.loadSiteLists();
+            await this.load();
+        } catch (error) {
+            this.updateBulkActions();
+            console.error('Error actualizando lista de sitios:', error);
+            this.app.showError('Error de conexión al actualizar la lista');
+        }
+    }
+    //#endregion Listas
+
+    //#region Importación
+    /**
+     * Opciones que reciben database:previewImport y database:importSites
+     */
+    getImportOptions() {
+        const fields = this.elements.importForm.elements;
+        return {
+            category: fields.category.value || null,
+            update: fields.update.checked
+        };
+    }
+
+    /**
+     * Pide el archivo y muestra qué cambiaría, sin tocar la base
+     */
+    async previewImport() {
+        const options = this.getImportOptions();
+        try {
+            const result = await window.electronAPI.database.previewImport(options);
+            if (result.canceled) return;
+            if (!result.success) {
+                this.clearImportPreview();
+                this.app.showError('Error leyendo la lista de sitios: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+
+            this.importOptions = options;
+            this.elements.importBtn.disabled = result.diff.added.length === 0
+                && !(options.update && result.diff.changed.length > 0);
+            this.renderImportPreview(result.fileName, result.diff, options);
+        } catch (error) {
+            console.error('Error leyendo lista de sitios:', error);
+            this.app.showError('Error de conexión al leer la lista de sitios');
+        }
+    }
+
+    /**
+     * Descarta la vista previa: las opciones cambiaron y ya no vale
+     */
+    clearImportPreview() {
+        this.importOptions = null;
+        this.elements.importBtn.disabled = true;
+        this.elements.importPreview.innerHTML = '';
+    }
+
+    /**
+     * Renderiza el resumen de la diferencia, los cambios y las filas descartadas
+     */
+    renderImportPreview(fileName, diff, options) {
+        const changes = [
+            ...diff.added.map(site => ({ site, label: 'Nuevo', detail: `${site.category}, ${site.status}` })),
+            ...diff.changed.map(site => ({
+                site,
+                label: options.update ? 'Se actualiza' : 'Se conserva',
+                detail: `${site.previous.category}, ${site.previous.status} → ${site.category}, ${site.status}`
+            }))
+        ];
+        const discarded = [
+            ...diff.invalid.map(entry => ({ row: entry.row, value: entry.value || '(vacía)', reason: entry.reason })),
+            ...diff.duplicates.map(entry => ({ row: entry.row, value: entry.url, reason: `Repetida (fila ${entry.firstRow})` }))
+        ].sort((a, b) => a.row - b.row);
+        const limit = 50;
+
+        this.elements.importPreview.innerHTML = `
+            <p class="card-description">
+                <strong>${Utils.escapeAttr(fileName)}</strong>:
+                ${diff.added.length} nuevo(s), ${diff.changed.length} con otra categoría o estado,
+                ${diff.unchanged.length} sin cambios, ${diff.duplicates.length} repetido(s) y ${diff.invalid.length} inválido(s).
+            </p>
+            ${diff.changed.length > 0 && !options.update ? `
+                <div class="alert alert-warning">
+                    Los sitios que ya existen conservan su categoría y estado. Marca la opción de aplicarlos y vuelve a elegir el archivo para actualizarlos.
+                </div>
+            ` : ''}
+            ${changes.length > 0 ? `
+                <div class="reports-table-wrapper">
+                    <table class="reports-table">
+                        <thead>
+                            <tr>
+                                <th>URL</th>
+                                <th>Dominio</th>
+                                <th>Cambio</th>
+                                <th>Categoría y estado</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${changes.slice(0, limit).map(({ site, label, detail }) => `
+                                <tr>
+                                    <td>${Utils.escapeAttr(site.url)}</td>
+                                    <td>${Utils.escapeAttr(site.domain)}</td>
+                                    <td>${label}</td>
+                                    <td>${Utils.escapeAttr(detail)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${changes.length > limit ? `<p class="card-description">... y ${changes.length - limit} más</p>` : ''}
+            ` : ''}
+            ${discarded.length > 0 ? `
+                <div class="reports-table-wrapper">
+                    <table class="reports-table">
+                        <thead>
+                            <tr>
+                                <th>Fila</th>
+                                <th>Valor</th>
+                                <th>Descartada por</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${discarded.slice(0, limit).map(entry => `
+                                <tr>
+                                    <td>${entry.row}</td>
+                                    <td>${Utils.escapeAttr(entry.value)}</td>
+                                    <td>${Utils.escapeAttr(entry.reason)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${discarded.length > limit ? `<p class="card-description">... y ${discarded.length - limit} más</p>` : ''}
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Importa el archivo de la vista previa con las mismas opciones
+     */
+    async importSites() {
+        if (!this.importOptions) return;
+
+        this.elements.importBtn.disabled = true;
+        try {
+            const result = await window.electronAPI.database.importSites(this.importOptions);
+            if (!result.success) {
+                this.elements.importBtn.disabled = false;
+                this.app.showError('Error importando sitios: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+
+            const updated = result.updated > 0 ? `, ${result.updated} actualizado(s)` : '';
+            this.app.showSuccess(`Importación terminada: ${result.inserted} sitio(s) agregado(s)${updated}`);
+            this.elements.importForm.reset();
+            this.clearImportPreview();
+            await this.load(1);
+        } catch (error) {
+            this.elements.importBtn.disabled = false;
+            console.error('Error importando sitios:', error);
+            this.app.showError('Error de conexión al importar sitios');
+        }
+    }
+    //#endregion Importación
+
+    /**
+     * Exporta el catálogo completo al archivo que elija el usuario
+     */
+    async exportSites() {
+        try {
+            const result = await window.electronAPI.database.exportSites();
+            if (result.canceled) return;
+            if (!result.success) {
+                this.app.showError('Error exportando el catálogo: ' + Utils.escapeAttr(result.error));
+                return;
+            }
+
+            this.app.showSuccess(`Catálogo exportado: ${result.count} sitio(s) en ${Utils.escapeAttr(result.fileName)}`);
+        } catch (error) {
+            console.error('Error exportando catálogo:', error);
+            this.app.showError('Error de conexión al exportar el catálogo');
+        }
+    }
+}
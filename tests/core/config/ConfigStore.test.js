@@ -94,6 +94,123 @@ describe('ConfigStore', () => {
         });
     });
 
+    describe('getConcurrencyConfig', () => {
+        it('devuelve los límites del pool desde la sección adspower', () => {
+            const cs = new ConfigStore(makeStore());
+            cs.set('adspower.maxConcurrentProfiles', 4);
+            expect(cs.getConcurrencyConfig()).toEqual({
+                maxConcurrentProfiles: 4,
+                profileStartupDelay: DEFAULT_APP_CONFIG.adspower.profileStartupDelay,
+                profileStartupJitter: DEFAULT_APP_CONFIG.adspower.profileStartupJitter
+            });
+        });
+
+        it('cae a los defaults cuando el store persistido no tiene las claves', () => {
+            const { maxConcurrentProfiles, profileStartupDelay, profileStartupJitter, ...legacy } = DEFAULT_APP_CONFIG.adspower;
+            const cs = new ConfigStore(makeStore({ ...DEFAULT_APP_CONFIG, adspower: legacy }));
+            expect(cs.getConcurrencyConfig()).toEqual({
+                maxConcurrentProfiles,
+                profileStartupDelay,
+                profileStartupJitter
+            });
+        });
+    });
+
+    describe('getWatchdogConfig', () => {
+        it('mezcla las claves guardadas con los defaults', () => {
+            const cs = new ConfigStore(makeStore());
+            cs.set('navigation.watchdog', { idleTimeout: 60000 });
+            expect(cs.getWatchdogConfig()).toEqual({
+                ...DEFAULT_APP_CONFIG.navigation.watchdog,
+                idleTimeout: 60000
+            });
+        });
+
+        it('cae a los defaults cuando la sección navigation no tiene watchdog', () => {
+            const { watchdog, ...legacy } = DEFAULT_APP_CONFIG.navigation;
+            const cs = new ConfigStore(makeStore({ ...DEFAULT_APP_CONFIG, navigation: legacy }));
+            expect(cs.getWatchdogConfig()).toEqual(watchdog);
+        });
+    });
+
+    describe('getSiteHealthConfig', () => {
+        it('mezcla las claves guardadas con los defaults', () => {
+            const cs = new ConfigStore(makeStore());
+            cs.set('navigation.siteHealth', { quarantineBelow: 25, enabled: false });
+            expect(cs.getSiteHealthConfig()).toEqual({
+                ...DEFAULT_APP_CONFIG.navigation.siteHealth,
+                quarantineBelow: 25,
+                enabled: false
+            });
+        });
+    });
+
+    describe('getSchedulerConfig', () => {
+        it('cae a los defaults cuando el store no tiene la sección scheduler', () => {
+            const { scheduler, ...legacy } = DEFAULT_APP_CONFIG;
+            const cs = new ConfigStore(makeStore(legacy));
+            expect(cs.getSchedulerConfig()).toEqual(scheduler);
+        });
+
+        it('respeta las claves guardadas', () => {
+            const cs = new ConfigStore(makeStore());
+            cs.set('scheduler', { enabled: false });
+            expect(cs.getSchedulerConfig()).toEqual({
+                ...DEFAULT_APP_CONFIG.scheduler,
+                enabled: false
+            });
+        });
+    });
+
+    describe('getBackupConfig', () => {
+        it('completa con defaults la sección database guardada antes de las copias automáticas', () => {
+            const cs = new ConfigStore(makeStore({
+                ...DEFAULT_APP_CONFIG,
+                database: { backupInterval: 3600000, maxRetries: 3 }
+            }));
+            expect(cs.getBackupConfig()).toEqual({
+                autoBackup: DEFAULT_APP_CONFIG.database.autoBackup,
+                backupInterval: 3600000,
+                keepBackups: DEFAULT_APP_CONFIG.database.keepBackups,
+                maxBackupAgeDays: DEFAULT_APP_CONFIG.database.maxBackupAgeDays
+            });
+        });
+    });
+
+    describe('getMaintenanceConfig', () => {
+        it('respeta el 0 guardado (sin resumir visitas) y completa el resto con defaults', () => {
+            const cs = new ConfigStore(makeStore());
+            cs.set('database.visitRetentionDays', 0);
+            expect(cs.getMaintenanceConfig()).toEqual({
+                visitRetentionDays: 0,
+                autoMaintenance: DEFAULT_APP_CONFIG.database.autoMaintenance,
+                maintenanceInterval: DEFAULT_APP_CONFIG.database.maintenanceInterval
+            });
+        });
+    });
+
+    describe('getProfileCooldownMinutes', () => {
+        it('cae al default si la sección navigation se guardó sin la clave', () => {
+            const { profileCooldownMinutes, ...navigation } = DEFAULT_APP_CONFIG.navigation;
+            const cs = new ConfigStore(makeStore({ ...DEFAULT_APP_CONFIG, navigation }));
+            expect(cs.getProfileCooldownMinutes()).toBe(profileCooldownMinutes);
+        });
+
+        it('respeta el 0 guardado (enfriamiento desactivado)', () => {
+            const cs = new ConfigStore(makeStore());
+            cs.set('navigation.profileCooldownMinutes', 0);
+            expect(cs.getProfileCooldownMinutes()).toBe(0);
+        });
+    });
+
+    describe('getSiteRevisitWindowHours', () => {
+        it('cae al default si la sección navigation se guardó sin la clave', () => {
+            const { siteRevisitWindowHours, ...navigation } = DEFAULT_APP_CONFIG.navigation;
+            const cs = new ConfigStore(makeStore({ ...DEFAULT_APP_CONFIG, navigation }));
+            expect(cs.getSiteRevisitWindowHours()).toBe(siteRevisitWindowHours);
+        });
+    });
+
     describe('purgeLegacyBackendUrl', () => {
         it('reemplaza la URL del backend si está en LEGACY_AUTH_BACKEND_URLS', () => {
             const legacy = LEGACY_AUTH_BACKEND_URLS[0];
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import BackupScheduler from '../../../src/core/database/BackupScheduler.js';
+
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const backup = (label, daysAgo) => ({
+    name: `loadtest-${label}-${daysAgo}.db`,
+    label,
+    createdAt: new Date(NOW - daysAgo * DAY_MS)
+});
+
+describe('BackupScheduler', () => {
+    let scheduler;
+
+    afterEach(() => {
+        scheduler?.stop();
+    });
+
+    it('selectExpired rota las automáticas por cantidad y edad, y no toca las manuales', () => {
+        const backups = [
+            backup('auto', 1), backup('manual', 2), backup('auto', 3), backup('v2', 10),
+            backup('auto', 5), backup('pre-restore', 40), backup('manual', 90)
+        ];
+
+        const expired = BackupScheduler.selectExpired(backups, { keepBackups: 2, maxBackupAgeDays: 30 }, NOW);
+        expect(expired.map(item => item.name)).toEqual(['loadtest-auto-5.db', 'loadtest-pre-restore-40.db']);
+
+        expect(BackupScheduler.selectExpired(backups, { keepBackups: 0, maxBackupAgeDays: 0 }, NOW)).toEqual([]);
+    });
+
+    it('selectExpired guarda siempre la automática más nueva aunque sea vieja', () => {
+        const backups = [backup('auto', 45), backup('auto', 60)];
+        const expired = BackupScheduler.selectExpired(backups, { keepBackups: 7, maxBackupAgeDays: 30 }, NOW);
+        expect(expired.map(item => item.name)).toEqual(['loadtest-auto-60.db']);
+    });
+
+    it('check copia solo cuando la última automática venció y después rota', async () => {
+        let backups = [backup('auto', 0.5), backup('auto', 1.5), backup('auto', 2.5)];
+        const databaseManager = {
+            listBackups: vi.fn(async () => backups),
+            createBackup: vi.fn(async label => {
+                backups = [backup(label, 0), ...backups];
+                return `/backups/loadtest-${label}.db`;
+            }),
+            deleteBackups: vi.fn(async expired => expired.length)
+        };
+        scheduler = new BackupScheduler({ databaseManager, backupInterval: DAY_MS, keepBackups: 3, now: () => NOW.getTime() });
+
+        expect(await scheduler.check()).toBeNull();
+        expect(databaseManager.createBackup).not.toHaveBeenCalled();
+
+        backups = backups.slice(1);
+        expect(await scheduler.check()).toBe('/backups/loadtest-auto.db');
+        expect(databaseManager.deleteBackups).not.toHaveBeenCalled();
+
+        backups = [backup('auto', 1.2), backup('auto', 1.5), backup('auto', 2.5)];
+        await scheduler.check();
+        expect(databaseManager.deleteBackups).toHaveBeenCalledWith([expect.objectContaining({ name: 'loadtest-auto-2.5.db' })]);
+    });
+
+    it('check registra el error y no corta el programador', async () => {
+        const databaseManager = {
+            listBackups: vi.fn(async () => []),
+            createBackup: vi.fn(async () => { throw new Error('disco lleno'); }),
+            deleteBackups: vi.fn()
+        };
+        scheduler = new BackupScheduler({ databaseManager });
+
+        await expect(scheduler.check()).resolves.toBeNull();
+        expect(databaseManager.deleteBackups).not.toHaveBeenCalled();
+    });
+});
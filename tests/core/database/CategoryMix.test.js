@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import CategoryMix from '../../../src/core/database/CategoryMix.js';
+
+// Generador determinístico para el sorteo (LCG)
+const seeded = (seed) => () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+};
+
+const sites = (category, count) => Array.from({ length: count }, (_, index) => ({ id: `${category}-${index}`, category }));
+
+describe('CategoryMix', () => {
+    it('from lee texto, objetos y mezclas, y normaliza los pesos a porcentajes', () => {
+        expect(CategoryMix.from('news=40, blog:30%, Ecommerce=30').toJSON()).toEqual({ news: 40, blog: 30, ecommerce: 30 });
+        expect(CategoryMix.from({ news: 2, blog: 1, tech: 0 }).toJSON()).toEqual({ news: 66.7, blog: 33.3 });
+        expect(CategoryMix.from('news=1').describe()).toBe('news 100%');
+
+        const mix = new CategoryMix({ news: 1 });
+        expect(CategoryMix.from(mix)).toBe(mix);
+        expect(CategoryMix.from(null)).toBeNull();
+        expect(CategoryMix.from(' ; ')).toBeNull();
+        expect(CategoryMix.from({})).toBeNull();
+    });
+
+    it('rechaza categorías desconocidas, pesos inválidos, repetidos y mezclas sin peso', () => {
+        expect(() => CategoryMix.from('cocina=50')).toThrow(/Categoría desconocida/);
+        expect(() => CategoryMix.from('news=-5')).toThrow(/Peso inválido/);
+        expect(() => CategoryMix.from('news=mucho')).toThrow(/Peso inválido/);
+        expect(() => CategoryMix.from('news')).toThrow(/usar categoría=peso/);
+        expect(() => CategoryMix.from('news=10,NEWS=20')).toThrow(/repetida/);
+        expect(() => CategoryMix.from('news=0,blog=0')).toThrow(/al menos una categoría/);
+    });
+
+    it('sample respeta la mezcla pedida y reparte la parte de las categorías agotadas', () => {
+        const mix = CategoryMix.from('news=40,blog=30,ecommerce=30');
+        const pools = { news: sites('news', 1000), blog: sites('blog', 1000), ecommerce: sites('ecommerce', 1000), tech: sites('tech', 10) };
+
+        const picked = mix.sample(pools, 1000, seeded(7));
+        const share = category => picked.filter(site => site.category === category).length / picked.length;
+        expect(picked).toHaveLength(1000);
+        expect(share('news')).toBeCloseTo(0.4, 1);
+        expect(share('blog')).toBeCloseTo(0.3, 1);
+        expect(share('ecommerce')).toBeCloseTo(0.3, 1);
+        expect(share('tech')).toBe(0);
+        expect(new Set(picked.map(site => site.id)).size).toBe(1000);
+
+        const short = mix.sample({ news: sites('news', 2), blog: sites('blog', 50) }, 30, seeded(3));
+        expect(short).toHaveLength(30);
+        expect(short.filter(site => site.category === 'news')).toHaveLength(2);
+        expect(mix.sample({ news: sites('news', 2) }, 10)).toHaveLength(2);
+    });
+
+    it('report compara la mezcla pedida con las visitas y suma las categorías no pedidas', () => {
+        const report = CategoryMix.report({ news: 40, blog: 60 }, { blog: 5, news: 4, tech: 1 });
+
+        expect(report).toEqual([
+            { category: 'blog', requested: 60, realized: 50, visits: 5 },
+            { category: 'news', requested: 40, realized: 40, visits: 4 },
+            { category: 'tech', requested: null, realized: 10, visits: 1 }
+        ]);
+        expect(CategoryMix.describeReport(report)).toBe('blog 50% (pedido 60%), news 40% (pedido 40%), tech 10%');
+        expect(CategoryMix.report({ news: 100 }, {})).toEqual([{ category: 'news', requested: 100, realized: 0, visits: 0 }]);
+    });
+});
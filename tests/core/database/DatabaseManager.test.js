@@ -1,5 +1,11 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
 import DatabaseManager from '../../../src/core/database/DatabaseManager.js';
+import { openConnection } from '../../../src/core/database/connection.js';
+import SiteCatalog from '../../../src/core/database/SiteCatalog.js';
+import CategoryMix from '../../../src/core/database/CategoryMix.js';
 
 /**
  * DatabaseManager normalmente trabaja contra un archivo SQLite en disco.
@@ -21,6 +27,13 @@ describe('DatabaseManager (in-memory SQLite)', () => {
         }
     });
 
+    // Deja la base como la de una versión de la app anterior a schema_version
+    const dropSchemaVersion = async (manager = db) => {
+        for (const table of ['schema_version', 'shipped_sites', 'site_visit_daily', 'maintenance_runs']) {
+            await manager.db.runAsync(`DROP TABLE ${table}`);
+        }
+    };
+
     describe('inicialización', () => {
         it('crea las tablas y siembra los websites iniciales', async () => {
             const count = await db.getWebsiteCount();
@@ -28,6 +41,139 @@ describe('DatabaseManager (in-memory SQLite)', () => {
         });
     });
 
+    describe('migraciones y lista de sitios de la app', () => {
+        let dir;
+
+        afterEach(async () => {
+            if (dir) await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('deja la base en la última versión del esquema', async () => {
+            const versions = await db.db.allAsync('SELECT version, name FROM schema_version ORDER BY version');
+            expect(versions.map(row => row.name)).toEqual(['baseline', 'site_visit_indexes', 'shipped_sites', 'data_retention']);
+            expect((await db.migrate()).applied).toEqual([]);
+        });
+
+        it('suma solo los sitios de la lista que nunca se sumaron, sin revivir los borrados', async () => {
+            const [first] = await db.db.allAsync('SELECT * FROM websites ORDER BY id LIMIT 1');
+            await db.deleteWebsite(first.id);
+            const count = await db.getWebsiteCount();
+
+            const added = await db.mergeShippedWebsites([
+                { url: first.url, domain: first.domain, category: first.category },
+                { url: 'https://nuevo.example.com/', domain: 'nuevo.example.com', category: 'blog', status: 'inactive' }
+            ]);
+
+            expect(added).toBe(1);
+            expect(await db.getWebsiteCount()).toBe(count + 1);
+            expect(await db.getWebsitesByUrls(['https://nuevo.example.com/'])).toEqual([expect.objectContaining({ category: 'blog', status: 'inactive' })]);
+            expect(await db.mergeShippedWebsites([{ url: 'https://nuevo.example.com/', domain: 'nuevo.example.com' }])).toBe(0);
+        });
+
+        it('copia una base en disco anterior a schema_version antes de migrarla', async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-migrations-'));
+            const dbPath = path.join(dir, 'loadtest.db');
+            const legacy = new DatabaseManager(dbPath);
+            await legacy.initialize();
+            await dropSchemaVersion(legacy);
+            const count = await legacy.getWebsiteCount();
+            await legacy.close();
+
+            const upgraded = new DatabaseManager(dbPath);
+            await upgraded.initialize();
+
+            const backups = await fs.readdir(path.join(dir, 'backups'));
+            expect(backups.map(name => name.split('-')[1]).sort()).toEqual(['v0', 'v1', 'v2', 'v3']);
+            expect(await upgraded.getWebsiteCount()).toBe(count);
+            await upgraded.close();
+        });
+    });
+
+    describe('copias de seguridad', () => {
+        let dir;
+        let onDisk;
+
+        beforeEach(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-backups-'));
+            onDisk = new DatabaseManager(path.join(dir, 'loadtest.db'));
+            await onDisk.initialize();
+        });
+
+        afterEach(async () => {
+            await onDisk.close().catch(() => {});
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('lista las copias de la más nueva a la más vieja con su etiqueta y fecha', async () => {
+            const older = await onDisk.createBackup('auto');
+            const newer = await onDisk.createBackup('pre-restore');
+            await fs.writeFile(path.join(onDisk.getBackupDir(), 'notas.txt'), 'no es una copia');
+
+            const backups = await onDisk.listBackups();
+
+            expect(backups.map(backup => backup.path)).toEqual([newer, older]);
+            expect(backups[0]).toMatchObject({ label: 'pre-restore', name: path.basename(newer) });
+            expect(backups[0].createdAt).toBeInstanceOf(Date);
+            expect(backups[0].size).toBeGreaterThan(0);
+            expect(await onDisk.findBackup(path.basename(older))).toMatchObject({ label: 'auto' });
+
+            expect(await onDisk.deleteBackups([backups[1]])).toBe(1);
+            expect(await onDisk.listBackups()).toHaveLength(1);
+            expect(await db.listBackups()).toEqual([]);
+        });
+
+        it('restaura una copia, guarda la base anterior y la deja en la última versión', async () => {
+            const count = await onDisk.getWebsiteCount();
+            const backupPath = await onDisk.createBackup('manual');
+            const [first] = await onDisk.db.allAsync('SELECT id FROM websites ORDER BY id LIMIT 1');
+            await onDisk.deleteWebsite(first.id);
+
+            const result = await onDisk.restoreBackup(backupPath);
+
+            expect(result).toMatchObject({ restoredFrom: backupPath, websites: count, migration: { applied: [] } });
+            expect(await onDisk.getWebsiteCount()).toBe(count);
+            expect(path.basename(result.safetyBackup)).toMatch(/^loadtest-pre-restore-/);
+            expect((await onDisk.validateBackup(result.safetyBackup)).websites).toBe(count - 1);
+        });
+
+        it('descarta el -wal y el -shm que hayan quedado de la base anterior', async () => {
+            await onDisk.db.runAsync('PRAGMA journal_mode = WAL');
+            const count = await onDisk.getWebsiteCount();
+            const backupPath = await onDisk.createBackup('manual');
+
+            // Otra conexión deja en el WAL cambios que no llegaron al archivo
+            const other = await openConnection(onDisk.dbPath);
+            try {
+                await other.runAsync('PRAGMA wal_autocheckpoint = 0');
+                await other.runAsync('DELETE FROM websites');
+
+                await onDisk.restoreBackup(backupPath);
+                expect(await onDisk.getWebsiteCount()).toBe(count);
+            } finally {
+                await other.closeAsync();
+            }
+        });
+
+        it('rechaza archivos que no son una copia sin tocar la base', async () => {
+            const count = await onDisk.getWebsiteCount();
+            const notDb = path.join(dir, 'texto.db');
+            await fs.writeFile(notDb, 'esto no es sqlite');
+
+            await expect(onDisk.restoreBackup(notDb)).rejects.toThrow(/no es una base SQLite válida/);
+            await expect(onDisk.restoreBackup(path.join(dir, 'falta.db'))).rejects.toThrow(/No se pudo abrir la copia/);
+
+            const newer = path.join(dir, 'nueva.db');
+            await fs.copyFile(await onDisk.createBackup('manual'), newer);
+            const future = await openConnection(newer);
+            await future.runAsync("INSERT INTO schema_version (version, name, applied_at) VALUES (99, 'futura', '2030-01-01')");
+            await future.closeAsync();
+            await expect(onDisk.restoreBackup(newer)).rejects.toThrow(/versión 99 del esquema/);
+
+            expect(await onDisk.getWebsiteCount()).toBe(count);
+            expect((await onDisk.listBackups()).map(backup => backup.label)).toEqual(['manual']);
+        });
+    });
+
     describe('getWebsiteStats', () => {
         it('devuelve totales con la forma esperada por la UI', async () => {
             const stats = await db.getWebsiteStats();
@@ -74,6 +220,15 @@ describe('DatabaseManager (in-memory SQLite)', () => {
                 expect(s.url).not.toBe(excluded);
             });
         });
+
+        it('limita a los dominios de filters.domains', async () => {
+            const [a, b] = await db.getRandomWebsites(2);
+            const sites = await db.getRandomWebsites(10, [], { domains: [a.domain, b.domain] });
+            expect(sites.length).toBeGreaterThan(0);
+            sites.forEach(s => {
+                expect([a.domain, b.domain]).toContain(s.domain);
+            });
+        });
     });
 
     describe('updateWebsiteStats', () => {
@@ -99,4 +254,947 @@ describe('DatabaseManager (in-memory SQLite)', () => {
             expect(row.avg_cookies_collected).toBeGreaterThan(0);
         });
     });
+
+    describe('recoverOrphanedSessions', () => {
+        async function insertSession(sessionId, status, targetCookies = 500) {
+            await db.db.runAsync(
+                `INSERT INTO navigation_sessions (session_id, profile_id, target_cookies, started_at, status)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [sessionId, `profile_${sessionId}`, targetCookies, '2026-01-01T10:00:00.000Z', status]
+            );
+        }
+
+        async function insertVisit(sessionId, before, after, visitedAt) {
+            await db.db.runAsync(
+                `INSERT INTO site_visits (session_id, website_id, cookies_before, cookies_after, visited_at)
+                 VALUES (?, 1, ?, ?, ?)`,
+                [sessionId, before, after, visitedAt]
+            );
+        }
+
+        it('marca como interrupted solo las sesiones que quedaron en running', async () => {
+            await insertSession('orphan', 'running');
+            await insertSession('done', 'completed');
+
+            const recovered = await db.recoverOrphanedSessions();
+
+            expect(recovered.map(s => s.sessionId)).toEqual(['orphan']);
+            const rows = await db.db.allAsync('SELECT session_id, status FROM navigation_sessions ORDER BY session_id');
+            expect(rows).toEqual([
+                { session_id: 'done', status: 'completed' },
+                { session_id: 'orphan', status: 'interrupted' }
+            ]);
+        });
+
+        it('reconstruye el último conteo de cookies y sitios desde site_visits', async () => {
+            await insertSession('orphan', 'running', 500);
+            await insertVisit('orphan', 100, 140, '2026-01-01T10:05:00.000Z');
+            await insertVisit('orphan', 140, 200, '2026-01-01T10:10:00.000Z');
+
+            const [session] = await db.recoverOrphanedSessions();
+
+            expect(session).toMatchObject({
+                profileId: 'profile_orphan',
+                targetCookies: 500,
+                cookiesCollected: 100,
+                sitesVisited: 2,
+                interruptedAt: '2026-01-01T10:10:00.000Z'
+            });
+            const row = await db.db.getAsync('SELECT cookies_collected, completed_at FROM navigation_sessions WHERE session_id = ?', ['orphan']);
+            expect(row.cookies_collected).toBe(100);
+            expect(row.completed_at).toBe('2026-01-01T10:10:00.000Z');
+        });
+
+        it('usa el último checkpoint cuando es más reciente que las visitas', async () => {
+            await insertSession('orphan', 'running', 500);
+            await insertVisit('orphan', 100, 140, '2026-01-01T10:05:00.000Z');
+            await db.saveSessionCheckpoint('orphan', {
+                cookiesCollected: 90,
+                sitesVisited: 3,
+                heartbeatAt: new Date('2026-01-01T10:20:00.000Z')
+            });
+
+            const [session] = await db.recoverOrphanedSessions();
+
+            expect(session).toMatchObject({
+                cookiesCollected: 90,
+                sitesVisited: 3,
+                interruptedAt: '2026-01-01T10:20:00.000Z'
+            });
+        });
+
+        it('no devuelve nada cuando no hay sesiones huérfanas', async () => {
+            await expect(db.recoverOrphanedSessions()).resolves.toEqual([]);
+        });
+
+        it('no toca las sesiones con un heartbeat reciente, que son de otro proceso', async () => {
+            await insertSession('stale', 'running');
+            await insertSession('live', 'running');
+            await db.saveSessionCheckpoint('live', { heartbeatAt: new Date('2026-01-01T11:55:00.000Z') });
+
+            const recovered = await db.recoverOrphanedSessions(new Date('2026-01-01T12:00:00.000Z'));
+
+            expect(recovered.map(s => s.sessionId)).toEqual(['stale']);
+            const row = await db.db.getAsync('SELECT status FROM navigation_sessions WHERE session_id = ?', ['live']);
+            expect(row.status).toBe('running');
+        });
+    });
+
+    describe('requestSessionStop / getStopRequestedSessions', () => {
+        beforeEach(async () => {
+            await db.db.runAsync(
+                `INSERT INTO navigation_sessions (session_id, profile_id, status) VALUES
+                 ('s1', 'p1', 'running'), ('s2', 'p2', 'running'), ('s0', 'p1', 'completed')`
+            );
+        });
+
+        it('marca solo la sesión en ejecución del perfil indicado', async () => {
+            await expect(db.requestSessionStop('p1')).resolves.toBe(1);
+
+            const rows = await db.db.allAsync('SELECT session_id, status FROM navigation_sessions ORDER BY session_id');
+            expect(rows).toEqual([
+                { session_id: 's0', status: 'completed' },
+                { session_id: 's1', status: 'stop_requested' },
+                { session_id: 's2', status: 'running' }
+            ]);
+        });
+
+        it('devuelve 0 si el perfil no tiene sesión en ejecución', async () => {
+            await expect(db.requestSessionStop('p9')).resolves.toBe(0);
+        });
+
+        it('getStopRequestedSessions filtra por las sesiones indicadas', async () => {
+            await db.requestSessionStop('p1');
+            await expect(db.getStopRequestedSessions(['s1', 's2'])).resolves.toEqual([
+                { session_id: 's1', profile_id: 'p1' }
+            ]);
+            await expect(db.getStopRequestedSessions(['s2'])).resolves.toEqual([]);
+        });
+    });
+
+    describe('hasRunningNavigation', () => {
+        const now = new Date('2026-01-01T12:00:00.000Z');
+
+        async function insertSession(sessionId, status, startedAt, heartbeatAt = null) {
+            await db.db.runAsync(
+                `INSERT INTO navigation_sessions (session_id, profile_id, started_at, status, last_heartbeat_at)
+                 VALUES (?, 'p1', ?, ?, ?)`,
+                [sessionId, startedAt, status, heartbeatAt]
+            );
+        }
+
+        it('cuenta las sesiones en curso con señales de vida recientes', async () => {
+            await insertSession('done', 'completed', '2026-01-01T11:58:00.000Z');
+            await expect(db.hasRunningNavigation(now)).resolves.toBe(false);
+
+            await insertSession('stopping', 'stop_requested', '2026-01-01T10:00:00.000Z', '2026-01-01T11:55:00.000Z');
+            await expect(db.hasRunningNavigation(now)).resolves.toBe(true);
+            await expect(db.hasRunningNavigation(now, 60 * 1000)).resolves.toBe(false);
+        });
+
+        it('una sesión recién arrancada cuenta aunque no haya guardado checkpoints', async () => {
+            await insertSession('fresh', 'running', '2026-01-01T11:59:00.000Z');
+            await expect(db.hasRunningNavigation(now)).resolves.toBe(true);
+        });
+
+        it('no cuenta las sesiones huérfanas de un cierre', async () => {
+            await insertSession('orphan', 'running', '2026-01-01T09:00:00.000Z', '2026-01-01T10:00:00.000Z');
+            await expect(db.hasRunningNavigation(now)).resolves.toBe(false);
+        });
+    });
+
+    describe('saveSessionCheckpoint', () => {
+        beforeEach(async () => {
+            await db.db.runAsync(
+                `INSERT INTO navigation_sessions (session_id, profile_id, target_cookies, status)
+                 VALUES ('live', 'p1', 500, 'running'), ('done', 'p2', 500, 'completed')`
+            );
+        });
+
+        it('guarda el avance parcial y el latido de una sesión en curso', async () => {
+            const saved = await db.saveSessionCheckpoint('live', {
+                cookiesCollected: 120,
+                sitesVisited: 4,
+                totalInteractions: 37,
+                currentSite: 'bbc.com',
+                heartbeatAt: new Date('2026-01-01T10:15:00.000Z')
+            });
+
+            expect(saved).toBe(true);
+            const row = await db.db.getAsync(
+                `SELECT cookies_collected, sites_visited, total_interactions, current_site, last_heartbeat_at
+                 FROM navigation_sessions WHERE session_id = 'live'`
+            );
+            expect(row).toEqual({
+                cookies_collected: 120,
+                sites_visited: 4,
+                total_interactions: 37,
+                current_site: 'bbc.com',
+                last_heartbeat_at: '2026-01-01T10:15:00.000Z'
+            });
+        });
+
+        it('no pisa sesiones que ya terminaron', async () => {
+            const saved = await db.saveSessionCheckpoint('done', { cookiesCollected: 1, sitesVisited: 1 });
+
+            expect(saved).toBe(false);
+            const row = await db.db.getAsync(`SELECT last_heartbeat_at FROM navigation_sessions WHERE session_id = 'done'`);
+            expect(row.last_heartbeat_at).toBeNull();
+        });
+    });
+
+    describe('intervenciones del watchdog', () => {
+        it('registra y devuelve las intervenciones de una sesión en orden', async () => {
+            await db.recordSessionIntervention({
+                sessionId: 's1', profileId: 'p1', step: 'reload_page', attempt: 1, idleMs: 600400, success: true
+            });
+            await db.recordSessionIntervention({
+                sessionId: 's1', profileId: 'p1', step: 'reopen_page', attempt: 2, idleMs: 690000, success: false, error: 'timeout'
+            });
+            await db.recordSessionIntervention({
+                sessionId: 's2', profileId: 'p2', step: 'reload_page', attempt: 1, idleMs: 1000, success: true
+            });
+
+            const rows = await db.getSessionInterventions('s1');
+
+            expect(rows.map(({ created_at, ...row }) => row)).toEqual([
+                { step: 'reload_page', attempt: 1, idle_seconds: 600, success: 1, error_message: null },
+                { step: 'reopen_page', attempt: 2, idle_seconds: 690, success: 0, error_message: 'timeout' }
+            ]);
+        });
+    });
+
+    describe('motivo de fin de sesión', () => {
+        it('agrega end_reason a una tabla creada sin la columna', async () => {
+            await db.db.runAsync('DROP TABLE navigation_sessions');
+            await db.db.runAsync(`
+                CREATE TABLE navigation_sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    session_id TEXT NOT NULL,
+                    profile_id TEXT NOT NULL,
+                    status TEXT DEFAULT 'running'
+                )
+            `);
+
+            await dropSchemaVersion();
+            await db.migrate();
+            await db.migrate();
+
+            const columns = await db.db.allAsync('PRAGMA table_info(navigation_sessions)');
+            expect(columns.filter(col => col.name === 'end_reason')).toHaveLength(1);
+        });
+
+        it('los reportes incluyen el motivo con su etiqueta', async () => {
+            await db.db.runAsync(
+                `INSERT INTO navigation_sessions (session_id, profile_id, status, end_reason) VALUES
+                 ('s1', 'p1', 'completed', 'max_duration'), ('s2', 'p2', 'running', NULL)`
+            );
+
+            const { data } = await db.getNavigationReports({ dateRange: 'all' });
+            const byId = Object.fromEntries(data.map(row => [row.session_id, row]));
+            expect(byId.s1).toMatchObject({ end_reason: 'max_duration', end_reason_label: 'Duración máxima' });
+            expect(byId.s2.end_reason_label).toBeNull();
+        });
+    });
+
+    describe('lotes de navegación', () => {
+        const startedAt = new Date('2026-01-01T10:00:00.000Z');
+
+        async function insertBatchSession(sessionId, batchId, status, cookies, sites) {
+            await db.db.runAsync(
+                `INSERT INTO navigation_sessions
+                 (session_id, profile_id, target_cookies, started_at, completed_at, status, cookies_collected, sites_visited, batch_id)
+                 VALUES (?, ?, 100, ?, ?, ?, ?, ?, ?)`,
+                [sessionId, `profile_${sessionId}`, startedAt.toISOString(), '2026-01-01T10:30:00.000Z', status, cookies, sites, batchId]
+            );
+        }
+
+        beforeEach(async () => {
+            await db.createBatch({
+                batchId: 'b1',
+                startedAt,
+                startedBy: 'cli',
+                profileIds: ['p1', 'p2'],
+                defaultTarget: 100,
+                targets: { p1: 100, p2: 300 },
+                policy: { mode: 'both' },
+                overrides: { policies: {}, sites: { p2: ['bbc.com'] } }
+            });
+        });
+
+        it('guarda el lote en curso con sus perfiles y objetivos', async () => {
+            const batch = await db.getBatch('b1');
+
+            expect(batch).toMatchObject({
+                status: 'running',
+                started_by: 'cli',
+                started_by_label: 'CLI',
+                profile_ids: ['p1', 'p2'],
+                targets: { p1: 100, p2: 300 },
+                overrides: { policies: {}, sites: { p2: ['bbc.com'] } },
+                total_profiles: 2,
+                target_cookies: 400
+            });
+        });
+
+        it('addProfilesToBatch suma perfiles nuevos e ignora los repetidos', async () => {
+            await expect(db.addProfilesToBatch('b1', { p2: 999, p3: 50 })).resolves.toBe(true);
+            await expect(db.addProfilesToBatch('nope', { p4: 50 })).resolves.toBe(false);
+
+            const batch = await db.getBatch('b1');
+            expect(batch.profile_ids).toEqual(['p1', 'p2', 'p3']);
+            expect(batch.targets).toEqual({ p1: 100, p2: 300, p3: 50 });
+            expect(batch.target_cookies).toBe(450);
+        });
+
+        it('completeBatch calcula los totales a partir de sus sesiones', async () => {
+            await insertBatchSession('s1', 'b1', 'completed', 120, 5);
+            await insertBatchSession('s2', 'b1', 'error', 30, 2);
+            await insertBatchSession('other', 'b2', 'completed', 500, 9);
+
+            await db.completeBatch('b1', { status: 'completed', completedAt: new Date('2026-01-01T11:00:00.000Z') });
+
+            const batch = await db.getBatch('b1');
+            expect(batch).toMatchObject({
+                status: 'completed',
+                completed_at: '2026-01-01T11:00:00.000Z',
+                completed_sessions: 1,
+                failed_sessions: 1,
+                cookies_collected: 150,
+                sites_visited: 7,
+                success_rate: 50,
+                duration_formatted: '1h 0m 0s'
+            });
+        });
+
+        it('getBatchReports lista los lotes del más reciente al más viejo', async () => {
+            await db.createBatch({
+                batchId: 'b2',
+                startedAt: new Date('2026-01-02T10:00:00.000Z'),
+                startedBy: 'app',
+                rerunOf: 'b1',
+                profileIds: ['p1'],
+                defaultTarget: 100,
+                targets: { p1: 100 }
+            });
+
+            const { data, pagination } = await db.getBatchReports({ dateRange: 'all' }, 1, 1);
+
+            expect(data.map(batch => [batch.batch_id, batch.rerun_of])).toEqual([['b2', 'b1']]);
+            expect(pagination).toMatchObject({ totalRecords: 2, totalPages: 2, hasNextPage: true });
+        });
+
+        it('los reportes de sesiones se filtran por lote', async () => {
+            await insertBatchSession('s1', 'b1', 'completed', 120, 5);
+            await insertBatchSession('other', 'b2', 'completed', 500, 9);
+
+            const { data } = await db.getNavigationReports({ dateRange: 'all', batchId: 'b1' });
+            const { summary } = await db.getReportsSummary({ dateRange: 'all', batchId: 'b1' });
+
+            expect(data.map(row => [row.session_id, row.batch_id])).toEqual([['s1', 'b1']]);
+            expect(summary.total_sessions).toBe(1);
+        });
+
+        it('recoverOrphanedSessions cierra como interrumpidos los lotes que quedaron abiertos', async () => {
+            await db.db.runAsync(
+                `INSERT INTO navigation_sessions (session_id, profile_id, target_cookies, started_at, status, batch_id)
+                 VALUES ('s1', 'p1', 100, ?, 'running', 'b1')`,
+                [startedAt.toISOString()]
+            );
+            await db.saveSessionCheckpoint('s1', {
+                cookiesCollected: 40,
+                sitesVisited: 3,
+                heartbeatAt: new Date('2026-01-01T10:20:00.000Z')
+            });
+
+            await db.recoverOrphanedSessions();
+
+            const batch = await db.getBatch('b1');
+            expect(batch).toMatchObject({
+                status: 'interrupted',
+                completed_at: '2026-01-01T10:20:00.000Z',
+                interrupted_sessions: 1,
+                cookies_collected: 40,
+                sites_visited: 3
+            });
+        });
+
+        it('recoverOrphanedSessions deja abiertos los lotes que otro proceso sigue corriendo', async () => {
+            await db.createBatch({ batchId: 'b2', startedAt, startedBy: 'cli', profileIds: ['p3'], defaultTarget: 100, targets: { p3: 100 } });
+            await db.db.runAsync(
+                `INSERT INTO navigation_sessions (session_id, profile_id, target_cookies, started_at, status, batch_id)
+                 VALUES ('dead', 'p1', 100, ?, 'running', 'b1'), ('alive', 'p2', 100, ?, 'running', 'b1'), ('other', 'p3', 100, ?, 'running', 'b2')`,
+                [startedAt.toISOString(), startedAt.toISOString(), startedAt.toISOString()]
+            );
+            await db.saveSessionCheckpoint('alive', { heartbeatAt: new Date('2026-01-01T11:58:00.000Z') });
+            await db.saveSessionCheckpoint('other', { heartbeatAt: new Date('2026-01-01T11:58:00.000Z') });
+
+            await db.recoverOrphanedSessions(new Date('2026-01-01T12:00:00.000Z'));
+
+            expect((await db.getBatch('b1')).status).toBe('running');
+            expect((await db.getBatch('b2')).status).toBe('running');
+        });
+    });
+
+    describe('estadísticas por perfil', () => {
+        async function insertSession(sessionId, profileId, startedAt, completedAt, cookies) {
+            await db.db.runAsync(
+                `INSERT INTO navigation_sessions (session_id, profile_id, started_at, completed_at, cookies_collected, sites_visited, status)
+                 VALUES (?, ?, ?, ?, ?, 2, ?)`,
+                [sessionId, profileId, startedAt, completedAt, cookies, completedAt ? 'completed' : 'running']
+            );
+            await db.refreshProfileStats(profileId);
+        }
+
+        it('acumula sesiones, cookies y duración sin duplicar al refrescar', async () => {
+            await insertSession('s1', 'p1', '2026-01-05T08:00:00.000Z', '2026-01-05T08:30:00.000Z', 100);
+            await insertSession('s2', 'p1', '2026-01-05T10:00:00.000Z', '2026-01-05T10:10:00.000Z', 50);
+            await db.refreshProfileStats('p1');
+
+            const [stats] = await db.getProfileStats(['p1']);
+            expect(stats).toMatchObject({
+                profile_id: 'p1',
+                last_run_at: '2026-01-05T10:00:00.000Z',
+                last_session_id: 's2',
+                total_sessions: 2,
+                total_cookies: 150,
+                total_sites: 4,
+                total_duration_seconds: 40 * 60,
+                last_activity_at: '2026-01-05T10:10:00.000Z'
+            });
+        });
+
+        it('arma la tabla desde el historial en bases anteriores a profile_stats', async () => {
+            await insertSession('s1', 'p1', '2026-01-05T08:00:00.000Z', '2026-01-05T08:30:00.000Z', 100);
+            await db.db.runAsync('DROP TABLE profile_stats');
+
+            await dropSchemaVersion();
+            await db.migrate();
+
+            const [stats] = await db.getProfileStats();
+            expect(stats).toMatchObject({ profile_id: 'p1', total_sessions: 1, total_cookies: 100 });
+        });
+
+        it('getProfilesInCooldown devuelve los perfiles con actividad posterior al corte', async () => {
+            await insertSession('s1', 'p1', '2026-01-05T08:00:00.000Z', '2026-01-05T08:30:00.000Z', 100);
+            await insertSession('s2', 'p2', '2026-01-05T09:00:00.000Z', null, 0);
+
+            const rows = await db.getProfilesInCooldown(['p1', 'p2', 'p3'], new Date('2026-01-05T08:45:00.000Z'));
+            expect(rows).toEqual([{ profile_id: 'p2', last_activity_at: '2026-01-05T09:00:00.000Z' }]);
+        });
+    });
+
+    describe('historial de sitios por perfil', () => {
+        let sites;
+
+        beforeEach(async () => {
+            await db.db.runAsync('DELETE FROM websites');
+            sites = await Promise.all(['uno.example.com', 'dos.example.com', 'tres.example.com']
+                .map(url => db.createWebsite(SiteCatalog.normalizeSite({ url }))));
+        });
+
+        it('deja al final los dominios visitados dentro de la ventana, del más viejo al más reciente', async () => {
+            await db.recordProfileSiteVisit('p1', 'uno.example.com', new Date('2026-01-05T10:00:00.000Z'));
+            await db.recordProfileSiteVisit('p1', 'dos.example.com', new Date('2026-01-05T08:00:00.000Z'));
+            await db.recordProfileSiteVisit('p1', 'uno.example.com', new Date('2026-01-05T11:00:00.000Z'));
+            await db.recordProfileSiteVisit('p2', 'tres.example.com', new Date('2026-01-05T11:00:00.000Z'));
+
+            const websites = await db.getRandomWebsites(10, [], { revisit: { profileId: 'p1', since: '2026-01-05T00:00:00.000Z' } });
+            expect(websites.map(site => [site.domain, site.revisited_at])).toEqual([
+                ['tres.example.com', null],
+                ['dos.example.com', '2026-01-05T08:00:00.000Z'],
+                ['uno.example.com', '2026-01-05T11:00:00.000Z']
+            ]);
+
+            const later = await db.getRandomWebsites(10, [], { revisit: { profileId: 'p1', since: '2026-01-05T09:00:00.000Z' } });
+            expect(later.filter(site => site.revisited_at).map(site => site.domain)).toEqual(['uno.example.com']);
+
+            const [history] = await db.db.allAsync(`SELECT * FROM profile_site_history WHERE profile_id = 'p1' AND domain = 'uno.example.com'`);
+            expect(history).toMatchObject({ first_visited_at: '2026-01-05T10:00:00.000Z', last_visited_at: '2026-01-05T11:00:00.000Z', visit_count: 2 });
+        });
+
+        it('getProfileSiteCoverage cuenta los dominios activos visitados por perfil', async () => {
+            await db.recordProfileSiteVisit('p1', 'uno.example.com', new Date('2026-01-01T10:00:00.000Z'));
+            await db.recordProfileSiteVisit('p1', 'dos.example.com', new Date('2026-01-05T10:00:00.000Z'));
+            await db.recordProfileSiteVisit('p1', 'borrado.example.com', new Date('2026-01-05T10:00:00.000Z'));
+            await db.updateWebsite(sites[0], SiteCatalog.normalizeSite({ url: 'uno.example.com', status: 'inactive' }));
+
+            expect(await db.getProfileSiteCoverage(['p1', 'p9'], new Date('2026-01-03T00:00:00.000Z'))).toEqual([
+                { profile_id: 'p1', domains_visited: 1, recent_domains: 1, total_domains: 2, coverage: 50, last_visited_at: '2026-01-05T10:00:00.000Z' },
+                { profile_id: 'p9', domains_visited: 0, recent_domains: 0, total_domains: 2, coverage: 0, last_visited_at: null }
+            ]);
+            expect((await db.getProfileSiteCoverage()).map(row => row.profile_id)).toEqual(['p1']);
+        });
+
+        it('arma el historial desde las visitas en bases anteriores a profile_site_history', async () => {
+            await db.db.runAsync(`INSERT INTO navigation_sessions (session_id, profile_id, status) VALUES ('s1', 'p1', 'completed')`);
+            await db.db.runAsync(
+                `INSERT INTO site_visits (session_id, website_id, visited_at) VALUES ('s1', ?, '2026-01-05T08:00:00.000Z'), ('s1', ?, '2026-01-05T09:00:00.000Z')`,
+                [sites[1], sites[1]]
+            );
+            await db.db.runAsync('DROP TABLE profile_site_history');
+
+            await dropSchemaVersion();
+            await db.migrate();
+
+            expect(await db.db.allAsync('SELECT profile_id, domain, first_visited_at, last_visited_at, visit_count FROM profile_site_history')).toEqual([
+                { profile_id: 'p1', domain: 'dos.example.com', first_visited_at: '2026-01-05T08:00:00.000Z', last_visited_at: '2026-01-05T09:00:00.000Z', visit_count: 2 }
+            ]);
+        });
+    });
+
+    describe('salud de sitios', () => {
+        let siteId;
+
+        const visit = (success, visitedAt, extra = {}) => db.db.runAsync(
+            `INSERT INTO site_visits (session_id, website_id, success, error_code, error_message, cookies_before, cookies_after, visited_at)
+             VALUES ('s1', ?, ?, ?, ?, 0, ?, ?)`,
+            [siteId, success ? 1 : 0, extra.code || null, extra.message || null, success ? 5 : 0, visitedAt]
+        );
+
+        beforeEach(async () => {
+            await db.db.runAsync('DELETE FROM websites');
+            siteId = await db.createWebsite(SiteCatalog.normalizeSite({ url: 'caido.example.com' }));
+            await db.createWebsite(SiteCatalog.normalizeSite({ url: 'sano.example.com' }));
+        });
+
+        it('pone en cuarentena un sitio que falla seguido y lo saca de la rotación hasta el reintento', async () => {
+            for (let day = 1; day <= 5; day++) {
+                await visit(false, `2026-01-0${day}T10:00:00.000Z`, { code: 'NAVIGATION_TIMEOUT', message: `Timeout ${day}` });
+            }
+            const now = new Date();
+
+            const result = await db.refreshWebsiteHealth(siteId, { minVisits: 5, retryAfterHours: 24 }, now);
+            expect(result).toMatchObject({ action: 'quarantined', retryAt: new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString() });
+            expect(result.health).toMatchObject({ score: 0, timeouts: 5, lastError: 'Timeout 5' });
+            expect(await db.getWebsite(siteId)).toMatchObject({
+                status: 'quarantined', health_score: 0, quarantine_count: 1, quarantine_reason: 'Timeout 5'
+            });
+            expect((await db.getRandomWebsites(10)).map(site => site.domain)).toEqual(['sano.example.com']);
+
+            await db.refreshWebsiteStats(siteId);
+            const [quarantined] = await db.getQuarantinedWebsites();
+            expect(quarantined).toMatchObject({ domain: 'caido.example.com', last_error: 'Timeout 5', last_error_at: '2026-01-05T10:00:00.000Z' });
+        });
+
+        it('duplica la espera si el reintento falla y revive el sitio si responde bien', async () => {
+            await db.db.runAsync(
+                `UPDATE websites SET status = 'quarantined', quarantine_count = 1, quarantine_retry_at = '2026-01-01T00:00:00.000Z' WHERE id = ?`,
+                [siteId]
+            );
+            expect((await db.getRandomWebsites(10)).map(site => site.domain).sort()).toEqual(['caido.example.com', 'sano.example.com']);
+
+            await visit(false, '2026-01-02T10:00:00.000Z', { message: 'net::ERR_CONNECTION_REFUSED' });
+            const failed = await db.refreshWebsiteHealth(siteId, { retryAfterHours: 24 }, new Date('2026-01-02T10:00:00.000Z'));
+            expect(failed).toMatchObject({ action: 'retry-failed', retryAt: '2026-01-04T10:00:00.000Z' });
+            expect(await db.getWebsite(siteId)).toMatchObject({ status: 'quarantined', quarantine_count: 2 });
+
+            await visit(true, '2026-01-04T11:00:00.000Z');
+            const revived = await db.refreshWebsiteHealth(siteId, {}, new Date('2026-01-04T11:00:00.000Z'));
+            expect(revived.action).toBe('revived');
+            expect(await db.getWebsite(siteId)).toMatchObject({
+                status: 'active', health_score: null, quarantine_count: 0, quarantine_retry_at: null,
+                health_reset_at: '2026-01-04T11:00:00.000Z'
+            });
+            expect((await db.refreshWebsiteHealth(siteId)).health.visits).toBe(0);
+        });
+
+        it('reviveWebsites solo toca los sitios en cuarentena', async () => {
+            await db.db.runAsync(`UPDATE websites SET status = 'quarantined', quarantine_count = 3 WHERE id = ?`, [siteId]);
+
+            expect(await db.reviveWebsites([siteId, siteId + 1])).toBe(1);
+            expect(await db.getWebsite(siteId)).toMatchObject({ status: 'active', quarantine_count: 0 });
+            expect(await db.getQuarantinedWebsites()).toEqual([]);
+        });
+    });
+
+    describe('estadísticas de sitios', () => {
+        let sites;
+
+        const visit = (websiteId, fields) => db.db.runAsync(
+            `INSERT INTO site_visits (session_id, website_id, success, duration_seconds, banner_accepted, cookies_before, cookies_after, error_message, visited_at)
+             VALUES ('s1', ?, ?, ?, ?, 0, ?, ?, ?)`,
+            [websiteId, fields.success ?? 1, fields.duration ?? null, fields.banner ?? null, fields.cookies ?? 0, fields.error ?? null, fields.at]
+        );
+
+        beforeEach(async () => {
+            await db.db.runAsync('DELETE FROM websites');
+            sites = await Promise.all(['rapido.example.com', 'lento.example.com', 'nuevo.example.com']
+                .map(url => db.createWebsite(SiteCatalog.normalizeSite({ url, category: url.startsWith('lento') ? 'blog' : 'news' }))));
+
+            await visit(sites[0], { duration: 60, banner: 1, cookies: 50, at: '2026-01-01T10:00:00.000Z' });
+            await visit(sites[0], { duration: 120, banner: 0, cookies: 30, at: '2026-01-02T10:00:00.000Z' });
+            await visit(sites[1], { duration: 300, banner: 1, cookies: 25, at: '2026-01-01T10:00:00.000Z' });
+            await visit(sites[1], { success: 0, duration: 30, error: 'Timeout', at: '2026-01-02T10:00:00.000Z' });
+        });
+
+        it('guarda las métricas de la ventana en websites', async () => {
+            const stats = await db.refreshWebsiteStats(sites[1], new Date('2026-01-03T00:00:00.000Z'));
+
+            expect(stats).toMatchObject({ stats_visits: 2, success_rate: 50, cookies_per_minute: 4.5, last_error: 'Timeout' });
+            expect(await db.getWebsite(sites[1])).toMatchObject({
+                stats_visits: 2,
+                success_rate: 50,
+                avg_duration_seconds: 165,
+                p95_duration_seconds: 300,
+                cookies_per_minute: 4.5,
+                banner_accept_rate: 100,
+                last_error: 'Timeout',
+                last_error_at: '2026-01-02T10:00:00.000Z',
+                stats_updated_at: '2026-01-03T00:00:00.000Z'
+            });
+        });
+
+        it('getSiteStatsRanking ordena por la métrica pedida y filtra por categoría', async () => {
+            expect(await db.refreshAllWebsiteStats()).toBe(2);
+
+            const byCookies = await db.getSiteStatsRanking();
+            expect(byCookies.map(site => [site.domain, site.cookies_per_minute])).toEqual([
+                ['rapido.example.com', 26.7],
+                ['lento.example.com', 4.5]
+            ]);
+
+            const bySuccess = await db.getSiteStatsRanking({ sort: 'success-rate', limit: 1 });
+            expect(bySuccess.map(site => site.domain)).toEqual(['rapido.example.com']);
+            expect((await db.getSiteStatsRanking({ category: 'blog' })).map(site => site.domain)).toEqual(['lento.example.com']);
+            await expect(db.getSiteStatsRanking({ sort: 'velocidad' })).rejects.toThrow(/Métrica desconocida/);
+        });
+
+        it('calcula las estadísticas de bases anteriores a las columnas nuevas', async () => {
+            await db.db.runAsync('ALTER TABLE websites DROP COLUMN stats_updated_at');
+
+            await dropSchemaVersion();
+            await db.migrate();
+
+            expect(await db.getWebsite(sites[0])).toMatchObject({ stats_visits: 2, success_rate: 100, cookies_per_minute: 26.7 });
+            expect(await db.getWebsite(sites[2])).toMatchObject({ stats_visits: 0, stats_updated_at: null });
+        });
+    });
+
+    describe('retención y mantenimiento', () => {
+        const NOW = new Date('2026-06-01T12:00:00.000Z');
+        let siteId;
+
+        const visit = (sessionId, fields) => db.db.runAsync(
+            `INSERT INTO site_visits (session_id, website_id, success, duration_seconds, cookies_before, cookies_after, visited_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [sessionId, siteId, fields.success ?? 1, fields.duration ?? 60, fields.before ?? 0, fields.after ?? 0, fields.at]
+        );
+
+        beforeEach(async () => {
+            siteId = await db.createWebsite(SiteCatalog.normalizeSite({ url: 'retencion.example.com' }));
+            await db.db.runAsync(
+                `INSERT INTO navigation_sessions (session_id, profile_id, status) VALUES
+                    ('vieja', 'p1', 'completed'), ('corriendo', 'p2', 'running')`
+            );
+
+            await visit('vieja', { after: 30, at: '2026-01-10T08:00:00.000Z' });
+            await visit('vieja', { success: 0, before: 30, after: 10, duration: 20, at: '2026-01-10 09:30:00' });
+            await visit('vieja', { after: 15, at: '2026-02-01T08:00:00.000Z' });
+            await visit('corriendo', { after: 5, at: '2026-01-10T10:00:00.000Z' });
+            await visit('vieja', { after: 40, at: '2026-05-30T08:00:00.000Z' });
+        });
+
+        it('resume por sitio y día las visitas viejas y las borra del detalle', async () => {
+            const result = await db.pruneSiteVisits(new Date('2026-03-01T00:00:00.000Z'));
+
+            expect(result).toEqual({ prunedVisits: 3, aggregatedDays: 2 });
+            expect(await db.db.allAsync('SELECT * FROM site_visit_daily ORDER BY day')).toEqual([
+                { website_id: siteId, day: '2026-01-10', visits: 2, failed_visits: 1, pages_viewed: 2, cookies_gained: 30, duration_seconds: 80 },
+                { website_id: siteId, day: '2026-02-01', visits: 1, failed_visits: 0, pages_viewed: 1, cookies_gained: 15, duration_seconds: 60 }
+            ]);
+            const remaining = await db.db.allAsync('SELECT session_id FROM site_visits ORDER BY visited_at');
+            expect(remaining.map(row => row.session_id)).toEqual(['corriendo', 'vieja']);
+
+            await visit('vieja', { success: 0, at: '2026-01-10T11:00:00.000Z' });
+            await db.pruneSiteVisits(new Date('2026-03-01T00:00:00.000Z'));
+            expect(await db.db.getAsync("SELECT visits, failed_visits FROM site_visit_daily WHERE day = '2026-01-10'"))
+                .toEqual({ visits: 3, failed_visits: 2 });
+
+            const [exported] = (await db.getWebsitesForExport()).filter(site => site.url === 'https://retencion.example.com/');
+            expect(exported.failed_visits).toBe(2);
+        });
+
+        it('runMaintenance resume, compacta, informa el espacio y queda registrado', async () => {
+            const result = await db.runMaintenance({ retentionDays: 90, startedBy: 'cli', now: NOW });
+
+            expect(result).toMatchObject({ cutoff: '2026-03-03T12:00:00.000Z', prunedVisits: 3, aggregatedDays: 2 });
+            expect(result.bytesAfter).toBeGreaterThan(0);
+            expect(result.reclaimedBytes).toBe(Math.max(result.bytesBefore - result.bytesAfter, 0));
+            expect(await db.getLastMaintenanceRun()).toMatchObject({
+                started_at: NOW.toISOString(),
+                started_by: 'cli',
+                pruned_visits: 3,
+                bytes_after: result.bytesAfter,
+                error_message: null
+            });
+
+            const untouched = await db.runMaintenance({ retentionDays: 0, now: NOW });
+            expect(untouched).toMatchObject({ cutoff: null, prunedVisits: 0 });
+        });
+    });
+
+    describe('catálogo de sitios', () => {
+        it('importa solo lo nuevo y actualiza los existentes con update', async () => {
+            const catalog = SiteCatalog.fromCsv([
+                'url,category,status',
+                'https://www.bbc.com/,sports,',
+                'https://sitio-nuevo.example.com,tech,',
+                'https://www.reuters.com/,news,'
+            ].join('\n'));
+
+            const preview = await catalog.import(db, { dryRun: true });
+            expect(preview.diff.added.map(site => site.url)).toEqual(['https://sitio-nuevo.example.com/']);
+            expect(preview.diff.changed).toMatchObject([{ url: 'https://www.bbc.com/', previous: { category: 'news' } }]);
+            expect(preview.diff.unchanged.map(site => site.url)).toEqual(['https://www.reuters.com/']);
+
+            const countBefore = await db.getWebsiteCount();
+            expect(await catalog.import(db)).toMatchObject({ inserted: 1, updated: 0 });
+            expect(await db.getWebsiteCount()).toBe(countBefore + 1);
+            expect(await catalog.import(db, { update: true })).toMatchObject({ inserted: 0, updated: 1 });
+
+            const [bbc] = await db.getWebsitesByUrls(['https://www.bbc.com/']);
+            expect(bbc.category).toBe('sports');
+        });
+
+        it('getWebsites pagina y filtra por búsqueda, categoría y estado', async () => {
+            await db.createWebsite({ url: 'https://uno.example.com/100%_off', domain: 'uno.example.com', category: 'tech', status: 'inactive' });
+            await db.createWebsite({ url: 'https://dos.example.com/1000off', domain: 'dos.example.com', category: 'tech', status: 'active' });
+
+            const page = await db.getWebsites({}, 2, 10);
+            expect(page.data).toHaveLength(10);
+            expect(page.pagination).toMatchObject({ currentPage: 2, totalRecords: await db.getWebsiteCount(), hasPreviousPage: true });
+
+            // Los comodines de SQL se buscan como texto
+            const literal = await db.getWebsites({ search: '100%_' });
+            expect(literal.data.map(site => site.domain)).toEqual(['uno.example.com']);
+
+            const filtered = await db.getWebsites({ search: 'EXAMPLE.COM', category: 'tech', status: 'active' });
+            expect(filtered.data.map(site => site.domain)).toEqual(['dos.example.com']);
+        });
+
+        it('crea, edita, cambia la categoría en bloque y borra sitios', async () => {
+            const id = await db.createWebsite(SiteCatalog.normalizeSite({ url: 'nuevo.example.com' }));
+            const other = await db.createWebsite(SiteCatalog.normalizeSite({ url: 'otro.example.com' }));
+            expect(await db.getWebsite(id)).toMatchObject({ url: 'https://nuevo.example.com/', category: 'general', status: 'active' });
+
+            await db.updateWebsite(id, SiteCatalog.normalizeSite({ url: 'https://www.nuevo.example.com/', status: 'inactive' }));
+            expect(await db.getWebsite(id)).toMatchObject({ domain: 'nuevo.example.com', status: 'inactive' });
+
+            expect(await db.setWebsitesCategory([id, other], 'finance')).toBe(2);
+            expect((await db.getWebsite(other)).category).toBe('finance');
+
+            expect(await db.deleteWebsite(id)).toBe(true);
+            expect(await db.getWebsite(id)).toBeNull();
+            expect(await db.deleteWebsite(id)).toBe(false);
+        });
+
+        it('exporta el catálogo con las visitas fallidas', async () => {
+            const [bbc] = await db.getWebsitesByUrls(['https://www.bbc.com/']);
+            await db.db.runAsync('INSERT INTO site_visits (session_id, website_id, success) VALUES (?, ?, ?)', ['s1', bbc.id, false]);
+            await db.db.runAsync('INSERT INTO site_visits (session_id, website_id, success) VALUES (?, ?, ?)', ['s1', bbc.id, true]);
+            await db.updateWebsiteStats(bbc.url, 12);
+
+            const sites = await db.getWebsitesForExport();
+
+            expect(sites).toHaveLength(await db.getWebsiteCount());
+            expect(Object.keys(sites[0])).toEqual(SiteCatalog.EXPORT_COLUMNS);
+            expect(sites.find(site => site.url === bbc.url)).toMatchObject({
+                domain: 'bbc.com',
+                visit_count: 1,
+                avg_cookies_collected: 12,
+                failed_visits: 1
+            });
+        });
+    });
+
+    describe('listas de sitios', () => {
+        let listId;
+        let sites;
+
+        beforeEach(async () => {
+            listId = await db.createSiteList({ name: 'noticias-es', description: 'Diarios en español' });
+            sites = await Promise.all(['uno.example.com', 'dos.example.com', 'tres.example.com']
+                .map(url => db.createWebsite(SiteCatalog.normalizeSite({ url, category: 'news' }))));
+            await db.addSitesToList(listId, [sites[0], sites[1]]);
+        });
+
+        it('cuenta los sitios y los activos de cada lista, sin duplicar miembros', async () => {
+            await db.updateWebsite(sites[1], SiteCatalog.normalizeSite({ url: 'dos.example.com', status: 'inactive' }));
+
+            expect(await db.addSitesToList(listId, [sites[0], sites[2]])).toBe(1);
+            expect(await db.getSiteLists()).toEqual([
+                expect.objectContaining({ name: 'noticias-es', site_count: 3, active_count: 2 })
+            ]);
+            expect(await db.getSiteListByName('NOTICIAS-ES')).toMatchObject({ id: listId });
+            await expect(db.createSiteList({ name: 'Noticias-ES', description: null })).rejects.toThrow(/UNIQUE/);
+        });
+
+        it('getRandomWebsites y getWebsites se limitan a los sitios de las listas', async () => {
+            const random = await db.getRandomWebsites(100, [], { siteLists: ['Noticias-ES', 'inexistente'] });
+            expect(random.map(site => site.id).sort()).toEqual([sites[0], sites[1]].sort());
+
+            const page = await db.getWebsites({ listId });
+            expect(page.data.map(site => site.domain)).toEqual(['dos.example.com', 'uno.example.com']);
+
+            expect(await db.removeSitesFromList(listId, [sites[0]])).toBe(1);
+            expect((await db.getSiteListMembers(listId)).map(site => site.id)).toEqual([sites[1]]);
+        });
+
+        it('borrar una lista o un sitio limpia sus membresías', async () => {
+            await db.deleteWebsite(sites[0]);
+            expect((await db.getSiteListMembers(listId)).map(site => site.id)).toEqual([sites[1]]);
+
+            expect(await db.deleteSiteList(listId)).toBe(true);
+            expect(await db.getSiteList(listId)).toBeNull();
+            expect(await db.db.allAsync('SELECT * FROM site_list_members')).toEqual([]);
+        });
+    });
+
+    describe('mezcla de categorías', () => {
+        it('getRandomWebsites elige solo entre las categorías de la mezcla', async () => {
+            const mix = CategoryMix.from('news=50,tech=50');
+            const websites = await db.getRandomWebsites(20, [], { categoryMix: mix });
+
+            expect(websites).toHaveLength(20);
+            expect(new Set(websites.map(site => site.category))).toEqual(new Set(['news', 'tech']));
+            expect(new Set(websites.map(site => site.id)).size).toBe(20);
+
+            const few = await db.getRandomWebsites(5, [], { categoryMix: mix, domains: ['nada.example.com'] });
+            expect(few).toEqual([]);
+        });
+
+        it('guarda la mezcla pedida y las visitas, y los reportes las comparan', async () => {
+            await db.createBatch({
+                batchId: 'b1',
+                startedAt: new Date('2026-01-01T10:00:00.000Z'),
+                profileIds: ['p1'],
+                defaultTarget: 100,
+                targets: { p1: 100 },
+                categoryMix: { news: 40, blog: 60 }
+            });
+            await db.db.runAsync(
+                `INSERT INTO navigation_sessions (session_id, profile_id, status, batch_id, category_mix)
+                 VALUES ('s1', 'p1', 'running', 'b1', ?)`,
+                [JSON.stringify({ news: 40, blog: 60 })]
+            );
+            await db.saveSessionCheckpoint('s1', { cookiesCollected: 10, sitesVisited: 5, categoryVisits: { news: 1, blog: 4 } });
+            await db.saveSessionCheckpoint('s1', { cookiesCollected: 12, sitesVisited: 5 });
+
+            expect((await db.getBatch('b1')).category_mix).toEqual({ news: 40, blog: 60 });
+            const { data: [session] } = await db.getNavigationReports({ dateRange: 'all' });
+            expect(session.category_visits).toEqual({ news: 1, blog: 4 });
+            expect(session.category_report).toEqual([
+                { category: 'blog', requested: 60, realized: 80, visits: 4 },
+                { category: 'news', requested: 40, realized: 20, visits: 1 }
+            ]);
+        });
+    });
+
+    describe('programaciones', () => {
+        const nextRunAt = new Date('2026-01-05T09:00:00.000Z');
+        let scheduleId;
+
+        beforeEach(async () => {
+            scheduleId = await db.createSchedule({
+                name: 'mañanas',
+                cron: '0 9 * * 1-5',
+                window: { start: '08:00', end: '12:00' },
+                profileIds: ['p1', 'p2'],
+                targetCookies: 500,
+                policy: { mode: 'either', maxSites: null, maxDurationMinutes: 90, deadline: null },
+                plan: [{ profileId: 'p2', targetCookies: 800, sites: null, policy: null }],
+                enabled: true,
+                nextRunAt
+            });
+        });
+
+        it('guarda la programación con sus campos JSON parseados', async () => {
+            const schedule = await db.getScheduleByName('mañanas');
+
+            expect(schedule).toMatchObject({
+                id: scheduleId,
+                cron: '0 9 * * 1-5',
+                window: { start: '08:00', end: '12:00' },
+                profile_ids: ['p1', 'p2'],
+                target_cookies: 500,
+                plan: [{ profileId: 'p2', targetCookies: 800 }],
+                enabled: true,
+                next_run_at: nextRunAt.toISOString(),
+                last_run_status: null
+            });
+        });
+
+        it('getDueSchedules devuelve solo las activas cuya hora ya llegó', async () => {
+            expect(await db.getDueSchedules(new Date('2026-01-05T08:59:00.000Z'))).toEqual([]);
+            expect((await db.getDueSchedules(nextRunAt)).map(s => s.id)).toEqual([scheduleId]);
+
+            await db.setScheduleEnabled(scheduleId, false, null);
+            expect(await db.getDueSchedules(nextRunAt)).toEqual([]);
+        });
+
+        it('claimSchedule solo avanza next_run_at si nadie lo avanzó antes', async () => {
+            const following = new Date('2026-01-06T09:00:00.000Z');
+
+            expect(await db.claimSchedule(scheduleId, nextRunAt.toISOString(), following)).toBe(true);
+            expect(await db.claimSchedule(scheduleId, nextRunAt.toISOString(), following)).toBe(false);
+
+            const schedule = await db.getSchedule(scheduleId);
+            expect(schedule.next_run_at).toBe(following.toISOString());
+            expect(schedule.last_run_at).toBe(nextRunAt.toISOString());
+        });
+
+        it('registra las ejecuciones y expone la última en la programación', async () => {
+            const runId = await db.createScheduleRun({
+                scheduleId,
+                scheduledFor: nextRunAt.toISOString(),
+                status: 'running',
+                startedAt: nextRunAt
+            });
+            await db.finishScheduleRun(runId, {
+                status: 'completed',
+                batchId: 'b9',
+                message: '900 cookies',
+                finishedAt: new Date('2026-01-05T10:00:00.000Z')
+            });
+
+            const [run] = await db.getScheduleRuns({ scheduleId });
+            expect(run).toMatchObject({ schedule_name: 'mañanas', status: 'completed', batch_id: 'b9', status_label: 'Completado' });
+            expect((await db.getSchedule(scheduleId)).last_run_status).toBe('completed');
+        });
+
+        it('recoverOrphanedSessions cierra solo las ejecuciones de los lotes recuperados', async () => {
+            const startedAt = new Date('2026-01-05T09:00:00.000Z');
+            const runs = {};
+            for (const batchId of ['dead', 'alive']) {
+                runs[batchId] = await db.createScheduleRun({ scheduleId, scheduledFor: startedAt.toISOString(), status: 'running', startedAt });
+                await db.createBatch({ batchId, startedAt, startedBy: 'schedule', scheduleRunId: runs[batchId], profileIds: [batchId], defaultTarget: 100, targets: { [batchId]: 100 } });
+                await db.db.runAsync(
+                    `INSERT INTO navigation_sessions (session_id, profile_id, target_cookies, started_at, status, batch_id)
+                     VALUES (?, ?, 100, ?, 'running', ?)`,
+                    [`s_${batchId}`, batchId, startedAt.toISOString(), batchId]
+                );
+            }
+            await db.saveSessionCheckpoint('s_alive', { heartbeatAt: new Date('2026-01-05T09:55:00.000Z') });
+
+            await db.recoverOrphanedSessions(new Date('2026-01-05T10:00:00.000Z'));
+
+            const statuses = Object.fromEntries((await db.getScheduleRuns({ scheduleId })).map(run => [run.batch_id, run.status]));
+            expect(statuses).toEqual({ dead: 'interrupted', alive: 'running' });
+        });
+
+        it('deleteSchedule borra la programación y su registro', async () => {
+            await db.createScheduleRun({
+                scheduleId,
+                scheduledFor: nextRunAt.toISOString(),
+                status: 'missed',
+                startedAt: nextRunAt,
+                finishedAt: nextRunAt
+            });
+
+            expect(await db.deleteSchedule(scheduleId)).toBe(true);
+            expect(await db.getSchedule(scheduleId)).toBeNull();
+            expect(await db.getScheduleRuns()).toEqual([]);
+        });
+    });
 });
@@ -0,0 +1,47 @@
+import { describe, it, expect, vi } from 'vitest';
+import MaintenanceScheduler from '../../../src/core/database/MaintenanceScheduler.js';
+
+const NOW = new Date('2026-06-01T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('MaintenanceScheduler', () => {
+    const makeDatabase = (lastStartedAt, runningElsewhere = false) => ({
+        hasRunningNavigation: vi.fn(async () => runningElsewhere),
+        getLastMaintenanceRun: vi.fn(async () => (lastStartedAt ? { started_at: lastStartedAt.toISOString() } : null)),
+        runMaintenance: vi.fn(async () => ({ prunedVisits: 4, reclaimedBytes: 1024 }))
+    });
+
+    it('check corre el mantenimiento solo cuando el último venció', async () => {
+        const recent = makeDatabase(new Date(NOW - 2 * DAY_MS));
+        const scheduler = new MaintenanceScheduler({ databaseManager: recent, maintenanceInterval: 7 * DAY_MS, now: () => NOW.getTime() });
+        expect(await scheduler.check()).toBeNull();
+        expect(recent.runMaintenance).not.toHaveBeenCalled();
+
+        const old = makeDatabase(new Date(NOW - 8 * DAY_MS));
+        const due = new MaintenanceScheduler({ databaseManager: old, visitRetentionDays: 30, now: () => NOW.getTime() });
+        expect(await due.check()).toEqual({ prunedVisits: 4, reclaimedBytes: 1024 });
+        expect(old.runMaintenance).toHaveBeenCalledWith({ retentionDays: 30, startedBy: 'auto', now: NOW });
+    });
+
+    it('check pospone el mantenimiento con una navegación en curso', async () => {
+        const databaseManager = makeDatabase(null);
+        let busy = true;
+        const scheduler = new MaintenanceScheduler({ databaseManager, isBusy: () => busy, now: () => NOW.getTime() });
+
+        expect(await scheduler.check()).toBeNull();
+        expect(databaseManager.runMaintenance).not.toHaveBeenCalled();
+
+        busy = false;
+        await scheduler.check();
+        expect(databaseManager.runMaintenance).toHaveBeenCalledTimes(1);
+    });
+
+    it('check pospone el mantenimiento si otro proceso está navegando sobre la base', async () => {
+        const databaseManager = makeDatabase(null, true);
+        const scheduler = new MaintenanceScheduler({ databaseManager, now: () => NOW.getTime() });
+
+        expect(await scheduler.check()).toBeNull();
+        expect(databaseManager.hasRunningNavigation).toHaveBeenCalledWith(NOW);
+        expect(databaseManager.runMaintenance).not.toHaveBeenCalled();
+    });
+});
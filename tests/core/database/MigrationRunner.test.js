@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import MigrationRunner from '../../../src/core/database/MigrationRunner.js';
+import { openConnection } from '../../../src/core/database/connection.js';
+import { SchemaMigrationError } from '../../../src/core/errors/AppError.js';
+
+const createSites = {
+    version: 1,
+    name: 'sites',
+    up: async (db) => db.runAsync('CREATE TABLE sites (id INTEGER PRIMARY KEY, url TEXT NOT NULL)')
+};
+const addCategory = {
+    version: 2,
+    name: 'site_category',
+    up: async (db) => db.runAsync("ALTER TABLE sites ADD COLUMN category TEXT DEFAULT 'general'")
+};
+
+describe('MigrationRunner', () => {
+    let manager;
+
+    beforeEach(async () => {
+        manager = {
+            db: await openConnection(':memory:'),
+            createBackup: vi.fn(async label => `/backups/loadtest-${label}.db`)
+        };
+    });
+
+    afterEach(async () => {
+        await manager.db.closeAsync();
+    });
+
+    it('aplica en orden las migraciones pendientes y anota cada una en schema_version', async () => {
+        expect(await new MigrationRunner(manager, [createSites]).run()).toEqual({ from: 0, to: 1, applied: ['sites'], backups: [] });
+
+        const result = await new MigrationRunner(manager, [createSites, addCategory]).run();
+        expect(result).toEqual({ from: 1, to: 2, applied: ['site_category'], backups: ['/backups/loadtest-v1.db'] });
+        expect(await manager.db.allAsync('SELECT version, name FROM schema_version ORDER BY version')).toEqual([
+            { version: 1, name: 'sites' },
+            { version: 2, name: 'site_category' }
+        ]);
+
+        expect((await new MigrationRunner(manager, [createSites, addCategory]).run()).applied).toEqual([]);
+        expect(manager.createBackup).toHaveBeenCalledTimes(1);
+    });
+
+    it('copia una base sin versión que ya tiene tablas antes de migrarla', async () => {
+        await manager.db.runAsync('CREATE TABLE sites (id INTEGER PRIMARY KEY, url TEXT NOT NULL)');
+        const adopt = { ...createSites, up: async () => {} };
+
+        const result = await new MigrationRunner(manager, [adopt, addCategory]).run();
+
+        expect(result.backups).toEqual(['/backups/loadtest-v0.db', '/backups/loadtest-v1.db']);
+    });
+
+    it('deshace la migración que falla y avisa dónde quedó la copia', async () => {
+        await new MigrationRunner(manager, [createSites]).run();
+        const broken = {
+            version: 2,
+            name: 'broken',
+            up: async (db) => {
+                await db.runAsync("ALTER TABLE sites ADD COLUMN category TEXT DEFAULT 'general'");
+                await db.runAsync('INSERT INTO tabla_inexistente VALUES (1)');
+            }
+        };
+
+        const error = await new MigrationRunner(manager, [createSites, broken]).run().catch(err => err);
+
+        expect(error).toBeInstanceOf(SchemaMigrationError);
+        expect(error.message).toMatch(/migración 2 \(broken\).*\/backups\/loadtest-v1\.db/);
+        expect(error.getDetails()).toEqual({ version: 2, backupPath: '/backups/loadtest-v1.db' });
+        const columns = await manager.db.allAsync('PRAGMA table_info(sites)');
+        expect(columns.map(col => col.name)).toEqual(['id', 'url']);
+        expect(await new MigrationRunner(manager, [createSites]).getVersion()).toBe(1);
+    });
+
+    it('rechaza migraciones desordenadas y bases de una versión más nueva de la app', async () => {
+        expect(() => new MigrationRunner(manager, [addCategory, createSites])).toThrow(/desordenadas/);
+
+        await new MigrationRunner(manager, [createSites, addCategory]).run();
+        await expect(new MigrationRunner(manager, [createSites]).run()).rejects.toThrow(/versión 2 del esquema.*hasta la 1/);
+    });
+});
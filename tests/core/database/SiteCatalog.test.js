@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import SiteCatalog from '../../../src/core/database/SiteCatalog.js';
+import { parseCsv } from '../../../src/core/utils/csv.js';
+
+describe('SiteCatalog', () => {
+    describe('normalizeUrl', () => {
+        it('agrega https://, quita el fragmento y normaliza el host', () => {
+            expect(SiteCatalog.normalizeUrl(' Example.com/news#top ')).toBe('https://example.com/news');
+            expect(SiteCatalog.normalizeUrl('http://www.bbc.com')).toBe('http://www.bbc.com/');
+        });
+
+        it('rechaza URLs vacías, otros protocolos y hosts que no son dominios', () => {
+            expect(() => SiteCatalog.normalizeUrl('')).toThrow(/Falta la URL/);
+            expect(() => SiteCatalog.normalizeUrl('ftp://example.com')).toThrow(/Protocolo no soportado: ftp/);
+            expect(() => SiteCatalog.normalizeUrl('localhost:3000')).toThrow(/Dominio inválido/);
+            expect(() => SiteCatalog.normalizeUrl('https://exa mple.com')).toThrow(/URL inválida/);
+        });
+    });
+
+    it('extractDomain quita solo el www. inicial', () => {
+        expect(SiteCatalog.extractDomain('https://www.bbc.com/news')).toBe('bbc.com');
+        expect(SiteCatalog.extractDomain('https://cnnespanol.cnn.com/')).toBe('cnnespanol.cnn.com');
+    });
+
+    it('normalizeSite completa dominio, categoría y estado de un sitio suelto', () => {
+        expect(SiteCatalog.normalizeSite({ url: 'www.bbc.com', category: '', status: 'Inactive' })).toEqual({
+            url: 'https://www.bbc.com/',
+            domain: 'bbc.com',
+            category: 'general',
+            status: 'inactive'
+        });
+        expect(() => SiteCatalog.normalizeSite({ url: 'bbc.com', category: 'cocina' })).toThrow(/Categoría desconocida/);
+    });
+
+    describe('fromCsv', () => {
+        it('valida cada fila y aparta las inválidas y repetidas con su número de fila', () => {
+            const catalog = SiteCatalog.fromCsv([
+                'url,domain,category,status',
+                'https://www.bbc.com,ignorado.com,News,',
+                'no es una url,,,',
+                'bbc.com,,tech,',
+                'https://www.bbc.com/#portada,,,',
+                'https://lemonde.fr,,cocina,'
+            ].join('\n'), { category: 'sports' });
+
+            expect(catalog.sites).toEqual([
+                { row: 2, url: 'https://www.bbc.com/', domain: 'bbc.com', category: 'news', status: 'active' },
+                { row: 4, url: 'https://bbc.com/', domain: 'bbc.com', category: 'tech', status: 'active' }
+            ]);
+            expect(catalog.duplicates).toEqual([{ row: 5, url: 'https://www.bbc.com/', firstRow: 2 }]);
+            expect(catalog.invalid).toEqual([
+                { row: 3, value: 'no es una url', reason: 'URL inválida' },
+                { row: 6, value: 'https://lemonde.fr', reason: expect.stringMatching(/Categoría desconocida: "cocina"/) }
+            ]);
+        });
+
+        it('usa la categoría por defecto o "general" y valida el estado', () => {
+            const text = 'url,category,status\nbbc.com,,\nlemonde.fr,,INACTIVE\nelpais.com,,borrado\n';
+
+            expect(SiteCatalog.fromCsv(text, { category: 'news' }).sites.map(site => [site.category, site.status]))
+                .toEqual([['news', 'active'], ['news', 'inactive']]);
+            expect(SiteCatalog.fromCsv(text).sites[0].category).toBe('general');
+            expect(SiteCatalog.fromCsv(text).invalid[0].reason).toMatch(/Estado desconocido/);
+            expect(() => SiteCatalog.fromCsv(text, { category: 'cocina' })).toThrow(/Categoría desconocida/);
+        });
+    });
+
+    describe('fromJson', () => {
+        it('acepta URLs sueltas, objetos y la forma { sites } de la exportación', () => {
+            const list = SiteCatalog.fromJson(JSON.stringify(['bbc.com', { url: 'lemonde.fr', category: 'news' }]));
+            const exported = SiteCatalog.fromJson(JSON.stringify({ sites: [{ url: 'https://bbc.com/', status: 'inactive' }] }));
+
+            expect(list.sites.map(site => [site.row, site.url, site.category])).toEqual([
+                [1, 'https://bbc.com/', 'general'],
+                [2, 'https://lemonde.fr/', 'news']
+            ]);
+            expect(exported.sites[0].status).toBe('inactive');
+        });
+
+        it('lanza si el JSON es inválido o no trae una lista', () => {
+            expect(() => SiteCatalog.fromJson('{')).toThrow(/JSON inválido/);
+            expect(() => SiteCatalog.fromJson('{"urls": []}')).toThrow(/lista de URLs/);
+        });
+    });
+
+    it('rechaza archivos que no son .csv ni .json', async () => {
+        await expect(SiteCatalog.fromFile('sitios.xlsx')).rejects.toThrow(/no soportado: \.xlsx/);
+    });
+
+    describe('import', () => {
+        const existing = [
+            { url: 'https://bbc.com/', category: 'news', status: 'active' },
+            { url: 'https://lemonde.fr/', category: 'news', status: 'active' }
+        ];
+
+        function makeDatabase() {
+            return {
+                getWebsitesByUrls: vi.fn().mockResolvedValue(existing),
+                importWebsites: vi.fn().mockResolvedValue({ inserted: 1, updated: 0 })
+            };
+        }
+
+        it('separa nuevos, cambiados y sin cambios, y en dry-run no escribe', async () => {
+            const catalog = SiteCatalog.fromJson(JSON.stringify(['bbc.com', { url: 'lemonde.fr', category: 'finance' }, 'elpais.com']), { category: 'news' });
+            const databaseManager = makeDatabase();
+
+            const { diff, inserted } = await catalog.import(databaseManager, { dryRun: true });
+
+            expect(databaseManager.getWebsitesByUrls).toHaveBeenCalledWith(['https://bbc.com/', 'https://lemonde.fr/', 'https://elpais.com/']);
+            expect(diff.added.map(site => site.url)).toEqual(['https://elpais.com/']);
+            expect(diff.changed).toEqual([expect.objectContaining({
+                url: 'https://lemonde.fr/',
+                category: 'finance',
+                previous: { category: 'news', status: 'active' }
+            })]);
+            expect(diff.unchanged.map(site => site.url)).toEqual(['https://bbc.com/']);
+            expect(inserted).toBe(0);
+            expect(databaseManager.importWebsites).not.toHaveBeenCalled();
+        });
+
+        it('pasa la diferencia y la opción update a la base', async () => {
+            const databaseManager = makeDatabase();
+
+            const result = await SiteCatalog.fromJson('["elpais.com"]').import(databaseManager, { update: true });
+
+            expect(databaseManager.importWebsites).toHaveBeenCalledWith(result.diff, { update: true });
+            expect(result).toMatchObject({ inserted: 1, updated: 0 });
+        });
+    });
+
+    describe('export', () => {
+        const sites = [{
+            url: 'https://bbc.com/', domain: 'bbc.com', category: 'news', status: 'active',
+            visit_count: 3, avg_cookies_collected: 12.5, failed_visits: 1, last_visited: null, created_at: '2026-01-05 08:00:00'
+        }];
+        let dir;
+
+        afterEach(async () => {
+            if (dir) await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('escribe CSV o JSON según la extensión, y lo exportado se puede reimportar', async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'site-catalog-'));
+            const databaseManager = { getWebsitesForExport: vi.fn().mockResolvedValue(sites) };
+
+            expect(await SiteCatalog.export(databaseManager, path.join(dir, 'sitios.csv'))).toBe(1);
+            await SiteCatalog.export(databaseManager, path.join(dir, 'sitios.json'));
+
+            const csv = await fs.readFile(path.join(dir, 'sitios.csv'), 'utf8');
+            expect(parseCsv(csv)).toEqual([expect.objectContaining({ url: 'https://bbc.com/', avg_cookies_collected: '12.5', failed_visits: '1', last_visited: '' })]);
+
+            const json = JSON.parse(await fs.readFile(path.join(dir, 'sitios.json'), 'utf8'));
+            expect(json).toMatchObject({ total: 1, sites: [{ url: 'https://bbc.com/', last_visited: null }] });
+
+            const reimported = await SiteCatalog.fromFile(path.join(dir, 'sitios.json'));
+            expect(reimported.sites).toEqual([{ row: 1, url: 'https://bbc.com/', domain: 'bbc.com', category: 'news', status: 'active' }]);
+        });
+
+        it('no consulta la base si el formato no es soportado', async () => {
+            const databaseManager = { getWebsitesForExport: vi.fn() };
+
+            await expect(SiteCatalog.export(databaseManager, 'sitios.txt')).rejects.toThrow(/no soportado/);
+            expect(databaseManager.getWebsitesForExport).not.toHaveBeenCalled();
+        });
+    });
+});
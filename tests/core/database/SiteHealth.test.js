@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import SiteHealth from '../../../src/core/database/SiteHealth.js';
+
+const ok = { success: 1, cookies_before: 10, cookies_after: 14 };
+const empty = { success: 1, cookies_before: 10, cookies_after: 10 };
+const timeout = { success: 0, error_code: 'NAVIGATION_TIMEOUT', error_message: 'Timeout de 30000ms' };
+const failed = { success: 0, error_code: 'NAVIGATION_FAILED', error_message: 'net::ERR_NAME_NOT_RESOLVED' };
+
+describe('SiteHealth', () => {
+    it('classify separa timeouts, otros errores y visitas sin cookies nuevas', () => {
+        expect(SiteHealth.classify(ok)).toBeNull();
+        expect(SiteHealth.classify(empty)).toBe('zeroCookies');
+        expect(SiteHealth.classify(timeout)).toBe('timeout');
+        expect(SiteHealth.classify(failed)).toBe('error');
+        expect(SiteHealth.classify({ success: false, error_code: null })).toBe('error');
+    });
+
+    it('score resta según el tipo de problema y guarda el error más reciente', () => {
+        const health = SiteHealth.score([failed, timeout, empty, ok, ok]);
+
+        expect(health).toEqual({
+            score: 56,
+            visits: 5,
+            failures: 2,
+            timeouts: 1,
+            errors: 1,
+            zeroCookies: 1,
+            lastError: 'net::ERR_NAME_NOT_RESOLVED'
+        });
+        expect(SiteHealth.describe(health)).toBe('puntaje 56, 3 de 5 visitas con problemas (timeouts: 1, errores: 1, sin cookies: 1)');
+        expect(SiteHealth.score([]).score).toBeNull();
+        expect(SiteHealth.score([ok, ok]).score).toBe(100);
+    });
+
+    it('shouldQuarantine pide visitas suficientes y un puntaje bajo el umbral', () => {
+        const dead = SiteHealth.score([timeout, timeout, failed, timeout, timeout]);
+
+        expect(SiteHealth.shouldQuarantine(dead)).toBe(true);
+        expect(SiteHealth.shouldQuarantine(dead, { minVisits: 6 })).toBe(false);
+        expect(SiteHealth.shouldQuarantine(SiteHealth.score([failed, failed]))).toBe(false);
+        expect(SiteHealth.shouldQuarantine(SiteHealth.score([empty, empty, empty, empty, empty]))).toBe(false);
+    });
+
+    it('retryAt duplica la espera en cada reintento fallido hasta el máximo', () => {
+        const now = new Date('2026-01-01T00:00:00.000Z');
+        const hoursAfter = attempt => (SiteHealth.retryAt(attempt, now) - now) / (60 * 60 * 1000);
+
+        expect(hoursAfter(1)).toBe(72);
+        expect(hoursAfter(2)).toBe(144);
+        expect(hoursAfter(3)).toBe(288);
+        expect(hoursAfter(5)).toBe(720);
+        expect((SiteHealth.retryAt(2, now, { retryAfterHours: 1 }) - now) / (60 * 60 * 1000)).toBe(2);
+    });
+});
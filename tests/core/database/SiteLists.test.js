@@ -0,0 +1,47 @@
+import { describe, it, expect, vi } from 'vitest';
+import SiteLists from '../../../src/core/database/SiteLists.js';
+
+describe('SiteLists', () => {
+    it('normalize recorta el nombre y rechaza separadores, vacíos y nombres largos', () => {
+        expect(SiteLists.normalize({ name: '  noticias   es ', description: ' ' })).toEqual({ name: 'noticias es', description: null });
+        expect(SiteLists.normalize({ name: 'tiendas', description: 'E-commerce' }).description).toBe('E-commerce');
+
+        expect(() => SiteLists.normalize({ name: ' ' })).toThrow(/Falta el nombre/);
+        expect(() => SiteLists.normalize({ name: 'noticias,tiendas' })).toThrow(/no puede tener/);
+        expect(() => SiteLists.normalize({ name: 'x'.repeat(51) })).toThrow(/50 caracteres/);
+    });
+
+    it('parseNames separa por coma, punto y coma o barra y quita repetidos sin distinguir mayúsculas', () => {
+        expect(SiteLists.parseNames('noticias-es, Tiendas;NOTICIAS-ES|')).toEqual(['noticias-es', 'Tiendas']);
+        expect(SiteLists.parseNames(['a', ' a ', 'b'])).toEqual(['a', 'b']);
+        expect(SiteLists.parseNames(' ; ')).toBeNull();
+        expect(SiteLists.parseNames(undefined)).toBeNull();
+    });
+
+    it('findMissing devuelve los nombres sin lista guardada', async () => {
+        const databaseManager = { getSiteListsByNames: vi.fn().mockResolvedValue([{ id: 1, name: 'noticias-es' }]) };
+
+        expect(await SiteLists.findMissing(databaseManager, ['Noticias-ES', 'tiendas'])).toEqual(['tiendas']);
+    });
+
+    it('resolveSites junta los sitios por dominio y categoría y aparta los que no están', async () => {
+        const catalog = [
+            { id: 1, url: 'https://www.bbc.com/', domain: 'bbc.com', category: 'news' },
+            { id: 2, url: 'https://www.bbc.com/mundo', domain: 'bbc.com', category: 'news' },
+            { id: 3, url: 'https://elpais.com/', domain: 'elpais.com', category: 'news' }
+        ];
+        const databaseManager = {
+            getWebsitesByDomains: vi.fn(async domains => catalog.filter(site => domains.includes(site.domain))),
+            getWebsitesByCategory: vi.fn(async category => catalog.filter(site => site.category === category))
+        };
+
+        const bySite = await SiteLists.resolveSites(databaseManager, { sites: ['https://www.bbc.com/news', 'lemonde.fr', 'no es url'] });
+        expect(databaseManager.getWebsitesByDomains).toHaveBeenCalledWith(['bbc.com', 'lemonde.fr']);
+        expect(bySite.websites.map(site => site.id)).toEqual([1, 2]);
+        expect(bySite.notFound).toEqual(['no es url', 'lemonde.fr']);
+
+        const withCategory = await SiteLists.resolveSites(databaseManager, { sites: ['bbc.com'], category: 'News' });
+        expect(withCategory.websites.map(site => site.id)).toEqual([1, 2, 3]);
+        await expect(SiteLists.resolveSites(databaseManager, { category: 'cocina' })).rejects.toThrow(/Categoría desconocida/);
+    });
+});
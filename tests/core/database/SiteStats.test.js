@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import SiteStats from '../../../src/core/database/SiteStats.js';
+
+const visit = (fields) => ({
+    success: 1,
+    duration_seconds: null,
+    banner_accepted: null,
+    cookies_before: 0,
+    cookies_after: 0,
+    error_message: null,
+    visited_at: '2026-01-01T10:00:00.000Z',
+    ...fields
+});
+
+describe('SiteStats', () => {
+    it('compute calcula éxito, duración, cookies por minuto, aviso y último error', () => {
+        const stats = SiteStats.compute([
+            visit({ success: 0, duration_seconds: 30, banner_accepted: 0, error_message: 'Timeout', visited_at: '2026-01-03T10:00:00.000Z' }),
+            visit({ duration_seconds: 60, banner_accepted: 1, cookies_before: 10, cookies_after: 40 }),
+            visit({ duration_seconds: 90, banner_accepted: 1, cookies_before: 40, cookies_after: 70 }),
+            visit({ success: 0, error_message: 'net::ERR_NAME_NOT_RESOLVED', visited_at: '2026-01-01T09:00:00.000Z' })
+        ]);
+
+        expect(stats).toEqual({
+            stats_visits: 4,
+            success_rate: 50,
+            avg_duration_seconds: 60,
+            p95_duration_seconds: 90,
+            cookies_per_minute: 20,
+            banner_accept_rate: 66.7,
+            last_error: 'Timeout',
+            last_error_at: '2026-01-03T10:00:00.000Z'
+        });
+        expect(Object.keys(stats)).toEqual(SiteStats.COLUMNS);
+    });
+
+    it('deja en null las métricas sin datos y no resta cookies borradas', () => {
+        expect(SiteStats.compute([])).toMatchObject({ stats_visits: 0, success_rate: null, p95_duration_seconds: null, last_error: null });
+
+        const legacy = SiteStats.compute([visit({ cookies_before: 50, cookies_after: 20 })]);
+        expect(legacy).toMatchObject({ success_rate: 100, avg_duration_seconds: null, cookies_per_minute: null, banner_accept_rate: null });
+        expect(SiteStats.compute([visit({ duration_seconds: 60, cookies_before: 50, cookies_after: 20 })]).cookies_per_minute).toBe(0);
+    });
+
+    it('percentile usa el rango más cercano', () => {
+        const values = Array.from({ length: 20 }, (_, index) => index + 1);
+        expect(SiteStats.percentile(values, 95)).toBe(19);
+        expect(SiteStats.percentile(values, 50)).toBe(10);
+        expect(SiteStats.percentile([7], 95)).toBe(7);
+    });
+
+    it('parseSort traduce la métrica a su columna', () => {
+        expect(SiteStats.parseSort('Cookies-Per-Minute')).toBe('cookies_per_minute');
+        expect(SiteStats.parseSort('p95-duration')).toBe('p95_duration_seconds');
+        expect(() => SiteStats.parseSort('velocidad')).toThrow(/Métrica desconocida/);
+    });
+});
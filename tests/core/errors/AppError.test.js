@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+    AppError,
+    StopRequestedError,
+    BrowserDisconnectedError,
+    NavigationTimeoutError,
+    AdsPowerApiError,
+    ProfileCooldownError,
+    BatchInProgressError,
+    toBrowserError
+} from '../../../src/core/errors/AppError.js';
+
+describe('errores tipados', () => {
+    it('cada clase expone un code estable y hereda de AppError', () => {
+        const errors = [
+            [new StopRequestedError('p1'), 'STOP_REQUESTED'],
+            [new BrowserDisconnectedError(), 'BROWSER_DISCONNECTED'],
+            [new NavigationTimeoutError('https://a.com'), 'NAVIGATION_TIMEOUT'],
+            [new AdsPowerApiError('x'), 'ADSPOWER_API_ERROR'],
+            [new ProfileCooldownError([], 60), 'PROFILE_COOLDOWN'],
+            [new BatchInProgressError('batch_1'), 'BATCH_IN_PROGRESS']
+        ];
+
+        errors.forEach(([error, code]) => {
+            expect(error).toBeInstanceOf(AppError);
+            expect(error).toBeInstanceOf(Error);
+            expect(error.code).toBe(code);
+            expect(error.name).toBe(error.constructor.name);
+        });
+    });
+
+    it('StopRequestedError conserva el perfil', () => {
+        expect(new StopRequestedError('p1').getDetails()).toEqual({ profileId: 'p1' });
+    });
+
+    it('NavigationTimeoutError indica la URL y los intentos', () => {
+        const error = new NavigationTimeoutError('https://a.com', { attempts: 3 });
+        expect(error.message).toMatch(/https:\/\/a\.com.*3 intentos/);
+        expect(error.getDetails()).toEqual({ url: 'https://a.com', attempts: 3 });
+    });
+
+    it('ProfileCooldownError lista cada perfil con su disponibilidad', () => {
+        const availableAt = new Date('2026-01-05T10:00:00.000Z');
+        const error = new ProfileCooldownError([{ profileId: 'p1', lastActivityAt: '2026-01-05T09:00:00.000Z', availableAt }], 60);
+        expect(error.message).toMatch(/60 min.*p1/);
+        expect(error.getDetails()).toEqual({
+            cooldownMinutes: 60,
+            profiles: [{ profileId: 'p1', lastActivityAt: '2026-01-05T09:00:00.000Z', availableAt: '2026-01-05T10:00:00.000Z' }]
+        });
+    });
+
+    describe('AdsPowerApiError.fromResponse', () => {
+        it('detecta el rate limit en inglés y en chino', () => {
+            expect(AdsPowerApiError.fromResponse({ code: -1, msg: 'Too many request per second' }, 'x').rateLimited).toBe(true);
+            expect(AdsPowerApiError.fromResponse({ code: -1, msg: '请求过于频繁' }, 'x').rateLimited).toBe(true);
+        });
+
+        it('arma el mensaje con el contexto y guarda el código de la API', () => {
+            const error = AdsPowerApiError.fromResponse({ code: -1, msg: 'profile not found' }, 'Error iniciando perfil k1', 'k1');
+            expect(error.message).toBe('Error iniciando perfil k1: profile not found');
+            expect(error).toMatchObject({ apiCode: -1, profileId: 'k1', rateLimited: false });
+            expect(error.isRetryable()).toBe(false);
+        });
+
+        it('los errores de red son reintentables', () => {
+            expect(new AdsPowerApiError('sin red', { network: true }).isRetryable()).toBe(true);
+        });
+    });
+
+    describe('toBrowserError', () => {
+        it.each([
+            'Target page, context or browser has been closed',
+            'Browser has been closed',
+            'Target closed',
+            'browser has disconnected'
+        ])('reconoce "%s" como desconexión', message => {
+            const original = new Error(message);
+            const error = toBrowserError(original, { profileId: 'p1' });
+            expect(error).toBeInstanceOf(BrowserDisconnectedError);
+            expect(error.profileId).toBe('p1');
+            expect(error.cause).toBe(original);
+        });
+
+        it('usa el estado de la página aunque el mensaje no se reconozca', () => {
+            const page = { isClosed: () => true };
+            expect(toBrowserError(new Error('algo raro'), { page })).toBeInstanceOf(BrowserDisconnectedError);
+        });
+
+        it('traduce el TimeoutError de Playwright cuando hay URL', () => {
+            const timeout = new Error('page.goto: Timeout 30000ms exceeded');
+            timeout.name = 'TimeoutError';
+            const error = toBrowserError(timeout, { url: 'https://a.com' });
+            expect(error).toBeInstanceOf(NavigationTimeoutError);
+            expect(error.url).toBe('https://a.com');
+        });
+
+        it('devuelve tal cual los errores del dominio y los no reconocidos', () => {
+            const stop = new StopRequestedError('p1');
+            const other = new Error('selector inválido');
+            expect(toBrowserError(stop)).toBe(stop);
+            expect(toBrowserError(other)).toBe(other);
+        });
+    });
+});
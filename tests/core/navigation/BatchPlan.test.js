@@ -0,0 +1,123 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import BatchPlan from '../../../src/core/navigation/BatchPlan.js';
+
+describe('BatchPlan', () => {
+    let tmpDir = null;
+
+    afterEach(async () => {
+        if (tmpDir) {
+            await fs.rm(tmpDir, { recursive: true, force: true });
+            tmpDir = null;
+        }
+    });
+
+    it('lee objetivo, sitios y política por perfil desde CSV', () => {
+        const plan = BatchPlan.fromCsv([
+            'profileId,targetCookies,sites,until,maxSites,maxDurationMinutes',
+            'k1,500,https://www.bbc.com/news;cnn.com,cookies,,',
+            'k2,,,,20,90',
+            'k3,,,,,'
+        ].join('\n'));
+
+        expect(plan.getProfileIds()).toEqual(['k1', 'k2', 'k3']);
+        expect(plan.toSessionOptions()).toEqual({
+            targets: { k1: 500 },
+            policies: { k1: { mode: 'cookies' }, k2: { maxSites: '20', maxDurationMinutes: '90' } },
+            sites: { k1: ['bbc.com', 'cnn.com'] },
+            siteLists: {}
+        });
+    });
+
+    it('acepta JSON como lista o como { profiles }, con política anidada', () => {
+        const entries = [{ profileId: 'k1', policy: { mode: 'either' }, sites: ['Reddit.com'] }];
+        const fromList = BatchPlan.fromJson(JSON.stringify(entries));
+        const fromObject = BatchPlan.fromJson(JSON.stringify({ profiles: entries }));
+
+        expect(fromList.toSessionOptions()).toEqual(fromObject.toSessionOptions());
+        expect(fromList.toSessionOptions()).toEqual({
+            targets: {},
+            policies: { k1: { mode: 'either' } },
+            sites: { k1: ['reddit.com'] },
+            siteLists: {}
+        });
+    });
+
+    it('lee las listas de sitios por perfil, sin repetidos', () => {
+        const plan = BatchPlan.fromCsv([
+            'profile_id,site_lists',
+            'k1,noticias-es;Noticias-ES|tiendas',
+            'k2,'
+        ].join('\n'));
+        const fromJson = BatchPlan.fromJson(JSON.stringify([{ profileId: 'k3', siteLists: ['tiendas'] }]));
+
+        expect(plan.toSessionOptions().siteLists).toEqual({ k1: ['noticias-es', 'tiendas'] });
+        expect(fromJson.toSessionOptions().siteLists).toEqual({ k3: ['tiendas'] });
+    });
+
+    it('reporta la fila y el perfil de una entrada inválida', () => {
+        expect(() => BatchPlan.fromEntries([{ profileId: 'k1' }, { targetCookies: 10 }]))
+            .toThrow(/Fila 2.*profileId/);
+        expect(() => BatchPlan.fromEntries([{ profileId: 'k1', targetCookies: 'mucho' }]))
+            .toThrow(/Fila 1 del plan \(k1\).*targetCookies/);
+        expect(() => BatchPlan.fromEntries([{ profileId: 'k1', until: 'nunca' }]))
+            .toThrow(/Fila 1 del plan \(k1\).*nunca/);
+        expect(() => BatchPlan.fromEntries([{ profileId: 'k1' }, { profileId: 'k1' }]))
+            .toThrow(/repetido/);
+        expect(() => BatchPlan.fromJson('{ roto')).toThrow(/JSON inválido/);
+    });
+
+    it('fromFile elige el formato por extensión', async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'batch-plan-'));
+        const csvPath = path.join(tmpDir, 'plan.csv');
+        const jsonPath = path.join(tmpDir, 'plan.json');
+        await fs.writeFile(csvPath, 'profile_id,cookies\nk1,300\n');
+        await fs.writeFile(jsonPath, JSON.stringify([{ profileId: 'k2', targetCookies: 400 }]));
+
+        expect((await BatchPlan.fromFile(csvPath)).toSessionOptions().targets).toEqual({ k1: 300 });
+        expect((await BatchPlan.fromFile(jsonPath)).toSessionOptions().targets).toEqual({ k2: 400 });
+        await expect(BatchPlan.fromFile(path.join(tmpDir, 'plan.txt'))).rejects.toThrow(/no soportado/);
+    });
+
+    describe('forRerun', () => {
+        const batch = {
+            batch_id: 'batch_1',
+            profile_ids: ['k1', 'k2', 'k3'],
+            default_target: 100,
+            targets: { k1: 100, k2: 500, k3: 100 },
+            policy: { mode: 'either', maxSites: 20, maxDurationMinutes: null, deadline: '2026-01-01T18:00:00.000Z' },
+            overrides: {
+                policies: { k3: { mode: 'cookies', deadline: '2026-01-01T12:00:00.000Z' } },
+                sites: { k1: ['bbc.com'] },
+                siteLists: { k2: ['noticias-es'] }
+            },
+            category_mix: { news: 60, blog: 40 }
+        };
+
+        it('recupera perfiles, objetivo, política y ajustes propios del lote', () => {
+            const rerun = BatchPlan.forRerun(batch, new Date('2025-12-31T00:00:00.000Z'));
+
+            expect(rerun.profileIds).toEqual(['k1', 'k2', 'k3']);
+            expect(rerun.targetCookies).toBe(100);
+            expect(rerun.policy).toEqual({ mode: 'either', maxSites: 20, maxDurationMinutes: null, deadline: '2026-01-01T18:00:00.000Z' });
+            expect(rerun.expiredDeadline).toBe(false);
+            expect(rerun.categoryMix).toEqual({ news: 60, blog: 40 });
+            expect(rerun.plan.toSessionOptions()).toEqual({
+                targets: { k2: 500 },
+                policies: { k3: { mode: 'cookies', deadline: '2026-01-01T12:00:00.000Z' } },
+                sites: { k1: ['bbc.com'] },
+                siteLists: { k2: ['noticias-es'] }
+            });
+        });
+
+        it('descarta las fechas límite que ya pasaron', () => {
+            const rerun = BatchPlan.forRerun(batch, new Date('2026-02-01T00:00:00.000Z'));
+
+            expect(rerun.expiredDeadline).toBe(true);
+            expect(rerun.policy.deadline).toBeNull();
+            expect(rerun.plan.toSessionOptions().policies).toEqual({ k3: { mode: 'cookies' } });
+        });
+    });
+});
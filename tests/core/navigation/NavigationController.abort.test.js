@@ -0,0 +1,105 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import NavigationController from '../../../src/core/navigation/NavigationController.js';
+import TimingManager from '../../../src/core/navigation/TimingManager.js';
+import { StopRequestedError } from '../../../src/core/errors/AppError.js';
+
+// Evitar que los módulos de navegación intenten cargar dependencias de red o Playwright
+vi.mock('../../../src/core/navigation/CookieDetector.js', () => ({
+    default: class CookieDetector {}
+}));
+vi.mock('../../../src/core/navigation/HumanBehaviorSimulator.js', () => ({
+    default: class HumanBehaviorSimulator {}
+}));
+
+const WEBSITE = { url: 'https://bbc.com', domain: 'bbc.com' };
+const SESSION_STATS = { profileId: 'p1', cookiesCollected: 0, targetCookies: 100, sitesVisited: 0 };
+
+function makeController() {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const controller = new NavigationController({}, {}, {});
+    controller.cookieDetector = {
+        getCookieCount: vi.fn().mockResolvedValue(10),
+        acceptCookies: vi.fn().mockResolvedValue({ success: false }),
+        cookieCounterManager: {
+            calculateSafeCookieDifference: () => ({ safeDifference: 0, wasAdjusted: false })
+        }
+    };
+    return controller;
+}
+
+function makePage() {
+    return {
+        isClosed: () => false,
+        evaluate: vi.fn().mockResolvedValue('complete'),
+        goto: vi.fn().mockResolvedValue(null),
+        url: () => WEBSITE.url
+    };
+}
+
+describe('NavigationController — cancelación con AbortSignal', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('setStopFlag aborta la señal de la sesión con StopRequestedError', () => {
+        const controller = makeController();
+        const signal = controller.createSessionSignal('p1');
+
+        controller.setStopFlag('p1');
+
+        expect(signal.aborted).toBe(true);
+        expect(signal.reason).toBeInstanceOf(StopRequestedError);
+        expect(signal.reason.profileId).toBe('p1');
+    });
+
+    it('la señal nace abortada si la detención se pidió antes de arrancar', () => {
+        const controller = makeController();
+        controller.setStopFlag('p1');
+
+        expect(controller.createSessionSignal('p1').aborted).toBe(true);
+    });
+
+    it('detener corta una pausa humana en curso dentro del sitio', async () => {
+        vi.useFakeTimers();
+        const controller = makeController();
+        controller.createSessionSignal('p1');
+        const timingManager = new TimingManager();
+        controller.humanBehaviorSimulator = {
+            simulateHumanNavigation: vi.fn(async (page, website, options) => {
+                // Pausa larga, como la de una distracción o un descanso por fatiga
+                await timingManager.performPauseWithVariation(60000, 'fatigue_break', options.signal);
+                return { interactionsPerformed: 1, humanLikeScore: 80 };
+            })
+        };
+
+        const processing = controller.processSiteWithHumanBehavior(makePage(), WEBSITE, SESSION_STATS, 'p1', 's1');
+        const outcome = expect(processing).rejects.toBeInstanceOf(StopRequestedError);
+
+        // Pasar la estabilización de 3s y entrar en la pausa
+        await vi.advanceTimersByTimeAsync(5000);
+        controller.setStopFlag('p1');
+        await vi.advanceTimersByTimeAsync(0);
+
+        await outcome;
+        expect(controller.cookieDetector.getCookieCount).toHaveBeenCalledTimes(1);
+        expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('sin sesión registrada, las esperas no son cancelables y el sitio termina normalmente', async () => {
+        vi.useFakeTimers();
+        const controller = makeController();
+        controller.humanBehaviorSimulator = {
+            simulateHumanNavigation: vi.fn().mockResolvedValue({ interactionsPerformed: 2, humanLikeScore: 70 })
+        };
+
+        const processing = controller.processSiteWithHumanBehavior(makePage(), WEBSITE, SESSION_STATS, 'p1', 's1');
+        await vi.advanceTimersByTimeAsync(3000);
+        const result = await processing;
+
+        expect(result.success).toBe(true);
+        expect(controller.humanBehaviorSimulator.simulateHumanNavigation.mock.calls[0][2].signal).toBeUndefined();
+    });
+});
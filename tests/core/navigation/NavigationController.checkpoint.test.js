@@ -0,0 +1,50 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import NavigationController from '../../../src/core/navigation/NavigationController.js';
+
+// Evitar que los módulos de navegación intenten cargar dependencias de red o Playwright
+vi.mock('../../../src/core/navigation/CookieDetector.js', () => ({
+    default: class CookieDetector {}
+}));
+vi.mock('../../../src/core/navigation/HumanBehaviorSimulator.js', () => ({
+    default: class HumanBehaviorSimulator {}
+}));
+
+const SESSION_STATS = {
+    sessionId: 's1',
+    profileId: 'p1',
+    cookiesCollected: 320,
+    sitesVisited: 7,
+    totalInteractions: 55,
+    currentSite: 'cnn.com',
+    categoryVisits: { news: 5, blog: 2 }
+};
+
+describe('NavigationController — checkpoints de sesión', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('guarda el avance actual de la sesión', async () => {
+        const databaseManager = { saveSessionCheckpoint: vi.fn().mockResolvedValue(true) };
+        const controller = new NavigationController(databaseManager, {}, {});
+
+        await controller.checkpointSession(SESSION_STATS);
+
+        expect(databaseManager.saveSessionCheckpoint).toHaveBeenCalledWith('s1', {
+            cookiesCollected: 320,
+            sitesVisited: 7,
+            totalInteractions: 55,
+            currentSite: 'cnn.com',
+            categoryVisits: { news: 5, blog: 2 }
+        });
+    });
+
+    it('un fallo al guardar no interrumpe la sesión', async () => {
+        const databaseManager = { saveSessionCheckpoint: vi.fn().mockRejectedValue(new Error('SQLITE_BUSY')) };
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const controller = new NavigationController(databaseManager, {}, {});
+
+        await expect(controller.checkpointSession(SESSION_STATS)).resolves.toBeUndefined();
+        expect(warn).toHaveBeenCalled();
+    });
+});
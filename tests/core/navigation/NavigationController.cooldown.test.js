@@ -0,0 +1,94 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import NavigationController from '../../../src/core/navigation/NavigationController.js';
+import { ProfileCooldownError } from '../../../src/core/errors/AppError.js';
+
+// Evitar que los módulos de navegación intenten cargar dependencias de red o Playwright
+vi.mock('../../../src/core/navigation/CookieDetector.js', () => ({
+    default: class CookieDetector {}
+}));
+vi.mock('../../../src/core/navigation/HumanBehaviorSimulator.js', () => ({
+    default: class HumanBehaviorSimulator {}
+}));
+
+/**
+ * Controller cuyas sesiones terminan en el acto; la base solo responde
+ * qué perfiles siguen en enfriamiento.
+ */
+function makeController({ cooldownMinutes = 60, inCooldown = [] } = {}) {
+    const configStore = {
+        getDefaultCookieTarget: () => 100,
+        getConcurrencyConfig: () => ({ maxConcurrentProfiles: 2, profileStartupDelay: 0, profileStartupJitter: 0 }),
+        getProfileCooldownMinutes: () => cooldownMinutes,
+        getWatchdogConfig: () => ({ enabled: false })
+    };
+    const databaseManager = {
+        getProfilesInCooldown: vi.fn().mockResolvedValue(inCooldown),
+        createBatch: vi.fn().mockResolvedValue(),
+        completeBatch: vi.fn().mockResolvedValue()
+    };
+    const controller = new NavigationController(databaseManager, configStore, {});
+    controller.setupDatabaseConcurrency = vi.fn().mockResolvedValue();
+    controller.showFinalReport = vi.fn();
+    controller.startSingleNavigationSession = vi.fn(async profileId => ({
+        profileId,
+        success: true,
+        cookiesCollected: 10,
+        sitesVisited: 1,
+        duration: 1000
+    }));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    return { controller, databaseManager };
+}
+
+describe('NavigationController — enfriamiento de perfiles', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('rechaza el lote si algún perfil corrió dentro del enfriamiento', async () => {
+        const lastActivityAt = new Date(Date.now() - 20 * 60 * 1000).toISOString();
+        const { controller, databaseManager } = makeController({
+            inCooldown: [{ profile_id: 'b', last_activity_at: lastActivityAt }]
+        });
+
+        const error = await controller.startMultipleNavigationSessions(['a', 'b']).catch(e => e);
+
+        expect(error).toBeInstanceOf(ProfileCooldownError);
+        expect(error.profiles).toEqual([{
+            profileId: 'b',
+            lastActivityAt,
+            availableAt: new Date(new Date(lastActivityAt).getTime() + 60 * 60 * 1000)
+        }]);
+        expect(databaseManager.createBatch).not.toHaveBeenCalled();
+        expect(controller.startSingleNavigationSession).not.toHaveBeenCalled();
+    });
+
+    it('consulta la base con el inicio de la ventana de enfriamiento', async () => {
+        const { controller, databaseManager } = makeController({ cooldownMinutes: 30 });
+        const before = Date.now();
+
+        await controller.startMultipleNavigationSessions(['a']);
+
+        const [profileIds, since] = databaseManager.getProfilesInCooldown.mock.calls[0];
+        expect(profileIds).toEqual(['a']);
+        expect(before - since.getTime()).toBeGreaterThanOrEqual(30 * 60 * 1000);
+        expect(controller.startSingleNavigationSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('no verifica con ignoreCooldown, al reanudar ni con el enfriamiento en 0', async () => {
+        const inCooldown = [{ profile_id: 'a', last_activity_at: new Date().toISOString() }];
+        const ignored = makeController({ inCooldown });
+        const resumed = makeController({ inCooldown });
+        const disabled = makeController({ cooldownMinutes: 0, inCooldown });
+
+        await ignored.controller.startMultipleNavigationSessions(['a'], null, { ignoreCooldown: true });
+        await resumed.controller.startMultipleNavigationSessions(['a'], null, { startedBy: 'resume' });
+        await disabled.controller.startMultipleNavigationSessions(['a']);
+
+        [ignored, resumed, disabled].forEach(({ controller, databaseManager }) => {
+            expect(databaseManager.getProfilesInCooldown).not.toHaveBeenCalled();
+            expect(controller.startSingleNavigationSession).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import NavigationController from '../../../src/core/navigation/NavigationController.js';
+import {
+    StopRequestedError,
+    BrowserDisconnectedError,
+    NavigationTimeoutError
+} from '../../../src/core/errors/AppError.js';
+
+// Evitar que los módulos de navegación intenten cargar dependencias de red o Playwright
+vi.mock('../../../src/core/navigation/CookieDetector.js', () => ({
+    default: class CookieDetector {}
+}));
+vi.mock('../../../src/core/navigation/HumanBehaviorSimulator.js', () => ({
+    default: class HumanBehaviorSimulator {}
+}));
+
+const WEBSITE = { url: 'https://bbc.com', domain: 'bbc.com' };
+const SESSION_STATS = { profileId: 'p1', cookiesCollected: 0, targetCookies: 100, sitesVisited: 0 };
+
+function makeController() {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const controller = new NavigationController({}, {}, {});
+    controller.sleep = vi.fn().mockResolvedValue();
+    controller.cookieDetector = {
+        getCookieCount: vi.fn().mockResolvedValue(10),
+        cookieCounterManager: {
+            calculateSafeCookieDifference: () => ({ safeDifference: 0, wasAdjusted: false })
+        }
+    };
+    return controller;
+}
+
+describe('NavigationController — errores tipados', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('checkStopFlagOrThrow lanza StopRequestedError con el perfil', () => {
+        const controller = makeController();
+        controller.setStopFlag('p1');
+
+        expect(() => controller.checkStopFlagOrThrow('p1')).toThrow(StopRequestedError);
+        expect(() => controller.checkStopFlagOrThrow('p1')).toThrow(expect.objectContaining({ profileId: 'p1' }));
+    });
+
+    it('un sitio con el navegador cerrado devuelve BrowserDisconnectedError como falla', async () => {
+        const controller = makeController();
+        const page = {
+            isClosed: () => false,
+            evaluate: vi.fn().mockRejectedValue(new Error('Target page, context or browser has been closed'))
+        };
+
+        const result = await controller.processSiteWithHumanBehavior(page, WEBSITE, SESSION_STATS, 'p1', 's1');
+
+        expect(result.success).toBe(false);
+        expect(result.failure).toBeInstanceOf(BrowserDisconnectedError);
+    });
+
+    it('tres timeouts de navegación terminan en NavigationTimeoutError', async () => {
+        const controller = makeController();
+        const timeout = new Error('page.goto: Timeout 30000ms exceeded');
+        timeout.name = 'TimeoutError';
+        const page = {
+            isClosed: () => false,
+            evaluate: vi.fn().mockResolvedValue('complete'),
+            goto: vi.fn().mockRejectedValue(timeout)
+        };
+
+        const result = await controller.processSiteWithHumanBehavior(page, WEBSITE, SESSION_STATS, 'p1', 's1');
+
+        expect(page.goto).toHaveBeenCalledTimes(3);
+        expect(result.failure).toBeInstanceOf(NavigationTimeoutError);
+        expect(result.failure.attempts).toBe(3);
+    });
+});
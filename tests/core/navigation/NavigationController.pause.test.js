@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import NavigationController from '../../../src/core/navigation/NavigationController.js';
+import TerminationPolicy from '../../../src/core/navigation/TerminationPolicy.js';
+
+// Evitar que los módulos de navegación intenten cargar dependencias de red o Playwright
+vi.mock('../../../src/core/navigation/CookieDetector.js', () => ({
+    default: class CookieDetector {}
+}));
+vi.mock('../../../src/core/navigation/HumanBehaviorSimulator.js', () => ({
+    default: class HumanBehaviorSimulator {}
+}));
+
+function makeController() {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const controller = new NavigationController({}, {}, {});
+    controller.activeSessions.set('p1', {
+        sessionId: 'sess-1',
+        profileId: 'p1',
+        cookiesCollected: 120,
+        targetCookies: 500,
+        sitesVisited: 3,
+        status: 'running',
+        pausedAt: null,
+        pausedDuration: 0
+    });
+    return controller;
+}
+
+describe('NavigationController — pausa y reanudación de sesiones', () => {
+    let controller;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-01-01T10:00:00Z'));
+        controller = makeController();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('pauseSession marca la sesión como pausada y emite session:paused', () => {
+        const events = [];
+        controller.on('session:paused', data => events.push(data));
+
+        expect(controller.pauseSession('p1')).toBe(true);
+        expect(controller.getActiveSessionsSnapshot()[0].status).toBe('paused');
+        expect(events[0]).toMatchObject({ sessionId: 'sess-1', profileId: 'p1' });
+    });
+
+    it('pausar dos veces no cambia nada la segunda', () => {
+        controller.pauseSession('p1');
+        expect(controller.pauseSession('p1')).toBe(false);
+    });
+
+    it('lanza si el perfil no tiene sesión activa', () => {
+        expect(() => controller.pauseSession('nope')).toThrow(/nope/);
+        expect(() => controller.resumeSession('nope')).toThrow(/nope/);
+    });
+
+    it('resumeSession acumula el tiempo en pausa y emite session:resumed', () => {
+        const events = [];
+        controller.on('session:resumed', data => events.push(data));
+
+        controller.pauseSession('p1');
+        vi.advanceTimersByTime(30000);
+        expect(controller.resumeSession('p1')).toBe(true);
+
+        const session = controller.activeSessions.get('p1');
+        expect(session.status).toBe('running');
+        expect(session.pausedDuration).toBe(30000);
+        expect(session.cookiesCollected).toBe(120);
+        expect(events[0]).toMatchObject({ profileId: 'p1', pausedDuration: 30000 });
+    });
+
+    it('getPausedDuration incluye la pausa en curso', () => {
+        const session = controller.activeSessions.get('p1');
+        session.pausedDuration = 10000;
+        controller.pauseSession('p1');
+        vi.advanceTimersByTime(5000);
+        expect(controller.getPausedDuration(session)).toBe(15000);
+    });
+
+    it('waitWhilePaused bloquea hasta que la sesión se reanuda', async () => {
+        controller.pauseSession('p1');
+        let released = false;
+        const waiting = controller.waitWhilePaused('p1').then(() => { released = true; });
+
+        await vi.advanceTimersByTimeAsync(2000);
+        expect(released).toBe(false);
+
+        controller.resumeSession('p1');
+        await vi.advanceTimersByTimeAsync(500);
+        await waiting;
+        expect(released).toBe(true);
+    });
+
+    it('waitWhilePaused respeta la detención aunque la sesión siga pausada', async () => {
+        controller.pauseSession('p1');
+        const waiting = controller.waitWhilePaused('p1');
+        const assertion = expect(waiting).rejects.toMatchObject({ code: 'STOP_REQUESTED' });
+
+        controller.setStopFlag('p1');
+        await vi.advanceTimersByTimeAsync(500);
+        await assertion;
+    });
+
+    it('waitWhilePaused corta la pausa al vencer la fecha límite de la política', async () => {
+        const policy = new TerminationPolicy({ deadline: '2026-01-01T10:05:00Z' });
+        controller.pauseSession('p1');
+        let reason;
+        const waiting = controller.waitWhilePaused('p1', policy, Date.now()).then(result => { reason = result; });
+
+        await vi.advanceTimersByTimeAsync(4 * 60000);
+        expect(reason).toBeUndefined();
+
+        await vi.advanceTimersByTimeAsync(60000);
+        await waiting;
+        expect(reason).toBe('deadline');
+        expect(controller.activeSessions.get('p1').status).toBe('paused');
+    });
+
+    it('waitWhilePaused cuenta la duración máxima con el reloj, pausa incluida', async () => {
+        const policy = new TerminationPolicy({ maxDurationMinutes: 10 });
+        const startTime = Date.now() - 8 * 60000;
+        controller.pauseSession('p1');
+        const waiting = controller.waitWhilePaused('p1', policy, startTime);
+
+        await vi.advanceTimersByTimeAsync(2 * 60000);
+        await expect(waiting).resolves.toBe('max_duration');
+    });
+
+    it('waitWhilePaused devuelve null al reanudar antes de los límites', async () => {
+        controller.pauseSession('p1');
+        const waiting = controller.waitWhilePaused('p1', new TerminationPolicy({ maxDurationMinutes: 10 }), Date.now());
+
+        controller.resumeSession('p1');
+        await vi.advanceTimersByTimeAsync(500);
+        await expect(waiting).resolves.toBeNull();
+    });
+
+    it('una sesión pausada sigue latiendo en la base pasada la ventana de inactividad', async () => {
+        // Misma regla que DatabaseManager#hasRunningNavigation: viva si latió en los últimos 10 minutos
+        let lastHeartbeat = Date.now();
+        controller.databaseManager = {
+            saveSessionCheckpoint: vi.fn(async () => { lastHeartbeat = Date.now(); return true; })
+        };
+        const isRunning = () => Date.now() - lastHeartbeat < 10 * 60000;
+        const session = controller.activeSessions.get('p1');
+
+        controller.startSessionHeartbeat(session);
+        controller.pauseSession('p1');
+        const waiting = controller.waitWhilePaused('p1');
+
+        await vi.advanceTimersByTimeAsync(25 * 60000);
+        expect(isRunning()).toBe(true);
+        expect(controller.databaseManager.saveSessionCheckpoint).toHaveBeenLastCalledWith('sess-1', expect.objectContaining({ cookiesCollected: 120 }));
+
+        controller.resumeSession('p1');
+        await vi.advanceTimersByTimeAsync(500);
+        await waiting;
+        controller.stopSessionHeartbeat('p1');
+        await vi.advanceTimersByTimeAsync(25 * 60000);
+        expect(isRunning()).toBe(false);
+    });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import NavigationController from '../../../src/core/navigation/NavigationController.js';
+
+// Evitar que los módulos de navegación intenten cargar dependencias de red o Playwright
+vi.mock('../../../src/core/navigation/CookieDetector.js', () => ({
+    default: class CookieDetector {}
+}));
+vi.mock('../../../src/core/navigation/HumanBehaviorSimulator.js', () => ({
+    default: class HumanBehaviorSimulator {}
+}));
+
+const ORPHANED = [
+    { sessionId: 's1', profileId: 'p1', targetCookies: 500, cookiesCollected: 200, sitesVisited: 4 },
+    { sessionId: 's2', profileId: 'p2', targetCookies: 500, cookiesCollected: 650, sitesVisited: 9 }
+];
+
+function makeController(orphaned = ORPHANED) {
+    const databaseManager = {
+        recoverOrphanedSessions: vi.fn().mockResolvedValue(orphaned)
+    };
+    const adsPowerManager = {
+        stopProfile: vi.fn().mockResolvedValue()
+    };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const controller = new NavigationController(databaseManager, {}, adsPowerManager);
+    return { controller, databaseManager, adsPowerManager };
+}
+
+describe('NavigationController — recuperación de ejecuciones interrumpidas', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('devuelve null y no toca Ads Power cuando no hay sesiones huérfanas', async () => {
+        const { controller, adsPowerManager } = makeController([]);
+        await expect(controller.recoverInterruptedRun()).resolves.toBeNull();
+        expect(adsPowerManager.stopProfile).not.toHaveBeenCalled();
+        await expect(controller.getInterruptedRun()).resolves.toBeNull();
+    });
+
+    it('cierra los navegadores huérfanos y calcula lo pendiente por perfil', async () => {
+        const { controller, adsPowerManager } = makeController();
+        const run = await controller.recoverInterruptedRun();
+
+        expect(adsPowerManager.stopProfile).toHaveBeenCalledWith('p1');
+        expect(adsPowerManager.stopProfile).toHaveBeenCalledWith('p2');
+        expect(run.profiles).toEqual([
+            { profileId: 'p1', sessionId: 's1', targetCookies: 500, cookiesCollected: 200, remainingCookies: 300 },
+            { profileId: 'p2', sessionId: 's2', targetCookies: 500, cookiesCollected: 650, remainingCookies: 0 }
+        ]);
+    });
+
+    it('sigue adelante si Ads Power no responde al cerrar un perfil', async () => {
+        const { controller, adsPowerManager } = makeController();
+        adsPowerManager.stopProfile.mockRejectedValueOnce(new Error('Ads Power no disponible'));
+
+        const run = await controller.recoverInterruptedRun();
+        expect(run.profiles).toHaveLength(2);
+        expect(adsPowerManager.stopProfile).toHaveBeenCalledTimes(2);
+    });
+
+    it('getInterruptedRun espera a que termine la recuperación en curso', async () => {
+        const { controller } = makeController();
+        controller.recoverInterruptedRun();
+        const run = await controller.getInterruptedRun();
+        expect(run.profiles).toHaveLength(2);
+    });
+
+    it('takeResumePlan arma objetivos pendientes y consume la ejecución', async () => {
+        const { controller } = makeController();
+        await controller.recoverInterruptedRun();
+
+        expect(controller.takeResumePlan()).toEqual({
+            profileIds: ['p1'],
+            targets: { p1: 300 }
+        });
+        expect(controller.takeResumePlan()).toBeNull();
+    });
+
+    it('dismissInterruptedRun descarta la ejecución pendiente', async () => {
+        const { controller } = makeController();
+        await controller.recoverInterruptedRun();
+        controller.dismissInterruptedRun();
+        await expect(controller.getInterruptedRun()).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,486 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import NavigationController from '../../../src/core/navigation/NavigationController.js';
+import TerminationPolicy from '../../../src/core/navigation/TerminationPolicy.js';
+import { BatchInProgressError } from '../../../src/core/errors/AppError.js';
+
+// Evitar que los módulos de navegación intenten cargar dependencias de red o Playwright
+vi.mock('../../../src/core/navigation/CookieDetector.js', () => ({
+    default: class CookieDetector {}
+}));
+vi.mock('../../../src/core/navigation/HumanBehaviorSimulator.js', () => ({
+    default: class HumanBehaviorSimulator {}
+}));
+
+/**
+ * Controller con startSingleNavigationSession reemplazado por sesiones
+ * controlables desde el test: cada perfil queda "corriendo" hasta que se
+ * llama a finish(profileId).
+ */
+function makeController({ maxConcurrentProfiles = 2, profileStartupDelay = 0, profileStartupJitter = 0 } = {}) {
+    const configStore = {
+        getDefaultCookieTarget: () => 100,
+        getConcurrencyConfig: () => ({ maxConcurrentProfiles, profileStartupDelay, profileStartupJitter }),
+        getProfileCooldownMinutes: () => 0,
+        getWatchdogConfig: () => ({ enabled: false })
+    };
+    const databaseManager = {
+        createBatch: vi.fn().mockResolvedValue(),
+        addProfilesToBatch: vi.fn().mockResolvedValue(true),
+        completeBatch: vi.fn().mockResolvedValue(),
+        getSiteListsByNames: vi.fn(async names => names
+            .filter(name => ['noticias-es', 'tiendas'].includes(name))
+            .map((name, index) => ({ id: index + 1, name })))
+    };
+    const controller = new NavigationController(databaseManager, configStore, {});
+    controller.setupDatabaseConcurrency = vi.fn().mockResolvedValue();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const finishers = new Map();
+    controller.startSingleNavigationSession = vi.fn(profileId => new Promise(resolve => {
+        finishers.set(profileId, () => resolve({
+            profileId,
+            success: true,
+            cookiesCollected: 10,
+            sitesVisited: 1,
+            duration: 1000
+        }));
+    }));
+
+    return {
+        controller,
+        finish: profileId => finishers.get(profileId)()
+    };
+}
+
+/** Vacía la cola de microtasks para que el pool procese los `then`. */
+async function flush() {
+    for (let i = 0; i < 10; i++) {
+        await Promise.resolve();
+    }
+}
+
+describe('NavigationController — pool de sesiones', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('no arranca más sesiones que maxConcurrentProfiles', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 2 });
+        const run = controller.startMultipleNavigationSessions(['a', 'b', 'c']);
+        await flush();
+
+        expect(controller.startSingleNavigationSession).toHaveBeenCalledTimes(2);
+        expect(controller.getQueuedProfilesSnapshot()).toEqual([{ profileId: 'c', position: 1 }]);
+        expect(controller.getGlobalStatus().isRunning).toBe(true);
+
+        finish('a');
+        await flush();
+        expect(controller.startSingleNavigationSession).toHaveBeenCalledTimes(3);
+
+        finish('b');
+        finish('c');
+        const stats = await run;
+        expect(stats.totalProfiles).toBe(3);
+        expect(controller.getQueuedSessionCount()).toBe(0);
+    });
+
+    it('emite session:queued con la posición de cada perfil en espera', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 1 });
+        const events = [];
+        controller.on('session:queued', data => events.push(data));
+
+        const run = controller.startMultipleNavigationSessions(['a', 'b', 'c']);
+        await flush();
+
+        expect(events.at(-2)).toMatchObject({ profileId: 'b', position: 1, queueLength: 2 });
+        expect(events.at(-1)).toMatchObject({ profileId: 'c', position: 2, queueLength: 2 });
+
+        finish('a');
+        await flush();
+        expect(events.at(-1)).toMatchObject({ profileId: 'c', position: 1, queueLength: 1 });
+
+        finish('b');
+        await flush();
+        finish('c');
+        await run;
+    });
+
+    it('pasa la misma política de terminación a todas las sesiones del lote', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 2 });
+        const run = controller.startMultipleNavigationSessions(['a', 'b'], 100, { policy: { mode: 'either', maxSites: 10 } });
+        await flush();
+
+        const policies = controller.startSingleNavigationSession.mock.calls.map(call => call[2]);
+        expect(policies[0]).toBeInstanceOf(TerminationPolicy);
+        expect(policies[0].toJSON()).toMatchObject({ mode: 'either', maxSites: 10 });
+        expect(policies[1]).toBe(policies[0]);
+
+        finish('a');
+        finish('b');
+        await run;
+    });
+
+    it('aplica objetivo, política y sitios propios de cada perfil sobre los del lote', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 2 });
+        const run = controller.startMultipleNavigationSessions(['a', 'b'], 100, {
+            policy: { mode: 'both', maxSites: 10 },
+            targets: { b: 500 },
+            policies: { b: { mode: 'cookies' } },
+            sites: { b: ['bbc.com'] }
+        });
+        await flush();
+
+        const [callA, callB] = controller.startSingleNavigationSession.mock.calls;
+        expect(callA[1]).toBe(100);
+        expect(callA[2].toJSON()).toMatchObject({ mode: 'both', maxSites: 10 });
+        expect(callA[3]).toEqual({});
+        expect(callB[1]).toBe(500);
+        expect(callB[2].toJSON()).toMatchObject({ mode: 'cookies', maxSites: 10 });
+        expect(callB[3]).toEqual({ domains: ['bbc.com'] });
+
+        finish('a');
+        finish('b');
+        await run;
+    });
+
+    it('rechaza una política inválida antes de encolar perfiles', async () => {
+        const { controller } = makeController();
+        await expect(controller.startMultipleNavigationSessions(['a'], 100, { policy: { mode: 'nunca' } }))
+            .rejects.toThrow(/nunca/);
+        expect(controller.startSingleNavigationSession).not.toHaveBeenCalled();
+    });
+
+    it('corre una sola sesión por perfil aunque el id venga repetido', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 2 });
+        const run = controller.startMultipleNavigationSessions(['a', 'b', 'a']);
+        await flush();
+
+        expect(controller.startSingleNavigationSession.mock.calls.map(call => call[0])).toEqual(['a', 'b']);
+        expect(controller.globalStats.totalSessions).toBe(2);
+        expect(controller.databaseManager.createBatch.mock.calls[0][0].profileIds).toEqual(['a', 'b']);
+
+        finish('a');
+        finish('b');
+        const stats = await run;
+        expect(stats.totalProfiles).toBe(2);
+    });
+
+    it('rechaza un segundo lote mientras el primero corre, sin pisar su pool ni sus estadísticas', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 1 });
+        const run = controller.startMultipleNavigationSessions(['a', 'b']);
+        await flush();
+        const { sessionPool, currentBatch } = controller;
+
+        await expect(controller.startMultipleNavigationSessions(['c'])).rejects.toBeInstanceOf(BatchInProgressError);
+        expect(controller.sessionPool).toBe(sessionPool);
+        expect(controller.currentBatch).toBe(currentBatch);
+        expect(controller.globalStats.totalSessions).toBe(2);
+
+        finish('a');
+        await flush();
+        finish('b');
+        await run;
+        expect(controller.isBatchActive()).toBe(false);
+    });
+
+    it('rechaza un segundo lote que llega mientras el primero todavía se registra', async () => {
+        const { controller, finish } = makeController();
+        const first = controller.startMultipleNavigationSessions(['a']);
+        expect(controller.isBatchActive()).toBe(true);
+        expect(controller.getActiveSessionCount() + controller.getQueuedSessionCount()).toBe(0);
+
+        await expect(controller.startMultipleNavigationSessions(['b'])).rejects.toMatchObject({ code: 'BATCH_IN_PROGRESS' });
+        expect(controller.databaseManager.createBatch).toHaveBeenCalledTimes(1);
+
+        await flush();
+        finish('a');
+        await first;
+    });
+
+    it('libera la marca si el lote falla antes de abrir el pool', async () => {
+        const { controller, finish } = makeController();
+        await expect(controller.startMultipleNavigationSessions(['a'], 100, { defaultSiteLists: ['deportes'] }))
+            .rejects.toThrow(/deportes/);
+        expect(controller.isBatchActive()).toBe(false);
+
+        const run = controller.startMultipleNavigationSessions(['a']);
+        await flush();
+        finish('a');
+        await expect(run).resolves.toMatchObject({ totalProfiles: 1 });
+    });
+
+    it('stopAllSessions retira de la cola los perfiles que no arrancaron', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 1 });
+        controller.markSessionStopped = vi.fn().mockResolvedValue();
+        controller.cleanupProfile = vi.fn().mockResolvedValue();
+
+        const run = controller.startMultipleNavigationSessions(['a', 'b', 'c']);
+        await flush();
+
+        await controller.stopAllSessions();
+        finish('a');
+        const stats = await run;
+
+        expect(controller.startSingleNavigationSession).toHaveBeenCalledTimes(1);
+        const dequeued = stats.results.filter(r => r.stopped);
+        expect(dequeued.map(r => r.profileId)).toEqual(['b', 'c']);
+    });
+});
+
+describe('NavigationController — detener un solo perfil', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('retira de la cola un perfil que no arrancó sin afectar al resto', async () => {
+        vi.useFakeTimers();
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 1 });
+        const stopped = [];
+        controller.on('session:stopped', data => stopped.push(data.profileId));
+
+        const run = controller.startMultipleNavigationSessions(['a', 'b', 'c']);
+        await flush();
+
+        await expect(controller.stopSession('b')).resolves.toEqual({ profileId: 'b', status: 'dequeued' });
+        expect(stopped).toEqual(['b']);
+        expect(controller.getQueuedProfilesSnapshot()).toEqual([{ profileId: 'c', position: 1 }]);
+
+        finish('a');
+        await flush();
+        finish('c');
+        const stats = await run;
+        expect(stats.results.find(r => r.profileId === 'b')).toMatchObject({ stopped: true });
+        expect(controller.startSingleNavigationSession).toHaveBeenCalledTimes(2);
+    });
+
+    it('levanta el flag y cierra el navegador solo del perfil pedido', async () => {
+        const { controller } = makeController();
+        controller.adsPowerManager = { stopProfile: vi.fn().mockResolvedValue() };
+        controller.activeSessions.set('a', { sessionId: 'sess-a', profileId: 'a' });
+        controller.activeSessions.set('b', { sessionId: 'sess-b', profileId: 'b' });
+
+        const result = await controller.stopSession('a');
+
+        expect(result).toEqual({ profileId: 'a', sessionId: 'sess-a', status: 'stopping' });
+        expect(controller.shouldStopSession('a')).toBe(true);
+        expect(controller.shouldStopSession('b')).toBe(false);
+        expect(controller.adsPowerManager.stopProfile).toHaveBeenCalledTimes(1);
+        expect(controller.adsPowerManager.stopProfile).toHaveBeenCalledWith('a');
+    });
+
+    it('lanza si el perfil no está corriendo ni en cola', async () => {
+        const { controller } = makeController();
+        await expect(controller.stopSession('zzz')).rejects.toThrow(/zzz/);
+    });
+
+    it('applyExternalStopRequests detiene los perfiles pedidos desde otro proceso', async () => {
+        const { controller } = makeController();
+        controller.adsPowerManager = { stopProfile: vi.fn().mockResolvedValue() };
+        controller.databaseManager.getStopRequestedSessions = vi.fn().mockResolvedValue([
+            { session_id: 'sess-b', profile_id: 'b' }
+        ]);
+        controller.activeSessions.set('a', { sessionId: 'sess-a', profileId: 'a' });
+        controller.activeSessions.set('b', { sessionId: 'sess-b', profileId: 'b' });
+
+        await controller.applyExternalStopRequests();
+
+        expect(controller.databaseManager.getStopRequestedSessions).toHaveBeenCalledWith(['sess-a', 'sess-b']);
+        expect(controller.shouldStopSession('b')).toBe(true);
+        expect(controller.shouldStopSession('a')).toBe(false);
+    });
+});
+
+describe('NavigationController — sumar perfiles a un lote en curso', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('los perfiles sumados comparten pool y estadísticas, y el lote los espera', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 1 });
+        const run = controller.startMultipleNavigationSessions(['a'], 100);
+        await flush();
+
+        expect(controller.addProfilesToBatch(['b', 'c'], 300)).toEqual({ added: ['b', 'c'], skipped: [] });
+        expect(controller.globalStats.totalSessions).toBe(3);
+        expect(controller.getQueuedProfilesSnapshot().map(q => q.profileId)).toEqual(['b', 'c']);
+
+        finish('a');
+        await flush();
+        expect(controller.startSingleNavigationSession).toHaveBeenLastCalledWith('b', 300, expect.anything(), {}, expect.any(String));
+
+        finish('b');
+        await flush();
+        finish('c');
+        const stats = await run;
+        expect(stats.results.map(r => r.profileId)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('usa el objetivo del lote e ignora perfiles ya corriendo o en cola', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 1 });
+        const run = controller.startMultipleNavigationSessions(['a', 'b'], 100);
+        await flush();
+
+        expect(controller.addProfilesToBatch(['a', 'b', 'c'])).toEqual({ added: ['c'], skipped: ['a', 'b'] });
+
+        finish('a');
+        await flush();
+        finish('b');
+        await flush();
+        expect(controller.startSingleNavigationSession).toHaveBeenLastCalledWith('c', 100, expect.anything(), {}, expect.any(String));
+        finish('c');
+        await run;
+    });
+
+    it('lanza si no hay una navegación en curso', () => {
+        const { controller } = makeController();
+        expect(() => controller.addProfilesToBatch(['a'])).toThrow(/navegación en curso/);
+    });
+});
+
+describe('NavigationController — registro del lote', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('registra el lote con sus perfiles y objetivos y vincula cada sesión', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 2 });
+        const run = controller.startMultipleNavigationSessions(['a', 'b'], 100, {
+            targets: { b: 500 },
+            sites: { b: ['bbc.com'] },
+            startedBy: 'app'
+        });
+        await flush();
+
+        const [batch] = controller.databaseManager.createBatch.mock.calls[0];
+        expect(batch).toMatchObject({
+            startedBy: 'app',
+            profileIds: ['a', 'b'],
+            defaultTarget: 100,
+            targets: { a: 100, b: 500 },
+            overrides: { policies: {}, sites: { b: ['bbc.com'] } }
+        });
+        const batchIds = controller.startSingleNavigationSession.mock.calls.map(call => call[4]);
+        expect(batchIds).toEqual([batch.batchId, batch.batchId]);
+
+        finish('a');
+        finish('b');
+        const stats = await run;
+        expect(stats.batchId).toBe(batch.batchId);
+        expect(controller.databaseManager.completeBatch)
+            .toHaveBeenCalledWith(batch.batchId, expect.objectContaining({ status: 'completed' }));
+    });
+
+    it('suma al registro los perfiles agregados mientras corre', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 1 });
+        const run = controller.startMultipleNavigationSessions(['a'], 100);
+        await flush();
+
+        controller.addProfilesToBatch(['b'], 300);
+        const { batchId } = controller.currentBatch;
+        expect(controller.databaseManager.addProfilesToBatch).toHaveBeenCalledWith(batchId, { b: 300 });
+
+        finish('a');
+        await flush();
+        finish('b');
+        await run;
+    });
+
+    it('limita cada perfil a sus listas de sitios o a las del lote, también a los sumados después', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 3 });
+        const run = controller.startMultipleNavigationSessions(['a', 'b'], 100, {
+            sites: { a: ['bbc.com'] },
+            siteLists: { b: ['tiendas'] },
+            defaultSiteLists: ['noticias-es']
+        });
+        await flush();
+
+        const [batch] = controller.databaseManager.createBatch.mock.calls[0];
+        expect(batch.overrides.siteLists).toEqual({ a: ['noticias-es'], b: ['tiendas'] });
+
+        controller.addProfilesToBatch(['c']);
+        await flush();
+        const filters = Object.fromEntries(controller.startSingleNavigationSession.mock.calls.map(call => [call[0], call[3]]));
+        expect(filters).toEqual({
+            a: { domains: ['bbc.com'], siteLists: ['noticias-es'] },
+            b: { siteLists: ['tiendas'] },
+            c: { siteLists: ['noticias-es'] }
+        });
+
+        ['a', 'b', 'c'].forEach(finish);
+        await run;
+    });
+
+    it('aplica la mezcla de categorías del lote a todas las sesiones y la registra', async () => {
+        const { controller, finish } = makeController({ maxConcurrentProfiles: 2 });
+        const run = controller.startMultipleNavigationSessions(['a'], 100, { categoryMix: 'news=3,blog=1' });
+        await flush();
+
+        const [batch] = controller.databaseManager.createBatch.mock.calls[0];
+        expect(batch.categoryMix).toEqual({ news: 75, blog: 25 });
+
+        controller.addProfilesToBatch(['b']);
+        await flush();
+        const mixes = controller.startSingleNavigationSession.mock.calls.map(call => call[3].categoryMix.toJSON());
+        expect(mixes).toEqual([{ news: 75, blog: 25 }, { news: 75, blog: 25 }]);
+
+        ['a', 'b'].forEach(finish);
+        await run;
+    });
+
+    it('rechaza una mezcla de categorías inválida antes de registrar el lote', async () => {
+        const { controller } = makeController();
+
+        await expect(controller.startMultipleNavigationSessions(['a'], 100, { categoryMix: 'cocina=100' }))
+            .rejects.toThrow(/Categoría desconocida/);
+        expect(controller.databaseManager.createBatch).not.toHaveBeenCalled();
+    });
+
+    it('no registra el lote si alguna lista de sitios no existe', async () => {
+        const { controller } = makeController();
+
+        await expect(controller.startMultipleNavigationSessions(['a'], 100, { defaultSiteLists: ['noticias-es', 'deportes'] }))
+            .rejects.toThrow('No existe la lista de sitios: deportes');
+        expect(controller.databaseManager.createBatch).not.toHaveBeenCalled();
+    });
+
+    it('cierra el lote como detenido si todas sus sesiones se detuvieron', async () => {
+        const { controller } = makeController({ maxConcurrentProfiles: 1 });
+        controller.startSingleNavigationSession.mockImplementation(profileId => Promise.resolve({
+            profileId, success: true, stopped: true, cookiesCollected: 0, sitesVisited: 0, duration: 0
+        }));
+
+        const stats = await controller.startMultipleNavigationSessions(['a', 'b']);
+
+        expect(controller.databaseManager.completeBatch)
+            .toHaveBeenCalledWith(stats.batchId, expect.objectContaining({ status: 'stopped' }));
+    });
+
+    it('un fallo al registrar el lote no frena la navegación', async () => {
+        const { controller, finish } = makeController();
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        controller.databaseManager.createBatch.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+        const run = controller.startMultipleNavigationSessions(['a']);
+        await flush();
+        finish('a');
+
+        await expect(run).resolves.toMatchObject({ totalProfiles: 1 });
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Error registrando lote'), 'SQLITE_BUSY');
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import NavigationController from '../../../src/core/navigation/NavigationController.js';
+
+// Evitar que los módulos de navegación intenten cargar dependencias de red o Playwright
+vi.mock('../../../src/core/navigation/CookieDetector.js', () => ({
+    default: class CookieDetector {}
+}));
+vi.mock('../../../src/core/navigation/HumanBehaviorSimulator.js', () => ({
+    default: class HumanBehaviorSimulator {}
+}));
+
+describe('NavigationController — historial y salud de los sitios visitados', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('registerSiteVisit guarda la duración y el aviso, recalcula las estadísticas y anota el dominio en el historial del perfil', async () => {
+        const databaseManager = {
+            db: { runAsync: vi.fn().mockResolvedValue({ changes: 1 }) },
+            updateWebsiteStats: vi.fn().mockResolvedValue(),
+            refreshWebsiteStats: vi.fn().mockResolvedValue(),
+            recordProfileSiteVisit: vi.fn().mockResolvedValue()
+        };
+        const configStore = { getSiteHealthConfig: () => ({ enabled: false }) };
+        const controller = new NavigationController(databaseManager, configStore, {});
+
+        await controller.registerSiteVisit(
+            { sessionId: 's1', profileId: 'p1' },
+            { id: 3, url: 'https://www.bbc.com/', domain: 'bbc.com' },
+            { cookiesBefore: 10, cookiesAfter: 15, cookiesGained: 5, success: true, error: null, duration: 95400, bannerAccepted: true }
+        );
+
+        expect(databaseManager.recordProfileSiteVisit).toHaveBeenCalledWith('p1', 'bbc.com');
+        expect(databaseManager.db.runAsync.mock.calls[0][1].slice(2, 9)).toEqual([10, 15, true, null, null, 95, true]);
+        expect(databaseManager.refreshWebsiteStats).toHaveBeenCalledWith(3);
+    });
+
+    it('registerSiteVisit guarda el código del error y avisa cuando el sitio entra en cuarentena', async () => {
+        const databaseManager = {
+            db: { runAsync: vi.fn().mockResolvedValue({ changes: 1 }) },
+            updateWebsiteStats: vi.fn().mockResolvedValue(),
+            refreshWebsiteStats: vi.fn().mockResolvedValue(),
+            recordProfileSiteVisit: vi.fn().mockResolvedValue(),
+            refreshWebsiteHealth: vi.fn().mockResolvedValue({
+                health: { score: 12 }, action: 'quarantined', retryAt: '2026-01-04T08:00:00.000Z'
+            })
+        };
+        const configStore = { getSiteHealthConfig: () => ({ enabled: true, minVisits: 3 }) };
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const controller = new NavigationController(databaseManager, configStore, {});
+
+        await controller.registerSiteVisit(
+            { sessionId: 's1', profileId: 'p1' },
+            { id: 3, url: 'https://www.bbc.com/', domain: 'bbc.com' },
+            { cookiesBefore: 10, cookiesAfter: 10, cookiesGained: 0, success: false, error: 'Timeout', failure: { code: 'NAVIGATION_TIMEOUT' } }
+        );
+
+        expect(databaseManager.db.runAsync.mock.calls[0][1]).toContain('NAVIGATION_TIMEOUT');
+        expect(databaseManager.refreshWebsiteHealth).toHaveBeenCalledWith(3, { minVisits: 3 });
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('bbc.com entra en cuarentena (puntaje 12)'));
+    });
+
+    it('selectSessionWebsites avisa cuando tiene que repetir dominios visitados dentro de la ventana', async () => {
+        const websites = [
+            { domain: 'elpais.com', revisited_at: null },
+            { domain: 'bbc.com', revisited_at: '2026-01-05T08:00:00.000Z' }
+        ];
+        const databaseManager = { getRandomWebsites: vi.fn().mockResolvedValue(websites) };
+        const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+        const controller = new NavigationController(databaseManager, {}, {});
+        const siteFilter = { revisit: { profileId: 'p1', since: '2026-01-02T08:00:00.000Z' } };
+
+        expect(await controller.selectSessionWebsites('p1', siteFilter)).toBe(websites);
+        expect(databaseManager.getRandomWebsites).toHaveBeenCalledWith(100, [], siteFilter);
+        expect(log).toHaveBeenCalledWith(expect.stringContaining('Solo 1 sitios sin visitar en la ventana; se suman 1 ya visitados'));
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import NavigationController from '../../../src/core/navigation/NavigationController.js';
+
+// Evitar que los módulos de navegación intenten cargar dependencias de red o Playwright
+vi.mock('../../../src/core/navigation/CookieDetector.js', () => ({
+    default: class CookieDetector {}
+}));
+vi.mock('../../../src/core/navigation/HumanBehaviorSimulator.js', () => ({
+    default: class HumanBehaviorSimulator {}
+}));
+
+function makePage() {
+    return {
+        reload: vi.fn().mockResolvedValue(),
+        close: vi.fn().mockResolvedValue()
+    };
+}
+
+function makeController({ enabled = true } = {}) {
+    const databaseManager = { recordSessionIntervention: vi.fn().mockResolvedValue() };
+    const configStore = {
+        getWatchdogConfig: () => ({ enabled, idleTimeout: 1000, recoveryGrace: 200, checkInterval: 60000 })
+    };
+    const newBrowser = { page: makePage() };
+    const adsPowerManager = {
+        stopProfile: vi.fn().mockResolvedValue(),
+        startProfile: vi.fn().mockResolvedValue(newBrowser)
+    };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const controller = new NavigationController(databaseManager, configStore, adsPowerManager);
+    return { controller, databaseManager, adsPowerManager, newBrowser };
+}
+
+function registerBrowser(controller, profileId = 'p1') {
+    const page = makePage();
+    const newPage = makePage();
+    const browserInstance = { page, context: { newPage: vi.fn().mockResolvedValue(newPage) } };
+    controller.sessionBrowsers.set(profileId, { browserInstance, page, replaced: false });
+    return { browserInstance, page, newPage };
+}
+
+describe('NavigationController — watchdog de sesiones colgadas', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('no crea watchdog si está deshabilitado', () => {
+        const { controller } = makeController({ enabled: false });
+        expect(controller.createWatchdog()).toBeNull();
+    });
+
+    it('reload_page recarga la página sin reemplazarla', async () => {
+        const { controller } = makeController();
+        const { page } = registerBrowser(controller);
+
+        await controller.recoverStalledSession('p1', 'reload_page');
+
+        expect(page.reload).toHaveBeenCalled();
+        await expect(controller.takeReplacedBrowser('p1')).resolves.toBeNull();
+    });
+
+    it('reopen_page abre una página nueva en el mismo contexto y cierra la colgada', async () => {
+        const { controller } = makeController();
+        const { browserInstance, page, newPage } = registerBrowser(controller);
+
+        await controller.recoverStalledSession('p1', 'reopen_page');
+
+        expect(page.close).toHaveBeenCalled();
+        expect(browserInstance.page).toBe(newPage);
+        await expect(controller.takeReplacedBrowser('p1')).resolves.toMatchObject({ page: newPage });
+        // Se toma una sola vez
+        await expect(controller.takeReplacedBrowser('p1')).resolves.toBeNull();
+    });
+
+    it('restart_profile reinicia el perfil en Ads Power', async () => {
+        const { controller, adsPowerManager, newBrowser } = makeController();
+        registerBrowser(controller);
+
+        await controller.recoverStalledSession('p1', 'restart_profile');
+
+        expect(adsPowerManager.stopProfile).toHaveBeenCalledWith('p1');
+        expect(adsPowerManager.startProfile).toHaveBeenCalledWith('p1');
+        await expect(controller.takeReplacedBrowser('p1')).resolves.toMatchObject({
+            browserInstance: newBrowser,
+            page: newBrowser.page
+        });
+    });
+
+    it('falla si el perfil no tiene navegador registrado', async () => {
+        const { controller } = makeController();
+        await expect(controller.recoverStalledSession('p1', 'reload_page')).rejects.toThrow(/navegador/);
+    });
+
+    it('reenvía stalled/recovered y registra cada intervención', async () => {
+        const { controller, databaseManager } = makeController();
+        registerBrowser(controller);
+        controller.activeSessions.set('p1', { sessionId: 's1', interventions: 0 });
+        const watchdog = controller.watchdog = controller.createWatchdog();
+        const stalled = vi.fn();
+        const recovered = vi.fn();
+        controller.on('session:stalled', stalled);
+        controller.on('session:recovered', recovered);
+
+        let now = 0;
+        watchdog.now = () => now;
+        watchdog.track('p1', 's1');
+        now = 1000;
+        await watchdog.check();
+        controller.emitSessionProgress('s1', 'p1', { cookiesCollected: 0, targetCookies: 10 });
+
+        expect(stalled).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 's1', profileId: 'p1', step: 'reload_page', attempt: 1 }));
+        expect(recovered).toHaveBeenCalledWith(expect.objectContaining({ profileId: 'p1', step: 'reload_page', attempts: 1 }));
+        expect(databaseManager.recordSessionIntervention).toHaveBeenCalledWith(
+            expect.objectContaining({ sessionId: 's1', step: 'reload_page', success: true })
+        );
+        expect(controller.activeSessions.get('p1').interventions).toBe(1);
+
+        controller.stopWatchdog();
+        expect(controller.watchdog).toBeNull();
+    });
+});
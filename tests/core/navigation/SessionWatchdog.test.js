@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest';
+import SessionWatchdog from '../../../src/core/navigation/SessionWatchdog.js';
+
+/**
+ * Watchdog con reloj manual: `advance(ms)` mueve el tiempo sin depender
+ * de timers reales. check() se llama a mano en vez de usar start().
+ */
+function makeWatchdog(recover = vi.fn().mockResolvedValue()) {
+    let now = 0;
+    const watchdog = new SessionWatchdog({
+        recover,
+        idleTimeout: 1000,
+        recoveryGrace: 200,
+        now: () => now
+    });
+    return { watchdog, recover, advance: ms => { now += ms; } };
+}
+
+describe('SessionWatchdog', () => {
+    it('requiere una función recover', () => {
+        expect(() => new SessionWatchdog({})).toThrow(/recover/);
+    });
+
+    it('no interviene mientras haya progreso', async () => {
+        const { watchdog, recover, advance } = makeWatchdog();
+        watchdog.track('p1', 's1');
+
+        advance(900);
+        watchdog.touch('p1');
+        advance(900);
+        await watchdog.check();
+
+        expect(recover).not.toHaveBeenCalled();
+    });
+
+    it('escala reload → reopen → restart y repite el último paso', async () => {
+        const { watchdog, recover, advance } = makeWatchdog();
+        const stalled = [];
+        watchdog.on('stalled', event => stalled.push(event));
+        watchdog.track('p1', 's1');
+
+        advance(1000);
+        await watchdog.check();
+        advance(100);
+        await watchdog.check(); // Dentro del margen tras la intervención: no escala
+        advance(100);
+        await watchdog.check();
+        advance(200);
+        await watchdog.check();
+        advance(200);
+        await watchdog.check();
+
+        expect(recover.mock.calls).toEqual([
+            ['p1', 'reload_page'],
+            ['p1', 'reopen_page'],
+            ['p1', 'restart_profile'],
+            ['p1', 'restart_profile']
+        ]);
+        expect(stalled[0]).toEqual({ profileId: 'p1', sessionId: 's1', step: 'reload_page', attempt: 1, idleMs: 1000 });
+        expect(stalled[3]).toMatchObject({ step: 'restart_profile', attempt: 4, idleMs: 1600 });
+    });
+
+    it('informa cada intervención, incluso si el paso falla', async () => {
+        const recover = vi.fn().mockRejectedValue(new Error('timeout'));
+        const { watchdog, advance } = makeWatchdog(recover);
+        const interventions = [];
+        watchdog.on('intervention', event => interventions.push(event));
+        watchdog.track('p1', 's1');
+
+        advance(1000);
+        await watchdog.check();
+
+        expect(interventions).toEqual([{
+            profileId: 'p1',
+            sessionId: 's1',
+            step: 'reload_page',
+            attempt: 1,
+            idleMs: 1000,
+            success: false,
+            error: 'timeout'
+        }]);
+    });
+
+    it('emite recovered con el primer progreso tras intervenir y vuelve a empezar', async () => {
+        const { watchdog, recover, advance } = makeWatchdog();
+        const recovered = vi.fn();
+        watchdog.on('recovered', recovered);
+        watchdog.track('p1', 's1');
+
+        advance(1000);
+        await watchdog.check();
+        advance(50);
+        watchdog.touch('p1');
+        watchdog.touch('p1');
+
+        expect(recovered).toHaveBeenCalledTimes(1);
+        expect(recovered).toHaveBeenCalledWith({
+            profileId: 'p1',
+            sessionId: 's1',
+            step: 'reload_page',
+            attempts: 1,
+            stalledMs: 1050
+        });
+
+        advance(1000);
+        await watchdog.check();
+        expect(recover).toHaveBeenLastCalledWith('p1', 'reload_page');
+    });
+
+    it('olvida las sesiones que dejan de vigilarse', async () => {
+        const { watchdog, recover, advance } = makeWatchdog();
+        watchdog.track('p1', 's1');
+        watchdog.untrack('p1');
+
+        advance(5000);
+        await watchdog.check();
+
+        expect(recover).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import TerminationPolicy from '../../../src/core/navigation/TerminationPolicy.js';
+
+const BASE_STATE = {
+    cookiesCollected: 0,
+    targetCookies: 100,
+    sitesVisited: 0,
+    elapsedMs: 0,
+    minimumTimeReached: false,
+    now: new Date('2026-01-01T10:00:00Z').getTime()
+};
+
+function evaluate(options, state = {}) {
+    return new TerminationPolicy(options).evaluate({ ...BASE_STATE, ...state });
+}
+
+describe('TerminationPolicy', () => {
+    it('por defecto exige cookies y tiempo mínimo', () => {
+        expect(evaluate({}, { cookiesCollected: 100 })).toBeNull();
+        expect(evaluate({}, { minimumTimeReached: true })).toBeNull();
+        expect(evaluate({}, { cookiesCollected: 100, minimumTimeReached: true })).toBe('cookie_target_and_time');
+    });
+
+    it('modo cookies termina al alcanzar el objetivo sin esperar el tiempo', () => {
+        expect(evaluate({ mode: 'cookies' }, { cookiesCollected: 100 })).toBe('cookie_target');
+        expect(evaluate({ mode: 'cookies' }, { minimumTimeReached: true })).toBeNull();
+    });
+
+    it('modo time termina al cumplir el tiempo aunque falten cookies', () => {
+        expect(evaluate({ mode: 'time' }, { minimumTimeReached: true })).toBe('min_time');
+        expect(evaluate({ mode: 'time' }, { cookiesCollected: 100 })).toBeNull();
+    });
+
+    it('modo either alcanza con cualquiera de las dos condiciones', () => {
+        expect(evaluate({ mode: 'either' }, { cookiesCollected: 100 })).toBe('cookie_target');
+        expect(evaluate({ mode: 'either' }, { minimumTimeReached: true })).toBe('min_time');
+        expect(evaluate({ mode: 'either' })).toBeNull();
+    });
+
+    it('los límites duros cortan aunque el modo no se cumpla', () => {
+        expect(evaluate({ maxSites: 5 }, { sitesVisited: 5 })).toBe('max_sites');
+        expect(evaluate({ maxDurationMinutes: 30 }, { elapsedMs: 30 * 60000 })).toBe('max_duration');
+        expect(evaluate({ deadline: '2026-01-01T09:59:00Z' })).toBe('deadline');
+        expect(evaluate({ maxSites: 5, maxDurationMinutes: 30, deadline: '2026-01-01T11:00:00Z' }, { sitesVisited: 4 })).toBeNull();
+    });
+
+    it('la fecha límite tiene prioridad sobre los demás límites', () => {
+        expect(evaluate(
+            { maxSites: 1, deadline: '2026-01-01T09:00:00Z' },
+            { sitesVisited: 3, cookiesCollected: 100, minimumTimeReached: true }
+        )).toBe('deadline');
+    });
+
+    it('evaluateTimeLimits solo mira la fecha límite y la duración máxima', () => {
+        const policy = new TerminationPolicy({ mode: 'cookies', maxSites: 1, maxDurationMinutes: 30 });
+        const { now } = BASE_STATE;
+
+        expect(policy.evaluateTimeLimits({ elapsedMs: 10 * 60000, now })).toBeNull();
+        expect(policy.evaluateTimeLimits({ elapsedMs: 30 * 60000, now })).toBe('max_duration');
+        expect(new TerminationPolicy({ deadline: '2026-01-01T09:59:00Z' }).evaluateTimeLimits({ elapsedMs: 0, now })).toBe('deadline');
+    });
+
+    it('valida modo, límites y fecha', () => {
+        expect(() => new TerminationPolicy({ mode: 'forever' })).toThrow(/forever/);
+        expect(() => new TerminationPolicy({ maxSites: 0 })).toThrow(/maxSites/);
+        expect(() => new TerminationPolicy({ maxDurationMinutes: 'abc' })).toThrow(/maxDurationMinutes/);
+        expect(() => new TerminationPolicy({ deadline: 'mañana' })).toThrow(/Fecha límite/);
+    });
+
+    it('from acepta objetos planos y toJSON los reconstruye', () => {
+        const policy = TerminationPolicy.from({ mode: 'either', maxSites: '20', maxDurationMinutes: '', deadline: '2026-01-01T12:00:00Z' });
+        expect(policy.toJSON()).toEqual({
+            mode: 'either',
+            maxSites: 20,
+            maxDurationMinutes: null,
+            deadline: '2026-01-01T12:00:00.000Z'
+        });
+        expect(TerminationPolicy.from(policy)).toBe(policy);
+        expect(TerminationPolicy.from(null).mode).toBe('both');
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import CronExpression from '../../../src/core/scheduler/CronExpression.js';
+
+// Fechas en hora local, igual que evalúa la expresión
+const at = (month, day, hour = 0, minute = 0, year = 2026) => new Date(year, month - 1, day, hour, minute);
+
+describe('CronExpression', () => {
+    it('calcula la próxima ejecución diaria', () => {
+        const cron = CronExpression.parse('30 9 * * *');
+        expect(cron.next(at(1, 5, 8, 0))).toEqual(at(1, 5, 9, 30));
+        expect(cron.next(at(1, 5, 9, 30))).toEqual(at(1, 6, 9, 30));
+    });
+
+    it('acepta listas, rangos, pasos y nombres', () => {
+        const cron = CronExpression.parse('*/20 8-10 * * mon-fri');
+        // 2026-01-09 es viernes: el siguiente hábil es el lunes 12
+        expect(cron.next(at(1, 9, 10, 40))).toEqual(at(1, 12, 8, 0));
+        expect(cron.next(at(1, 12, 8, 5))).toEqual(at(1, 12, 8, 20));
+        expect(CronExpression.parse('0 12 1,15 jan,jul *').next(at(1, 2))).toEqual(at(1, 15, 12, 0));
+    });
+
+    it('con día del mes y día de la semana restringidos alcanza con cualquiera', () => {
+        const cron = CronExpression.parse('0 0 13 * 5');
+        expect(cron.matches(at(2, 13))).toBe(true); // viernes 13
+        expect(cron.matches(at(3, 13))).toBe(true); // viernes 13 (de nuevo)
+        expect(cron.matches(at(1, 2))).toBe(true); // viernes 2
+        expect(cron.matches(at(1, 3))).toBe(false);
+    });
+
+    it('traduce macros y el domingo como 7', () => {
+        expect(CronExpression.parse('@daily').next(at(1, 5, 12))).toEqual(at(1, 6));
+        // 2026-01-11 es domingo
+        expect(CronExpression.parse('0 6 * * 7').next(at(1, 5))).toEqual(at(1, 11, 6));
+    });
+
+    it('rechaza expresiones inválidas', () => {
+        expect(() => CronExpression.parse('')).toThrow(/vacía/);
+        expect(() => CronExpression.parse('* * * *')).toThrow(/5 campos/);
+        expect(() => CronExpression.parse('60 * * * *')).toThrow(/minuto/);
+        expect(() => CronExpression.parse('0 18-9 * * *')).toThrow(/invertido/);
+        expect(() => CronExpression.parse('*/0 * * * *')).toThrow(/Paso/);
+        expect(CronExpression.isValid('0 9 * * 1-5')).toBe(true);
+        expect(CronExpression.isValid('0 9 * foo *')).toBe(false);
+    });
+
+    it('lanza si la expresión nunca vuelve a coincidir', () => {
+        expect(() => CronExpression.parse('0 0 30 2 *').next(at(1, 1))).toThrow(/próximas ejecuciones/);
+    });
+});
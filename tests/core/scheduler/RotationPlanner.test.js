@@ -0,0 +1,121 @@
+import { describe, it, expect, vi } from 'vitest';
+import RotationPlanner from '../../../src/core/scheduler/RotationPlanner.js';
+
+const pool = count => Array.from({ length: count }, (_, index) => `p${index + 1}`);
+
+describe('RotationPlanner', () => {
+    it('reparte la capacidad del día en partes iguales', () => {
+        const plan = new RotationPlanner({
+            profileIds: pool(6),
+            slots: 2,
+            hours: 9,
+            start: '08:00',
+            sessionMinutes: 50,
+            gapMinutes: 10
+        }).plan();
+
+        // 9 h con tandas de 50 + 10 min de margen: 9 tandas de 2 perfiles
+        expect(plan.capacity).toEqual({ slots: 2, hours: 9, waves: 9, sessions: 18 });
+        expect(plan.waves.slice(0, 3)).toEqual([
+            { index: 1, start: '08:00', end: '08:50', profileIds: ['p1', 'p2'] },
+            { index: 2, start: '09:00', end: '09:50', profileIds: ['p3', 'p4'] },
+            { index: 3, start: '10:00', end: '10:50', profileIds: ['p5', 'p6'] }
+        ]);
+        expect(plan.share).toEqual({ min: 3, max: 3 });
+        expect(plan.warnings).toEqual([]);
+    });
+
+    it('respeta el enfriamiento entre corridas de un perfil', () => {
+        const plan = new RotationPlanner({
+            profileIds: pool(3),
+            slots: 2,
+            hours: 6,
+            sessionMinutes: 50,
+            gapMinutes: 10,
+            cooldownMinutes: 60
+        }).plan();
+
+        // Un perfil que corre en una tanda descansa la siguiente completa
+        const byProfile = Object.fromEntries(plan.profiles.map(profile => [profile.profileId, profile.waves]));
+        Object.values(byProfile).forEach(waves => {
+            waves.slice(1).forEach((wave, index) => {
+                expect(wave - waves[index]).toBeGreaterThanOrEqual(2);
+            });
+        });
+        expect(plan.warnings).toEqual([expect.stringMatching(/slots libres por el enfriamiento/)]);
+    });
+
+    it('tiene en cuenta que la rotación se repite al día siguiente', () => {
+        const plan = new RotationPlanner({
+            profileIds: ['p1'],
+            slots: 1,
+            hours: 24,
+            sessionMinutes: 60,
+            gapMinutes: 0,
+            cooldownMinutes: 600
+        }).plan();
+
+        // Cada 11 h: 00:00 y 11:00; la de las 22:00 dejaría menos de 10 h hasta las 00:00
+        expect(plan.waves.map(wave => wave.start)).toEqual(['00:00', '11:00']);
+    });
+
+    it('avisa qué perfiles no entran en la capacidad', () => {
+        const plan = new RotationPlanner({ profileIds: pool(3), slots: 1, hours: 2, sessionMinutes: 60, gapMinutes: 0 }).plan();
+
+        expect(plan.share).toEqual({ min: 0, max: 1 });
+        expect(plan.warnings).toEqual([expect.stringMatching(/No alcanza la capacidad para: p3/)]);
+    });
+
+    it('valida las opciones', () => {
+        const base = { profileIds: ['p1'], slots: 1, hours: 8, sessionMinutes: 60 };
+
+        expect(() => new RotationPlanner({ ...base, profileIds: [] })).toThrow(/al menos un perfil/);
+        expect(() => new RotationPlanner({ ...base, slots: 0 })).toThrow(/slots simultáneos/);
+        expect(() => new RotationPlanner({ ...base, hours: 25 })).toThrow(/horas disponibles/);
+        expect(() => new RotationPlanner({ ...base, start: '25:00' })).toThrow(/Hora de inicio/);
+        expect(() => new RotationPlanner({ ...base, sessionMinutes: 600 })).toThrow(/No entra ninguna tanda/);
+    });
+
+    describe('toSchedules', () => {
+        it('arma una programación diaria por tanda con su ventana', () => {
+            const plan = new RotationPlanner({ profileIds: pool(2), slots: 1, hours: 3, start: '22:30', sessionMinutes: 60 }).plan();
+            const schedules = RotationPlanner.toSchedules(plan, { name: 'noche', targetCookies: 500, policy: { mode: 'either' } });
+
+            expect(schedules.map(({ name, cron, window, profileIds }) => ({ name, cron, window, profileIds }))).toEqual([
+                { name: 'noche #1', cron: '30 22 * * *', window: { start: '22:30', end: '23:30' }, profileIds: ['p1'] },
+                { name: 'noche #2', cron: '40 23 * * *', window: { start: '23:40', end: '00:40' }, profileIds: ['p2'] }
+            ]);
+            expect(schedules[0]).toMatchObject({ targetCookies: 500, policy: { mode: 'either' }, enabled: true });
+        });
+    });
+
+    describe('commit', () => {
+        const schedules = [{ name: 'noche #1' }, { name: 'noche #2' }];
+
+        function makeDatabase(existing) {
+            let id = 10;
+            return {
+                getSchedules: vi.fn().mockResolvedValue(existing),
+                deleteSchedule: vi.fn().mockResolvedValue(true),
+                createSchedule: vi.fn(async () => ++id)
+            };
+        }
+
+        it('no toca nada si ya hay una rotación con ese nombre', async () => {
+            const databaseManager = makeDatabase([{ id: 1, name: 'noche #1' }, { id: 2, name: 'noches' }]);
+
+            await expect(RotationPlanner.commit(databaseManager, schedules, { name: 'noche' })).rejects.toThrow(/Ya hay una rotación "noche"/);
+            expect(databaseManager.deleteSchedule).not.toHaveBeenCalled();
+            expect(databaseManager.createSchedule).not.toHaveBeenCalled();
+        });
+
+        it('con replace borra solo las programaciones de la rotación anterior', async () => {
+            const databaseManager = makeDatabase([{ id: 1, name: 'noche #1' }, { id: 2, name: 'noches' }, { id: 3, name: 'noche #7' }]);
+
+            const result = await RotationPlanner.commit(databaseManager, schedules, { name: 'noche', replace: true });
+
+            expect(databaseManager.deleteSchedule.mock.calls).toEqual([[1], [3]]);
+            expect(result).toEqual({ created: [11, 12], removed: 2 });
+        });
+    });
+});
@@ -0,0 +1,248 @@
+import { describe, it, expect, vi } from 'vitest';
+import Scheduler from '../../../src/core/scheduler/Scheduler.js';
+import NavigationController from '../../../src/core/navigation/NavigationController.js';
+import { ProfileCooldownError, BatchInProgressError } from '../../../src/core/errors/AppError.js';
+
+// Evitar que los módulos de navegación intenten cargar dependencias de red o Playwright
+vi.mock('../../../src/core/navigation/CookieDetector.js', () => ({
+    default: class CookieDetector {}
+}));
+vi.mock('../../../src/core/navigation/HumanBehaviorSimulator.js', () => ({
+    default: class HumanBehaviorSimulator {}
+}));
+
+const at = (hour, minute = 0) => new Date(2026, 0, 5, hour, minute);
+
+function makeSchedule(overrides = {}) {
+    return {
+        id: 1,
+        name: 'mañanas',
+        cron: '0 9 * * *',
+        window: null,
+        profile_ids: ['p1', 'p2'],
+        target_cookies: 500,
+        policy: { mode: 'either', maxSites: null, maxDurationMinutes: 60, deadline: null },
+        plan: [{ profileId: 'p2', targetCookies: 800, sites: null, policy: null }],
+        next_run_at: at(9).toISOString(),
+        ...overrides
+    };
+}
+
+/**
+ * Scheduler con base y reloj falsos. check() se llama a mano en vez de
+ * usar start(); los lotes se esperan con waitForRuns().
+ */
+function makeScheduler({ schedule = makeSchedule(), now = at(9), busy = false, claimed = true } = {}) {
+    let runId = 0;
+    const databaseManager = {
+        getDueSchedules: vi.fn().mockResolvedValue([schedule]),
+        claimSchedule: vi.fn().mockResolvedValue(claimed),
+        createScheduleRun: vi.fn(async () => ++runId),
+        finishScheduleRun: vi.fn().mockResolvedValue()
+    };
+    const launch = vi.fn().mockResolvedValue({
+        batchId: 'b1',
+        totalProfiles: 2,
+        successfulProfiles: 2,
+        totalCookiesCollected: 1300,
+        results: [{ stopped: false }, { stopped: false }]
+    });
+    const scheduler = new Scheduler({
+        databaseManager,
+        launch,
+        isBusy: () => busy,
+        missedRunGrace: 5 * 60 * 1000,
+        now: () => now.getTime()
+    });
+    return { scheduler, databaseManager, launch };
+}
+
+describe('Scheduler', () => {
+    it('lanza el lote vencido y registra cómo terminó', async () => {
+        const { scheduler, databaseManager, launch } = makeScheduler();
+
+        await scheduler.check();
+        await scheduler.waitForRuns();
+
+        expect(databaseManager.claimSchedule).toHaveBeenCalledWith(1, at(9).toISOString(), new Date(2026, 0, 6, 9));
+        expect(launch).toHaveBeenCalledWith(['p1', 'p2'], 500, expect.objectContaining({
+            targets: { p2: 800 },
+            startedBy: 'schedule'
+        }));
+        expect(launch.mock.calls[0][2].policy.toJSON()).toMatchObject({ mode: 'either', maxDurationMinutes: 60, deadline: null });
+        expect(databaseManager.finishScheduleRun).toHaveBeenCalledWith(1, expect.objectContaining({
+            status: 'completed',
+            batchId: 'b1'
+        }));
+    });
+
+    it('corta las sesiones al cierre de la ventana horaria', async () => {
+        const { scheduler, launch } = makeScheduler({ schedule: makeSchedule({ window: { start: '08:00', end: '12:00' } }) });
+
+        await scheduler.check();
+        await scheduler.waitForRuns();
+
+        expect(launch.mock.calls[0][2].policy.deadline).toEqual(at(12));
+    });
+
+    it('no lanza nada si otro proceso reclamó el disparo', async () => {
+        const { scheduler, databaseManager, launch } = makeScheduler({ claimed: false });
+
+        await scheduler.check();
+
+        expect(launch).not.toHaveBeenCalled();
+        expect(databaseManager.createScheduleRun).not.toHaveBeenCalled();
+    });
+
+    it('omite el disparo fuera de la ventana o con otra navegación en curso', async () => {
+        const outside = makeScheduler({ schedule: makeSchedule({ window: { start: '10:00', end: '12:00' } }) });
+        const busy = makeScheduler({ busy: true });
+
+        await outside.scheduler.check();
+        await busy.scheduler.check();
+
+        expect(outside.launch).not.toHaveBeenCalled();
+        expect(outside.databaseManager.createScheduleRun).toHaveBeenCalledWith(expect.objectContaining({
+            status: 'skipped',
+            message: expect.stringMatching(/ventana horaria 10:00-12:00/)
+        }));
+        expect(busy.launch).not.toHaveBeenCalled();
+        expect(busy.databaseManager.createScheduleRun).toHaveBeenCalledWith(expect.objectContaining({ status: 'skipped' }));
+    });
+
+    it('registra como perdida una ejecución con más atraso que el margen', async () => {
+        const { scheduler, databaseManager, launch } = makeScheduler({ now: at(9, 30) });
+        const skipped = vi.fn();
+        scheduler.on('run:skipped', skipped);
+
+        await scheduler.check();
+
+        expect(launch).not.toHaveBeenCalled();
+        expect(databaseManager.createScheduleRun).toHaveBeenCalledWith(expect.objectContaining({ status: 'missed' }));
+        expect(skipped).toHaveBeenCalledWith(expect.objectContaining({ name: 'mañanas', status: 'missed' }));
+    });
+
+    it('registra el error si el lote falla', async () => {
+        const { scheduler, databaseManager, launch } = makeScheduler();
+        launch.mockRejectedValueOnce(new Error('Ads Power no responde'));
+
+        await scheduler.check();
+        await scheduler.waitForRuns();
+
+        expect(databaseManager.finishScheduleRun).toHaveBeenCalledWith(1, expect.objectContaining({
+            status: 'error',
+            message: 'Ads Power no responde'
+        }));
+    });
+
+    it('registra como omitida una ejecución rechazada por el enfriamiento', async () => {
+        const { scheduler, databaseManager, launch } = makeScheduler();
+        launch.mockRejectedValueOnce(new ProfileCooldownError([{ profileId: 'p1', lastActivityAt: at(8, 30).toISOString(), availableAt: at(9, 30) }], 60));
+
+        await scheduler.check();
+        await scheduler.waitForRuns();
+
+        expect(databaseManager.finishScheduleRun).toHaveBeenCalledWith(1, expect.objectContaining({
+            status: 'skipped',
+            message: expect.stringMatching(/enfriamiento/)
+        }));
+    });
+
+    it('registra como omitida una ejecución rechazada por otro lote en curso', async () => {
+        const { scheduler, databaseManager, launch } = makeScheduler();
+        launch.mockRejectedValueOnce(new BatchInProgressError('batch_1'));
+
+        await scheduler.check();
+        await scheduler.waitForRuns();
+
+        expect(databaseManager.finishScheduleRun).toHaveBeenCalledWith(1, expect.objectContaining({ status: 'skipped' }));
+    });
+
+    it('no lanza nada hasta que termina la recuperación de la corrida interrumpida', async () => {
+        let failRecovery;
+        const recovery = new Promise((resolve, reject) => { failRecovery = reject; });
+        const { databaseManager, launch } = makeScheduler();
+        const scheduler = new Scheduler({ databaseManager, launch, ready: recovery, now: () => at(9).getTime() });
+
+        const check = scheduler.check();
+        await Promise.resolve();
+        expect(databaseManager.getDueSchedules).not.toHaveBeenCalled();
+
+        // Aunque la recuperación falle, el programador sigue
+        failRecovery(new Error('Ads Power no responde'));
+        await check;
+        await scheduler.waitForRuns();
+        expect(launch).toHaveBeenCalledTimes(1);
+    });
+
+    it('omite la segunda programación vencida mientras el lote de la primera todavía se prepara', async () => {
+        const controller = new NavigationController({
+            getProfilesInCooldown: vi.fn().mockResolvedValue([]),
+            createBatch: vi.fn().mockResolvedValue(),
+            completeBatch: vi.fn().mockResolvedValue()
+        }, {
+            getDefaultCookieTarget: () => 100,
+            getConcurrencyConfig: () => ({ maxConcurrentProfiles: 2, profileStartupDelay: 0, profileStartupJitter: 0 }),
+            getProfileCooldownMinutes: () => 60,
+            getWatchdogConfig: () => ({ enabled: false })
+        }, {});
+        controller.setupDatabaseConcurrency = vi.fn().mockResolvedValue();
+        controller.startSingleNavigationSession = vi.fn(async profileId => ({ profileId, success: true, cookiesCollected: 0, sitesVisited: 0, duration: 0 }));
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+
+        let runId = 0;
+        const databaseManager = {
+            getDueSchedules: vi.fn().mockResolvedValue([makeSchedule(), makeSchedule({ id: 2, name: 'tardes', profile_ids: ['p3'], plan: [] })]),
+            claimSchedule: vi.fn().mockResolvedValue(true),
+            createScheduleRun: vi.fn(async () => ++runId),
+            finishScheduleRun: vi.fn().mockResolvedValue()
+        };
+        const launch = vi.fn((...args) => controller.startMultipleNavigationSessions(...args));
+        const scheduler = new Scheduler({
+            databaseManager,
+            launch,
+            isBusy: () => controller.isBatchActive(),
+            now: () => at(9).getTime()
+        });
+
+        await scheduler.check();
+        await scheduler.waitForRuns();
+
+        expect(launch).toHaveBeenCalledTimes(1);
+        expect(databaseManager.createScheduleRun).toHaveBeenLastCalledWith(expect.objectContaining({
+            scheduleId: 2,
+            status: 'skipped',
+            message: 'Ya había una navegación en curso'
+        }));
+        vi.restoreAllMocks();
+    });
+
+    describe('prepare', () => {
+        it('suma los perfiles del plan y calcula la próxima ejecución', () => {
+            const schedule = Scheduler.prepare({
+                name: ' noches ',
+                cron: '0 22 * * *',
+                window: '22:00-06:00',
+                profileIds: ['p1'],
+                targetCookies: '300',
+                plan: [{ profileId: 'p2', targetCookies: 100 }]
+            }, at(9));
+
+            expect(schedule).toMatchObject({
+                name: 'noches',
+                window: { start: '22:00', end: '06:00' },
+                profileIds: ['p1', 'p2'],
+                targetCookies: 300,
+                enabled: true,
+                nextRunAt: at(22)
+            });
+        });
+
+        it('rechaza fechas límite y programaciones sin perfiles', () => {
+            const base = { name: 'x', cron: '@daily', profileIds: ['p1'], targetCookies: 100 };
+            expect(() => Scheduler.prepare({ ...base, policy: { deadline: '2026-02-01T10:00' } })).toThrow(/ventana horaria/);
+            expect(() => Scheduler.prepare({ ...base, profileIds: [] })).toThrow(/perfil/);
+            expect(() => Scheduler.prepare({ ...base, cron: 'nunca' })).toThrow(/cron/);
+        });
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import TimeWindow from '../../../src/core/scheduler/TimeWindow.js';
+
+const at = (day, hour, minute = 0) => new Date(2026, 0, day, hour, minute);
+
+describe('TimeWindow', () => {
+    it('contiene las horas entre inicio y fin, sin incluir el fin', () => {
+        const window = TimeWindow.from('08:00-18:00');
+        expect(window.contains(at(5, 8))).toBe(true);
+        expect(window.contains(at(5, 17, 59))).toBe(true);
+        expect(window.contains(at(5, 18))).toBe(false);
+        expect(window.endFor(at(5, 10))).toEqual(at(5, 18));
+        expect(window.endFor(at(5, 20))).toBeNull();
+    });
+
+    it('una ventana nocturna cierra al día siguiente', () => {
+        const window = TimeWindow.from({ start: '22:00', end: '06:30' });
+        expect(window.contains(at(5, 23))).toBe(true);
+        expect(window.contains(at(6, 3))).toBe(true);
+        expect(window.contains(at(6, 12))).toBe(false);
+        expect(window.endFor(at(5, 23))).toEqual(at(6, 6, 30));
+        expect(window.endFor(at(6, 3))).toEqual(at(6, 6, 30));
+    });
+
+    it('sin valor no restringe y con un solo extremo falla', () => {
+        expect(TimeWindow.from(null)).toBeNull();
+        expect(TimeWindow.from({ start: '', end: '' })).toBeNull();
+        expect(() => TimeWindow.from({ start: '08:00' })).toThrow(/inicio y de fin/);
+        expect(() => TimeWindow.from('25:00-26:00')).toThrow(/inválida/);
+        expect(() => TimeWindow.from('08:00-08:00')).toThrow(/distintos/);
+    });
+
+    it('se serializa normalizando las horas', () => {
+        expect(TimeWindow.from('8:05-18:00').toJSON()).toEqual({ start: '08:05', end: '18:00' });
+        expect(String(TimeWindow.from({ start: '8:05', end: '9:00' }))).toBe('08:05-09:00');
+    });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import WorkerPool from '../../../src/core/utils/WorkerPool.js';
+
+/**
+ * Tarea controlable desde el test: devuelve la promesa que el pool
+ * ejecuta y un `finish` para resolverla cuando convenga.
+ */
+function deferredTask(value) {
+    let finish;
+    const promise = new Promise(resolve => { finish = () => resolve(value); });
+    return { task: () => promise, finish: () => finish() };
+}
+
+/** Vacía la cola de microtasks para que el pool procese los `then`. */
+async function flush() {
+    for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+    }
+}
+
+describe('WorkerPool', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('concurrencia', () => {
+        it('nunca corre más tareas que el límite', async () => {
+            const pool = new WorkerPool({ concurrency: 2 });
+            const tasks = [deferredTask('a'), deferredTask('b'), deferredTask('c')];
+            tasks.forEach((t, i) => pool.run(`p${i}`, t.task));
+
+            expect(pool.getRunningCount()).toBe(2);
+            expect(pool.getQueuedCount()).toBe(1);
+
+            tasks[0].finish();
+            await flush();
+
+            expect(pool.getRunningCount()).toBe(2);
+            expect(pool.getQueuedCount()).toBe(0);
+        });
+
+        it('resuelve cada promesa con el resultado de su tarea', async () => {
+            const pool = new WorkerPool({ concurrency: 1 });
+            const results = await Promise.all([
+                pool.run('a', async () => 1),
+                pool.run('b', async () => 2)
+            ]);
+            expect(results).toEqual([1, 2]);
+        });
+
+        it('rechaza la promesa cuando la tarea falla y libera el slot', async () => {
+            const pool = new WorkerPool({ concurrency: 1 });
+            const failing = pool.run('a', async () => { throw new Error('boom'); });
+            const next = pool.run('b', async () => 'ok');
+
+            await expect(failing).rejects.toThrow('boom');
+            await expect(next).resolves.toBe('ok');
+        });
+    });
+
+    describe('posiciones en cola', () => {
+        it('getQueuePosition devuelve 0 para tareas corriendo y 1-based para encoladas', () => {
+            const pool = new WorkerPool({ concurrency: 1 });
+            pool.run('a', deferredTask().task);
+            pool.run('b', deferredTask().task);
+            pool.run('c', deferredTask().task);
+
+            expect(pool.getQueuePosition('a')).toBe(0);
+            expect(pool.getQueuePosition('b')).toBe(1);
+            expect(pool.getQueuePosition('c')).toBe(2);
+            expect(pool.getQueuePosition('zzz')).toBe(-1);
+        });
+
+        it('emite queue:changed con las posiciones actualizadas al avanzar la cola', async () => {
+            const pool = new WorkerPool({ concurrency: 1 });
+            const snapshots = [];
+            pool.on('queue:changed', snapshot => snapshots.push(snapshot));
+
+            const first = deferredTask();
+            pool.run('a', first.task);
+            pool.run('b', deferredTask().task);
+            pool.run('c', deferredTask().task);
+
+            expect(snapshots.at(-1)).toEqual([
+                { id: 'b', position: 1 },
+                { id: 'c', position: 2 }
+            ]);
+
+            first.finish();
+            await flush();
+
+            expect(snapshots.at(-1)).toEqual([{ id: 'c', position: 1 }]);
+        });
+    });
+
+    describe('arranques escalonados', () => {
+        it('espera startDelay + jitter entre arranques consecutivos', async () => {
+            const pool = new WorkerPool({ concurrency: 3, startDelay: 1000, jitter: 500, random: () => 0.999 });
+            const started = [];
+            pool.on('task:started', ({ id }) => started.push(id));
+
+            pool.run('a', deferredTask().task);
+            pool.run('b', deferredTask().task);
+
+            expect(started).toEqual(['a']);
+
+            await vi.advanceTimersByTimeAsync(1499);
+            expect(started).toEqual(['a']);
+
+            await vi.advanceTimersByTimeAsync(1);
+            expect(started).toEqual(['a', 'b']);
+        });
+    });
+
+    describe('cancelación', () => {
+        it('cancel quita la tarea de la cola y rechaza con TASK_CANCELLED', async () => {
+            const pool = new WorkerPool({ concurrency: 1 });
+            pool.run('a', deferredTask().task);
+            const queued = pool.run('b', deferredTask().task);
+
+            expect(pool.cancel('b')).toBe(true);
+            await expect(queued).rejects.toMatchObject({ code: 'TASK_CANCELLED', taskId: 'b' });
+            expect(pool.getQueuedCount()).toBe(0);
+        });
+
+        it('cancel devuelve false para tareas que ya arrancaron', () => {
+            const pool = new WorkerPool({ concurrency: 1 });
+            pool.run('a', deferredTask().task);
+            expect(pool.cancel('a')).toBe(false);
+        });
+
+        it('has reconoce tareas en ejecución y en cola, no las terminadas', async () => {
+            const pool = new WorkerPool({ concurrency: 1 });
+            const a = deferredTask();
+            pool.run('a', a.task);
+            pool.run('b', deferredTask().task);
+
+            expect(pool.has('a')).toBe(true);
+            expect(pool.has('b')).toBe(true);
+            expect(pool.has('z')).toBe(false);
+
+            a.finish();
+            await flush();
+            expect(pool.has('a')).toBe(false);
+        });
+
+        it('clear cancela toda la cola y no arranca tareas pendientes de escalonamiento', async () => {
+            const pool = new WorkerPool({ concurrency: 2, startDelay: 1000 });
+            const started = [];
+            pool.on('task:started', ({ id }) => started.push(id));
+
+            pool.run('a', deferredTask().task);
+            const b = pool.run('b', deferredTask().task).catch(e => e.code);
+            const c = pool.run('c', deferredTask().task).catch(e => e.code);
+
+            expect(pool.clear()).toEqual(['b', 'c']);
+            await vi.advanceTimersByTimeAsync(5000);
+
+            expect(started).toEqual(['a']);
+            expect(await b).toBe('TASK_CANCELLED');
+            expect(await c).toBe('TASK_CANCELLED');
+        });
+    });
+});
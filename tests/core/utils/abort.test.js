@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { sleep, raceAbort } from '../../../src/core/utils/abort.js';
+
+describe('abort', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('sleep', () => {
+        it('sin signal espera el tiempo indicado', async () => {
+            const done = vi.fn();
+            sleep(1000).then(done);
+
+            await vi.advanceTimersByTimeAsync(999);
+            expect(done).not.toHaveBeenCalled();
+            await vi.advanceTimersByTimeAsync(1);
+            expect(done).toHaveBeenCalled();
+        });
+
+        it('rechaza con el motivo del abort en cuanto se aborta', async () => {
+            const controller = new AbortController();
+            const reason = new Error('detener');
+            const waiting = sleep(60000, controller.signal);
+
+            controller.abort(reason);
+
+            await expect(waiting).rejects.toBe(reason);
+            expect(vi.getTimerCount()).toBe(0);
+        });
+
+        it('rechaza de inmediato si la señal ya estaba abortada', async () => {
+            const controller = new AbortController();
+            controller.abort(new Error('detener'));
+
+            await expect(sleep(1000, controller.signal)).rejects.toThrow('detener');
+            expect(vi.getTimerCount()).toBe(0);
+        });
+    });
+
+    describe('raceAbort', () => {
+        it('devuelve el resultado de la operación si termina antes', async () => {
+            const controller = new AbortController();
+            await expect(raceAbort(Promise.resolve('ok'), controller.signal)).resolves.toBe('ok');
+        });
+
+        it('deja de esperar una operación colgada al abortar', async () => {
+            const controller = new AbortController();
+            let failHung;
+            const hung = new Promise((_, reject) => { failHung = reject; });
+            const waiting = raceAbort(hung, controller.signal);
+
+            controller.abort(new Error('detener'));
+            await expect(waiting).rejects.toThrow('detener');
+
+            // El error tardío de la operación se descarta sin rechazos sin manejar
+            failHung(new Error('Target page, context or browser has been closed'));
+        });
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, formatCsv } from '../../../src/core/utils/csv.js';
+
+describe('parseCsv', () => {
+    it('usa la primera fila como encabezados y recorta espacios', () => {
+        expect(parseCsv('a, b\n1, 2\n3,4\n')).toEqual([
+            { a: '1', b: '2' },
+            { a: '3', b: '4' }
+        ]);
+    });
+
+    it('respeta comillas con comas, saltos de línea y comillas escapadas', () => {
+        const text = 'name,notes\n"Pérez, Ana","dijo ""hola""\nadiós"\n';
+        expect(parseCsv(text)).toEqual([{ name: 'Pérez, Ana', notes: 'dijo "hola"\nadiós' }]);
+    });
+
+    it('acepta CRLF, BOM, filas vacías y columnas faltantes', () => {
+        expect(parseCsv('﻿a,b\r\n1\r\n\r\n2,3')).toEqual([
+            { a: '1', b: '' },
+            { a: '2', b: '3' }
+        ]);
+    });
+
+    it('lanza si quedan comillas sin cerrar', () => {
+        expect(() => parseCsv('a\n"abierta')).toThrow(/comillas/);
+    });
+});
+
+describe('formatCsv', () => {
+    it('escribe los encabezados y cita solo los campos que lo necesitan', () => {
+        const rows = [
+            { name: 'Pérez, Ana', notes: 'dijo "hola"', extra: 'x' },
+            { name: 'Luis', notes: null }
+        ];
+        expect(formatCsv(rows, ['name', 'notes'])).toBe('name,notes\n"Pérez, Ana","dijo ""hola"""\nLuis,\n');
+    });
+
+    it('parseCsv lee lo que escribe', () => {
+        const rows = [{ a: 'uno\ndos', b: '3' }];
+        expect(parseCsv(formatCsv(rows, ['a', 'b']))).toEqual(rows);
+    });
+});
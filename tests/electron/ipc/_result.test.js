@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { handle, mapError } from '../../../src/electron/ipc/_result.js';
 import { setLogLevel } from '../../../src/core/utils/Logger.js';
+import { BrowserDisconnectedError, StopRequestedError } from '../../../src/core/errors/AppError.js';
 
 // El helper crea loggers via createLogger(). Los tests necesitan que el
 // logger emita a console.* para poder espiar. Forzamos nivel debug para
@@ -55,6 +56,19 @@ describe('mapError', () => {
         });
     });
 
+    it('los errores tipados llegan con su code estable y sus details', () => {
+        expect(mapError(new StopRequestedError('p1'))).toEqual({
+            success: false,
+            error: 'Sesión detenida por solicitud del usuario',
+            code: 'STOP_REQUESTED',
+            details: { profileId: 'p1' }
+        });
+        expect(mapError(new BrowserDisconnectedError('sin navegador', { permanent: true }))).toMatchObject({
+            code: 'BROWSER_DISCONNECTED',
+            details: { permanent: true }
+        });
+    });
+
     it('genera mensaje genérico cuando no hay nada usable', () => {
         expect(mapError(null).error).toBe('Error desconocido');
         expect(mapError(undefined).error).toBe('Error desconocido');
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { registerDatabaseHandlers } from '../../../src/electron/ipc/database.js';
+
+function makeFakeIpcMain() {
+    const handlers = new Map();
+    return {
+        handle: vi.fn((channel, fn) => {
+            handlers.set(channel, fn);
+        }),
+        _getHandler: (channel) => handlers.get(channel)
+    };
+}
+
+describe('IPC handlers de las copias de la base', () => {
+    let ipcMain;
+    let databaseManager;
+    let navigationController;
+    let schedulers;
+    let dialog;
+
+    beforeEach(() => {
+        ipcMain = makeFakeIpcMain();
+        databaseManager = {
+            getBackupDir: vi.fn(() => '/data/backups'),
+            findBackup: vi.fn(async name => (name === 'loadtest-auto-1.db' ? { name, path: `/data/backups/${name}` } : null)),
+            restoreBackup: vi.fn(async filePath => ({
+                restoredFrom: filePath,
+                safetyBackup: '/data/backups/loadtest-pre-restore-2.db',
+                websites: 40
+            })),
+            hasRunningNavigation: vi.fn(async () => false)
+        };
+        navigationController = { isBatchActive: vi.fn(() => false) };
+        schedulers = Object.fromEntries(['scheduler', 'backupScheduler', 'maintenanceScheduler'].map(key => [key, {
+            stop: vi.fn(),
+            start: vi.fn(async () => {})
+        }]));
+        dialog = { showOpenDialog: vi.fn().mockResolvedValue({ canceled: true, filePaths: [] }) };
+        registerDatabaseHandlers(ipcMain, { services: { databaseManager, navigationController, ...schedulers }, dialog, getMainWindow: () => null });
+    });
+
+    const invoke = (channel, ...args) => ipcMain._getHandler(channel)({}, ...args);
+
+    it('database:restore-backup restaura por nombre dentro de la carpeta de copias', async () => {
+        expect(await invoke('database:restore-backup', 'loadtest-auto-1.db')).toEqual({
+            success: true,
+            fileName: 'loadtest-auto-1.db',
+            safetyBackup: 'loadtest-pre-restore-2.db',
+            websites: 40
+        });
+        expect(databaseManager.restoreBackup).toHaveBeenCalledWith('/data/backups/loadtest-auto-1.db');
+
+        expect(await invoke('database:restore-backup', '../loadtest.db')).toMatchObject({ success: false, error: 'No existe la copia ../loadtest.db' });
+        expect(await invoke('database:restore-backup')).toEqual({ success: true, canceled: true });
+        expect(databaseManager.restoreBackup).toHaveBeenCalledTimes(1);
+    });
+
+    it('database:restore-backup no reemplaza la base con una navegación en curso', async () => {
+        navigationController.isBatchActive.mockReturnValue(true);
+
+        expect(await invoke('database:restore-backup', 'loadtest-auto-1.db'))
+            .toMatchObject({ success: false, error: 'Detener la navegación antes de restaurar una copia' });
+        expect(databaseManager.restoreBackup).not.toHaveBeenCalled();
+    });
+
+    it('database:restore-backup no reemplaza la base si otro proceso está navegando sobre ella', async () => {
+        databaseManager.hasRunningNavigation.mockResolvedValue(true);
+
+        expect(await invoke('database:restore-backup', 'loadtest-auto-1.db'))
+            .toMatchObject({ success: false, error: 'Detener la navegación antes de restaurar una copia' });
+        expect(databaseManager.restoreBackup).not.toHaveBeenCalled();
+    });
+
+    it('database:restore-backup frena los programadores durante la restauración y los reanuda', async () => {
+        databaseManager.restoreBackup.mockImplementation(async filePath => {
+            for (const scheduler of Object.values(schedulers)) {
+                expect(scheduler.stop).toHaveBeenCalled();
+                expect(scheduler.start).not.toHaveBeenCalled();
+            }
+            return { restoredFrom: filePath, safetyBackup: '/data/backups/loadtest-pre-restore-2.db', websites: 40 };
+        });
+
+        await invoke('database:restore-backup', 'loadtest-auto-1.db');
+        databaseManager.restoreBackup.mockRejectedValue(new Error('copia corrupta'));
+        expect(await invoke('database:restore-backup', 'loadtest-auto-1.db')).toMatchObject({ success: false, error: 'copia corrupta' });
+
+        for (const scheduler of Object.values(schedulers)) {
+            expect(scheduler.start).toHaveBeenCalledTimes(2);
+        }
+    });
+});
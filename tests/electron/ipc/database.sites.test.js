@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { registerDatabaseHandlers } from '../../../src/electron/ipc/database.js';
+
+/**
+ * ipcMain falso que captura los handlers registrados por canal.
+ */
+function makeFakeIpcMain() {
+    const handlers = new Map();
+    return {
+        handle: vi.fn((channel, fn) => {
+            handlers.set(channel, fn);
+        }),
+        _getHandler: (channel) => handlers.get(channel)
+    };
+}
+
+/**
+ * Base con un solo sitio (id 1) y una sola lista (id 1, "noticias-es");
+ * getWebsitesByUrls responde por URL.
+ */
+function makeDatabase() {
+    const sites = [{ id: 1, url: 'https://bbc.com/', domain: 'bbc.com', category: 'news', status: 'active' }];
+    return {
+        getWebsite: vi.fn(async id => sites.find(site => site.id === id) || null),
+        getWebsitesByUrls: vi.fn(async urls => sites.filter(site => urls.includes(site.url))),
+        createWebsite: vi.fn().mockResolvedValue(2),
+        updateWebsite: vi.fn().mockResolvedValue(true),
+        setWebsitesCategory: vi.fn(async ids => ids.length),
+        getSiteList: vi.fn(async id => (id === 1 ? { id: 1, name: 'noticias-es', description: null } : null)),
+        getSiteListByName: vi.fn(async name => (name.toLowerCase() === 'noticias-es' ? { id: 1, name: 'noticias-es' } : null)),
+        createSiteList: vi.fn().mockResolvedValue(2),
+        updateSiteList: vi.fn().mockResolvedValue(true),
+        addSitesToList: vi.fn(async (listId, ids) => ids.length),
+        removeSitesFromList: vi.fn().mockResolvedValue(1)
+    };
+}
+
+describe('IPC handlers del editor de sitios y sus listas', () => {
+    let ipcMain;
+    let databaseManager;
+
+    beforeEach(() => {
+        ipcMain = makeFakeIpcMain();
+        databaseManager = makeDatabase();
+        registerDatabaseHandlers(ipcMain, { services: { databaseManager }, getMainWindow: () => null });
+    });
+
+    const invoke = (channel, ...args) => ipcMain._getHandler(channel)({}, ...args);
+
+    it('database:save-site da de alta un sitio normalizado', async () => {
+        const result = await invoke('database:save-site', { url: 'www.lemonde.fr', category: 'news' });
+
+        expect(databaseManager.createWebsite).toHaveBeenCalledWith({
+            url: 'https://www.lemonde.fr/',
+            domain: 'lemonde.fr',
+            category: 'news',
+            status: 'active'
+        });
+        expect(result.success).toBe(true);
+    });
+
+    it('database:save-site conserva en la edición los campos que no vienen', async () => {
+        await invoke('database:save-site', { id: 1, status: 'inactive' });
+
+        expect(databaseManager.updateWebsite).toHaveBeenCalledWith(1, {
+            url: 'https://bbc.com/',
+            domain: 'bbc.com',
+            category: 'news',
+            status: 'inactive'
+        });
+    });
+
+    it('database:save-site rechaza una URL que ya tiene otro sitio o un sitio borrado', async () => {
+        const duplicate = await invoke('database:save-site', { url: 'bbc.com' });
+        const missing = await invoke('database:save-site', { id: 9, status: 'inactive' });
+
+        expect(duplicate).toMatchObject({ success: false, error: 'Ya existe un sitio con la URL https://bbc.com/' });
+        expect(missing).toMatchObject({ success: false, error: 'El sitio ya no existe' });
+        expect(databaseManager.createWebsite).not.toHaveBeenCalled();
+        expect(databaseManager.updateWebsite).not.toHaveBeenCalled();
+    });
+
+    it('database:set-sites-category valida la categoría y la selección', async () => {
+        expect(await invoke('database:set-sites-category', [1, 2], 'Sports')).toEqual({ success: true, updated: 2 });
+        expect(databaseManager.setWebsitesCategory).toHaveBeenCalledWith([1, 2], 'sports');
+
+        expect(await invoke('database:set-sites-category', [1], 'cocina')).toMatchObject({ success: false });
+        expect(await invoke('database:set-sites-category', [], 'news')).toMatchObject({ success: false, error: 'No hay sitios seleccionados' });
+    });
+
+    it('database:save-site-list valida el nombre y rechaza uno que ya usa otra lista', async () => {
+        await invoke('database:save-site-list', { name: ' tiendas ', description: 'E-commerce' });
+        expect(databaseManager.createSiteList).toHaveBeenCalledWith({ name: 'tiendas', description: 'E-commerce' });
+
+        expect(await invoke('database:save-site-list', { name: 'Noticias-ES' }))
+            .toMatchObject({ success: false, error: 'Ya existe la lista Noticias-ES' });
+        expect(await invoke('database:save-site-list', { name: 'a;b' })).toMatchObject({ success: false });
+
+        await invoke('database:save-site-list', { id: 1, name: 'noticias-ES' });
+        expect(databaseManager.updateSiteList).toHaveBeenCalledWith(1, { name: 'noticias-ES', description: null });
+    });
+
+    it('database:set-site-list-members suma o quita los sitios seleccionados', async () => {
+        expect(await invoke('database:set-site-list-members', 1, [1, 2])).toEqual({ success: true, list: 'noticias-es', changed: 2 });
+        expect(databaseManager.addSitesToList).toHaveBeenCalledWith(1, [1, 2]);
+
+        await invoke('database:set-site-list-members', 1, [1], true);
+        expect(databaseManager.removeSitesFromList).toHaveBeenCalledWith(1, [1]);
+
+        expect(await invoke('database:set-site-list-members', 9, [1])).toMatchObject({ success: false, error: 'La lista ya no existe' });
+        expect(await invoke('database:set-site-list-members', 1, [])).toMatchObject({ success: false, error: 'No hay sitios seleccionados' });
+    });
+});